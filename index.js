@@ -1,14 +1,27 @@
 #!/usr/bin/env node
 
+import path from 'path';
 import readline from 'readline';
 import colors from 'colors';
 import { CloneRepository } from './src/cloneRepository.js';
+import { openCachedClone } from './src/cloneCache.js';
+import { runCli, isCliInvocation } from './src/cli.js';
+import { isLocalSource } from './src/resolveSource.js';
+import {
+  CONFIG_VARIABLE,
+  DEFAULT_EXCLUDE,
+  loadConfig,
+  loadConfigFile,
+  resolveSettings,
+  toExportOptions
+} from './src/config.js';
 import { 
   printTree, 
   simpleTreePrint, 
   exportTreeToFile, 
   exportFileContentsToFile, 
-  generateDirectorySummary 
+  generateDirectorySummary,
+  exportOutlineToFile
 } from './src/traverseRepository.js';
 
 colors.setTheme({
@@ -18,11 +31,55 @@ colors.setTheme({
   menu: 'yellow'
 });
 
-// Create readline interface
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Readline interface, created only when the interactive menu starts
+let rl;
+
+// Exports run asynchronously; closing the input waits for the running one
+let runningExport = Promise.resolve();
+
+// Releases the cached clone in use, so other runs can update it after we exit
+let releaseClone = null;
+
+// Config of the current directory (or $REPOSKETCH_CONFIG), and the configs in use
+// with the explored repository's own config first
+let cwdConfig = null;
+let configs = [];
+
+function runExport(task) {
+  runningExport = task();
+  return runningExport;
+}
+
+// Settings of a menu command from the config files, the profile and REPOSKETCH_* variables
+function settingsFor(command) {
+  return resolveSettings(command, { configs, env: process.env });
+}
+
+// Output file offered by a prompt: the configured one, else repo-<name> with the format's extension
+function defaultOutput(settings, name) {
+  if (settings.output) return settings.output;
+  const format = settings.format || 'text';
+  return `./repo-${name}.${{ text: 'txt', markdown: 'md' }[format] || format}`;
+}
+
+// Function to read the explored repository's own config before showing the menu
+async function openRepository(repoPath) {
+  const baseConfigs = cwdConfig ? [cwdConfig.config] : [];
+  configs = baseConfigs;
+  try {
+    let repositoryConfig = await loadConfig(repoPath, { repository: true });
+    if (repositoryConfig && cwdConfig && path.resolve(repositoryConfig.path) === path.resolve(cwdConfig.path)) {
+      repositoryConfig = null;
+    }
+    if (repositoryConfig) configs = [repositoryConfig.config, ...baseConfigs];
+    if (repositoryConfig && repositoryConfig.ignored.length > 0) {
+      console.log(`Ignoring ${repositoryConfig.ignored.join(', ')} in ${repositoryConfig.path}`.info);
+    }
+  } catch (err) {
+    console.log(`Ignoring the repository config: ${err.message}`.error);
+  }
+  showMenu(repoPath);
+}
 
 // Function to display the menu
 function showMenu(repoPath) {
@@ -34,10 +91,11 @@ function showMenu(repoPath) {
   console.log('3. Export Tree to File'.menu);
   console.log('4. Export File Contents to File'.menu);
   console.log('5. Generate Directory Summary'.menu);
-  console.log('6. Exit'.menu);
+  console.log('6. Export Code Outline to File'.menu);
+  console.log('7. Exit'.menu);
   console.log('='.repeat(50));
   
-  rl.question('Enter your choice (1-6): ', (choice) => {
+  rl.question('Enter your choice (1-7): ', (choice) => {
     handleMenuChoice(choice, repoPath);
   });
 }
@@ -47,7 +105,7 @@ function handleMenuChoice(choice, repoPath) {
   switch (choice) {
     case '1':
       console.log('\nPrinting repository tree structure:'.info);
-      printTree(repoPath);
+      printTree(repoPath, toExportOptions(settingsFor('tree')));
       showMenu(repoPath);
       break;
       
@@ -56,37 +114,59 @@ function handleMenuChoice(choice, repoPath) {
       showMenu(repoPath);
       break;
       
-    case '3':
-      rl.question('Enter output file path (default: ./repo-tree.txt): ', (outputPath) => {
-        const filePath = outputPath || './repo-tree.txt';
-        exportTreeToFile(repoPath, filePath);
+    case '3': {
+      const settings = settingsFor('tree');
+      const defaultPath = defaultOutput(settings, 'tree');
+      rl.question(`Enter output file path (default: ${defaultPath}): `, async (outputPath) => {
+        const filePath = outputPath || defaultPath;
+        await runExport(() => exportTreeToFile(repoPath, filePath, toExportOptions(settings)));
         showMenu(repoPath);
       });
       break;
+    }
       
-    case '4':
-      rl.question('Enter output file path (default: ./repo-contents.txt): ', (outputPath) => {
-        const filePath = outputPath || './repo-contents.txt';
-        rl.question('Enter extensions to include (comma separated, leave empty for all): ', (extensions) => {
+    case '4': {
+      const settings = settingsFor('contents');
+      const defaultPath = defaultOutput(settings, 'contents');
+      const defaultExtensions = settings.extensions ? settings.extensions.join(',') : 'all';
+      rl.question(`Enter output file path (default: ${defaultPath}): `, (outputPath) => {
+        const filePath = outputPath || defaultPath;
+        rl.question(`Enter extensions to include (comma separated, leave empty for ${defaultExtensions}): `, async (extensions) => {
           const extArray = extensions ? extensions.split(',').map(e => e.trim().startsWith('.') ? e.trim() : `.${e.trim()}`) : null;
-          exportFileContentsToFile(repoPath, filePath, {
-            exclude: ['node_modules', '.git', 'dist', 'build'],
-            extensions: extArray
-          });
+          await runExport(() => exportFileContentsToFile(repoPath, filePath, {
+            exclude: DEFAULT_EXCLUDE,
+            ...toExportOptions(settings),
+            ...(extArray && { extensions: extArray })
+          }));
           showMenu(repoPath);
         });
       });
       break;
+    }
+      
+    case '5': {
+      const settings = settingsFor('summary');
+      const defaultPath = defaultOutput(settings, 'summary');
+      rl.question(`Enter output file path (default: ${defaultPath}): `, async (outputPath) => {
+        const filePath = outputPath || defaultPath;
+        await runExport(() => generateDirectorySummary(repoPath, filePath, toExportOptions(settings)));
+        showMenu(repoPath);
+      });
+      break;
+    }
       
-    case '5':
-      rl.question('Enter output file path (default: ./repo-summary.txt): ', (outputPath) => {
-        const filePath = outputPath || './repo-summary.txt';
-        generateDirectorySummary(repoPath, filePath);
+    case '6': {
+      const settings = settingsFor('outline');
+      const defaultPath = defaultOutput(settings, 'outline');
+      rl.question(`Enter output file path (default: ${defaultPath}): `, async (outputPath) => {
+        const filePath = outputPath || defaultPath;
+        await runExport(() => exportOutlineToFile(repoPath, filePath, toExportOptions(settings)));
         showMenu(repoPath);
       });
       break;
+    }
       
-    case '6':
+    case '7':
       console.log('Exiting program. Goodbye!'.success);
       rl.close();
       break;
@@ -98,60 +178,109 @@ function handleMenuChoice(choice, repoPath) {
   }
 }
 
-// Start the application
-console.log('Repository Explorer'.success);
-console.log('='.repeat(50));
-
-rl.question('Provide Repository URL: ', async (repoUrl) => {
-  if (!repoUrl) {
-    console.log('No repository URL provided. Exiting.'.error);
-    rl.close();
-    return;
+// Function to start the interactive prompt chain
+async function startInteractive() {
+  // Invalid configs, profiles and variables are reported before the first prompt
+  try {
+    const configFile = process.env[CONFIG_VARIABLE];
+    cwdConfig = configFile ? await loadConfigFile(configFile) : await loadConfig(process.cwd());
+    configs = cwdConfig ? [cwdConfig.config] : [];
+    settingsFor('tree');
+  } catch (err) {
+    console.log(`Invalid config: ${err.message}`.error);
+    process.exit(2);
   }
-  
-  // Ask if user wants to specify a target path
-  rl.question('Enter target path (leave empty for temporary directory): ', async (targetPath) => {
-    // Ask if user wants to clone a specific branch
-    rl.question('Enter branch name (leave empty for default branch): ', async (branch) => {
-      console.log('\nCloning repository, please wait...'.info);
-      
-      const cloneOptions = {
-        shallow: true
-      };
-      
-      if (targetPath) {
-        cloneOptions.targetPath = targetPath;
-      }
-      
-      if (branch) {
-        cloneOptions.branch = branch;
-      }
-      
-      const result = await CloneRepository(repoUrl, cloneOptions);
-      
-      if (result.success) {
-        console.log(`\nRepository cloned to: ${result.targetPath}`.success);
-        showMenu(result.targetPath);
-      } else {
-        console.log(result.message.error);
-        rl.question('Do you want to specify a local directory instead? (y/n): ', (answer) => {
+
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  console.log('Repository Explorer'.success);
+  console.log('='.repeat(50));
+
+  rl.question('Provide Repository URL or local path: ', async (repoUrl) => {
+    if (!repoUrl) {
+      console.log('No repository URL provided. Exiting.'.error);
+      rl.close();
+      return;
+    }
+
+    // Local directories, file:// URLs, bare repositories and archives need no clone
+    if (isLocalSource(repoUrl)) {
+      console.log(`Using local source: ${repoUrl}`.info);
+      openRepository(repoUrl);
+      return;
+    }
+
+    // Ask if user wants to specify a target path
+    rl.question('Enter target path (leave empty to use the clone cache): ', async (targetPath) => {
+      // Ask if user wants to clone a specific branch
+      rl.question('Enter branch name (leave empty for default branch): ', async (branch) => {
+        console.log('\nCloning repository, please wait...'.info);
+
+        const cloneOptions = {
+          shallow: true
+        };
+
+        if (targetPath) {
+          cloneOptions.targetPath = targetPath;
+        }
+
+        if (branch) {
+          cloneOptions.branch = branch;
+        }
+
+        let result = targetPath
+          ? await CloneRepository(repoUrl, cloneOptions)
+          : await openCachedClone(repoUrl, cloneOptions);
+
+        // Ask before replacing an existing checkout
+        if (result.code === 'DESTINATION_NOT_EMPTY') {
+          const answer = await new Promise((resolve) => {
+            rl.question(`${result.targetPath} is not empty. Overwrite it? (y/n): `, resolve);
+          });
           if (answer.toLowerCase() === 'y') {
-            rl.question('Enter the path to local directory: ', (localPath) => {
-              console.log(`Using local directory: ${localPath}`.info);
-              showMenu(localPath);
-            });
-          } else {
-            console.log('Program closing.'.info);
-            rl.close();
+            result = await CloneRepository(repoUrl, { ...cloneOptions, overwrite: true });
           }
-        });
-      }
+        }
+
+        if (result.success) {
+          releaseClone = result.release || null;
+          console.log(`\nRepository cloned to: ${result.targetPath}`.success);
+          openRepository(result.targetPath);
+        } else {
+          console.log(result.message.error);
+          rl.question('Do you want to specify a local directory instead? (y/n): ', (answer) => {
+            if (answer.toLowerCase() === 'y') {
+              rl.question('Enter the path to local directory: ', (localPath) => {
+                console.log(`Using local directory: ${localPath}`.info);
+                openRepository(localPath);
+              });
+            } else {
+              console.log('Program closing.'.info);
+              rl.close();
+            }
+          });
+        }
+      });
     });
   });
-});
 
-// Handle program exit
-rl.on('close', () => {
-  console.log('Program closed.'.info);
-  process.exit(0);
-}); 
\ No newline at end of file
+  // Handle program exit
+  rl.on('close', () => {
+    runningExport.finally(() => {
+      if (releaseClone) releaseClone();
+      console.log('Program closed.'.info);
+      process.exit(0);
+    });
+  });
+}
+
+// Start the application: subcommands run non-interactively, otherwise show the menu
+const args = process.argv.slice(2);
+if (isCliInvocation(args)) {
+  runCli(args).then((code) => process.exit(code));
+} else {
+  startInteractive();
+}
@@ -0,0 +1,520 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { resolveSource, resolveLocalSource, isLocalSource, isPathLike } from "./resolveSource.js";
+import { createReporter } from "./reporter.js";
+import { parseGitURL, redactCredentials } from "./git.js";
+import { parseYaml } from "./parseYaml.js";
+import { formatFileSize } from "./format.js";
+import { buildBatchIndex } from "./structuredOutput.js";
+import {
+  exportTreeToFile,
+  exportFileContentsToFile,
+  generateDirectorySummary,
+  exportImportGraph,
+  exportOutlineToFile,
+} from "./traverseRepository.js";
+
+// Outputs written for every repository of a batch; the summary is always written
+// because the index is built from it
+const BATCH_OUTPUTS = ["summary", "tree", "contents", "outline", "graph"];
+const DEFAULT_BATCH_OUTPUTS = ["summary", "tree"];
+
+// Summary file per format
+const SUMMARY_FILES = {
+  text: "summary.txt",
+  json: "summary.json",
+  yaml: "summary.yaml",
+  markdown: "summary.md",
+  html: "summary.html",
+};
+
+// Options a repository entry (or the defaults of a list file) may set, with their types
+const ENTRY_FIELDS = {
+  source: "string",
+  name: "string",
+  branch: "string",
+  commit: "string",
+  depth: "integer",
+  sparse: "list",
+  submodules: "boolean",
+  exclude: "list",
+  maxDepth: "integer",
+  hidden: "boolean",
+  history: "boolean",
+  format: "string",
+  outputs: "list",
+};
+
+const DEFAULT_JOBS = 4;
+const LOG_FILE = "reposketch.log";
+
+/**
+ * Check and normalize the options of one repository entry
+ * @private
+ * @param {Object} raw - Entry as written in the list file
+ * @param {string} where - Location of the entry used in error messages
+ * @returns {Object} Entry with only the given fields; lists are arrays of strings
+ */
+function normalizeEntry(raw, where) {
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${where}: expected a source or an object with a source`);
+  }
+
+  const entry = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const type = ENTRY_FIELDS[key];
+    if (!type) {
+      throw new Error(
+        `${where}: unknown option "${key}" (expected ${Object.keys(ENTRY_FIELDS).join(", ")})`
+      );
+    }
+    if (value === null) continue;
+
+    if (type === "list") {
+      const items = typeof value === "string" ? value.split(",") : value;
+      if (!Array.isArray(items) || items.some((item) => typeof item !== "string")) {
+        throw new Error(`${where}: ${key} must be a list of strings`);
+      }
+      entry[key] = items.map((item) => item.trim()).filter(Boolean);
+    } else if (type === "integer") {
+      if (!Number.isInteger(value)) throw new Error(`${where}: ${key} must be an integer`);
+      entry[key] = value;
+    } else if (typeof value !== type) {
+      throw new Error(`${where}: ${key} must be a ${type}`);
+    } else {
+      entry[key] = value;
+    }
+  }
+
+  if (entry.format !== undefined && !SUMMARY_FILES[entry.format]) {
+    throw new Error(
+      `${where}: format must be one of ${Object.keys(SUMMARY_FILES).join(", ")}, got "${entry.format}"`
+    );
+  }
+  const unknownOutput = (entry.outputs || []).find((output) => !BATCH_OUTPUTS.includes(output));
+  if (unknownOutput) {
+    throw new Error(
+      `${where}: outputs must be among ${BATCH_OUTPUTS.join(", ")}, got "${unknownOutput}"`
+    );
+  }
+  if (entry.depth !== undefined && entry.depth < 0) {
+    throw new Error(`${where}: depth must not be negative`);
+  }
+  return entry;
+}
+
+/**
+ * Parse the lines of a plain list: one source per line, # starts a comment
+ * @private
+ */
+function parsePlainList(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(^|\s)#.*$/, "").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a batch list file. A .json, .yaml or .yml file holds either an array of
+ * repositories or an object { defaults, repositories }; each repository is a
+ * source string or an object with a source and its own options (name, branch,
+ * commit, depth, sparse, submodules, exclude, maxDepth, hidden, history, format,
+ * outputs). Any other file is a plain list with one source per line.
+ * @param {string} text - Contents of the list file
+ * @param {string} fileName - Name of the list file; its extension selects the format
+ * @returns {Array<Object>} Repository entries with the defaults applied
+ * @throws {Error} When the file is malformed or an entry has unknown or invalid options
+ */
+function parseBatchManifest(text, fileName) {
+  const extension = path.extname(fileName).toLowerCase();
+  let document;
+  if (extension === ".json") {
+    document = JSON.parse(text);
+  } else if (extension === ".yaml" || extension === ".yml") {
+    document = parseYaml(text);
+  } else {
+    document = parsePlainList(text);
+  }
+
+  let defaults = {};
+  let repositories = document;
+  if (document !== null && typeof document === "object" && !Array.isArray(document)) {
+    const unknown = Object.keys(document).find((key) => key !== "defaults" && key !== "repositories");
+    if (unknown) {
+      throw new Error(`unknown key "${unknown}" (expected defaults and repositories)`);
+    }
+    defaults = document.defaults === undefined ? {} : normalizeEntry(document.defaults, "defaults");
+    if (defaults.source !== undefined || defaults.name !== undefined) {
+      throw new Error("defaults: source and name can only be set per repository");
+    }
+    repositories = document.repositories;
+  }
+  if (!Array.isArray(repositories)) {
+    throw new Error("expected a list of repositories");
+  }
+  if (repositories.length === 0) {
+    throw new Error("the list has no repositories");
+  }
+
+  return repositories.map((raw, index) => {
+    const where = `repositories[${index}]`;
+    const entry = normalizeEntry(typeof raw === "string" ? { source: raw } : raw, where);
+    if (!entry.source) {
+      throw new Error(`${where}: source is required`);
+    }
+    return { ...defaults, ...entry };
+  });
+}
+
+/**
+ * Derive a directory name from a source: the repository name of a URL, or the
+ * base name of a path without its archive or .git extension
+ * @private
+ */
+function defaultName(source) {
+  const parsedURL = parseGitURL(source);
+  if (!isLocalSource(source) && parsedURL.valid) return parsedURL.name;
+
+  let localPath = source;
+  if (source.startsWith("file://")) {
+    // A malformed file:// URL only fails its own repository, when it is resolved
+    try {
+      localPath = fileURLToPath(source);
+    } catch {
+      localPath = source.slice("file://".length);
+    }
+  }
+  const base = path.basename(path.resolve(localPath));
+  return base.replace(/(\.tar\.gz|\.tgz|\.tar|\.zip|\.git)$/i, "") || "repository";
+}
+
+/**
+ * Give every repository a distinct directory name
+ * @private
+ */
+function assignNames(entries) {
+  const taken = new Set();
+  return entries.map((entry) => {
+    const base = (entry.name || defaultName(entry.source)).replace(/[^\w.-]+/g, "-").replace(/^\.+/, "") ||
+      "repository";
+    let name = base;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) {
+      name = `${base}-${n}`;
+    }
+    taken.add(name.toLowerCase());
+    return { ...entry, name };
+  });
+}
+
+/**
+ * Resolve the source of one repository: local sources are passed to the exporters
+ * as-is, remote ones are cloned into the clone cache or a temporary directory
+ * @private
+ */
+async function resolveBatchSource(entry, { clone: baseClone, cache, signal, reporter }) {
+  if (isLocalSource(entry.source)) {
+    return { success: true, directoryPath: entry.source, cleanup() {} };
+  }
+  // Missing paths and malformed file:// URLs are reported as such, not as bad URLs
+  if (entry.source.startsWith("file://") || isPathLike(entry.source)) {
+    return resolveLocalSource(entry.source, { gitMetadata: false });
+  }
+
+  const parsedURL = parseGitURL(entry.source);
+  if (!parsedURL.valid) {
+    return { success: false, message: `Invalid repository URL: ${parsedURL.reason}` };
+  }
+
+  const clone = {
+    ...baseClone,
+    // The history needs every commit; otherwise the latest one is enough
+    depth: entry.depth === undefined ? (entry.history ? 0 : 1) : entry.depth,
+    branch: entry.branch,
+    commit: entry.commit,
+    sparsePaths: entry.sparse || [],
+    recurseSubmodules: Boolean(entry.submodules),
+    reporter,
+  };
+  if (cache) {
+    return resolveSource(entry.source, { clone, cache: { ...cache, signal } });
+  }
+
+  const temporaryPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-batch-"));
+  const removeTemporary = () => fs.rmSync(temporaryPath, { recursive: true, force: true });
+  const resolved = await resolveSource(entry.source, {
+    clone: { ...clone, targetPath: path.join(temporaryPath, parsedURL.name) },
+  });
+  if (!resolved.success) {
+    removeTemporary();
+    return resolved;
+  }
+  return {
+    ...resolved,
+    cleanup() {
+      resolved.cleanup();
+      removeTemporary();
+    },
+  };
+}
+
+/**
+ * Write one output of a repository
+ * @private
+ */
+function exportOutput(kind, directoryPath, outputDirectory, entry, control) {
+  const options = {
+    exclude: entry.exclude,
+    maxDepth: entry.maxDepth === undefined ? -1 : entry.maxDepth,
+    showHidden: Boolean(entry.hidden),
+    ...control,
+  };
+  const file = (name) => path.join(outputDirectory, name);
+
+  switch (kind) {
+    case "summary":
+      return generateDirectorySummary(directoryPath, file(SUMMARY_FILES[entry.format || "text"]), {
+        ...options,
+        format: entry.format || "text",
+        includeHistory: Boolean(entry.history),
+      });
+    case "tree":
+      return exportTreeToFile(directoryPath, file("tree.txt"), options);
+    case "contents":
+      return exportFileContentsToFile(directoryPath, file("contents.txt"), options);
+    case "outline":
+      return exportOutlineToFile(directoryPath, file("outline.txt"), options);
+    case "graph":
+      return exportImportGraph(directoryPath, file("graph.dot"), { ...options, format: "dot" });
+    default:
+      throw new Error(`Unknown batch output: ${kind}`);
+  }
+}
+
+/**
+ * Result of a repository that has not been analyzed (yet)
+ * @private
+ */
+function pendingResult(entry, error = null) {
+  return {
+    name: entry.name,
+    source: redactCredentials(entry.source),
+    status: "failed",
+    error,
+    outputs: {},
+    summary: null,
+    git: null,
+  };
+}
+
+/**
+ * Clone (if needed) and analyze one repository, writing its outputs and log into
+ * its own directory. Never throws: failures are recorded in the result.
+ * @private
+ */
+async function runRepository(entry, { outputDirectory, clone, cache, signal }) {
+  const directory = path.join(outputDirectory, entry.name);
+  const result = pendingResult(entry);
+
+  let reporter = null;
+  let source = null;
+  try {
+    fs.mkdirSync(directory, { recursive: true });
+    // Every message of the run goes to the repository's log, none to the console
+    reporter = createReporter({ level: "silent", logFile: path.join(directory, LOG_FILE) });
+
+    source = await resolveBatchSource(entry, { clone, cache, signal, reporter });
+    if (!source.success) throw new Error(source.message);
+
+    const outputs = BATCH_OUTPUTS.filter(
+      (kind) => kind === "summary" || (entry.outputs || DEFAULT_BATCH_OUTPUTS).includes(kind)
+    );
+    for (const kind of outputs) {
+      const exported = await exportOutput(kind, source.directoryPath, directory, entry, { signal, reporter });
+      if (!exported.success) throw new Error(exported.message);
+      result.outputs[kind] = path.relative(outputDirectory, exported.filePath).split(path.sep).join("/");
+      if (kind === "summary") {
+        result.summary = exported;
+        result.git = exported.git;
+      }
+    }
+    result.status = "ok";
+  } catch (err) {
+    // git errors span several lines; the index keeps one line per failure
+    result.error = err.message.split("\n").map((line) => line.trim()).filter(Boolean).join(" ");
+  } finally {
+    if (source && source.success) source.cleanup();
+    if (reporter) reporter.close();
+  }
+  return result;
+}
+
+/**
+ * Describe a repository for the index: its sizes, file counts and languages
+ * @private
+ */
+function indexEntry(result) {
+  const entry = {
+    name: result.name,
+    source: result.source,
+    status: result.status,
+    error: result.error,
+    outputs: result.outputs,
+    git: result.git ? { branch: result.git.branch, head: result.git.head } : null,
+    files: null,
+    directories: null,
+    size: null,
+    codeLines: null,
+    languages: [],
+  };
+  if (!result.summary) return entry;
+
+  const { stats, languages } = result.summary;
+  entry.files = stats.totalFiles;
+  entry.directories = stats.totalDirectories;
+  entry.size = stats.totalSize;
+  if (languages) {
+    const totalCode = languages.total.code;
+    entry.codeLines = totalCode;
+    entry.languages = languages.byLanguage.map(({ language, files, code }) => ({
+      language,
+      files,
+      code,
+      share: totalCode > 0 ? Math.round((code / totalCode) * 1000) / 10 : 0,
+    }));
+  }
+  return entry;
+}
+
+/**
+ * Render the batch index as Markdown: one row per repository, then the failures
+ * @param {Object} index - Index from buildBatchIndex
+ * @returns {Array<string>} Lines of the index
+ */
+function formatBatchIndex(index) {
+  const { totals, repositories } = index;
+  const cell = (text) => String(text).replace(/\|/g, "\\|");
+  const lines = [
+    "# Batch index",
+    "",
+    `Generated ${index.generatedAt}: ${totals.repositories} repositories, ` +
+      `${totals.succeeded} analyzed, ${totals.failed} failed.`,
+    "",
+    `Total: ${totals.files.toLocaleString("en-US")} files, ${formatFileSize(totals.size)}, ` +
+      `${totals.codeLines.toLocaleString("en-US")} lines of code.`,
+    "",
+    "| Repository | Files | Directories | Size | Code lines | Top languages | Outputs |",
+    "| --- | ---: | ---: | ---: | ---: | --- | --- |",
+  ];
+
+  for (const repository of repositories.filter((entry) => entry.status === "ok")) {
+    const summary = repository.outputs.summary;
+    const topLanguages = repository.languages
+      .filter((language) => language.code > 0)
+      .slice(0, 3)
+      .map((language) => `${language.language} ${language.share}%`)
+      .join(", ");
+    const outputs = Object.entries(repository.outputs)
+      .map(([kind, file]) => `[${kind}](${encodeURI(file)})`)
+      .join(" ");
+    lines.push(
+      `| [${cell(repository.name)}](${encodeURI(summary)}) | ${repository.files.toLocaleString("en-US")} | ` +
+        `${repository.directories.toLocaleString("en-US")} | ${formatFileSize(repository.size)} | ` +
+        `${repository.codeLines === null ? "-" : repository.codeLines.toLocaleString("en-US")} | ` +
+        `${cell(topLanguages || "-")} | ${outputs} |`
+    );
+  }
+
+  const failed = repositories.filter((entry) => entry.status !== "ok");
+  if (failed.length > 0) {
+    lines.push("", "## Failed", "");
+    for (const repository of failed) {
+      lines.push(`- **${repository.name}** (${repository.source}): ${repository.error}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Analyze a list of repositories with bounded parallelism. Each repository gets
+ * its own directory under the output directory with its outputs and a log; a
+ * repository that fails is recorded and the others carry on. The index.json and
+ * index.md written last compare the sizes, file counts and languages of all of them.
+ * @param {Array<Object>} entries - Repository entries from parseBatchManifest
+ * @param {Object} options - Batch options
+ * @param {string} options.outputDirectory - Directory receiving the outputs and the index
+ * @param {number} options.jobs - Repositories analyzed at the same time (default 4)
+ * @param {Object} options.defaults - Entry options applied where an entry sets none,
+ *   such as the command line flags
+ * @param {Object} options.clone - Clone options for every remote repository, such as
+ *   allowedHosts and auth (see CloneRepository)
+ * @param {Object|null} options.cache - Clone cache options for openCachedClone, or null
+ *   to clone into temporary directories
+ * @param {AbortSignal} options.signal - Stops starting repositories and cancels the running ones
+ * @param {Object} options.reporter - Reporter for one line per started and finished repository
+ * @returns {Promise<Object>} Result object with success status (false when any
+ *   repository failed), the index and the index file paths
+ */
+async function runBatch(entries, options = {}) {
+  const {
+    outputDirectory,
+    jobs = DEFAULT_JOBS,
+    defaults = {},
+    clone = {},
+    cache = null,
+    signal = null,
+  } = options;
+  const reporter = options.reporter || createReporter();
+
+  const queue = assignNames(entries.map((entry) => ({ ...defaults, ...entry })));
+  const results = new Array(queue.length);
+  fs.mkdirSync(outputDirectory, { recursive: true });
+
+  let next = 0;
+  let finished = 0;
+  const worker = async () => {
+    while (next < queue.length) {
+      const index = next++;
+      const entry = queue[index];
+      if (signal && signal.aborted) {
+        results[index] = pendingResult(entry, "Cancelled");
+        continue;
+      }
+
+      reporter.info(`Analyzing ${entry.name} (${redactCredentials(entry.source)})`);
+      const started = Date.now();
+      results[index] = await runRepository(entry, { outputDirectory, clone, cache, signal });
+      finished++;
+
+      const progress = `[${finished}/${queue.length}]`;
+      const elapsed = ((Date.now() - started) / 1000).toFixed(1);
+      if (results[index].status === "ok") {
+        reporter.success(`${progress} ${entry.name}: done in ${elapsed}s`);
+      } else {
+        reporter.error(`${progress} ${entry.name}: ${results[index].error}`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(jobs, queue.length)) }, worker));
+
+  const index = buildBatchIndex(results.map(indexEntry));
+  const jsonPath = path.join(outputDirectory, "index.json");
+  const markdownPath = path.join(outputDirectory, "index.md");
+  fs.writeFileSync(jsonPath, `${JSON.stringify(index, null, 2)}\n`, "utf8");
+  fs.writeFileSync(markdownPath, `${formatBatchIndex(index).join("\n")}\n`, "utf8");
+
+  const { succeeded, failed } = index.totals;
+  const message = `Batch finished: ${succeeded} analyzed, ${failed} failed; index written to ${markdownPath}`;
+  if (failed > 0) reporter.error(message);
+  else reporter.success(message);
+
+  return {
+    success: failed === 0,
+    index,
+    indexPath: path.resolve(markdownPath),
+    jsonPath: path.resolve(jsonPath),
+  };
+}
+
+export { BATCH_OUTPUTS, DEFAULT_BATCH_OUTPUTS, parseBatchManifest, runBatch, formatBatchIndex };
@@ -0,0 +1,1129 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseArgs } from "util";
+import colors from "colors";
+import { resolveSource, resolveLocalSource, isLocalSource, isPathLike } from "./resolveSource.js";
+import { OUTPUT_FORMATS } from "./structuredOutput.js";
+import { BUNDLE_FORMATS } from "./contextBundle.js";
+import { GRAPH_FORMATS } from "./importGraph.js";
+import { resolveContentPolicy } from "./fileContent.js";
+import { LOG_FORMATS, createReporter } from "./reporter.js";
+import { parseGitURL, isCommitSha } from "./git.js";
+import { formatFileSize } from "./format.js";
+import { parseAllowedHosts } from "./gitAuth.js";
+import {
+  defaultCacheDirectory,
+  listCache,
+  pruneCache,
+  clearCache,
+  formatCacheReport,
+} from "./cloneCache.js";
+import { BATCH_OUTPUTS, DEFAULT_BATCH_OUTPUTS, parseBatchManifest, runBatch } from "./batch.js";
+import {
+  CONFIG_VARIABLE,
+  DEFAULT_EXCLUDE,
+  loadConfig,
+  loadConfigFile,
+  resolveSettings,
+} from "./config.js";
+import {
+  printTree,
+  exportTreeToFile,
+  exportFileContentsToFile,
+  generateDirectorySummary,
+  generateTreeDiff,
+  exportImportGraph,
+  exportOutlineToFile,
+} from "./traverseRepository.js";
+
+// Report formats only available for the summary
+const SUMMARY_FORMATS = [...OUTPUT_FORMATS, "markdown", "html"];
+
+// Default summary file extension per format
+const SUMMARY_EXTENSIONS = {
+  text: "txt",
+  json: "json",
+  yaml: "yaml",
+  markdown: "md",
+  html: "html",
+};
+
+// Default import graph file extension per format
+const GRAPH_EXTENSIONS = {
+  dot: "dot",
+  mermaid: "mmd",
+  json: "json",
+  yaml: "yaml",
+};
+
+// Contents are written as plain text or as an LLM-context bundle
+const CONTENTS_FORMATS = ["text", ...BUNDLE_FORMATS];
+
+// Default contents file per format
+const CONTENTS_OUTPUTS = {
+  text: "./repo-contents.txt",
+  markdown: "./repo-context.md",
+  xml: "./repo-context.xml",
+};
+
+colors.setTheme({
+  info: "blue",
+  success: "green",
+  error: "red",
+});
+
+// Exit codes returned by runCli
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const COMMANDS = ["tree", "contents", "summary", "diff", "graph", "outline", "batch", "cache"];
+
+// Subcommands of the cache command
+const CACHE_ACTIONS = ["list", "prune", "clear"];
+
+const DEFAULT_BATCH_DIRECTORY = "./reposketch-batch";
+
+// Flag each config option stands for; a "no-" flag is set when the option is false
+const CONFIG_FLAGS = {
+  exclude: "exclude",
+  extensions: "ext",
+  maxDepth: "max-depth",
+  maxFileSize: "max-file-size",
+  tokenBudget: "token-budget",
+  maxChunks: "max-chunks",
+  contentPolicy: "content-policy",
+  redact: "no-redact",
+  deny: "deny",
+  hidden: "hidden",
+  gitignore: "no-gitignore",
+  sizes: "sizes",
+  history: "history",
+  staleDays: "stale-days",
+  depth: "depth",
+  sparse: "sparse",
+  submodules: "submodules",
+  cache: "no-cache",
+  cacheDir: "cache-dir",
+  cacheMaxSize: "cache-max-size",
+  cacheMaxAge: "cache-max-age",
+  allowedHosts: "allow-host",
+  tokenEnv: "token-env",
+  credentialHelper: "credential-helper",
+  sshKey: "ssh-key",
+  jobs: "jobs",
+  outputs: "outputs",
+  output: "output",
+  format: "format",
+};
+
+// Flags shared by every subcommand
+const OPTION_SPEC = {
+  output: { type: "string", short: "o" },
+  format: { type: "string", short: "f" },
+  ext: { type: "string", short: "e", multiple: true },
+  exclude: { type: "string", short: "x", multiple: true },
+  "max-depth": { type: "string", short: "d" },
+  "max-file-size": { type: "string" },
+  "token-budget": { type: "string" },
+  "max-chunks": { type: "string" },
+  "content-policy": { type: "string", multiple: true },
+  "no-redact": { type: "boolean" },
+  deny: { type: "string", multiple: true },
+  "redaction-report": { type: "string" },
+  hidden: { type: "boolean" },
+  "no-gitignore": { type: "boolean" },
+  sizes: { type: "boolean", short: "s" },
+  history: { type: "boolean" },
+  "stale-days": { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  branch: { type: "string", short: "b" },
+  commit: { type: "string" },
+  depth: { type: "string" },
+  sparse: { type: "string", multiple: true },
+  submodules: { type: "boolean" },
+  dest: { type: "string" },
+  overwrite: { type: "boolean" },
+  "cache-dir": { type: "string" },
+  "no-cache": { type: "boolean" },
+  "cache-max-size": { type: "string" },
+  "cache-max-age": { type: "string" },
+  "allow-host": { type: "string", multiple: true },
+  "token-env": { type: "string" },
+  "credential-helper": { type: "string" },
+  "ssh-key": { type: "string" },
+  jobs: { type: "string", short: "j" },
+  outputs: { type: "string", multiple: true },
+  config: { type: "string", short: "c" },
+  "no-config": { type: "boolean" },
+  profile: { type: "string", short: "p" },
+  quiet: { type: "boolean", short: "q" },
+  verbose: { type: "boolean", short: "v" },
+  "log-file": { type: "string" },
+  "log-format": { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+const USAGE = `Usage: reposketch <command> <source> [options]
+       reposketch diff <before> <after> [options]
+       reposketch diff <url> --from <ref> --to <ref> [options]
+       reposketch batch <file> [options]
+       reposketch cache list|prune|clear [options]
+
+Sources: a repository URL, a local directory or git working copy, a file:// URL,
+a bare repository, or a .zip/.tar/.tar.gz/.tgz archive.
+
+Commands:
+  tree        Print the directory tree (or write it with --output)
+  contents    Export the contents of every file to a text file or context bundle
+  summary     Generate a directory summary with statistics
+  diff        Compare two sources, or two refs of a repository: added, removed,
+              moved and resized files and the changes in file counts, sizes,
+              file types and dependencies
+  graph       Export the import graph of the JavaScript and TypeScript modules
+              with cycles, orphaned modules and the most depended on modules
+  outline     Export the tree with the top-level symbols of every JavaScript,
+              TypeScript, Python, Go and Java file: classes, functions, types
+              and exports with their signatures and doc comment first lines
+  batch       Analyze every repository of a list file (one source per line, or
+              JSON or YAML with per-repository options) in parallel, writing
+              the outputs of each to its own directory and an index comparing
+              their sizes, file counts and languages; a failing repository does
+              not stop the others
+  cache       List, prune or clear the clone cache: repositories are cloned
+              once and fetched and reset to the requested ref on later runs
+
+Options:
+  -o, --output <file>      Output file path (batch: output directory, default
+                           ./reposketch-batch)
+  -f, --format <format>    Output format: text, json or yaml
+                           (summary and batch also accept markdown and html; contents
+                           accepts text, markdown or xml, the latter two
+                           producing an LLM-context bundle; graph accepts dot,
+                           mermaid, json or yaml and defaults to dot)
+  -e, --ext <list>         Extensions to include, comma separated (contents)
+  -x, --exclude <list>     Names or patterns to exclude, comma separated
+  -d, --max-depth <n>      Maximum depth to traverse (-1 for unlimited)
+      --max-file-size <n>  Maximum file size in bytes to include (contents) or
+                           parse (graph, outline)
+      --token-budget <n>   Estimated tokens per bundle chunk; larger bundles are
+                           split into numbered files (contents)
+      --max-chunks <n>     Maximum number of bundle chunks (contents)
+      --content-policy <list>
+                           What to do with each class of file, comma separated
+                           class=action pairs; classes are text, encoded and
+                           binary, actions are include, list and skip
+                           (default text=include,encoded=include,binary=list)
+      --no-redact          Do not replace detected secrets with placeholders (contents)
+      --deny <list>        Extra file name patterns never exported, comma separated
+                           (contents; .env, keys and credential files by default)
+      --redaction-report <file>
+                           Also write the redaction findings as JSON (contents)
+      --hidden             Include hidden files
+      --no-gitignore       Do not apply .gitignore files (.reposketchignore still applies)
+  -s, --sizes              Show file sizes (tree, outline)
+      --history            Add the git history: contributors, most changed files,
+                           last change per file and directory, activity and stale
+                           directories (summary, batch; clones the full history)
+      --stale-days <n>     Days without changes before the last commit after
+                           which a directory is stale (default 180, --history)
+      --from <ref>         Branch, tag or commit to compare from (diff)
+      --to <ref>           Branch, tag or commit to compare to (diff)
+  -b, --branch <name>      Branch or tag to clone when the source is a URL
+      --commit <sha>       Commit to check out after cloning
+      --depth <n>          History depth to clone (default 1, or 0 for the full
+                           history with --history)
+      --sparse <list>      Only check out these directories, comma separated
+      --submodules         Clone submodules recursively
+      --dest <dir>         Clone into this directory instead of the clone cache
+      --overwrite          Replace a non-empty clone destination
+      --cache-dir <dir>    Clone cache directory (default $REPOSKETCH_CACHE_DIR
+                           or ~/.cache/reposketch)
+      --no-cache           Clone into ./Repository/<name> instead of the cache
+      --cache-max-size <n> Evict the least recently used clones while the cache
+                           is larger, in bytes (default 5 GB, 0 for unlimited)
+      --cache-max-age <n>  Evict clones unused for this many days (default 30,
+                           0 for unlimited)
+      --allow-host <list>  Only clone from these hosts, comma separated: host,
+                           host:port or *.domain (default $REPOSKETCH_ALLOWED_HOSTS,
+                           else any host); http:// URLs need their host listed
+      --token-env <name>   Environment variable holding the access token for
+                           https:// remotes (default $REPOSKETCH_GIT_TOKEN_<HOST>,
+                           then $REPOSKETCH_GIT_TOKEN for allowed hosts only);
+                           tokens are never printed
+      --credential-helper <helper>
+                           git credential helper to ask for https:// credentials,
+                           such as store or "!my-helper"
+      --ssh-key <file>     Private key for ssh remotes (default $REPOSKETCH_SSH_KEY)
+  -j, --jobs <n>           Repositories analyzed at the same time (batch, default 4)
+      --outputs <list>     Outputs per repository, comma separated: summary, tree,
+                           contents, outline and graph (batch, default
+                           summary,tree; the summary is always written)
+  -c, --config <file>      Read the config from this file instead of the
+                           reposketch.config.js, reposketch.config.json or
+                           .reposketchrc of the current directory
+                           (default $REPOSKETCH_CONFIG)
+      --no-config          Do not read config files
+  -p, --profile <name>     Apply a profile: llm, audit, docs or one defined in the
+                           config (default $REPOSKETCH_PROFILE)
+  -q, --quiet              Only print errors
+  -v, --verbose            Also print each clone and export phase as it finishes
+      --log-file <file>    Also write every message and progress event to this file
+      --log-format <format>
+                           Log file format: text (default) or json, one object
+                           per line
+  -h, --help               Show this help
+
+Settings are read from, lowest precedence first: the analyzed directory's config
+file (exclude, depth, size and file filters only), the current directory's config
+file, the profile, REPOSKETCH_<OPTION> environment variables and the command line.
+
+Run without a command to start the interactive menu.`;
+
+/**
+ * Error raised for invalid command line usage
+ * @private
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Check whether the given argument list asks for a subcommand
+ * @param {Array<string>} argv - Arguments after the node executable and script
+ * @returns {boolean} True if a subcommand or help flag is present
+ */
+function isCliInvocation(argv) {
+  return argv.length > 0;
+}
+
+/**
+ * Split comma separated flag values into a flat list
+ * @param {Array<string>} values - Raw flag values (flag may be repeated)
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function splitList(values = []) {
+  return values
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse an integer flag value
+ * @param {string} value - Raw flag value
+ * @param {string} name - Flag name used in the error message
+ * @returns {number|undefined} Parsed number or undefined when the flag is absent
+ */
+function parseIntegerFlag(value, name) {
+  if (value === undefined) return undefined;
+  if (!/^-?\d+$/.test(value)) {
+    throw new UsageError(`--${name} expects an integer, got "${value}"`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse --content-policy values ("binary=skip,encoded=list") into a policy object
+ * @param {Array<string>} values - Raw flag values
+ * @returns {Object|undefined} Map of file class to action, or undefined when absent
+ */
+function parseContentPolicy(values) {
+  if (values === undefined) return undefined;
+
+  const policy = {};
+  for (const entry of splitList(values)) {
+    const [fileClass, action, ...extra] = entry.split("=").map((part) => part.trim());
+    if (!fileClass || !action || extra.length > 0) {
+      throw new UsageError(
+        `--content-policy expects class=action pairs, got "${entry}"`
+      );
+    }
+    policy[fileClass] = action;
+  }
+
+  try {
+    resolveContentPolicy(policy);
+  } catch (err) {
+    throw new UsageError(`--content-policy: ${err.message}`);
+  }
+  return policy;
+}
+
+/**
+ * Parse the clone cache flags
+ * @param {Object} values - Parsed flag values, including those from the config
+ * @param {Object} flags - Flags given on the command line, checked for conflicts
+ * @returns {Object|null} Cache options ({ directory, maxSize, maxAge }), or null with --no-cache
+ */
+function parseCacheOptions(values, flags = values) {
+  const maxSize = parseIntegerFlag(values["cache-max-size"], "cache-max-size");
+  const maxAge = parseIntegerFlag(values["cache-max-age"], "cache-max-age");
+  if ((maxSize !== undefined && maxSize < 0) || (maxAge !== undefined && maxAge < 0)) {
+    throw new UsageError("--cache-max-size and --cache-max-age must not be negative");
+  }
+
+  const configured = ["cache-dir", "cache-max-size", "cache-max-age"]
+    .some((flag) => flags[flag] !== undefined);
+  if (flags["no-cache"] && configured) {
+    throw new UsageError("--no-cache cannot be combined with other cache options");
+  }
+  if (flags.dest && configured) {
+    throw new UsageError("--dest clones outside the cache; drop the cache options or --dest");
+  }
+  // Cache flags on the command line turn the cache back on when the config turns it off
+  if (values["no-cache"] && !configured) {
+    return null;
+  }
+
+  return {
+    ...(values["cache-dir"] !== undefined && { directory: values["cache-dir"] }),
+    ...(maxSize !== undefined && { maxSize }),
+    ...(maxAge !== undefined && { maxAge }),
+  };
+}
+
+/**
+ * Parse the host allowlist and authentication flags
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} { allowedHosts, auth } for CloneRepository and openCachedClone
+ */
+function parseAccessOptions(values) {
+  let allowedHosts = null;
+  if (values["allow-host"]) {
+    try {
+      allowedHosts = parseAllowedHosts(splitList(values["allow-host"]));
+    } catch (err) {
+      throw new UsageError(`--allow-host: ${err.message}`);
+    }
+  }
+  if (values["token-env"] !== undefined && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(values["token-env"])) {
+    throw new UsageError(
+      `--token-env expects the name of an environment variable, got "${values["token-env"]}"`
+    );
+  }
+
+  return {
+    allowedHosts,
+    auth: {
+      ...(values["token-env"] !== undefined && { tokenEnv: values["token-env"] }),
+      ...(values["credential-helper"] !== undefined && { credentialHelper: values["credential-helper"] }),
+      ...(values["ssh-key"] !== undefined && { sshKey: values["ssh-key"] }),
+    },
+  };
+}
+
+/**
+ * Turn config settings into flag values, so they are parsed like the command line
+ * @private
+ */
+function settingsToFlags(settings) {
+  const values = {};
+  for (const [key, flag] of Object.entries(CONFIG_FLAGS)) {
+    const value = settings[key];
+    if (value === undefined) continue;
+
+    if (flag.startsWith("no-")) {
+      values[flag] = !value;
+    } else if (key === "contentPolicy") {
+      values[flag] = Object.entries(value).map(([fileClass, action]) => `${fileClass}=${action}`);
+    } else {
+      values[flag] = typeof value === "number" ? String(value) : value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Read the flags that choose the config files and profile, before the config is
+ * loaded and the command line is parsed
+ * @private
+ */
+function readConfigFlags(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: OPTION_SPEC,
+    allowPositionals: true,
+    strict: false,
+  });
+  return {
+    config: typeof values.config === "string" ? values.config : undefined,
+    noConfig: Boolean(values["no-config"]),
+    help: Boolean(values.help),
+  };
+}
+
+/**
+ * Parse command line arguments into a command, source and options. Settings from
+ * the config files, the profile and the REPOSKETCH_* environment variables are
+ * used for the flags that are not given.
+ * @param {Array<string>} argv - Arguments after the node executable and script
+ * @param {Object} options - Parsing options
+ * @param {Array<Object>} options.configs - Loaded configs, lowest precedence first
+ * @param {Object} options.env - Environment variables to read (default none)
+ * @returns {Object} Parsed command description
+ */
+function parseCliArgs(argv, options = {}) {
+  const { configs = [], env = {} } = options;
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTION_SPEC,
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const { values: flags, positionals } = parsed;
+  const [command, source, ...rest] = positionals;
+
+  if (flags.help) {
+    return { command: "help" };
+  }
+
+  if (!command) {
+    throw new UsageError("No command given");
+  }
+
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  if (flags.config !== undefined && flags["no-config"]) {
+    throw new UsageError("--config and --no-config cannot be combined");
+  }
+  let settings;
+  try {
+    settings = resolveSettings(command, { configs, env, profile: flags.profile });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  // Flags given on the command line win over the config
+  const values = { ...settingsToFlags(settings), ...flags };
+
+  if (command === "cache") {
+    if (!CACHE_ACTIONS.includes(source)) {
+      throw new UsageError(
+        `Command "cache" requires one of ${CACHE_ACTIONS.join(", ")}${source ? `, got "${source}"` : ""}`
+      );
+    }
+    if (rest.length > 0) {
+      throw new UsageError(`Unexpected arguments: ${rest.join(" ")}`);
+    }
+    if (flags["no-cache"]) {
+      throw new UsageError("--no-cache cannot be used with the cache command");
+    }
+    return { command, action: source, cache: parseCacheOptions(values, flags) };
+  }
+
+  if (!source) {
+    throw new UsageError(
+      `Command "${command}" requires a ${command === "batch" ? "<file>" : "<source>"} argument`
+    );
+  }
+
+  // diff compares two sources, or two refs of one repository
+  const refs = values.from !== undefined || values.to !== undefined
+    ? { from: values.from, to: values.to }
+    : null;
+  const target = command === "diff" && !refs ? rest.shift() : undefined;
+
+  if (rest.length > 0) {
+    throw new UsageError(`Unexpected arguments: ${rest.join(" ")}`);
+  }
+
+  if (refs && command !== "diff") {
+    throw new UsageError("--from and --to require the diff command");
+  }
+  if (command === "diff") {
+    if (refs) {
+      if (!refs.from || !refs.to) {
+        throw new UsageError("--from and --to must be given together");
+      }
+      if (!parseGitURL(source).valid) {
+        throw new UsageError(
+          "--from and --to compare two refs of a repository URL; pass two directories to compare local trees"
+        );
+      }
+    } else if (!target) {
+      throw new UsageError('Command "diff" requires <before> and <after> sources, or --from and --to');
+    }
+    if (values.branch || values.commit || values.dest) {
+      throw new UsageError(
+        "--branch, --commit and --dest cannot be used with diff; give the refs with --from and --to"
+      );
+    }
+  }
+
+  if (command === "batch" && (values.branch || values.commit || values.dest || values.overwrite)) {
+    throw new UsageError(
+      "--branch, --commit, --dest and --overwrite cannot be used with batch; set branch and commit per repository in the list file"
+    );
+  }
+  if ((values.jobs !== undefined || values.outputs !== undefined) && command !== "batch") {
+    throw new UsageError("--jobs and --outputs require the batch command");
+  }
+
+  const format = values.format || (command === "graph" ? "dot" : "text");
+  const formats = {
+    summary: SUMMARY_FORMATS,
+    batch: SUMMARY_FORMATS,
+    contents: CONTENTS_FORMATS,
+    graph: GRAPH_FORMATS,
+  }[command] || OUTPUT_FORMATS;
+  if (!formats.includes(format)) {
+    throw new UsageError(
+      `--format for ${command} must be one of ${formats.join(", ")}, got "${format}"`
+    );
+  }
+
+  const exclude = values.exclude ? splitList(values.exclude) : DEFAULT_EXCLUDE;
+  const extensions = values.ext
+    ? splitList(values.ext).map((e) => (e.startsWith(".") ? e : `.${e}`))
+    : null;
+  const maxDepth = parseIntegerFlag(values["max-depth"], "max-depth");
+  const maxFileSize = parseIntegerFlag(values["max-file-size"], "max-file-size");
+  const depth = parseIntegerFlag(values.depth, "depth");
+  let tokenBudget = parseIntegerFlag(values["token-budget"], "token-budget");
+  let maxChunks = parseIntegerFlag(values["max-chunks"], "max-chunks");
+  const staleDays = parseIntegerFlag(values["stale-days"], "stale-days");
+  const contentPolicy = parseContentPolicy(values["content-policy"]);
+
+  if (values.quiet && values.verbose) {
+    throw new UsageError("--quiet and --verbose cannot be combined");
+  }
+
+  const logFormat = values["log-format"] || "text";
+  if (!LOG_FORMATS.includes(logFormat)) {
+    throw new UsageError(
+      `--log-format must be one of ${LOG_FORMATS.join(", ")}, got "${logFormat}"`
+    );
+  }
+  if (values["log-format"] && !values["log-file"]) {
+    throw new UsageError("--log-format requires --log-file");
+  }
+
+  if (values.history && command !== "summary" && command !== "batch") {
+    throw new UsageError("--history requires the summary or batch command");
+  }
+  if (flags["stale-days"] !== undefined && !values.history) {
+    throw new UsageError("--stale-days requires --history");
+  }
+  if (staleDays !== undefined && staleDays < 0) {
+    throw new UsageError("--stale-days must not be negative");
+  }
+
+  const jobs = parseIntegerFlag(values.jobs, "jobs");
+  if (jobs !== undefined && jobs < 1) {
+    throw new UsageError("--jobs must be at least 1");
+  }
+  const outputs = values.outputs ? splitList(values.outputs) : DEFAULT_BATCH_OUTPUTS;
+  const unknownOutput = outputs.find((output) => !BATCH_OUTPUTS.includes(output));
+  if (unknownOutput) {
+    throw new UsageError(
+      `--outputs must be among ${BATCH_OUTPUTS.join(", ")}, got "${unknownOutput}"`
+    );
+  }
+
+  if (!(command === "contents" && BUNDLE_FORMATS.includes(format))) {
+    if (flags["token-budget"] !== undefined || flags["max-chunks"] !== undefined) {
+      throw new UsageError(
+        "--token-budget and --max-chunks require contents --format markdown or xml"
+      );
+    }
+    // A configured budget only applies to bundles
+    tokenBudget = undefined;
+    maxChunks = undefined;
+  }
+
+  return {
+    command,
+    source,
+    target,
+    refs,
+    output: values.output,
+    profile: settings.profile || null,
+    logging: {
+      level: values.quiet ? "quiet" : values.verbose ? "verbose" : "normal",
+      logFile: values["log-file"],
+      logFormat,
+    },
+    cache: parseCacheOptions(values, flags),
+    // Flags act as defaults for the repositories of a batch list file
+    batch: command === "batch"
+      ? {
+          jobs,
+          defaults: {
+            format,
+            outputs,
+            exclude,
+            maxDepth: maxDepth === undefined ? -1 : maxDepth,
+            hidden: Boolean(values.hidden),
+            history: Boolean(values.history),
+            ...(depth !== undefined && { depth }),
+            sparse: values.sparse ? splitList(values.sparse) : [],
+            submodules: Boolean(values.submodules),
+          },
+        }
+      : null,
+    clone: {
+      // The history needs every commit; otherwise the latest one is enough
+      depth: depth === undefined ? (values.history ? 0 : 1) : depth,
+      branch: values.branch,
+      commit: values.commit,
+      sparsePaths: values.sparse ? splitList(values.sparse) : [],
+      recurseSubmodules: Boolean(values.submodules),
+      targetPath: values.dest,
+      overwrite: Boolean(values.overwrite),
+      ...parseAccessOptions(values),
+    },
+    options: {
+      format,
+      exclude,
+      extensions,
+      maxDepth: maxDepth === undefined ? -1 : maxDepth,
+      maxFileSize,
+      tokenBudget,
+      maxChunks,
+      contentPolicy,
+      redactSecrets: !values["no-redact"],
+      denylist: values.deny ? splitList(values.deny) : [],
+      redactionReport: values["redaction-report"],
+      showHidden: Boolean(values.hidden),
+      showSize: Boolean(values.sizes),
+      respectGitignore: !values["no-gitignore"],
+      includeHistory: Boolean(values.history),
+      staleAfterDays: staleDays,
+    },
+  };
+}
+
+/**
+ * Run a parsed command against a local directory
+ * @private
+ */
+async function runCommand(command, directoryPath, output, options, control) {
+  const {
+    format,
+    exclude,
+    extensions,
+    maxDepth,
+    maxFileSize,
+    tokenBudget,
+    maxChunks,
+    contentPolicy,
+    redactSecrets,
+    denylist,
+    redactionReport,
+    showHidden,
+    showSize,
+    respectGitignore,
+    includeHistory,
+    staleAfterDays,
+  } = options;
+  const { signal, reporter } = control;
+
+  switch (command) {
+    case "tree":
+      // Structured formats always go to a file
+      if (output || format !== "text") {
+        return exportTreeToFile(directoryPath, output || `./repo-tree.${format}`, {
+          format,
+          exclude,
+          maxDepth,
+          showHidden,
+          showSize,
+          respectGitignore,
+          signal,
+          reporter,
+        });
+      }
+      return printTree(directoryPath, {
+        exclude,
+        maxDepth,
+        showHidden,
+        showSize,
+        respectGitignore,
+      });
+
+    case "contents": {
+      const result = await exportFileContentsToFile(
+        directoryPath,
+        output || CONTENTS_OUTPUTS[format],
+        {
+          format,
+          exclude,
+          extensions,
+          maxDepth,
+          showHidden,
+          respectGitignore,
+          redactSecrets,
+          denylist,
+          signal,
+          reporter,
+          ...(maxFileSize !== undefined && { maxFileSize }),
+          ...(tokenBudget !== undefined && { tokenBudget }),
+          ...(maxChunks !== undefined && { maxChunks }),
+          ...(contentPolicy !== undefined && { contentPolicy }),
+        }
+      );
+
+      // The report lists rules and locations only, never the redacted values
+      if (redactionReport && result.success) {
+        fs.writeFileSync(
+          redactionReport,
+          `${JSON.stringify({ redactions: result.redactions }, null, 2)}\n`,
+          "utf8"
+        );
+      }
+      return result;
+    }
+
+    case "summary":
+      return generateDirectorySummary(
+        directoryPath,
+        output || `./repo-summary.${SUMMARY_EXTENSIONS[format]}`,
+        {
+          format,
+          exclude,
+          maxDepth,
+          showHidden,
+          respectGitignore,
+          includeHistory,
+          signal,
+          reporter,
+          ...(staleAfterDays !== undefined && { staleAfterDays }),
+        }
+      );
+
+    case "graph":
+      return exportImportGraph(
+        directoryPath,
+        output || `./repo-graph.${GRAPH_EXTENSIONS[format]}`,
+        {
+          format,
+          exclude,
+          maxDepth,
+          showHidden,
+          respectGitignore,
+          signal,
+          reporter,
+          ...(maxFileSize !== undefined && { maxFileSize }),
+        }
+      );
+
+    case "outline":
+      return exportOutlineToFile(
+        directoryPath,
+        output || `./repo-outline.${format === "text" ? "txt" : format}`,
+        {
+          format,
+          exclude,
+          maxDepth,
+          showHidden,
+          showSize,
+          respectGitignore,
+          signal,
+          reporter,
+          ...(maxFileSize !== undefined && { maxFileSize }),
+        }
+      );
+
+    default:
+      throw new UsageError(`Unknown command: ${command}`);
+  }
+}
+
+/**
+ * Resolve both sides of a diff and compare them. Remote sides are cloned into a
+ * temporary directory that is removed afterwards; with --from and --to the same
+ * repository is cloned at both refs.
+ * @private
+ */
+async function runDiff(parsed, control) {
+  const { source, target, refs, clone, output, options } = parsed;
+  const { signal, reporter } = control;
+
+  const sides = refs
+    ? [["before", source, refs.from], ["after", source, refs.to]]
+    : [["before", source, null], ["after", target, null]];
+  const temporaryPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-diff-"));
+  const resolved = [];
+  try {
+    const directories = {};
+    const labels = {};
+    for (const [side, sideSource, ref] of sides) {
+      if (isLocalSource(sideSource)) {
+        directories[side] = sideSource;
+        continue;
+      }
+      // Missing paths and malformed file:// URLs are reported as such, not as bad URLs
+      if (sideSource.startsWith("file://") || isPathLike(sideSource)) {
+        const { message } = resolveLocalSource(sideSource, { gitMetadata: false });
+        reporter.error(message);
+        return { success: false, message };
+      }
+
+      const parsedURL = parseGitURL(sideSource);
+      if (!parsedURL.valid) {
+        const message = `Invalid repository URL: ${parsedURL.reason}`;
+        reporter.error(message);
+        return { success: false, message };
+      }
+
+      // A ref that looks like a commit SHA is checked out as a commit
+      const refOptions = ref === null ? {} : isCommitSha(ref) ? { commit: ref } : { branch: ref };
+      const sideResult = await resolveSource(sideSource, {
+        clone: {
+          ...clone,
+          ...refOptions,
+          targetPath: path.join(temporaryPath, side, parsedURL.name),
+          reporter,
+        },
+      });
+      if (!sideResult.success) {
+        reporter.error(sideResult.message);
+        return { success: false, message: sideResult.message };
+      }
+      resolved.push(sideResult);
+      directories[side] = sideResult.directoryPath;
+      labels[side] = ref === null ? sideSource : `${sideSource}@${ref}`;
+    }
+
+    return await generateTreeDiff(
+      directories.before,
+      directories.after,
+      output || `./repo-diff.${SUMMARY_EXTENSIONS[options.format]}`,
+      {
+        format: options.format,
+        exclude: options.exclude,
+        maxDepth: options.maxDepth,
+        showHidden: options.showHidden,
+        respectGitignore: options.respectGitignore,
+        labels,
+        signal,
+        reporter,
+      }
+    );
+  } finally {
+    for (const sideResult of resolved) sideResult.cleanup();
+    fs.rmSync(temporaryPath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read a batch list file and analyze its repositories
+ * @private
+ */
+async function runBatchCommand(parsed, control) {
+  const { source: listFile, output, batch, cache, clone } = parsed;
+  const { signal, reporter } = control;
+
+  let entries;
+  try {
+    entries = parseBatchManifest(fs.readFileSync(listFile, "utf8"), listFile);
+  } catch (err) {
+    reporter.error(`Invalid batch list ${listFile}: ${err.message}`);
+    return EXIT_USAGE;
+  }
+
+  const result = await runBatch(entries, {
+    outputDirectory: output || DEFAULT_BATCH_DIRECTORY,
+    defaults: batch.defaults,
+    clone: { allowedHosts: clone.allowedHosts, auth: clone.auth },
+    cache,
+    signal,
+    reporter,
+    ...(batch.jobs !== undefined && { jobs: batch.jobs }),
+  });
+  return result.success ? EXIT_OK : EXIT_FAILURE;
+}
+
+/**
+ * List, prune or clear the clone cache
+ * @private
+ */
+function runCacheCommand(parsed) {
+  const { action, cache } = parsed;
+  const directory = path.resolve(cache.directory || defaultCacheDirectory());
+
+  if (action === "list") {
+    for (const line of formatCacheReport(listCache({ directory }), directory)) {
+      console.log(line);
+    }
+    return EXIT_OK;
+  }
+
+  const result = action === "prune"
+    ? pruneCache({ ...cache, directory })
+    : clearCache({ directory });
+  const count = result.removed.length;
+  console.log(
+    `Removed ${count} cached ${count === 1 ? "clone" : "clones"}, freed ${formatFileSize(result.freed)}`.success
+  );
+  if (result.inUse && result.inUse.length > 0) {
+    console.log(`Kept ${result.inUse.length} in use by another run`.info);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * Load the config given with --config or $REPOSKETCH_CONFIG, else the one of the
+ * current directory
+ * @private
+ */
+function loadCliConfig(configFlags) {
+  if (configFlags.noConfig) return null;
+  const configFile = configFlags.config || process.env[CONFIG_VARIABLE];
+  return configFile ? loadConfigFile(configFile) : loadConfig(process.cwd());
+}
+
+/**
+ * Load the analyzed directory's own config, unless it is the config already in use.
+ * An invalid one is reported and ignored: it belongs to the repository, not the user.
+ * @private
+ */
+async function loadRepositoryConfig(directoryPath, config, reporter) {
+  // Archives and file:// URLs are read in place and have no config to look at
+  const stats = fs.statSync(directoryPath, { throwIfNoEntry: false });
+  if (!stats || !stats.isDirectory()) return null;
+
+  let repositoryConfig;
+  try {
+    repositoryConfig = await loadConfig(directoryPath, { repository: true });
+  } catch (err) {
+    reporter.error(`Ignoring the repository config: ${err.message}`);
+    return null;
+  }
+  if (!repositoryConfig || (config && path.resolve(repositoryConfig.path) === path.resolve(config.path))) {
+    return null;
+  }
+  reporter.debug(`Using the repository config ${repositoryConfig.path}`);
+  if (repositoryConfig.ignored.length > 0) {
+    reporter.info(
+      `Ignoring ${repositoryConfig.ignored.join(", ")} in ${repositoryConfig.path}: ` +
+      "a repository's own config only chooses the files that are analyzed"
+    );
+  }
+  return repositoryConfig;
+}
+
+/**
+ * Run reposketch non-interactively
+ * @param {Array<string>} argv - Arguments after the node executable and script
+ * @returns {Promise<number>} Process exit code (0 success, 1 failure, 2 usage error)
+ */
+async function runCli(argv) {
+  const configFlags = readConfigFlags(argv);
+  let config = null;
+  if (!configFlags.help) {
+    try {
+      config = await loadCliConfig(configFlags);
+    } catch (err) {
+      console.error(`Error: invalid config: ${err.message}`.error);
+      return EXIT_USAGE;
+    }
+  }
+
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv, { configs: config ? [config.config] : [], env: process.env });
+  } catch (err) {
+    if (err instanceof UsageError) {
+      // The full help would bury the error; it is only printed for --help
+      console.error(`Error: ${err.message}`.error);
+      console.error("Run 'reposketch --help' for usage.");
+      return EXIT_USAGE;
+    }
+    throw err;
+  }
+
+  if (parsed.command === "help") {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  if (parsed.command === "cache") {
+    return runCacheCommand(parsed);
+  }
+
+  let reporter;
+  try {
+    reporter = createReporter({
+      ...parsed.logging,
+      progressBar: true,
+    });
+  } catch (err) {
+    console.error(`Error: cannot open log file: ${err.message}`.error);
+    return EXIT_FAILURE;
+  }
+
+  if (config) reporter.debug(`Using the config ${config.path}`);
+  if (parsed.profile) reporter.debug(`Using the ${parsed.profile} profile`);
+
+  // Ctrl+C cancels the export so partial output files are removed
+  const controller = new AbortController();
+  const interrupt = () => controller.abort();
+  process.once("SIGINT", interrupt);
+
+  let source = null;
+  try {
+    if (parsed.command === "diff") {
+      const result = await runDiff(parsed, { signal: controller.signal, reporter });
+      return result.success ? EXIT_OK : EXIT_FAILURE;
+    }
+    if (parsed.command === "batch") {
+      return await runBatchCommand(parsed, { signal: controller.signal, reporter });
+    }
+
+    // Local paths, file:// URLs, bare repositories and archives are handed to the
+    // exporters as-is; anything else is cloned first
+    source = isLocalSource(parsed.source)
+      ? { success: true, directoryPath: parsed.source, cleanup() {} }
+      : await resolveSource(parsed.source, {
+        clone: { ...parsed.clone, reporter },
+        // Ctrl+C also stops waiting for a cached clone another run is using
+        cache: parsed.cache && { ...parsed.cache, signal: controller.signal },
+      });
+    if (!source.success) {
+      reporter.error(source.message);
+      return EXIT_FAILURE;
+    }
+
+    // The analyzed repository's config sits below the current directory's
+    const repositoryConfig = await loadRepositoryConfig(source.directoryPath, config, reporter);
+    if (repositoryConfig) {
+      parsed = parseCliArgs(argv, {
+        configs: [repositoryConfig.config, ...(config ? [config.config] : [])],
+        env: process.env,
+      });
+    }
+
+    const result = await runCommand(
+      parsed.command,
+      source.directoryPath,
+      parsed.output,
+      parsed.options,
+      { signal: controller.signal, reporter }
+    );
+
+    return result.success ? EXIT_OK : EXIT_FAILURE;
+  } catch (err) {
+    reporter.error(`Error: ${err.message}`);
+    return EXIT_FAILURE;
+  } finally {
+    process.removeListener("SIGINT", interrupt);
+    if (source && source.success) source.cleanup();
+    reporter.close();
+  }
+}
+
+export { runCli, isCliInvocation, parseCliArgs, EXIT_OK, EXIT_FAILURE, EXIT_USAGE };
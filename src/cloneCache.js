@@ -0,0 +1,564 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import {
+  runGit,
+  runGitAsync,
+  parseGitURL,
+  isSafeRefName,
+  isCommitSha,
+  redactCredentials,
+} from "./git.js";
+import { checkRemoteAccess, createGitAuth } from "./gitAuth.js";
+import { CloneRepository } from "./cloneRepository.js";
+import { createReporter } from "./reporter.js";
+import { formatFileSize } from "./format.js";
+
+// Entries not used for this many days are evicted after every clone
+const DEFAULT_MAX_AGE = 30;
+
+// Least recently used entries are evicted while the cache is larger (bytes)
+const DEFAULT_MAX_SIZE = 5 * 1024 * 1024 * 1024;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Every entry is a directory holding its metadata, its lock and the checkout
+const ENTRY_FILE = "entry.json";
+const LOCK_FILE = "lock";
+
+// How often a locked entry is checked again, and how long a lock file without a
+// process id is trusted (it is being written)
+const LOCK_POLL_INTERVAL = 250;
+const LOCK_GRACE_PERIOD = 10 * 1000;
+
+/**
+ * Default cache directory: $REPOSKETCH_CACHE_DIR, else reposketch under
+ * $XDG_CACHE_HOME (%LOCALAPPDATA% on Windows) or ~/.cache
+ * @returns {string} Absolute path
+ */
+function defaultCacheDirectory() {
+  if (process.env.REPOSKETCH_CACHE_DIR) {
+    return path.resolve(process.env.REPOSKETCH_CACHE_DIR);
+  }
+  const base =
+    process.env.XDG_CACHE_HOME ||
+    (process.platform === "win32" && process.env.LOCALAPPDATA) ||
+    path.join(os.homedir(), ".cache");
+  return path.join(base, "reposketch");
+}
+
+/**
+ * Normalize a remote URL into the key of its cache entry: host, port and path
+ * without the protocol, user or .git suffix, so https://github.com/a/b and
+ * git@github.com:a/b.git share one clone
+ * @param {string} repoURL - Repository URL
+ * @returns {string|null} Key such as "github.com/a/b", or null for an invalid URL
+ */
+function normalizeRemoteURL(repoURL) {
+  const parsedURL = parseGitURL(repoURL);
+  if (!parsedURL.valid) return null;
+  const host = parsedURL.port ? `${parsedURL.host}:${parsedURL.port}` : parsedURL.host;
+  return `${host}/${parsedURL.path.replace(/\.git$/, "")}`;
+}
+
+/**
+ * Directory name of an entry: the repository name and a hash of its key
+ * @private
+ */
+function entryName(key, name) {
+  const hash = crypto.createHash("sha1").update(key).digest("hex").slice(0, 12);
+  return `${name}-${hash}`;
+}
+
+/**
+ * Total size of the files below a directory, without following symlinks
+ * @private
+ */
+function directorySize(dirPath) {
+  let size = 0;
+  const pending = [dirPath];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch (err) {
+      continue;
+    }
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        pending.push(entryPath);
+      } else {
+        try {
+          size += fs.lstatSync(entryPath).size;
+        } catch (err) {
+          // Removed while walking
+        }
+      }
+    }
+  }
+  return size;
+}
+
+/**
+ * Check whether a lock file belongs to a running process
+ * @private
+ */
+function isLockHeld(lockPath) {
+  let contents;
+  let stats;
+  try {
+    contents = fs.readFileSync(lockPath, "utf8");
+    stats = fs.statSync(lockPath);
+  } catch (err) {
+    return false;
+  }
+
+  const pid = Number(contents);
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return Date.now() - stats.mtimeMs < LOCK_GRACE_PERIOD;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to someone else
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * Take the lock of an entry without waiting
+ * @private
+ * @returns {function|null} Function releasing the lock, or null when it is held
+ */
+function tryLock(entryPath) {
+  const lockPath = path.join(entryPath, LOCK_FILE);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+      // Releasing twice must not remove a lock another process took in between
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        fs.rmSync(lockPath, { force: true });
+      };
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+    // A lock left behind by a process that died is taken over
+    if (isLockHeld(lockPath)) return null;
+    fs.rmSync(lockPath, { force: true });
+  }
+  return null;
+}
+
+/**
+ * Take the lock of an entry, waiting while another process (or another
+ * analysis in this one) uses it
+ * @private
+ */
+async function lockEntry(entryPath, reporter, signal) {
+  let waiting = false;
+  for (;;) {
+    const release = tryLock(entryPath);
+    if (release) return release;
+    if (signal) signal.throwIfAborted();
+    if (!waiting) {
+      reporter.info(`Waiting for the cached clone in ${entryPath} to be released...`);
+      waiting = true;
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_INTERVAL));
+  }
+}
+
+/**
+ * Read an entry's metadata; entries whose clone never finished have none
+ * @private
+ */
+function readEntry(entryPath) {
+  let metadata = null;
+  try {
+    metadata = JSON.parse(fs.readFileSync(path.join(entryPath, ENTRY_FILE), "utf8"));
+  } catch (err) {
+    // Incomplete entry
+  }
+  const lastUsed = metadata ? Date.parse(metadata.lastUsed) : fs.statSync(entryPath).mtimeMs;
+
+  return {
+    path: entryPath,
+    url: metadata ? metadata.url : null,
+    key: metadata ? metadata.key : null,
+    name: metadata ? metadata.name : path.basename(entryPath),
+    ref: metadata ? metadata.ref : null,
+    createdAt: metadata ? metadata.createdAt : null,
+    lastUsed: new Date(Number.isNaN(lastUsed) ? 0 : lastUsed).toISOString(),
+    size: metadata && Number.isInteger(metadata.size) ? metadata.size : directorySize(entryPath),
+    locked: isLockHeld(path.join(entryPath, LOCK_FILE)),
+  };
+}
+
+/**
+ * Run a git command in a cached clone, reporting network steps as clone progress
+ * @private
+ */
+function runUpdateStep(reporter, cwd, args, gitAuth) {
+  return runGitAsync(args, {
+    cwd,
+    ...gitAuth,
+    onProgress: (step, percent) => reporter.progress({ phase: "clone", step, percent }),
+  });
+}
+
+/**
+ * Bring an existing clone to the requested ref: fetch it and force the working
+ * tree to match, dropping local changes and untracked files
+ * @private
+ */
+async function updateClone(targetPath, url, options, gitAuth, reporter) {
+  const {
+    shallow = false,
+    depth = shallow ? 1 : 0,
+    branch = null,
+    commit = null,
+    sparsePaths = [],
+    recurseSubmodules = false,
+  } = options;
+
+  const git = (args) => runGit(args, { cwd: targetPath, ...gitAuth });
+  const step = (args) => runUpdateStep(reporter, targetPath, args, gitAuth);
+  const failure = (what, result) => ({
+    success: false,
+    message: `${what}: ${result.stderr.trim()}`,
+  });
+
+  let result = git(["remote", "set-url", "origin", url]);
+  if (result.code !== 0) return failure("Failed to set the remote URL", result);
+
+  const fetchArgs = ["fetch", "--progress", "--force"];
+  if (depth > 0) {
+    fetchArgs.push("--depth", String(depth));
+  } else if (git(["rev-parse", "--is-shallow-repository"]).stdout.trim() === "true") {
+    fetchArgs.push("--unshallow");
+  }
+
+  let checkoutArgs;
+  if (commit) {
+    // Commits never change, so one that is already here needs no fetch
+    const present = git(["cat-file", "-e", `${commit}^{commit}`]).code === 0;
+    if (!present || fetchArgs.includes("--unshallow")) {
+      result = await step([...fetchArgs, "origin", commit]);
+      if (result.code !== 0) {
+        // Servers may refuse to serve a commit by id; fetch every branch and tag instead
+        result = await step([...fetchArgs, "--tags", "origin", "+refs/heads/*:refs/remotes/origin/*"]);
+        if (result.code !== 0) return failure(`Failed to fetch commit ${commit}`, result);
+      }
+    }
+    checkoutArgs = ["checkout", "--force", "--detach", commit, "--"];
+  } else {
+    let ref = branch;
+    if (!ref) {
+      result = await step(["ls-remote", "--symref", "origin", "HEAD"]);
+      const match = /^ref: refs\/heads\/(\S+)\tHEAD$/m.exec(result.stdout);
+      if (result.code !== 0 || !match) return failure("Failed to find the default branch", result);
+      ref = match[1];
+    }
+
+    result = await step([...fetchArgs, "origin", ref]);
+    if (result.code !== 0) return failure(`Failed to fetch ${ref}`, result);
+
+    // FETCH_HEAD tells a branch from a tag; tags are checked out detached, like git clone does
+    const fetchHead = path.resolve(targetPath, git(["rev-parse", "--git-path", "FETCH_HEAD"]).stdout.trim());
+    const isBranch = /^\S+\t[^\t]*\tbranch '/.test(fs.readFileSync(fetchHead, "utf8"));
+    checkoutArgs = isBranch
+      ? ["checkout", "--force", "-B", ref, "FETCH_HEAD", "--"]
+      : ["checkout", "--force", "--detach", "FETCH_HEAD", "--"];
+  }
+
+  result = git(checkoutArgs);
+  if (result.code !== 0) return failure("Failed to check out the cached clone", result);
+
+  if (sparsePaths.length > 0) {
+    result = git(["sparse-checkout", "set", "--", ...sparsePaths]);
+    if (result.code !== 0) return failure("Failed to set sparse-checkout paths", result);
+  } else if (git(["config", "--get", "core.sparseCheckout"]).stdout.trim() === "true") {
+    result = git(["sparse-checkout", "disable"]);
+    if (result.code !== 0) return failure("Failed to disable sparse checkout", result);
+  }
+
+  result = git(["clean", "-ffdxq"]);
+  if (result.code !== 0) return failure("Failed to clean the cached clone", result);
+
+  if (recurseSubmodules) {
+    const submoduleArgs = ["submodule", "update", "--init", "--recursive", "--force"];
+    if (depth > 0) submoduleArgs.push("--depth", String(depth));
+    result = await step(submoduleArgs);
+    if (result.code !== 0) return failure("Failed to update submodules", result);
+  } else if (fs.existsSync(path.join(targetPath, ".git", "modules"))) {
+    // Submodules from an earlier run that asked for them
+    git(["submodule", "deinit", "--all", "--force", "--quiet"]);
+  }
+
+  return { success: true };
+}
+
+/**
+ * Get a checkout of a repository from the clone cache. The first use clones it;
+ * later uses fetch the requested ref and reset the checkout to it, which is much
+ * faster. The entry stays locked until release() is called, so concurrent runs
+ * never see a half-updated tree. Entries beyond the age and size limits are
+ * evicted afterwards.
+ * @param {string} repoURL - URL of the git repository
+ * @param {Object} options - Cache and clone options
+ * @param {string} options.directory - Cache directory (default: defaultCacheDirectory())
+ * @param {number} options.maxSize - Evict least recently used entries while the cache is
+ *   larger, in bytes (default 5 GB, 0 for unlimited)
+ * @param {number} options.maxAge - Evict entries unused for this many days (default 30,
+ *   0 for unlimited)
+ * @param {number} options.depth - Number of commits of history to fetch (0 for all)
+ * @param {string} options.branch - Branch or tag to check out (default: the remote's default branch)
+ * @param {string} options.commit - Commit SHA to check out
+ * @param {Array<string>} options.sparsePaths - Only check out these directories
+ * @param {boolean} options.recurseSubmodules - Initialize and update submodules
+ * @param {Array<string>} options.allowedHosts - Only clone from these hosts (see CloneRepository)
+ * @param {Object} options.auth - Token, credential helper and ssh key options of createGitAuth
+ * @param {AbortSignal} options.signal - Stops waiting for a locked entry once aborted
+ * @param {Object} options.reporter - Reporter from createReporter for messages and clone
+ *   progress events (defaults to printing messages to the console)
+ * @returns {Promise<Object>} Result object with success status, message, targetPath,
+ *   whether an existing clone was updated, and release()
+ */
+async function openCachedClone(repoURL, options = {}) {
+  const {
+    directory = defaultCacheDirectory(),
+    maxSize = DEFAULT_MAX_SIZE,
+    maxAge = DEFAULT_MAX_AGE,
+    signal = null,
+    reporter = createReporter(),
+    ...cloneOptions
+  } = options;
+  const { branch = null, commit = null, allowedHosts = null, auth = {} } = cloneOptions;
+
+  const parsedURL = parseGitURL(repoURL);
+  if (!parsedURL.valid) {
+    return { success: false, message: `Invalid repository URL: ${parsedURL.reason}` };
+  }
+  if (branch && !isSafeRefName(branch)) {
+    return { success: false, message: `Invalid branch or tag name: ${branch}` };
+  }
+  if (commit && !isCommitSha(commit)) {
+    return { success: false, message: `Invalid commit SHA: ${commit}` };
+  }
+  const access = checkRemoteAccess(parsedURL, allowedHosts);
+  if (!access.allowed) {
+    return { success: false, message: `Repository not allowed: ${access.reason}` };
+  }
+  let gitAuth;
+  try {
+    gitAuth = createGitAuth(parsedURL, { ...auth, allowedHosts });
+  } catch (err) {
+    return { success: false, message: `Cannot authenticate to ${parsedURL.host}: ${err.message}` };
+  }
+
+  const key = normalizeRemoteURL(parsedURL.url);
+  const entryPath = path.join(path.resolve(directory), entryName(key, parsedURL.name));
+  const targetPath = path.join(entryPath, parsedURL.name);
+  fs.mkdirSync(entryPath, { recursive: true });
+
+  const release = await lockEntry(entryPath, reporter, signal);
+  try {
+    const previous = readEntry(entryPath);
+    let updated = false;
+
+    if (fs.existsSync(path.join(targetPath, ".git"))) {
+      reporter.info(`Updating cached clone of ${redactCredentials(parsedURL.url)}...`);
+      const update = await updateClone(targetPath, parsedURL.url, cloneOptions, gitAuth, reporter);
+      updated = update.success;
+      if (!updated) {
+        reporter.info(`${update.message}; cloning again`);
+      }
+    }
+
+    if (!updated) {
+      const cloneResult = await CloneRepository(parsedURL.url, {
+        ...cloneOptions,
+        targetPath,
+        overwrite: true,
+        reporter,
+      });
+      if (!cloneResult.success) {
+        fs.rmSync(targetPath, { recursive: true, force: true });
+        release();
+        return cloneResult;
+      }
+    }
+
+    const now = new Date().toISOString();
+    fs.writeFileSync(
+      path.join(entryPath, ENTRY_FILE),
+      `${JSON.stringify({
+        url: redactCredentials(parsedURL.url),
+        key,
+        name: parsedURL.name,
+        ref: commit || branch,
+        createdAt: previous.createdAt || now,
+        lastUsed: now,
+        size: directorySize(targetPath),
+      }, null, 2)}\n`
+    );
+
+    const pruned = pruneCache({ directory, maxSize, maxAge, keep: [entryPath] });
+    if (pruned.removed.length > 0) {
+      reporter.debug(
+        `Evicted ${pruned.removed.length} cached clones (${formatFileSize(pruned.freed)})`
+      );
+    }
+
+    return {
+      success: true,
+      message: updated
+        ? `Cached clone updated in ${targetPath}`
+        : `Repository cloned into the cache at ${targetPath}`,
+      targetPath,
+      updated,
+      release,
+    };
+  } catch (err) {
+    release();
+    return {
+      success: false,
+      message: `An error occurred: ${err.message}`,
+      error: err,
+    };
+  }
+}
+
+/**
+ * List the entries of the clone cache, most recently used first
+ * @param {Object} options - Options
+ * @param {string} options.directory - Cache directory (default: defaultCacheDirectory())
+ * @returns {Array<Object>} [{ path, url, key, name, ref, createdAt, lastUsed, size, locked }];
+ *   url is null for an entry whose clone never finished
+ */
+function listCache(options = {}) {
+  const { directory = defaultCacheDirectory() } = options;
+  if (!fs.existsSync(directory)) return [];
+
+  return fs
+    .readdirSync(directory, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => readEntry(path.join(directory, entry.name)))
+    .sort((a, b) => b.lastUsed.localeCompare(a.lastUsed));
+}
+
+/**
+ * Remove an unlocked entry
+ * @private
+ * @returns {boolean} Whether the entry was removed
+ */
+function removeEntry(entry) {
+  const release = tryLock(entry.path);
+  if (!release) return false;
+  fs.rmSync(entry.path, { recursive: true, force: true });
+  return true;
+}
+
+/**
+ * Evict incomplete entries and entries unused for longer than maxAge, then the
+ * least recently used ones while the cache is larger than maxSize. Entries in
+ * use are kept.
+ * @param {Object} options - Options
+ * @param {string} options.directory - Cache directory (default: defaultCacheDirectory())
+ * @param {number} options.maxSize - Maximum total size in bytes (default 5 GB, 0 for unlimited)
+ * @param {number} options.maxAge - Maximum days since last use (default 30, 0 for unlimited)
+ * @param {Array<string>} options.keep - Entry paths never evicted
+ * @returns {Object} { removed: entries removed, freed: bytes freed }
+ */
+function pruneCache(options = {}) {
+  const {
+    directory = defaultCacheDirectory(),
+    maxSize = DEFAULT_MAX_SIZE,
+    maxAge = DEFAULT_MAX_AGE,
+    keep = [],
+  } = options;
+
+  const entries = listCache({ directory });
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const now = Date.now();
+  const removed = [];
+
+  // Oldest first
+  for (const entry of [...entries].reverse()) {
+    if (entry.locked || keep.includes(entry.path)) continue;
+    // Unlocked entries without metadata are left over from an interrupted clone
+    const incomplete = entry.url === null;
+    const expired = maxAge > 0 && now - Date.parse(entry.lastUsed) > maxAge * DAY;
+    const oversized = maxSize > 0 && total > maxSize;
+    if ((incomplete || expired || oversized) && removeEntry(entry)) {
+      total -= entry.size;
+      removed.push(entry);
+    }
+  }
+
+  return { removed, freed: removed.reduce((sum, entry) => sum + entry.size, 0) };
+}
+
+/**
+ * Remove every entry of the clone cache that is not in use
+ * @param {Object} options - Options
+ * @param {string} options.directory - Cache directory (default: defaultCacheDirectory())
+ * @returns {Object} { removed: entries removed, freed: bytes freed, inUse: entries kept }
+ */
+function clearCache(options = {}) {
+  const { directory = defaultCacheDirectory() } = options;
+  const removed = [];
+  const inUse = [];
+  for (const entry of listCache({ directory })) {
+    if (!entry.locked && removeEntry(entry)) removed.push(entry);
+    else inUse.push(entry);
+  }
+  return { removed, freed: removed.reduce((sum, entry) => sum + entry.size, 0), inUse };
+}
+
+/**
+ * Render the cache entries as text lines
+ * @param {Array<Object>} entries - Result of listCache
+ * @param {string} directory - Cache directory
+ * @returns {Array<string>} Report lines
+ */
+function formatCacheReport(entries, directory) {
+  const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const lines = [
+    `Clone cache: ${directory}`,
+    `${entries.length} ${entries.length === 1 ? "repository" : "repositories"}, ${formatFileSize(total)}`,
+  ];
+  if (entries.length === 0) return lines;
+
+  lines.push("");
+  for (const entry of entries) {
+    const details = [
+      entry.ref || "default branch",
+      formatFileSize(entry.size),
+      `last used ${entry.lastUsed.slice(0, 10)}`,
+    ];
+    if (entry.locked) details.push("in use");
+    lines.push(entry.url || `${entry.name} (incomplete)`);
+    lines.push(`  ${details.join(", ")}`);
+  }
+  return lines;
+}
+
+export {
+  DEFAULT_MAX_AGE,
+  DEFAULT_MAX_SIZE,
+  defaultCacheDirectory,
+  normalizeRemoteURL,
+  openCachedClone,
+  listCache,
+  pruneCache,
+  clearCache,
+  formatCacheReport,
+};
@@ -1,15 +1,55 @@
-import shell from "shelljs";
 import fs from "fs";
 import path from "path";
-import url from "url";
+import {
+  runGit,
+  runGitAsync,
+  isGitInstalled,
+  parseGitURL,
+  isSafeRefName,
+  isCommitSha,
+  redactCredentials,
+} from "./git.js";
+import { checkRemoteAccess, createGitAuth } from "./gitAuth.js";
+import { createReporter } from "./reporter.js";
 
 /**
- * Clone a git repository into a "Repository" folder, automatically deleting existing repository if needed
+ * Clone a git repository into a "Repository" folder (or a custom destination)
  * @param {string} repoURL - URL of the git repository to clone
- * @returns {Object} Result of the operation containing success status and message
+ * @param {Object} options - Clone options
+ * @param {string} options.targetPath - Destination directory (defaults to ./Repository/<name>)
+ * @param {boolean} options.shallow - Clone only the latest commit (same as depth: 1)
+ * @param {number} options.depth - Number of commits of history to fetch
+ * @param {boolean} options.singleBranch - Only fetch the history of the checked out branch
+ * @param {string} options.branch - Branch or tag to check out
+ * @param {string} options.commit - Commit SHA to check out after cloning
+ * @param {Array<string>} options.sparsePaths - Only check out these directories (sparse checkout)
+ * @param {boolean} options.recurseSubmodules - Initialize and clone submodules
+ * @param {boolean} options.overwrite - Delete a non-empty destination before cloning
+ * @param {Array<string>} options.allowedHosts - Only clone from these hosts ("host",
+ *   "host:port" or "*.domain"; default $REPOSKETCH_ALLOWED_HOSTS, else any host)
+ * @param {Object} options.auth - Token, credential helper and ssh key options of
+ *   createGitAuth; tokens are read from the environment and never printed
+ * @param {Object} options.reporter - Reporter from createReporter for messages and clone
+ *   progress events (defaults to printing messages to the console)
+ * @returns {Promise<Object>} Result of the operation containing success status and message
  */
-function CloneRepository(repoURL) {
+async function CloneRepository(repoURL, options = {}) {
   try {
+    const {
+      targetPath: customTargetPath,
+      shallow = false,
+      depth = shallow ? 1 : 0,
+      singleBranch = false,
+      branch = null,
+      commit = null,
+      sparsePaths = [],
+      recurseSubmodules = false,
+      overwrite = false,
+      allowedHosts = null,
+      auth = {},
+      reporter = createReporter(),
+    } = options;
+
     // Input URL validation
     if (!repoURL || typeof repoURL !== "string") {
       return {
@@ -18,54 +58,140 @@ function CloneRepository(repoURL) {
       };
     }
 
-    // Validate if the URL is likely a valid Git repository URL
-    let isValidLink = isLikelyValidGitRepoURL(repoURL);
-    if (!isValidLink) {
+    // Strictly parse the URL, rejecting option-like or metacharacter-laden input
+    const parsedURL = parseGitURL(repoURL);
+    if (!parsedURL.valid) {
       return {
         success: false,
-        message: "URL might not be a valid Git repository URL."
+        message: `Invalid repository URL: ${parsedURL.reason}`
       };
     }
 
-    // Check if git is installed
-    if (!shell.which("git")) {
+    const access = checkRemoteAccess(parsedURL, allowedHosts);
+    if (!access.allowed) {
       return {
         success: false,
-        message: "Git is not installed on this system"
+        message: `Repository not allowed: ${access.reason}`
       };
     }
 
-    // Extract the repository name from the URL to use as folder name
-    const repoName = extractRepoName(repoURL);
-    if (!repoName) {
+    let gitAuth;
+    try {
+      gitAuth = createGitAuth(parsedURL, { ...auth, allowedHosts });
+    } catch (error) {
       return {
         success: false,
-        message: "Could not extract repository name from URL"
+        message: `Cannot authenticate to ${parsedURL.host}: ${error.message}`
       };
     }
 
-    // Create a "Repository" folder if it doesn't exist
-    const repositoryFolder = path.resolve("Repository");
-    if (!fs.existsSync(repositoryFolder)) {
-      fs.mkdirSync(repositoryFolder, { recursive: true });
-      console.log(`Created main Repository folder at ${repositoryFolder}`);
+    // Validate refs and paths before they reach git
+    if (branch && !isSafeRefName(branch)) {
+      return {
+        success: false,
+        message: `Invalid branch or tag name: ${branch}`
+      };
     }
 
-    // Path where the repository will be cloned (inside the Repository folder)
-    const targetPath = path.join(repositoryFolder, repoName);
+    if (commit && !isCommitSha(commit)) {
+      return {
+        success: false,
+        message: `Invalid commit SHA: ${commit}`
+      };
+    }
+
+    const invalidSparsePath = sparsePaths.find(
+      (sparsePath) => typeof sparsePath !== "string" || !sparsePath || sparsePath.startsWith("-")
+    );
+    if (invalidSparsePath !== undefined) {
+      return {
+        success: false,
+        message: `Invalid sparse-checkout path: ${invalidSparsePath}`
+      };
+    }
 
-    // Check if the repository folder already exists and delete it if it does
-    if (fs.existsSync(targetPath)) {
-      console.log(`Repository folder ${targetPath} already exists. Deleting...`);
-      shell.rm("-rf", targetPath);
+    // Validate numeric options
+    if (!Number.isInteger(depth) || depth < 0) {
+      return {
+        success: false,
+        message: `Invalid clone depth: ${depth}`
+      };
+    }
+
+    // Check if git is installed
+    if (!isGitInstalled()) {
+      return {
+        success: false,
+        message: "Git is not installed on this system"
+      };
+    }
+
+    // Resolve the destination: a custom path or ./Repository/<name>
+    let targetPath;
+    if (customTargetPath) {
+      targetPath = path.resolve(customTargetPath);
+    } else {
+      // Use the repository name from the URL as folder name
+      const repoName = parsedURL.name;
+
+      // Create a "Repository" folder if it doesn't exist
+      const repositoryFolder = path.resolve("Repository");
+      if (!fs.existsSync(repositoryFolder)) {
+        fs.mkdirSync(repositoryFolder, { recursive: true });
+        reporter.info(`Created main Repository folder at ${repositoryFolder}`);
+      }
+
+      targetPath = path.join(repositoryFolder, repoName);
+    }
+
+    // Never delete an existing, non-empty destination unless asked to
+    if (fs.existsSync(targetPath) && !isEmptyDirectory(targetPath)) {
+      if (!overwrite) {
+        return {
+          success: false,
+          code: "DESTINATION_NOT_EMPTY",
+          message: `Destination ${targetPath} already exists and is not empty. Use the overwrite option to replace it.`,
+          targetPath
+        };
+      }
+      reporter.info(`Destination ${targetPath} already exists. Deleting...`);
+      fs.rmSync(targetPath, { recursive: true, force: true });
     }
 
-    // Prepare clone command - clone into the specific target path inside Repository folder
-    const cloneCommand = `git clone ${repoURL} ${targetPath}`;
+    // Build the clone arguments from the options
+    const cloneArgs = ["clone"];
+    if (depth > 0) {
+      cloneArgs.push("--depth", String(depth));
+    }
+    if (singleBranch) {
+      cloneArgs.push("--single-branch");
+    }
+    if (branch) {
+      cloneArgs.push("--branch", branch);
+    }
+    if (sparsePaths.length > 0) {
+      cloneArgs.push("--sparse");
+    }
+    if (commit) {
+      cloneArgs.push("--no-checkout");
+    }
+    if (recurseSubmodules && !commit) {
+      cloneArgs.push("--recurse-submodules");
+      if (depth > 0) {
+        cloneArgs.push("--shallow-submodules");
+      }
+    }
+    // Ask for progress output even though stderr is a pipe; it becomes clone events
+    cloneArgs.push("--progress");
+    // "--" stops git from reading the URL or destination as options
+    cloneArgs.push("--", parsedURL.url, targetPath);
 
     // Execute clone command
-    console.log(`Cloning repository from ${repoURL}...`);
-    const result = shell.exec(cloneCommand, { silent: false });
+    reporter.info(`Cloning repository from ${redactCredentials(parsedURL.url)}...`);
+    const result = await runGitAsync(cloneArgs, {
+      ...gitAuth,
+      onProgress: (step, percent) => reporter.progress({ phase: "clone", step, percent }),
+    });
 
     // Check result
     if (result.code !== 0) {
@@ -76,6 +202,51 @@ function CloneRepository(repoURL) {
       };
     }
 
+    // Restrict the working tree to the requested paths
+    if (sparsePaths.length > 0) {
+      const sparseResult = runGitStep(
+        reporter,
+        "Setting sparse-checkout paths",
+        ["sparse-checkout", "set", "--", ...sparsePaths],
+        { cwd: targetPath, ...gitAuth }
+      );
+      if (sparseResult.code !== 0) {
+        return {
+          success: false,
+          message: `Failed to set sparse-checkout paths: ${sparseResult.stderr}`,
+          error: sparseResult.stderr,
+          targetPath
+        };
+      }
+    }
+
+    // Check out a specific commit, fetching it first when history is truncated
+    if (commit) {
+      const checkoutResult = checkoutCommit(targetPath, commit, depth, gitAuth, reporter);
+      if (!checkoutResult.success) {
+        return { ...checkoutResult, targetPath };
+      }
+
+      if (recurseSubmodules) {
+        const submoduleArgs = ["submodule", "update", "--init", "--recursive"];
+        if (depth > 0) {
+          submoduleArgs.push("--depth", String(depth));
+        }
+        const submoduleResult = runGitStep(reporter, "Updating submodules", submoduleArgs, {
+          cwd: targetPath,
+          ...gitAuth,
+        });
+        if (submoduleResult.code !== 0) {
+          return {
+            success: false,
+            message: `Failed to update submodules: ${submoduleResult.stderr}`,
+            error: submoduleResult.stderr,
+            targetPath
+          };
+        }
+      }
+    }
+
     return {
       success: true,
       message: `Repository cloned successfully to ${targetPath}`,
@@ -91,70 +262,61 @@ function CloneRepository(repoURL) {
 }
 
 /**
- * Validates if a URL is likely a valid Git repository URL
- * @param {string} repoURL - URL to validate
- * @returns {boolean} True if the URL looks like a valid Git repo URL, false otherwise
+ * Run a git command that follows the clone, reporting it as a clone phase
+ * @private
  */
-function isLikelyValidGitRepoURL(repoURL) {
-  if (!repoURL || typeof repoURL !== "string") {
-    console.warn("Invalid input: repoURL must be a non-empty string.");
-    return false;
+function runGitStep(reporter, step, args, options) {
+  reporter.progress({ phase: "clone", step, percent: 0 });
+  const result = runGit(args, options);
+  reporter.progress({ phase: "clone", step, percent: 100 });
+  return result;
+}
+
+/**
+ * Check out a commit in a freshly cloned repository
+ * @private
+ */
+function checkoutCommit(targetPath, commit, depth, gitAuth, reporter) {
+  if (depth > 0) {
+    const fetchResult = runGitStep(
+      reporter,
+      "Fetching commit",
+      ["fetch", "--depth", String(depth), "origin", commit],
+      { cwd: targetPath, ...gitAuth }
+    );
+    if (fetchResult.code !== 0) {
+      return {
+        success: false,
+        message: `Failed to fetch commit ${commit}: ${fetchResult.stderr}`,
+        error: fetchResult.stderr
+      };
+    }
   }
 
-  repoURL = repoURL.trim();
-  
-  // Common patterns for Git URLs (HTTPS and SSH)
-  const gitUrlPattern = /^(https:\/\/|git@)[\w.-]+(:|\/)[\w./-]+(\.git)?$/;
-  
-  // Known hosts for public Git services
-  const knownGitHosts = ["github.com", "gitlab.com", "bitbucket.org"];
-  
-  // Check if URL matches Git pattern
-  const matchesPattern = gitUrlPattern.test(repoURL);
-  
-  // Check if URL includes any known Git host
-  const includesKnownHost = knownGitHosts.some((host) => repoURL.includes(host));
-  
-  if (!matchesPattern && !includesKnownHost) {
-    console.warn("Warning: URL might not be a valid Git repository URL.");
-    return false;
+  const checkoutResult = runGitStep(
+    reporter,
+    "Checking out commit",
+    ["checkout", "--detach", commit, "--"],
+    { cwd: targetPath }
+  );
+  if (checkoutResult.code !== 0) {
+    return {
+      success: false,
+      message: `Failed to check out commit ${commit}: ${checkoutResult.stderr}`,
+      error: checkoutResult.stderr
+    };
   }
-  
-  return true;
+
+  return { success: true };
 }
 
 /**
- * Extract repository name from Git URL
- * @param {string} repoURL - Git repository URL
- * @returns {string|null} Repository name or null if couldn't extract
+ * Check whether a path is an empty directory
+ * @private
  */
-function extractRepoName(repoURL) {
-  try {
-
-    // Handle different URL formats
-    if (repoURL.startsWith("https://")) {
-
-      // For HTTPS URLs like https://github.com/username/repo-name
-      const pathParts = new URL(repoURL).pathname.split('/').filter(Boolean);
-      const repoName = pathParts[pathParts.length - 1].replace(".git", "");
-      return repoName;
-    } else if (repoURL.startsWith("git@")) {
-        
-      // For SSH URLs like git@github.com:username/repo-name.git
-      const match = repoURL.match(/git@.*:(.+?)(?:\.git)?$/);
-      if (match && match[1]) {
-        const pathParts = match[1].split('/');
-        return pathParts[pathParts.length - 1].replace(".git", "");
-      }
-    }
-    
-    // Default fallback to extract anything after the last slash
-    const parts = repoURL.split("/");
-    return parts[parts.length - 1].replace(".git", "");
-  } catch (error) {
-    console.error("Failed to extract repository name:", error);
-    return null;
-  }
+function isEmptyDirectory(dirPath) {
+  const stats = fs.statSync(dirPath);
+  return stats.isDirectory() && fs.readdirSync(dirPath).length === 0;
 }
 
 export { CloneRepository };
\ No newline at end of file
@@ -0,0 +1,499 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { OUTPUT_FORMATS } from "./structuredOutput.js";
+import { BUNDLE_FORMATS } from "./contextBundle.js";
+import { GRAPH_FORMATS } from "./importGraph.js";
+import { resolveContentPolicy } from "./fileContent.js";
+import { BATCH_OUTPUTS } from "./batch.js";
+import { parseYaml } from "./parseYaml.js";
+
+// Config files looked for in a directory; only one of them may exist
+const CONFIG_FILE_NAMES = ["reposketch.config.js", "reposketch.config.json", ".reposketchrc"];
+
+// Config file given by path and profile selected when the command line names none
+const CONFIG_VARIABLE = "REPOSKETCH_CONFIG";
+const PROFILE_VARIABLE = "REPOSKETCH_PROFILE";
+
+const DEFAULT_EXCLUDE = ["node_modules", ".git", "dist", "build"];
+
+// Formats of each command, as accepted by the command line
+const COMMAND_FORMATS = {
+  tree: OUTPUT_FORMATS,
+  contents: ["text", ...BUNDLE_FORMATS],
+  summary: [...OUTPUT_FORMATS, "markdown", "html"],
+  diff: OUTPUT_FORMATS,
+  graph: GRAPH_FORMATS,
+  outline: OUTPUT_FORMATS,
+  batch: [...OUTPUT_FORMATS, "markdown", "html"],
+};
+const ANALYSIS_COMMANDS = Object.keys(COMMAND_FORMATS);
+
+// Options of a config file, profile or REPOSKETCH_* variable:
+// - commands: the commands the option applies to (default every analysis command)
+// - repository: the analyzed repository's own config may set it
+// - env: the variable name when it is not REPOSKETCH_<OPTION>, or null when the
+//   library already reads a variable of that name
+// - section: only allowed in a command section
+const OPTIONS = {
+  exclude: { type: "list", repository: true },
+  extensions: { type: "list", commands: ["contents"], repository: true },
+  maxDepth: { type: "integer", min: -1, repository: true },
+  maxFileSize: { type: "integer", min: 0, commands: ["contents", "graph", "outline"], repository: true },
+  tokenBudget: { type: "integer", min: 0, commands: ["contents"] },
+  maxChunks: { type: "integer", min: 0, commands: ["contents"] },
+  contentPolicy: { type: "policy", commands: ["contents"], repository: true },
+  redact: { type: "boolean", commands: ["contents"] },
+  deny: { type: "list", commands: ["contents"], repository: true },
+  hidden: { type: "boolean", repository: true },
+  gitignore: { type: "boolean", repository: true },
+  sizes: { type: "boolean", commands: ["tree", "outline"], repository: true },
+  history: { type: "boolean", commands: ["summary", "batch"] },
+  staleDays: { type: "integer", min: 0, commands: ["summary", "batch"], repository: true },
+  depth: { type: "integer", min: 0 },
+  sparse: { type: "list" },
+  submodules: { type: "boolean" },
+  cache: { type: "boolean" },
+  cacheDir: { type: "string", env: null, commands: [...ANALYSIS_COMMANDS, "cache"] },
+  cacheMaxSize: { type: "integer", min: 0, commands: [...ANALYSIS_COMMANDS, "cache"] },
+  cacheMaxAge: { type: "integer", min: 0, commands: [...ANALYSIS_COMMANDS, "cache"] },
+  allowedHosts: { type: "list", env: null },
+  tokenEnv: { type: "string" },
+  credentialHelper: { type: "string" },
+  sshKey: { type: "string", env: null },
+  jobs: { type: "integer", min: 1, commands: ["batch"] },
+  outputs: { type: "list", values: BATCH_OUTPUTS, commands: ["batch"] },
+  output: { type: "string", section: true },
+  format: { type: "string", section: true },
+};
+
+// Profiles shipped with reposketch; a config profile of the same name extends them
+const BUILTIN_PROFILES = {
+  // Source for language models: no lockfiles, minified or binary files, and the
+  // contents as Markdown bundle chunks of at most 100k tokens
+  llm: {
+    exclude: [
+      ...DEFAULT_EXCLUDE, "coverage", "package-lock.json", "yarn.lock", "pnpm-lock.yaml",
+      "*.lock", "*.min.js", "*.map",
+    ],
+    maxFileSize: 256 * 1024,
+    contentPolicy: { encoded: "skip", binary: "skip" },
+    contents: { format: "markdown", tokenBudget: 100000 },
+    summary: { format: "markdown" },
+  },
+  // Everything a review needs: hidden files, build output and the git history
+  audit: {
+    exclude: ["node_modules", ".git"],
+    hidden: true,
+    history: true,
+    summary: { format: "markdown" },
+  },
+  // Only the documentation files
+  docs: {
+    summary: { format: "markdown" },
+    contents: { format: "markdown", extensions: [".md", ".mdx", ".rst", ".adoc", ".txt"] },
+  },
+};
+
+/**
+ * Name of the environment variable of an option, e.g. REPOSKETCH_MAX_DEPTH
+ * @private
+ */
+function variableName(key) {
+  const { env } = OPTIONS[key];
+  if (env !== undefined) return env;
+  return `REPOSKETCH_${key.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase()}`;
+}
+
+/**
+ * Check whether an option applies to a command
+ * @private
+ */
+function appliesTo(key, command) {
+  const { commands = ANALYSIS_COMMANDS } = OPTIONS[key];
+  return commands.includes(command);
+}
+
+/**
+ * Edit distance between two names, to suggest the option a typo meant
+ * @private
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Error for an unknown key, naming the closest known key when there is one
+ * @private
+ */
+function unknownKeyError(name, key, known) {
+  const [closest] = known
+    .map((candidate) => ({ candidate, distance: editDistance(key.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.distance - b.distance);
+  const hint = closest && closest.distance <= 2 ? ` (did you mean "${closest.candidate}"?)` : "";
+  return new Error(`unknown option ${name}${hint}`);
+}
+
+/**
+ * Check an option value and bring it to its canonical form: lists become arrays
+ * and content policies objects
+ * @private
+ */
+function checkValue(key, value, name) {
+  const option = OPTIONS[key];
+  switch (option.type) {
+    case "list": {
+      const items = typeof value === "string" ? value.split(",") : value;
+      if (!Array.isArray(items) || items.some((item) => typeof item !== "string")) {
+        throw new Error(`${name} must be a list of strings`);
+      }
+      const list = items.map((item) => item.trim()).filter(Boolean);
+      const invalid = option.values && list.find((item) => !option.values.includes(item));
+      if (invalid) {
+        throw new Error(`${name} must be among ${option.values.join(", ")}, got "${invalid}"`);
+      }
+      return list;
+    }
+    case "integer":
+      if (!Number.isInteger(value)) {
+        throw new Error(`${name} must be an integer, got ${JSON.stringify(value)}`);
+      }
+      if (value < option.min) {
+        throw new Error(`${name} must be at least ${option.min}, got ${value}`);
+      }
+      return value;
+    case "boolean":
+      if (typeof value !== "boolean") {
+        throw new Error(`${name} must be true or false, got ${JSON.stringify(value)}`);
+      }
+      return value;
+    case "policy": {
+      // Also accepted in the command line form: "binary=skip,encoded=list"
+      const policy = typeof value === "string"
+        ? Object.fromEntries(value.split(",").map((pair) => pair.split("=").map((part) => part.trim())))
+        : value;
+      if (policy === null || typeof policy !== "object" || Array.isArray(policy)) {
+        throw new Error(`${name} must map file classes to actions, e.g. { "binary": "skip" }`);
+      }
+      try {
+        resolveContentPolicy(policy);
+      } catch (err) {
+        throw new Error(`${name}: ${err.message}`);
+      }
+      return { ...policy };
+    }
+    default:
+      if (typeof value !== "string" || value === "") {
+        throw new Error(`${name} must be a non-empty string`);
+      }
+      return value;
+  }
+}
+
+/**
+ * Check a block of options (the top level of a config file or a profile) with
+ * its command sections. Options the analyzed repository may not set are added to
+ * ignored instead.
+ * @private
+ */
+function checkBlock(block, prefix, { command = null, repository = false, ignored = [] }) {
+  if (block === null || typeof block !== "object" || Array.isArray(block)) {
+    throw new Error(`${prefix ? prefix.slice(0, -1) : "the config"} must be an object of options`);
+  }
+
+  const checked = {};
+  for (const [key, value] of Object.entries(block)) {
+    const name = `${prefix}${key}`;
+    if (!command && COMMAND_FORMATS[key]) {
+      checked[key] = checkBlock(value, `${name}.`, { command: key, repository, ignored });
+      continue;
+    }
+
+    const option = OPTIONS[key];
+    if (!option) {
+      throw unknownKeyError(name, key, [...Object.keys(OPTIONS), ...(command ? [] : ANALYSIS_COMMANDS)]);
+    }
+    if (option.section && !command) {
+      throw new Error(`${name} can only be set in a command section, e.g. summary.${key}`);
+    }
+    if (command && !appliesTo(key, command)) {
+      throw new Error(`${name} does not apply to the ${command} command`);
+    }
+    if (repository && !option.repository) {
+      ignored.push(name);
+      continue;
+    }
+
+    checked[key] = checkValue(key, value, name);
+    if (key === "format" && !COMMAND_FORMATS[command].includes(value)) {
+      throw new Error(`${name} must be one of ${COMMAND_FORMATS[command].join(", ")}, got "${value}"`);
+    }
+  }
+  return checked;
+}
+
+/**
+ * Validate a config: options, command sections (tree, contents, summary, diff,
+ * graph, outline, batch) overriding them for one command, named profiles and
+ * the default profile
+ * @param {Object} config - Parsed config file
+ * @param {Object} options - Validation options
+ * @param {boolean} options.repository - The config comes from the analyzed repository,
+ *   so only analysis options are read; the others are listed in options.ignored
+ * @param {Array<string>} options.ignored - Receives the options that were skipped
+ * @returns {Object} Validated config with lists and content policies normalized
+ * @throws {Error} Naming the offending option
+ */
+function validateConfig(config, options = {}) {
+  const { repository = false, ignored = [] } = options;
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("the config must be an object of options");
+  }
+
+  const { $schema, profile, profiles, ...rest } = config;
+  const validated = checkBlock(rest, "", { repository, ignored });
+
+  if (repository) {
+    if (profile !== undefined) ignored.push("profile");
+    if (profiles !== undefined) ignored.push("profiles");
+    return validated;
+  }
+
+  if (profile !== undefined) {
+    if (typeof profile !== "string" || profile === "") {
+      throw new Error("profile must be the name of a profile");
+    }
+    validated.profile = profile;
+  }
+  if (profiles !== undefined) {
+    if (profiles === null || typeof profiles !== "object" || Array.isArray(profiles)) {
+      throw new Error("profiles must map profile names to options");
+    }
+    validated.profiles = {};
+    for (const [name, block] of Object.entries(profiles)) {
+      validated.profiles[name] = checkBlock(block, `profiles.${name}.`, {});
+    }
+  }
+  return validated;
+}
+
+/**
+ * Read, parse and validate a config file: JSON, a JavaScript module whose default
+ * export is the config, or for .reposketchrc JSON or YAML
+ * @param {string} filePath - Config file
+ * @param {Object} options - Loading options
+ * @param {boolean} options.repository - The file belongs to the analyzed repository:
+ *   only analysis options are read, and JavaScript is never run
+ * @returns {Promise<Object>} { path, config, ignored } with the options that were skipped
+ * @throws {Error} Prefixed with the file name when it cannot be read or is invalid
+ */
+async function loadConfigFile(filePath, options = {}) {
+  const { repository = false } = options;
+  const relativePath = path.relative(process.cwd(), filePath);
+  const name = relativePath && !relativePath.startsWith("..") ? relativePath : filePath;
+  const ignored = [];
+
+  try {
+    let config;
+    if (/\.[cm]?js$/.test(filePath)) {
+      if (repository) {
+        throw new Error("JavaScript configs are never run from the analyzed repository");
+      }
+      const module = await import(pathToFileURL(path.resolve(filePath)).href);
+      config = module.default;
+    } else {
+      const text = fs.readFileSync(filePath, "utf8");
+      if (filePath.endsWith(".json") || text.trimStart().startsWith("{")) {
+        try {
+          config = JSON.parse(text);
+        } catch (err) {
+          throw new Error(`invalid JSON: ${err.message}`);
+        }
+      } else {
+        config = parseYaml(text);
+      }
+    }
+    return { path: filePath, config: validateConfig(config, { repository, ignored }), ignored };
+  } catch (err) {
+    throw new Error(`${name}: ${err.message}`);
+  }
+}
+
+/**
+ * Find and load the config file of a directory. The analyzed repository's
+ * reposketch.config.js is skipped.
+ * @param {string} directory - Directory to look in (the current directory or the
+ *   analyzed repository)
+ * @param {Object} options - Passed to loadConfigFile
+ * @returns {Promise<Object|null>} Loaded config (see loadConfigFile), or null when
+ *   the directory has none
+ * @throws {Error} When the directory has more than one config file or it is invalid
+ */
+async function loadConfig(directory, options = {}) {
+  // Running the analyzed repository's JavaScript would run untrusted code
+  const found = CONFIG_FILE_NAMES
+    .filter((fileName) => !(options.repository && fileName.endsWith(".js")))
+    .map((fileName) => path.join(directory, fileName))
+    .filter((filePath) => fs.existsSync(filePath));
+  if (found.length > 1) {
+    throw new Error(`more than one config file in ${directory}: ${found.map((filePath) => path.basename(filePath)).join(", ")}`);
+  }
+  return found.length === 0 ? null : loadConfigFile(found[0], options);
+}
+
+/**
+ * Parse the value of an option's environment variable
+ * @private
+ */
+function parseVariable(key, name, text) {
+  const { type } = OPTIONS[key];
+  if (type === "integer") {
+    if (!/^-?\d+$/.test(text.trim())) {
+      throw new Error(`${name} must be an integer, got "${text}"`);
+    }
+    return checkValue(key, Number.parseInt(text, 10), name);
+  }
+  if (type === "boolean") {
+    const value = text.trim().toLowerCase();
+    if (["1", "true", "yes"].includes(value)) return true;
+    if (["0", "false", "no"].includes(value)) return false;
+    throw new Error(`${name} must be true or false, got "${text}"`);
+  }
+  return checkValue(key, text, name);
+}
+
+/**
+ * Copy the options of a block that apply to a command, then its command section
+ * @private
+ */
+function applyBlock(settings, block, command) {
+  for (const [key, value] of Object.entries(block)) {
+    if (OPTIONS[key] && !OPTIONS[key].section && appliesTo(key, command)) {
+      settings[key] = value;
+    }
+  }
+  Object.assign(settings, block[command] || {});
+}
+
+/**
+ * Merge a config profile into the profile it extends, section by section
+ * @private
+ */
+function extendProfile(base, profile) {
+  const extended = { ...base, ...profile };
+  for (const command of ANALYSIS_COMMANDS) {
+    if (base[command] && profile[command]) {
+      extended[command] = { ...base[command], ...profile[command] };
+    }
+  }
+  return extended;
+}
+
+/**
+ * Resolve the settings of a command. Later sources win: the configs in the given
+ * order (the analyzed repository's, then the current directory's), the selected
+ * profile and then the REPOSKETCH_* environment variables. Within a config or
+ * profile its command section wins over its top level. Options that do not apply
+ * to the command are left out; command line flags are applied on top by the caller.
+ * @param {string} command - Command being run
+ * @param {Object} options - Resolution options
+ * @param {Array<Object>} options.configs - Validated configs, lowest precedence first
+ * @param {string} options.profile - Profile to apply (default $REPOSKETCH_PROFILE,
+ *   else the profile named by the configs)
+ * @param {Object} options.env - Environment variables (default none)
+ * @returns {Object} Settings by option name, with the applied profile as profile
+ * @throws {Error} For an unknown profile or an invalid environment variable
+ */
+function resolveSettings(command, options = {}) {
+  const { configs = [], env = {} } = options;
+
+  const profiles = { ...BUILTIN_PROFILES };
+  let profileName = options.profile || env[PROFILE_VARIABLE] || null;
+  for (const config of configs) {
+    for (const [name, profile] of Object.entries(config.profiles || {})) {
+      profiles[name] = extendProfile(profiles[name] || {}, profile);
+    }
+    if (!options.profile && !env[PROFILE_VARIABLE] && config.profile) profileName = config.profile;
+  }
+  if (profileName && !profiles[profileName]) {
+    throw new Error(
+      `Unknown profile "${profileName}" (available: ${Object.keys(profiles).join(", ")})`
+    );
+  }
+
+  const settings = {};
+  for (const config of configs) applyBlock(settings, config, command);
+  if (profileName) applyBlock(settings, profiles[profileName], command);
+
+  for (const key of Object.keys(OPTIONS)) {
+    const name = variableName(key);
+    if (name === null || OPTIONS[key].section || !appliesTo(key, command)) continue;
+    if (env[name] !== undefined && env[name] !== "") {
+      settings[key] = parseVariable(key, name, env[name]);
+    }
+  }
+
+  return { ...settings, ...(profileName && { profile: profileName }) };
+}
+
+/**
+ * Translate settings into the option names of the exporters
+ * (exportTreeToFile, exportFileContentsToFile, generateDirectorySummary, ...)
+ * @param {Object} settings - Result of resolveSettings
+ * @returns {Object} Exporter options for the settings that are set
+ */
+function toExportOptions(settings) {
+  const names = {
+    format: "format",
+    exclude: "exclude",
+    extensions: "extensions",
+    maxDepth: "maxDepth",
+    maxFileSize: "maxFileSize",
+    tokenBudget: "tokenBudget",
+    maxChunks: "maxChunks",
+    contentPolicy: "contentPolicy",
+    redact: "redactSecrets",
+    deny: "denylist",
+    hidden: "showHidden",
+    gitignore: "respectGitignore",
+    sizes: "showSize",
+    history: "includeHistory",
+    staleDays: "staleAfterDays",
+  };
+
+  const exportOptions = {};
+  for (const [key, name] of Object.entries(names)) {
+    if (settings[key] !== undefined) exportOptions[name] = settings[key];
+  }
+  if (exportOptions.extensions) {
+    exportOptions.extensions = exportOptions.extensions.map((extension) =>
+      extension.startsWith(".") ? extension : `.${extension}`
+    );
+  }
+  return exportOptions;
+}
+
+export {
+  CONFIG_FILE_NAMES,
+  CONFIG_VARIABLE,
+  PROFILE_VARIABLE,
+  DEFAULT_EXCLUDE,
+  BUILTIN_PROFILES,
+  validateConfig,
+  loadConfigFile,
+  loadConfig,
+  resolveSettings,
+  toExportOptions,
+};
@@ -0,0 +1,454 @@
+import fs from "fs";
+import path from "path";
+import { walkTreeModel } from "./treeModel.js";
+import { languageForFile } from "./languages.js";
+import {
+  createReadAhead,
+  resolveContentPolicy,
+  includedContent,
+  describeContent,
+} from "./fileContent.js";
+import { createRedactor, formatRedactionReport } from "./redactSecrets.js";
+
+const BUNDLE_FORMATS = ["markdown", "xml"];
+
+// Rough characters-per-token ratio for source code and English text
+const CHARS_PER_TOKEN = 4;
+
+// Priority classes, lowest first
+const PRIORITY_README = 0;
+const PRIORITY_ENTRY_POINT = 1;
+const PRIORITY_SOURCE = 2;
+const PRIORITY_OTHER = 3;
+const PRIORITY_LOCKFILE = 4;
+
+// Conventional entry point names (without extension), checked near the root
+const ENTRY_POINT_NAMES = ["index", "main", "app", "server", "cli", "__main__", "__init__", "mod", "lib"];
+const ENTRY_POINT_DIRS = ["", "src", "lib", "app", "cmd", "bin"];
+
+// Manifests describe the project, so they rank with the entry points
+const MANIFEST_FILES = [
+  "package.json",
+  "pyproject.toml",
+  "setup.py",
+  "requirements.txt",
+  "go.mod",
+  "cargo.toml",
+  "pom.xml",
+  "build.gradle",
+  "build.gradle.kts",
+  "gemfile",
+  "composer.json",
+  "dockerfile",
+  "makefile",
+];
+
+const LOCK_FILES = [
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "poetry.lock",
+  "pipfile.lock",
+  "cargo.lock",
+  "go.sum",
+  "gemfile.lock",
+  "composer.lock",
+];
+
+// Languages that are data or documentation rather than source code
+const NON_SOURCE_LANGUAGES = ["JSON", "YAML", "TOML", "XML", "Markdown"];
+
+/**
+ * Estimate the number of tokens a language model needs for a piece of text.
+ * This is a heuristic (about four characters per token), not a tokenizer.
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Read the entry points declared by the root package.json (main, module, bin)
+ * @private
+ */
+function readPackageEntryPoints(rootPath) {
+  try {
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(rootPath, "package.json"), "utf8")
+    );
+    const targets = [manifest.main, manifest.module];
+    if (typeof manifest.bin === "string") {
+      targets.push(manifest.bin);
+    } else if (manifest.bin && typeof manifest.bin === "object") {
+      targets.push(...Object.values(manifest.bin));
+    }
+    return new Set(
+      targets
+        .filter((target) => typeof target === "string")
+        .map((target) => path.posix.normalize(target.replace(/\\/g, "/")))
+    );
+  } catch (err) {
+    return new Set();
+  }
+}
+
+/**
+ * Decide how important a file is for understanding the repository
+ * @private
+ */
+function filePriority(node, packageEntryPoints) {
+  const baseName = node.name.toLowerCase();
+  const stem = baseName.slice(0, baseName.length - node.extension.length);
+  const directory = path.posix.dirname(node.relativePath);
+
+  if (stem === "readme") return PRIORITY_README;
+  if (LOCK_FILES.includes(baseName)) return PRIORITY_LOCKFILE;
+
+  if (packageEntryPoints.has(node.relativePath)) return PRIORITY_ENTRY_POINT;
+  if (MANIFEST_FILES.includes(baseName) && node.depth === 1) {
+    return PRIORITY_ENTRY_POINT;
+  }
+
+  const language = languageForFile(node.name);
+  const isSource = language && !NON_SOURCE_LANGUAGES.includes(language.name);
+  if (
+    isSource &&
+    ENTRY_POINT_NAMES.includes(stem) &&
+    ENTRY_POINT_DIRS.includes(directory === "." ? "" : directory)
+  ) {
+    return PRIORITY_ENTRY_POINT;
+  }
+
+  return isSource ? PRIORITY_SOURCE : PRIORITY_OTHER;
+}
+
+/**
+ * Escape a value for use in an XML attribute
+ * @private
+ */
+function escapeXmlAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Wrap text in a CDATA section, splitting any "]]>" it contains so the text
+ * cannot close the section or add elements of its own
+ * @private
+ */
+function cdata(text) {
+  return `<![CDATA[${text.replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+/**
+ * Pick a Markdown fence longer than any backtick run in the text
+ * @private
+ */
+function fenceFor(text) {
+  const runs = text.match(/`+/g) || [];
+  const longest = Math.max(0, ...runs.map((run) => run.length));
+  return "`".repeat(Math.max(3, longest + 1));
+}
+
+/**
+ * Wrap a file in a language-tagged fence or a <file> element
+ * @private
+ */
+function renderFileBlock(file, format) {
+  const content = file.content.endsWith("\n") ? file.content : `${file.content}\n`;
+
+  if (format === "xml") {
+    const language = file.language ? ` language="${escapeXmlAttribute(file.language.name)}"` : "";
+    return `<file path="${escapeXmlAttribute(file.path)}"${language} tokens="${file.tokens}">${cdata(`\n${content}`)}</file>\n\n`;
+  }
+
+  const fence = fenceFor(content);
+  const tag = file.language ? file.language.fence : "";
+  return `## ${file.path}\n\n_~${file.tokens} tokens_\n\n${fence}${tag}\n${content}${fence}\n\n`;
+}
+
+/**
+ * Render the header of a chunk; the first chunk also carries the directory tree
+ * @private
+ */
+function renderChunkHeader(bundle, chunk, format) {
+  const { name, origin, git, treeLines } = bundle;
+  const withTree = chunk.index === 1;
+  const totals = `part ${chunk.index} of ${bundle.chunks.length}, ${chunk.files.length} files, ~${chunk.tokens} tokens (~${bundle.totalTokens} in total)`;
+
+  if (format === "xml") {
+    const lines = [
+      `<repository name="${escapeXmlAttribute(name)}" source="${escapeXmlAttribute(origin)}">`,
+    ];
+    if (git) lines.push(`<git>${escapeXmlAttribute(git)}</git>`);
+    lines.push(`<bundle>${totals}</bundle>`);
+    if (withTree) lines.push(`<tree>${cdata(`\n${treeLines.join("\n")}\n`)}</tree>`);
+    return `${lines.join("\n")}\n\n`;
+  }
+
+  const lines = [`# Repository Context: ${name}`, "", `- **Source:** \`${origin}\``];
+  if (git) lines.push(`- **Git:** ${git}`);
+  lines.push(`- **Bundle:** ${totals}`, "");
+  if (withTree) {
+    const fence = fenceFor(treeLines.join("\n"));
+    lines.push("## Directory Structure", "", `${fence}text`, ...treeLines, fence, "");
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Render the list of files left out of the bundle
+ * @private
+ */
+function renderOmittedFiles(omitted, format) {
+  if (omitted.length === 0) return "";
+
+  if (format === "xml") {
+    const items = omitted.map(
+      (file) => `<omitted path="${escapeXmlAttribute(file.path)}" reason="${escapeXmlAttribute(file.reason)}"/>`
+    );
+    return `${items.join("\n")}\n`;
+  }
+
+  const items = omitted.map((file) => `- \`${file.path}\`: ${file.reason}`);
+  return `## Omitted Files\n\n${items.join("\n")}\n\n`;
+}
+
+/**
+ * Render the redaction report
+ * @private
+ */
+function renderRedactions(findings, format) {
+  if (findings.length === 0) return "";
+
+  if (format === "xml") {
+    const items = findings.map(
+      (finding) =>
+        `<redacted path="${escapeXmlAttribute(finding.path)}"${finding.line ? ` line="${finding.line}"` : ""} rule="${escapeXmlAttribute(finding.rule)}"/>`
+    );
+    return `${items.join("\n")}\n`;
+  }
+
+  const items = formatRedactionReport(findings).map((line) => `- ${line}`);
+  return `## Redactions\n\n${items.join("\n")}\n`;
+}
+
+/**
+ * Build an LLM-context bundle from a tree model. Files are ordered by priority
+ * (READMEs, then entry points and manifests, then source files, then everything
+ * else, smaller files first within each class) and packed into chunks that each
+ * stay within the token budget.
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} options - Bundle options
+ * @param {string} options.format - "markdown" (language-tagged fences) or "xml" (<file> wrappers)
+ * @param {Array<string>} options.treeLines - Plain text tree shown in the first chunk
+ * @param {string} options.origin - Analyzed source
+ * @param {string|null} options.git - Git description line
+ * @param {number} options.tokenBudget - Maximum estimated tokens per chunk (0 for unlimited)
+ * @param {number} options.maxChunks - Maximum number of chunks (0 for unlimited)
+ * @param {Array<string>} options.extensions - File extensions to include (null for all)
+ * @param {number} options.maxFileSize - Maximum file size in bytes to include
+ * @param {Object} options.contentPolicy - Action per file class (see resolveContentPolicy)
+ * @param {Object} options.redactor - Redactor from createRedactor (default: redact with the default denylist)
+ * @param {number} options.concurrency - Maximum number of files read ahead (default 8)
+ * @param {AbortSignal} options.signal - Stops reading files once aborted
+ * @param {function(Object)} options.onProgress - Called with { files, total } (files read so far
+ *   and files to read) as files are read
+ * @returns {Promise<Object>} { chunks: [{ index, content, files, tokens }], files, omitted, redactions, totalTokens }
+ */
+async function buildContextBundle(model, options = {}) {
+  const {
+    format = "markdown",
+    treeLines = [],
+    origin = model.path,
+    git = null,
+    tokenBudget = 0,
+    maxChunks = 0,
+    extensions = null,
+    maxFileSize = 1024 * 1024,
+    concurrency = 8,
+    signal = null,
+    onProgress = null,
+  } = options;
+  const contentPolicy = resolveContentPolicy(options.contentPolicy);
+  const redactor = options.redactor || createRedactor();
+
+  if (!BUNDLE_FORMATS.includes(format)) {
+    throw new Error(
+      `Unsupported bundle format: ${format} (expected ${BUNDLE_FORMATS.join(", ")})`
+    );
+  }
+
+  const packageEntryPoints = readPackageEntryPoints(model.path);
+  const candidates = [];
+  const omitted = [];
+
+  // Files are read ahead concurrently but handled in tree order
+  const nodes = Array.from(walkTreeModel(model)).filter(
+    (node) =>
+      node.type === "file" &&
+      !(extensions && extensions.length > 0 && !extensions.includes(node.extension))
+  );
+  const readFile = createReadAhead(
+    nodes,
+    (node) => node.size <= maxFileSize && !redactor.isDenied(node.relativePath),
+    concurrency
+  );
+
+  for (const [index, node] of nodes.entries()) {
+    if (signal) signal.throwIfAborted();
+    if (onProgress) onProgress({ files: index, total: nodes.length });
+
+    if (node.size > maxFileSize) {
+      omitted.push({ path: node.relativePath, reason: "file too large" });
+      continue;
+    }
+
+    const deniedBy = redactor.deniedBy(node.relativePath);
+    if (deniedBy) {
+      omitted.push({ path: node.relativePath, reason: `matches denylist pattern "${deniedBy}"` });
+      continue;
+    }
+
+    const { file: contents, error } = await readFile(index);
+    if (error) {
+      omitted.push({ path: node.relativePath, reason: `unable to read: ${error.message}` });
+      continue;
+    }
+
+    const action = contentPolicy[contents.fileClass];
+    if (action === "skip") continue;
+    if (action === "list") {
+      omitted.push({ path: node.relativePath, reason: describeContent(contents) });
+      continue;
+    }
+
+    const content = contents.fileClass === "binary"
+      ? includedContent(contents)
+      : redactor.redact(includedContent(contents), node.relativePath);
+    const file = {
+      path: node.relativePath,
+      size: node.size,
+      language: contents.fileClass === "binary" ? null : languageForFile(node.name),
+      priority: filePriority(node, packageEntryPoints),
+      depth: node.depth,
+      content,
+      tokens: estimateTokens(content),
+    };
+    file.block = renderFileBlock(file, format);
+    file.blockTokens = estimateTokens(file.block);
+    candidates.push(file);
+  }
+
+  if (onProgress) onProgress({ files: nodes.length, total: nodes.length });
+
+  candidates.sort(
+    (a, b) =>
+      a.priority - b.priority ||
+      (a.priority === PRIORITY_README ? a.depth - b.depth : 0) ||
+      a.size - b.size ||
+      a.path.localeCompare(b.path)
+  );
+
+  // Reserve room for the headers, measured with placeholder totals
+  const bundle = {
+    name: model.name,
+    origin,
+    git,
+    treeLines,
+    chunks: [{ index: 1 }, { index: 2 }],
+    totalTokens: Number.MAX_SAFE_INTEGER,
+  };
+  const placeholder = { index: 1, files: { length: Number.MAX_SAFE_INTEGER }, tokens: Number.MAX_SAFE_INTEGER };
+  const firstHeaderTokens = estimateTokens(renderChunkHeader(bundle, placeholder, format));
+  const headerTokens = estimateTokens(
+    renderChunkHeader(bundle, { ...placeholder, index: 2 }, format)
+  );
+
+  // Pack files in priority order, opening a new chunk when the current one is full
+  const chunks = [];
+  let current = null;
+  const openChunk = () => {
+    current = {
+      index: chunks.length + 1,
+      files: [],
+      tokens: chunks.length === 0 ? firstHeaderTokens : headerTokens,
+    };
+    chunks.push(current);
+  };
+  const fits = (tokens, file) => tokenBudget === 0 || tokens + file.blockTokens <= tokenBudget;
+
+  for (const file of candidates) {
+    if (!current || !fits(current.tokens, file)) {
+      // Later chunks have no tree, so their header is the smallest a file can get
+      if (!fits(headerTokens, file)) {
+        omitted.push({ path: file.path, reason: `exceeds the token budget (~${file.tokens} tokens)` });
+        continue;
+      }
+      // A file that only fits without the tree leaves the first chunk to the tree
+      const opened = !current && !fits(firstHeaderTokens, file) ? 2 : 1;
+      if (maxChunks > 0 && chunks.length + opened > maxChunks) {
+        omitted.push({ path: file.path, reason: "token budget exhausted" });
+        continue;
+      }
+      if (opened === 2) openChunk();
+      openChunk();
+    }
+
+    current.files.push(file);
+    current.tokens += file.blockTokens;
+  }
+
+  if (chunks.length === 0) {
+    chunks.push({ index: 1, files: [], tokens: firstHeaderTokens });
+  }
+
+  bundle.chunks = chunks;
+  bundle.totalTokens = chunks.reduce((total, chunk) => total + chunk.tokens, 0);
+
+  for (const chunk of chunks) {
+    const parts = [renderChunkHeader(bundle, chunk, format)];
+    parts.push(...chunk.files.map((file) => file.block));
+    if (chunk.index === chunks.length) {
+      parts.push(renderOmittedFiles(omitted, format));
+      parts.push(renderRedactions(redactor.findings, format));
+    }
+    if (format === "xml") {
+      parts.push("</repository>\n");
+    }
+    chunk.content = parts.join("").replace(/\n+$/, "\n");
+  }
+
+  return {
+    chunks: chunks.map((chunk) => ({
+      index: chunk.index,
+      content: chunk.content,
+      files: chunk.files.map((file) => file.path),
+      tokens: chunk.tokens,
+    })),
+    files: chunks.flatMap((chunk) =>
+      chunk.files.map((file) => ({ path: file.path, tokens: file.tokens, chunk: chunk.index }))
+    ),
+    omitted,
+    redactions: redactor.findings,
+    totalTokens: bundle.totalTokens,
+  };
+}
+
+/**
+ * Path of a numbered chunk: out.md becomes out.1.md, out.2.md, ...
+ * @param {string} outputPath - Requested output path
+ * @param {number} index - Chunk number (1-based)
+ * @returns {string} Chunk path
+ */
+function chunkPath(outputPath, index) {
+  const extension = path.extname(outputPath);
+  return `${outputPath.slice(0, outputPath.length - extension.length)}.${index}${extension}`;
+}
+
+export { BUNDLE_FORMATS, estimateTokens, buildContextBundle, chunkPath };
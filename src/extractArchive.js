@@ -0,0 +1,300 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+
+const TAR_BLOCK_SIZE = 512;
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+
+// Refuse to expand archives beyond this size (guards against decompression bombs)
+const DEFAULT_MAX_EXTRACTED_SIZE = 1024 * 1024 * 1024;
+
+/**
+ * Check whether a file name looks like a supported archive
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} True for .zip, .tar, .tar.gz and .tgz files
+ */
+function isSupportedArchive(filePath) {
+  return /\.(zip|tar|tar\.gz|tgz)$/i.test(filePath);
+}
+
+/**
+ * Extract a .zip, .tar, .tar.gz or .tgz archive into a directory.
+ * Symlinks, hard links and entries that would land outside the destination are skipped.
+ * @param {string} archivePath - Path to the archive
+ * @param {string} destination - Directory to extract into (created if missing)
+ * @param {Object} options - Extraction options
+ * @param {number} options.maxExtractedSize - Maximum total size in bytes of extracted data
+ * @returns {Object} Result object with success status, extracted and skipped entry counts
+ */
+function extractArchive(archivePath, destination, options = {}) {
+  const { maxExtractedSize = DEFAULT_MAX_EXTRACTED_SIZE } = options;
+
+  try {
+    const resolvedDestination = path.resolve(destination);
+    fs.mkdirSync(resolvedDestination, { recursive: true });
+
+    let buffer = fs.readFileSync(archivePath);
+    const counts = { extracted: 0, skipped: 0 };
+    const context = {
+      destination: resolvedDestination,
+      maxExtractedSize,
+      totalSize: 0,
+      counts,
+    };
+
+    if (/\.zip$/i.test(archivePath)) {
+      extractZip(buffer, context);
+    } else {
+      // Gzip magic number: 1f 8b
+      if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        buffer = zlib.gunzipSync(buffer, { maxOutputLength: maxExtractedSize });
+      }
+      extractTar(buffer, context);
+    }
+
+    return { success: true, destination: resolvedDestination, ...counts };
+  } catch (err) {
+    return {
+      success: false,
+      error: err,
+      message: `Failed to extract archive: ${err.message}`,
+    };
+  }
+}
+
+/**
+ * Resolve an archive entry name inside the destination, or null if it escapes it
+ * @private
+ */
+function safeEntryPath(destination, entryName) {
+  const normalized = entryName.replace(/\\/g, "/");
+  if (!normalized || normalized.startsWith("/") || /^[A-Za-z]:/.test(normalized)) {
+    return null;
+  }
+
+  const target = path.resolve(destination, normalized);
+  if (target !== destination && !target.startsWith(destination + path.sep)) {
+    return null;
+  }
+
+  return target;
+}
+
+/**
+ * Write a single extracted entry to disk
+ * @private
+ */
+function writeEntry(context, entryName, isDirectory, data) {
+  const target = safeEntryPath(context.destination, entryName);
+  if (!target) {
+    context.counts.skipped++;
+    return;
+  }
+
+  if (isDirectory) {
+    fs.mkdirSync(target, { recursive: true });
+    return;
+  }
+
+  context.totalSize += data.length;
+  if (context.totalSize > context.maxExtractedSize) {
+    throw new Error("Archive exceeds the maximum extracted size");
+  }
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, data);
+  context.counts.extracted++;
+}
+
+/**
+ * Read a NUL-terminated string field from a tar header
+ * @private
+ */
+function readTarString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString("utf8");
+}
+
+/**
+ * Read a numeric tar header field (octal, or base-256 for large values)
+ * @private
+ */
+function readTarNumber(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  if (field[0] & 0x80) {
+    let value = 0;
+    for (let i = 1; i < field.length; i++) {
+      value = value * 256 + field[i];
+    }
+    return value;
+  }
+  const text = readTarString(header, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Parse the records of a pax extended header
+ * @private
+ */
+function parsePaxHeaders(data) {
+  const headers = {};
+  const text = data.toString("utf8");
+  let position = 0;
+
+  while (position < text.length) {
+    const space = text.indexOf(" ", position);
+    if (space === -1) break;
+    const length = parseInt(text.slice(position, space), 10);
+    if (!length) break;
+    const record = text.slice(space + 1, position + length - 1);
+    const equals = record.indexOf("=");
+    if (equals !== -1) {
+      headers[record.slice(0, equals)] = record.slice(equals + 1);
+    }
+    position += length;
+  }
+
+  return headers;
+}
+
+/**
+ * Extract an uncompressed tar buffer
+ * @private
+ */
+function extractTar(buffer, context) {
+  let offset = 0;
+  let pendingName = null;
+
+  while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK_SIZE);
+
+    // Two zero blocks mark the end of the archive
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+
+    const size = readTarNumber(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const magic = readTarString(header, 257, 6);
+    const prefix = magic.startsWith("ustar") ? readTarString(header, 345, 155) : "";
+    const baseName = readTarString(header, 0, 100);
+    const name = pendingName || (prefix ? `${prefix}/${baseName}` : baseName);
+
+    const dataStart = offset + TAR_BLOCK_SIZE;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    switch (type) {
+      case "x": {
+        // pax header: applies to the next entry
+        const paxHeaders = parsePaxHeaders(data);
+        pendingName = paxHeaders.path || null;
+        continue;
+      }
+      case "L":
+        // GNU long name: applies to the next entry
+        pendingName = data.toString("utf8").replace(/\0+$/, "");
+        continue;
+      case "g":
+        continue;
+      case "0":
+      case "7":
+        writeEntry(context, name, false, data);
+        break;
+      case "5":
+        writeEntry(context, name, true);
+        break;
+      default:
+        // Symlinks, hard links and device files are never extracted
+        context.counts.skipped++;
+        break;
+    }
+
+    pendingName = null;
+  }
+}
+
+/**
+ * Extract a zip buffer using its central directory
+ * @private
+ */
+function extractZip(buffer, context) {
+  // Locate the end of central directory record (it may be followed by a comment)
+  let eocdOffset = -1;
+  const searchStart = Math.max(0, buffer.length - 65557);
+  for (let i = buffer.length - 22; i >= searchStart; i--) {
+    if (buffer.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+      eocdOffset = i;
+      break;
+    }
+  }
+  if (eocdOffset === -1) {
+    throw new Error("Not a valid zip archive");
+  }
+
+  const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+  let offset = buffer.readUInt32LE(eocdOffset + 16);
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw new Error("ZIP64 archives are not supported");
+  }
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new Error("Corrupt zip central directory");
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const externalAttributes = buffer.readUInt32LE(offset + 38);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer
+      .subarray(offset + 46, offset + 46 + nameLength)
+      .toString("utf8");
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const unixMode = externalAttributes >>> 16;
+    const isSymlink = (unixMode & 0o170000) === 0o120000;
+    const isEncrypted = (flags & 0x1) !== 0;
+
+    if (isSymlink || isEncrypted) {
+      context.counts.skipped++;
+      continue;
+    }
+
+    if (name.endsWith("/")) {
+      writeEntry(context, name, true);
+      continue;
+    }
+
+    if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_SIGNATURE) {
+      throw new Error(`Corrupt zip entry: ${name}`);
+    }
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = compressed;
+    } else if (method === 8) {
+      data = zlib.inflateRawSync(compressed, {
+        maxOutputLength: context.maxExtractedSize,
+      });
+    } else {
+      context.counts.skipped++;
+      continue;
+    }
+
+    writeEntry(context, name, false, data);
+  }
+}
+
+export { extractArchive, isSupportedArchive };
@@ -0,0 +1,348 @@
+import fs from "fs";
+import { formatFileSize } from "./format.js";
+
+// Classes a file can fall into, and what the exporters may do with each
+const FILE_CLASSES = ["text", "encoded", "binary"];
+const CONTENT_ACTIONS = ["include", "list", "skip"];
+
+// Text is included as-is, decodable non-UTF-8 text is converted, binaries are listed
+const DEFAULT_CONTENT_POLICY = {
+  text: "include",
+  encoded: "include",
+  binary: "list",
+};
+
+// Number of leading bytes inspected when classifying a file
+const SNIFF_LENGTH = 8000;
+
+// Leading bytes of common binary formats. Signatures short enough to start a text
+// file (e.g. "MZ", "BM") are left out; those formats are caught by the null byte check.
+const MAGIC_NUMBERS = [
+  { type: "PNG image", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: "JPEG image", bytes: [0xff, 0xd8, 0xff] },
+  { type: "GIF image", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: "ICO image", bytes: [0x00, 0x00, 0x01, 0x00] },
+  { type: "WebP image", bytes: [0x52, 0x49, 0x46, 0x46], at: 8, extra: [0x57, 0x45, 0x42, 0x50] },
+  { type: "WAV audio", bytes: [0x52, 0x49, 0x46, 0x46], at: 8, extra: [0x57, 0x41, 0x56, 0x45] },
+  { type: "PDF document", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: "ZIP archive", bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: "ZIP archive", bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { type: "gzip archive", bytes: [0x1f, 0x8b] },
+  { type: "xz archive", bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { type: "7z archive", bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: "RAR archive", bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { type: "ELF executable", bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { type: "Mach-O binary", bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { type: "Mach-O binary", bytes: [0xce, 0xfa, 0xed, 0xfe] },
+  { type: "Java class file", bytes: [0xca, 0xfe, 0xba, 0xbe] },
+  { type: "WebAssembly module", bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { type: "SQLite database", bytes: [0x53, 0x51, 0x4c, 0x69, 0x74, 0x65, 0x20, 0x66] },
+  { type: "WOFF font", bytes: [0x77, 0x4f, 0x46, 0x46] },
+  { type: "WOFF2 font", bytes: [0x77, 0x4f, 0x46, 0x32] },
+  { type: "OGG media", bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { type: "MP4 video", bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 },
+];
+
+// Byte order marks, longest first so UTF-32 is not mistaken for UTF-16
+const BYTE_ORDER_MARKS = [
+  { encoding: "utf-32le", bytes: [0xff, 0xfe, 0x00, 0x00] },
+  { encoding: "utf-32be", bytes: [0x00, 0x00, 0xfe, 0xff] },
+  { encoding: "utf-8", bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: "utf-16le", bytes: [0xff, 0xfe] },
+  { encoding: "utf-16be", bytes: [0xfe, 0xff] },
+];
+
+// Windows-1252 characters for bytes 0x80-0x9f; every other byte maps to the same
+// code point as in Latin-1 (unassigned bytes fall back to the C1 control)
+const WINDOWS_1252_HIGH = [
+  0x20ac, 0x0081, 0x201a, 0x0192, 0x201e, 0x2026, 0x2020, 0x2021,
+  0x02c6, 0x2030, 0x0160, 0x2039, 0x0152, 0x008d, 0x017d, 0x008f,
+  0x0090, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014,
+  0x02dc, 0x2122, 0x0161, 0x203a, 0x0153, 0x009d, 0x017e, 0x0178,
+];
+
+/**
+ * Decode Windows-1252 text. Done by hand because Node's TextDecoder treats the
+ * label as Latin-1 without full ICU.
+ * @private
+ */
+function decodeWindows1252(buffer) {
+  let text = "";
+  for (const byte of buffer) {
+    text += String.fromCharCode(
+      byte >= 0x80 && byte < 0xa0 ? WINDOWS_1252_HIGH[byte - 0x80] : byte
+    );
+  }
+  return text;
+}
+
+/**
+ * Check whether a buffer contains the given bytes at an offset
+ * @private
+ */
+function startsWithBytes(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+/**
+ * Identify a binary format from its magic number
+ * @private
+ */
+function detectMagicNumber(buffer) {
+  const match = MAGIC_NUMBERS.find(
+    (magic) =>
+      startsWithBytes(buffer, magic.bytes, magic.offset || 0) &&
+      (!magic.extra || startsWithBytes(buffer, magic.extra, magic.at))
+  );
+  return match ? match.type : null;
+}
+
+/**
+ * Detect a byte order mark
+ * @private
+ */
+function detectBom(buffer) {
+  const match = BYTE_ORDER_MARKS.find((bom) => startsWithBytes(buffer, bom.bytes));
+  return match ? { encoding: match.encoding, length: match.bytes.length } : null;
+}
+
+/**
+ * Recognize BOM-less UTF-16 from the position of its null bytes: ASCII-range
+ * text has a null in every other byte, on the odd side for little-endian
+ * @private
+ */
+function detectUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 2) return null;
+
+  let evenNulls = 0;
+  let oddNulls = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) evenNulls++;
+    if (sample[i + 1] === 0) oddNulls++;
+  }
+
+  if (oddNulls / pairs > 0.7 && evenNulls / pairs < 0.1) return "utf-16le";
+  if (evenNulls / pairs > 0.7 && oddNulls / pairs < 0.1) return "utf-16be";
+  return null;
+}
+
+/**
+ * Check whether a sample looks like binary data: any null byte, or many
+ * control characters that never appear in text
+ * @private
+ */
+function looksBinary(sample) {
+  if (sample.length === 0) return false;
+
+  let suspicious = 0;
+  for (const byte of sample) {
+    if (byte === 0) return true;
+    // Allow tab, newline, vertical tab, form feed, carriage return and escape
+    if (byte < 0x20 && ![0x09, 0x0a, 0x0b, 0x0c, 0x0d, 0x1b].includes(byte)) {
+      suspicious++;
+    }
+  }
+  return suspicious / sample.length > 0.1;
+}
+
+/**
+ * Decode a buffer, returning null if it is not valid in the encoding
+ * @private
+ */
+function decode(buffer, encoding) {
+  // TextDecoder has no UTF-32 support
+  if (encoding === "utf-32le" || encoding === "utf-32be") {
+    if (buffer.length % 4 !== 0) return null;
+    const codePoints = [];
+    for (let i = 0; i < buffer.length; i += 4) {
+      const codePoint =
+        encoding === "utf-32le" ? buffer.readUInt32LE(i) : buffer.readUInt32BE(i);
+      if (codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+        return null;
+      }
+      codePoints.push(String.fromCodePoint(codePoint));
+    }
+    return codePoints.join("");
+  }
+
+  try {
+    return new TextDecoder(encoding, { fatal: true }).decode(buffer);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Classify a buffer as text, encoded (non-UTF-8) text or binary, and decode it
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { fileClass, encoding, bom, type, content } (content is null for binaries)
+ */
+function classifyContent(buffer) {
+  const bom = detectBom(buffer);
+  if (bom) {
+    const content = decode(buffer.subarray(bom.length), bom.encoding);
+    if (content !== null) {
+      return {
+        fileClass: bom.encoding === "utf-8" ? "text" : "encoded",
+        encoding: bom.encoding,
+        bom: true,
+        type: null,
+        content,
+      };
+    }
+  }
+
+  const type = detectMagicNumber(buffer);
+  if (type) {
+    return { fileClass: "binary", encoding: null, bom: false, type, content: null };
+  }
+
+  const sample = buffer.subarray(0, SNIFF_LENGTH);
+  const utf16 = detectUtf16(sample);
+  if (utf16) {
+    const content = decode(buffer, utf16);
+    if (content !== null) {
+      return { fileClass: "encoded", encoding: utf16, bom: false, type: null, content };
+    }
+  }
+
+  if (looksBinary(sample)) {
+    return { fileClass: "binary", encoding: null, bom: false, type: "binary data", content: null };
+  }
+
+  const utf8 = decode(buffer, "utf-8");
+  if (utf8 !== null) {
+    return { fileClass: "text", encoding: "utf-8", bom: false, type: null, content: utf8 };
+  }
+
+  // Not UTF-8: fall back to Windows-1252, which decodes every byte (Latin-1 superset)
+  return {
+    fileClass: "encoded",
+    encoding: "windows-1252",
+    bom: false,
+    type: null,
+    content: decodeWindows1252(buffer),
+  };
+}
+
+/**
+ * Read and classify a file
+ * @param {string} filePath - File to read
+ * @returns {Object} Classification from classifyContent plus the size and raw buffer
+ */
+function readFileContent(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  return { ...classifyContent(buffer), size: buffer.length, buffer };
+}
+
+/**
+ * Read and classify a file without blocking
+ * @param {string} filePath - File to read
+ * @returns {Promise<Object>} Same result as readFileContent
+ */
+async function readFileContentAsync(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+  return { ...classifyContent(buffer), size: buffer.length, buffer };
+}
+
+/**
+ * Read files ahead of a consumer that handles them strictly in order. At most
+ * `concurrency` files are read or held in memory at a time.
+ * @param {Array<Object>} nodes - Tree model nodes, in the order they will be consumed
+ * @param {function(Object): boolean} shouldRead - Whether a node's contents will be requested
+ * @param {number} concurrency - Maximum number of files read ahead (default 8)
+ * @returns {function(number): Promise<Object>} Resolves to { file } or { error } for the node at an index
+ */
+function createReadAhead(nodes, shouldRead, concurrency = 8) {
+  const pending = new Map();
+  let next = 0;
+
+  // Settle every read so a failure is reported in order instead of unhandled
+  const read = (node) =>
+    readFileContentAsync(node.path).then(
+      (file) => ({ file }),
+      (error) => ({ error })
+    );
+
+  const fill = () => {
+    while (next < nodes.length && pending.size < concurrency) {
+      const index = next++;
+      if (shouldRead(nodes[index])) {
+        pending.set(index, read(nodes[index]));
+      }
+    }
+  };
+
+  return (index) => {
+    next = Math.max(next, index);
+    fill();
+    const result = pending.get(index) || read(nodes[index]);
+    pending.delete(index);
+    fill();
+    return result;
+  };
+}
+
+/**
+ * Merge a partial content policy with the defaults and validate it
+ * @param {Object} policy - Map of file class to action, e.g. { binary: "skip" }
+ * @returns {Object} Complete policy
+ */
+function resolveContentPolicy(policy = {}) {
+  const resolved = { ...DEFAULT_CONTENT_POLICY };
+
+  for (const [fileClass, action] of Object.entries(policy)) {
+    if (!FILE_CLASSES.includes(fileClass)) {
+      throw new Error(
+        `Unknown file class: ${fileClass} (expected ${FILE_CLASSES.join(", ")})`
+      );
+    }
+    if (!CONTENT_ACTIONS.includes(action)) {
+      throw new Error(
+        `Unknown action for ${fileClass} files: ${action} (expected ${CONTENT_ACTIONS.join(", ")})`
+      );
+    }
+    resolved[fileClass] = action;
+  }
+
+  return resolved;
+}
+
+/**
+ * Text to embed for a file whose class is included: decoded text, or base64 for binaries
+ * @param {Object} file - Result of readFileContent
+ * @returns {string} Content to write
+ */
+function includedContent(file) {
+  return file.fileClass === "binary" ? file.buffer.toString("base64") : file.content;
+}
+
+/**
+ * Describe a file by class, type or encoding, and size, e.g. "binary, PNG image, 3.2 KB"
+ * @param {Object} file - Result of readFileContent
+ * @returns {string} Short description
+ */
+function describeContent(file) {
+  const details = [file.fileClass];
+  if (file.type) details.push(file.type);
+  if (file.fileClass !== "binary" && file.encoding) {
+    details.push(file.bom ? `${file.encoding.toUpperCase()} with BOM` : file.encoding.toUpperCase());
+  }
+  details.push(formatFileSize(file.size));
+  return details.join(", ");
+}
+
+export {
+  FILE_CLASSES,
+  CONTENT_ACTIONS,
+  DEFAULT_CONTENT_POLICY,
+  classifyContent,
+  readFileContent,
+  readFileContentAsync,
+  createReadAhead,
+  resolveContentPolicy,
+  includedContent,
+  describeContent,
+};
@@ -0,0 +1,354 @@
+import { spawn, spawnSync } from "child_process";
+
+// Protocols accepted in URL form (scp-like git@host:path is handled separately);
+// cloning over http: also needs the host on the allowlist (see checkRemoteAccess)
+const ALLOWED_PROTOCOLS = ["https:", "http:", "ssh:", "git:"];
+
+// Characters that have no business in a repository URL and are meaningful to a shell
+const FORBIDDEN_CHARACTERS = /[\s\u0000-\u001f\u007f;&|`$<>(){}[\]'"\\!*?^~#%,]/;
+
+const HOST_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)*$/;
+const USER_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+const SEGMENT_PATTERN = /^[A-Za-z0-9_.][A-Za-z0-9_.-]*$/;
+const SCP_LIKE_PATTERN = /^([^@/:]+)@([^@/:]+):(.+)$/;
+
+const MAX_URL_LENGTH = 2048;
+
+// The user and password of http(s) URLs, where tokens are commonly put, and the
+// password of any other URL
+const HTTP_CREDENTIALS_PATTERN = /\b(https?:\/\/)[^\s/@]+@/gi;
+const URL_PASSWORD_PATTERN = /\b([a-z][a-z0-9+.-]*:\/\/[^\s/:@]+):[^\s/@]+@/gi;
+
+// Progress lines git writes to stderr with --progress, e.g.
+// "Receiving objects:  45% (450/1000), 1.2 MiB | 2.0 MiB/s"
+const PROGRESS_PATTERN = /^(?:remote: )?([A-Za-z][A-Za-z ]*):\s+(\d+)%/;
+
+// Cached result of the git availability check
+let gitAvailable = null;
+
+/**
+ * Run git with an argument array. No shell is involved, so arguments are never
+ * re-parsed or expanded.
+ * @param {Array<string>} args - Arguments passed to git
+ * @param {Object} options - Process options
+ * @param {string} options.cwd - Working directory (passed to git as -C)
+ * @param {Object} options.env - Extra environment variables
+ * @param {Array<string>} options.secrets - Values removed from stderr, such as tokens
+ * @returns {Object} Result with exit code, stdout and stderr (credentials redacted)
+ */
+function runGit(args, options = {}) {
+  const { cwd, env, secrets = [] } = options;
+
+  const result = spawnSync("git", gitArguments(args, cwd), {
+    shell: false,
+    encoding: "utf8",
+    windowsHide: true,
+    env: gitEnvironment(env),
+  });
+
+  if (result.error) {
+    return {
+      code: -1,
+      stdout: "",
+      stderr: redactCredentials(result.error.message, secrets),
+      error: result.error,
+    };
+  }
+
+  return {
+    code: result.status === null ? -1 : result.status,
+    stdout: result.stdout || "",
+    stderr: redactCredentials(result.stderr || "", secrets),
+  };
+}
+
+/**
+ * Run git without blocking, reporting the progress lines it writes to stderr.
+ * Pass --progress in the arguments to get progress when stderr is not a terminal.
+ * @param {Array<string>} args - Arguments passed to git
+ * @param {Object} options - Process options
+ * @param {string} options.cwd - Working directory (passed to git as -C)
+ * @param {Object} options.env - Extra environment variables
+ * @param {Array<string>} options.secrets - Values removed from stderr, such as tokens
+ * @param {function(string, number)} options.onProgress - Called with the step (e.g.
+ *   "Receiving objects") and its percentage for every progress line
+ * @param {function(string)} options.onLine - Called with every line of stdout as it
+ *   arrives; stdout is then not collected, so long output is never held in memory
+ * @param {AbortSignal} options.signal - Kills git once aborted
+ * @returns {Promise<Object>} Result with exit code, stdout and stderr (without progress
+ *   lines, credentials redacted)
+ */
+function runGitAsync(args, options = {}) {
+  const { cwd, env, secrets = [], onProgress = null, onLine = null, signal = null } = options;
+  const gitArgs = gitArguments(args, cwd);
+
+  return new Promise((resolve) => {
+    const child = spawn("git", gitArgs, {
+      shell: false,
+      windowsHide: true,
+      env: gitEnvironment(env),
+      ...(signal && { signal }),
+    });
+
+    let stdout = "";
+    let stderr = "";
+    let partialLine = "";
+    let partialOutput = "";
+
+    child.stdout.setEncoding("utf8");
+    child.stdout.on("data", (chunk) => {
+      if (!onLine) {
+        stdout += chunk;
+        return;
+      }
+      const lines = (partialOutput + chunk).split("\n");
+      partialOutput = lines.pop();
+      lines.forEach((line) => onLine(line));
+    });
+
+    // Progress lines are redrawn with \r, everything else ends with \n
+    const handleLine = (line, terminator) => {
+      const match = line.match(PROGRESS_PATTERN);
+      if (match) {
+        if (onProgress) onProgress(match[1].trim(), Number(match[2]));
+        // The last redraw of a step ends with \n; keep only the other lines
+        return;
+      }
+      if (line || terminator === "\n") stderr += `${line}\n`;
+    };
+
+    child.stderr.setEncoding("utf8");
+    child.stderr.on("data", (chunk) => {
+      const parts = (partialLine + chunk).split(/([\r\n])/);
+      partialLine = parts.pop();
+      for (let i = 0; i < parts.length; i += 2) {
+        handleLine(parts[i], parts[i + 1]);
+      }
+    });
+
+    child.on("error", (error) => {
+      resolve({ code: -1, stdout: "", stderr: redactCredentials(error.message, secrets), error });
+    });
+
+    child.on("close", (code) => {
+      if (partialLine) handleLine(partialLine, "");
+      if (partialOutput) onLine(partialOutput);
+      resolve({ code: code === null ? -1 : code, stdout, stderr: redactCredentials(stderr, secrets) });
+    });
+  });
+}
+
+/**
+ * Validate git arguments and prepend the working directory
+ * @private
+ */
+function gitArguments(args, cwd) {
+  if (!Array.isArray(args) || args.some((arg) => typeof arg !== "string")) {
+    throw new TypeError("git arguments must be an array of strings");
+  }
+  return cwd ? ["-C", cwd, ...args] : args;
+}
+
+/**
+ * Environment for git processes
+ * @private
+ */
+function gitEnvironment(env) {
+  return {
+    ...process.env,
+    // Never block on an interactive credential prompt
+    GIT_TERMINAL_PROMPT: "0",
+    ...env,
+  };
+}
+
+/**
+ * Remove credentials from text git printed or a URL about to be shown: the given
+ * secrets, the user and password of http(s) URLs and the password of other URLs
+ * @param {string} text - Text to clean
+ * @param {Array<string>} secrets - Values to replace, such as tokens
+ * @returns {string} Text with each credential replaced by ***
+ */
+function redactCredentials(text, secrets = []) {
+  if (!text) return text;
+  let redacted = text;
+  for (const secret of secrets) {
+    if (secret) redacted = redacted.split(secret).join("***");
+  }
+  return redacted
+    .replace(HTTP_CREDENTIALS_PATTERN, "$1***@")
+    .replace(URL_PASSWORD_PATTERN, "$1:***@");
+}
+
+/**
+ * Check whether git is available on this system
+ * @returns {boolean} True if `git --version` runs successfully
+ */
+function isGitInstalled() {
+  if (gitAvailable === null) {
+    gitAvailable = runGit(["--version"]).code === 0;
+  }
+  return gitAvailable;
+}
+
+/**
+ * Split and validate a repository path into its segments
+ * @private
+ */
+function parseRepoPath(pathname) {
+  const segments = pathname.split("/").filter(Boolean);
+  if (segments.length === 0) {
+    return { valid: false, reason: "URL does not contain a repository path" };
+  }
+
+  for (const segment of segments) {
+    if (segment === "." || segment === ".." || !SEGMENT_PATTERN.test(segment)) {
+      return { valid: false, reason: `Invalid path segment in URL: ${segment}` };
+    }
+  }
+
+  const name = segments[segments.length - 1].replace(/\.git$/, "");
+  if (!name) {
+    return { valid: false, reason: "Could not extract repository name from URL" };
+  }
+
+  return { valid: true, segments, name };
+}
+
+/**
+ * Strictly parse a remote git repository URL.
+ * Accepts https://, http://, ssh:// and git:// URLs and scp-like user@host:path addresses.
+ * Rejects option-like input, shell metacharacters, remote helpers (ext::) and
+ * embedded credentials.
+ * @param {string} repoURL - URL to parse
+ * @returns {Object} { valid: true, url, protocol, host, port, user, path, name } or { valid: false, reason }
+ */
+function parseGitURL(repoURL) {
+  if (!repoURL || typeof repoURL !== "string") {
+    return { valid: false, reason: "Repository URL must be a non-empty string" };
+  }
+
+  const url = repoURL.trim();
+
+  if (url.length > MAX_URL_LENGTH) {
+    return { valid: false, reason: "Repository URL is too long" };
+  }
+
+  if (url.startsWith("-")) {
+    return { valid: false, reason: "Repository URL must not start with '-'" };
+  }
+
+  if (FORBIDDEN_CHARACTERS.test(url)) {
+    return { valid: false, reason: "Repository URL contains forbidden characters" };
+  }
+
+  // new URL() would silently normalize dot segments away
+  if (/(^|[/:])\.\.?(\/|$)/.test(url)) {
+    return { valid: false, reason: "Relative path segments are not allowed in the URL" };
+  }
+
+  if (url.includes("::")) {
+    return { valid: false, reason: "Git remote helper syntax is not allowed" };
+  }
+
+  // scp-like syntax: git@github.com:user/repo.git
+  const scpMatch = url.match(SCP_LIKE_PATTERN);
+  if (scpMatch && !url.includes("://")) {
+    const [, user, host, repoPath] = scpMatch;
+    if (!USER_PATTERN.test(user)) {
+      return { valid: false, reason: `Invalid user in URL: ${user}` };
+    }
+    if (!HOST_PATTERN.test(host)) {
+      return { valid: false, reason: `Invalid host in URL: ${host}` };
+    }
+
+    const parsedPath = parseRepoPath(repoPath);
+    if (!parsedPath.valid) return parsedPath;
+
+    return {
+      valid: true,
+      url,
+      protocol: "scp",
+      host: host.toLowerCase(),
+      port: null,
+      user,
+      path: parsedPath.segments.join("/"),
+      name: parsedPath.name,
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return { valid: false, reason: "Repository URL is not a valid URL" };
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    return { valid: false, reason: `Unsupported protocol: ${parsed.protocol}` };
+  }
+
+  if (parsed.password) {
+    return { valid: false, reason: "Credentials must not be embedded in the URL" };
+  }
+
+  if (parsed.username && !USER_PATTERN.test(parsed.username)) {
+    return { valid: false, reason: `Invalid user in URL: ${parsed.username}` };
+  }
+
+  if (!HOST_PATTERN.test(parsed.hostname)) {
+    return { valid: false, reason: `Invalid host in URL: ${parsed.hostname}` };
+  }
+
+  if (parsed.search || parsed.hash) {
+    return { valid: false, reason: "Repository URL must not contain a query or fragment" };
+  }
+
+  const parsedPath = parseRepoPath(parsed.pathname);
+  if (!parsedPath.valid) return parsedPath;
+
+  return {
+    valid: true,
+    url,
+    protocol: parsed.protocol.slice(0, -1),
+    host: parsed.hostname.toLowerCase(),
+    port: parsed.port || null,
+    user: parsed.username || null,
+    path: parsedPath.segments.join("/"),
+    name: parsedPath.name,
+  };
+}
+
+/**
+ * Validate a branch or tag name before passing it to git
+ * @param {string} ref - Branch or tag name
+ * @returns {boolean} True if the name is safe to use as a ref
+ */
+function isSafeRefName(ref) {
+  return (
+    typeof ref === "string" &&
+    /^[A-Za-z0-9_./-]+$/.test(ref) &&
+    !ref.startsWith("-") &&
+    !ref.includes("..") &&
+    !ref.endsWith(".lock")
+  );
+}
+
+/**
+ * Validate a commit SHA (abbreviated or full)
+ * @param {string} commit - Commit SHA
+ * @returns {boolean} True if the value looks like a hexadecimal object id
+ */
+function isCommitSha(commit) {
+  return typeof commit === "string" && /^[0-9a-f]{4,64}$/i.test(commit);
+}
+
+export {
+  runGit,
+  runGitAsync,
+  isGitInstalled,
+  parseGitURL,
+  isSafeRefName,
+  isCommitSha,
+  redactCredentials,
+};
@@ -0,0 +1,201 @@
+import fs from "fs";
+import path from "path";
+
+// Environment variables read for remote access. Tokens are only ever read from
+// the environment so they never appear on a command line or in a config file.
+const ALLOWED_HOSTS_VARIABLE = "REPOSKETCH_ALLOWED_HOSTS";
+const TOKEN_VARIABLE = "REPOSKETCH_GIT_TOKEN";
+const USERNAME_VARIABLE = "REPOSKETCH_GIT_USERNAME";
+const SSH_KEY_VARIABLE = "REPOSKETCH_SSH_KEY";
+
+// Username sent with a token when none is configured; GitHub, GitLab, Gitea and
+// Bitbucket Server accept any username with a personal access token
+const DEFAULT_TOKEN_USERNAME = "x-access-token";
+
+// Variables the credential helper reads the token from, set for git only
+const HELPER_USERNAME_VARIABLE = "REPOSKETCH_CREDENTIAL_USERNAME";
+const HELPER_TOKEN_VARIABLE = "REPOSKETCH_CREDENTIAL_TOKEN";
+const TOKEN_HELPER =
+  `!f() { test "$1" = get && printf 'username=%s\\npassword=%s\\n' ` +
+  `"$${HELPER_USERNAME_VARIABLE}" "$${HELPER_TOKEN_VARIABLE}"; }; f`;
+
+const HOST_PATTERN = /^(\*\.)?[A-Za-z0-9](?:[A-Za-z0-9.-]*[A-Za-z0-9])?(?::\d+)?$/;
+
+/**
+ * Name of the variable holding the token for one host, e.g.
+ * REPOSKETCH_GIT_TOKEN_GIT_EXAMPLE_COM for git.example.com
+ * @param {string} host - Host name of the remote
+ * @returns {string} Variable name
+ */
+function hostTokenVariable(host) {
+  return `${TOKEN_VARIABLE}_${host.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+}
+
+/**
+ * Parse and check host allowlist entries: a host ("git.example.com"), a host with
+ * a port ("localhost:8080") or every subdomain of a domain ("*.example.com")
+ * @param {Array<string>|string} hosts - Entries, or a comma separated string
+ * @returns {Array<string>} Lowercase entries
+ * @throws {Error} For an entry that is not a host pattern
+ */
+function parseAllowedHosts(hosts) {
+  const entries = (typeof hosts === "string" ? hosts.split(",") : hosts)
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+  const invalid = entries.find((host) => !HOST_PATTERN.test(host));
+  if (invalid !== undefined) {
+    throw new Error(`Invalid allowed host: ${invalid} (expected host, host:port or *.domain)`);
+  }
+  return entries;
+}
+
+/**
+ * The hosts remote repositories may be cloned from: the given list, else
+ * $REPOSKETCH_ALLOWED_HOSTS, else null for any host
+ * @param {Array<string>|null} allowedHosts - Explicit allowlist
+ * @returns {Array<string>|null} Allowlist, or null when every host is allowed
+ */
+function resolveAllowedHosts(allowedHosts = null) {
+  if (allowedHosts) return parseAllowedHosts(allowedHosts);
+  const configured = process.env[ALLOWED_HOSTS_VARIABLE];
+  return configured ? parseAllowedHosts(configured) : null;
+}
+
+/**
+ * Check whether a parsed URL's host matches an allowlist entry
+ * @private
+ */
+function matchesHost(parsedURL, entry) {
+  const [pattern, port] = entry.split(":");
+  if (port && port !== parsedURL.port) return false;
+  return pattern.startsWith("*.")
+    ? parsedURL.host.endsWith(pattern.slice(1))
+    : parsedURL.host === pattern;
+}
+
+/**
+ * Check whether a repository may be cloned. With an allowlist only its hosts are
+ * allowed; plain http:// is only allowed for hosts on an allowlist, such as a
+ * local git server, since it sends credentials unencrypted.
+ * @param {Object} parsedURL - Result of parseGitURL
+ * @param {Array<string>|null} allowedHosts - Allowlist (see resolveAllowedHosts)
+ * @returns {Object} { allowed: true } or { allowed: false, reason }
+ */
+function checkRemoteAccess(parsedURL, allowedHosts = null) {
+  const hosts = resolveAllowedHosts(allowedHosts);
+  const host = parsedURL.port ? `${parsedURL.host}:${parsedURL.port}` : parsedURL.host;
+  if (hosts && !hosts.some((entry) => matchesHost(parsedURL, entry))) {
+    return { allowed: false, reason: `Host ${host} is not in the allowed hosts (${hosts.join(", ")})` };
+  }
+  if (parsedURL.protocol === "http" && !hosts) {
+    return {
+      allowed: false,
+      reason: `Plain http:// is only allowed for hosts in the allowed hosts; allow ${host} or use https://`,
+    };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Quote a value for the POSIX shell git runs GIT_SSH_COMMAND with
+ * @private
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Build the environment that lets git authenticate to a remote, and the secrets
+ * to remove from anything git prints. For http(s) remotes a token from
+ * options.tokenEnv or REPOSKETCH_GIT_TOKEN_<HOST> is handed to git by a credential
+ * helper scoped to the remote's host, so it is never put in the URL, the arguments
+ * or the clone's config. The shared REPOSKETCH_GIT_TOKEN is only used for hosts on
+ * an explicit allowlist, so a URL pointing elsewhere cannot collect it. A
+ * credential helper of your own is asked after the token. For ssh remotes a key
+ * from options.sshKey or REPOSKETCH_SSH_KEY is used instead of the default keys.
+ * @param {Object} parsedURL - Result of parseGitURL
+ * @param {Object} options - Authentication options
+ * @param {Array<string>|null} options.allowedHosts - Allowlist (see resolveAllowedHosts);
+ *   REPOSKETCH_GIT_TOKEN is only sent to its hosts
+ * @param {string} options.tokenEnv - Read the token from this environment variable
+ * @param {string} options.username - Username sent with the token (default
+ *   $REPOSKETCH_GIT_USERNAME, the URL's user or "x-access-token")
+ * @param {string} options.credentialHelper - git credential helper to ask, such as
+ *   "store", "cache" or "!my-helper"
+ * @param {string} options.sshKey - Private key file for ssh remotes
+ * @returns {Object} { env, secrets } to pass to runGit and runGitAsync
+ * @throws {Error} When options.tokenEnv is not set or the ssh key does not exist
+ */
+function createGitAuth(parsedURL, options = {}) {
+  const {
+    allowedHosts = null,
+    tokenEnv = null,
+    username = null,
+    credentialHelper = null,
+    sshKey = null,
+  } = options;
+  const env = {};
+  const secrets = [];
+  const config = [];
+
+  if (parsedURL.protocol === "https" || parsedURL.protocol === "http") {
+    if (tokenEnv && !process.env[tokenEnv]) {
+      throw new Error(`Environment variable ${tokenEnv} is not set`);
+    }
+    const hosts = resolveAllowedHosts(allowedHosts);
+    const sharedTokenAllowed = hosts !== null && hosts.some((entry) => matchesHost(parsedURL, entry));
+    const token = tokenEnv
+      ? process.env[tokenEnv]
+      : process.env[hostTokenVariable(parsedURL.host)] ||
+        (sharedTokenAllowed ? process.env[TOKEN_VARIABLE] : undefined);
+
+    const origin = `${parsedURL.protocol}://${parsedURL.host}${parsedURL.port ? `:${parsedURL.port}` : ""}`;
+    if (token || credentialHelper) {
+      // An empty helper drops the helpers configured for this host before ours
+      config.push([`credential.${origin}.helper`, ""]);
+    }
+    if (token) {
+      config.push([`credential.${origin}.helper`, TOKEN_HELPER]);
+      env[HELPER_USERNAME_VARIABLE] =
+        username || process.env[USERNAME_VARIABLE] || parsedURL.user || DEFAULT_TOKEN_USERNAME;
+      env[HELPER_TOKEN_VARIABLE] = token;
+      secrets.push(token);
+    }
+    if (credentialHelper) {
+      config.push([`credential.${origin}.helper`, credentialHelper]);
+    }
+  }
+
+  const keyFile = sshKey || process.env[SSH_KEY_VARIABLE];
+  if (keyFile && (parsedURL.protocol === "ssh" || parsedURL.protocol === "scp")) {
+    const keyPath = path.resolve(keyFile);
+    if (!fs.existsSync(keyPath)) {
+      throw new Error(`SSH key not found: ${keyPath}`);
+    }
+    // BatchMode fails instead of prompting for a passphrase or host key
+    env.GIT_SSH_COMMAND =
+      `ssh -i ${shellQuote(keyPath)} -o IdentitiesOnly=yes -o BatchMode=yes`;
+  }
+
+  // Config passed through the environment (git 2.31+) stays out of the arguments
+  const base = Number.parseInt(process.env.GIT_CONFIG_COUNT, 10) || 0;
+  for (const [index, [key, value]] of config.entries()) {
+    env[`GIT_CONFIG_KEY_${base + index}`] = key;
+    env[`GIT_CONFIG_VALUE_${base + index}`] = value;
+  }
+  if (config.length > 0) env.GIT_CONFIG_COUNT = String(base + config.length);
+
+  return { env, secrets };
+}
+
+export {
+  ALLOWED_HOSTS_VARIABLE,
+  TOKEN_VARIABLE,
+  USERNAME_VARIABLE,
+  SSH_KEY_VARIABLE,
+  hostTokenVariable,
+  parseAllowedHosts,
+  resolveAllowedHosts,
+  checkRemoteAccess,
+  createGitAuth,
+};
@@ -0,0 +1,377 @@
+import { runGit, runGitAsync, isGitInstalled } from "./git.js";
+import { walkTreeModel } from "./treeModel.js";
+
+// Separators of the commit header lines in the log output
+const RECORD_START = "\u001e";
+const FIELD_SEPARATOR = "\u001f";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SHALLOW_NOTE =
+  "Shallow clone: only the fetched commits are included; clone the full history for complete results";
+
+// Activity is grouped by year instead of month over longer spans
+const MAX_MONTHLY_PERIODS = 36;
+
+/**
+ * Undo git's C-style quoting of unusual file names ("a\\tb" becomes a<TAB>b)
+ * @private
+ */
+function unquotePath(quoted) {
+  if (!quoted.startsWith('"') || !quoted.endsWith('"')) return quoted;
+  const escapes = { n: 0x0a, t: 0x09, r: 0x0d, a: 0x07, b: 0x08, f: 0x0c, v: 0x0b };
+  const bytes = [];
+  const body = quoted.slice(1, -1);
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== "\\") {
+      bytes.push(...Buffer.from(body[i]));
+      continue;
+    }
+    const next = body[++i];
+    if (/[0-7]/.test(next)) {
+      bytes.push(parseInt(body.slice(i, i + 3), 8));
+      i += 2;
+    } else {
+      bytes.push(next in escapes ? escapes[next] : next.charCodeAt(0));
+    }
+  }
+  return Buffer.from(bytes).toString("utf8");
+}
+
+/**
+ * Enclosing directories of a path, nearest last ("a/b/c.js" gives "a", "a/b")
+ * @private
+ */
+function parentDirectories(filePath) {
+  const parts = filePath.split("/").slice(0, -1);
+  return parts.map((part, index) => parts.slice(0, index + 1).join("/"));
+}
+
+/**
+ * Keep the later of two ISO dates
+ * @private
+ */
+function later(a, b) {
+  return a === null || b > a ? b : a;
+}
+
+/**
+ * Keep the earlier of two ISO dates
+ * @private
+ */
+function earlier(a, b) {
+  return a === null || b < a ? b : a;
+}
+
+/**
+ * Commits per month, or per year when the history spans more than
+ * MAX_MONTHLY_PERIODS months. Periods without commits are included.
+ * @private
+ */
+function groupActivity(commitDates) {
+  if (commitDates.length === 0) return { interval: "month", periods: [] };
+
+  const months = commitDates.map((commit) => commit.date.slice(0, 7)).sort();
+  const [firstYear, firstMonth] = months[0].split("-").map(Number);
+  const [lastYear, lastMonth] = months[months.length - 1].split("-").map(Number);
+  const span = (lastYear - firstYear) * 12 + lastMonth - firstMonth + 1;
+  const interval = span > MAX_MONTHLY_PERIODS ? "year" : "month";
+
+  const periods = new Map();
+  if (interval === "month") {
+    for (let index = 0; index < span; index++) {
+      const year = firstYear + Math.floor((firstMonth - 1 + index) / 12);
+      const month = ((firstMonth - 1 + index) % 12) + 1;
+      periods.set(`${year}-${String(month).padStart(2, "0")}`, null);
+    }
+  } else {
+    for (let year = firstYear; year <= lastYear; year++) periods.set(String(year), null);
+  }
+  for (const key of periods.keys()) {
+    periods.set(key, { period: key, commits: 0, authors: new Set(), linesAdded: 0, linesDeleted: 0 });
+  }
+
+  for (const commit of commitDates) {
+    const entry = periods.get(interval === "month" ? commit.date.slice(0, 7) : commit.date.slice(0, 4));
+    entry.commits++;
+    entry.authors.add(commit.author);
+    entry.linesAdded += commit.linesAdded;
+    entry.linesDeleted += commit.linesDeleted;
+  }
+
+  return {
+    interval,
+    periods: Array.from(periods.values(), (entry) => ({ ...entry, authors: entry.authors.size })),
+  };
+}
+
+/**
+ * Analyze the git history of the directory a tree model was built from: top
+ * contributors, the most frequently changed files, when every file and directory
+ * was last changed, commits over time and directories that have gone stale.
+ * Merge commits are not counted, and a renamed file starts a new history.
+ * @param {Object} model - Root node from buildTreeModel; only its files and
+ *   directories get per-path dates
+ * @param {Object} options - Analysis options
+ * @param {number} options.staleAfterDays - Directories unchanged for this many days
+ *   before the newest commit are stale (default 180)
+ * @param {number} options.limit - Number of contributors and changed files listed (default 20)
+ * @param {AbortSignal} options.signal - Stops git and the analysis once aborted
+ * @param {function(Object)} options.onProgress - Called with { commits } as the log is read
+ * @returns {Promise<Object|null>} { shallow, commits, firstCommit, lastCommit,
+ *   totalContributors, contributors, churn, files, directories, activity, stale },
+ *   or null when the directory is not in a git working copy
+ */
+async function analyzeGitHistory(model, options = {}) {
+  const { staleAfterDays = 180, limit = 20, signal = null, onProgress = null } = options;
+
+  if (!isGitInstalled()) return null;
+  const git = (args) => {
+    const result = runGit(args, { cwd: model.path });
+    return result.code === 0 ? result.stdout.trim() : null;
+  };
+  if (git(["rev-parse", "--is-inside-work-tree"]) !== "true") return null;
+
+  const contributors = new Map();
+  const files = new Map();
+  const directories = new Map();
+  const commitDates = [];
+  let commit = null;
+
+  // Credit a finished commit once to every directory it touched
+  const finishCommit = () => {
+    if (!commit) return;
+    const touched = new Set(commit.paths.flatMap(parentDirectories));
+    for (const directory of touched) {
+      const entry = directories.get(directory) || { commits: 0, lastModified: null };
+      entry.commits++;
+      entry.lastModified = later(entry.lastModified, commit.date);
+      directories.set(directory, entry);
+    }
+    // Keep only what the activity needs
+    const { author, date, linesAdded, linesDeleted } = commit;
+    commitDates.push({ author, date, linesAdded, linesDeleted });
+    if (onProgress && commitDates.length % 100 === 0) onProgress({ commits: commitDates.length });
+  };
+
+  const handleLine = (line) => {
+    if (line.startsWith(RECORD_START)) {
+      finishCommit();
+      const [, name, email, authored] = line.slice(1).split(FIELD_SEPARATOR);
+      const date = new Date(authored).toISOString();
+      const key = email.toLowerCase() || name;
+      const contributor = contributors.get(key) || {
+        name,
+        email,
+        commits: 0,
+        linesAdded: 0,
+        linesDeleted: 0,
+        firstCommit: null,
+        lastCommit: null,
+      };
+      contributor.commits++;
+      contributor.firstCommit = earlier(contributor.firstCommit, date);
+      // The newest commit names the contributor
+      if (later(contributor.lastCommit, date) === date) contributor.name = name;
+      contributor.lastCommit = later(contributor.lastCommit, date);
+      contributors.set(key, contributor);
+      commit = { author: key, date, paths: [], linesAdded: 0, linesDeleted: 0, contributor };
+      return;
+    }
+
+    const match = /^(\d+|-)\t(\d+|-)\t(.+)$/.exec(line);
+    if (!match || !commit) return;
+
+    // Binary files show "-" instead of line counts
+    const added = match[1] === "-" ? 0 : Number(match[1]);
+    const deleted = match[2] === "-" ? 0 : Number(match[2]);
+    const filePath = unquotePath(match[3]);
+
+    commit.paths.push(filePath);
+    commit.linesAdded += added;
+    commit.linesDeleted += deleted;
+    commit.contributor.linesAdded += added;
+    commit.contributor.linesDeleted += deleted;
+
+    const file = files.get(filePath) || {
+      commits: 0,
+      linesAdded: 0,
+      linesDeleted: 0,
+      created: null,
+      lastModified: null,
+    };
+    file.commits++;
+    file.linesAdded += added;
+    file.linesDeleted += deleted;
+    file.created = earlier(file.created, commit.date);
+    file.lastModified = later(file.lastModified, commit.date);
+    files.set(filePath, file);
+  };
+
+  // --relative and the "." pathspec limit the log to the analyzed directory and
+  // make its paths relative to it
+  const result = await runGitAsync(
+    [
+      "-c",
+      "core.quotePath=false",
+      "log",
+      "--no-merges",
+      "--no-renames",
+      "--numstat",
+      "--relative",
+      `--format=${RECORD_START}%H${FIELD_SEPARATOR}%aN${FIELD_SEPARATOR}%aE${FIELD_SEPARATOR}%aI`,
+      "--",
+      ".",
+    ],
+    { cwd: model.path, signal, onLine: handleLine }
+  );
+  if (signal) signal.throwIfAborted();
+  // A repository without commits has nothing to report
+  if (result.code !== 0 && git(["rev-parse", "--verify", "--quiet", "HEAD"]) !== null) {
+    throw new Error(`git log failed: ${result.stderr.trim()}`);
+  }
+  finishCommit();
+  if (onProgress) onProgress({ commits: commitDates.length });
+
+  const dates = commitDates.map((entry) => entry.date).sort();
+  const lastCommit = dates.length > 0 ? dates[dates.length - 1] : null;
+
+  // Per-path dates only for what is in the tree; deleted paths still count as churn
+  const treeFiles = [];
+  const treeDirectories = [];
+  for (const node of walkTreeModel(model)) {
+    if (node.type === "file" && files.has(node.relativePath)) {
+      const { commits, created, lastModified } = files.get(node.relativePath);
+      treeFiles.push({ path: node.relativePath, commits, created, lastModified });
+    } else if (node.type === "directory" && directories.has(node.relativePath)) {
+      const { commits, lastModified } = directories.get(node.relativePath);
+      treeDirectories.push({ path: node.relativePath, commits, lastModified });
+    }
+  }
+  treeFiles.sort((a, b) => a.path.localeCompare(b.path));
+  treeDirectories.sort((a, b) => a.path.localeCompare(b.path));
+
+  // Only the outermost stale directories; everything below them is stale too
+  const staleBefore = lastCommit ? Date.parse(lastCommit) - staleAfterDays * DAY : null;
+  const staleDirectories = [];
+  const stalePaths = new Set();
+  for (const directory of treeDirectories) {
+    if (Date.parse(directory.lastModified) >= staleBefore) continue;
+    stalePaths.add(directory.path);
+    if (parentDirectories(directory.path).some((parent) => stalePaths.has(parent))) continue;
+    staleDirectories.push({
+      path: directory.path,
+      lastModified: directory.lastModified,
+      daysUnchanged: Math.floor((Date.parse(lastCommit) - Date.parse(directory.lastModified)) / DAY),
+    });
+  }
+
+  return {
+    shallow: git(["rev-parse", "--is-shallow-repository"]) === "true",
+    commits: commitDates.length,
+    firstCommit: dates.length > 0 ? dates[0] : null,
+    lastCommit,
+    totalContributors: contributors.size,
+    contributors: Array.from(contributors.values())
+      .sort((a, b) => b.commits - a.commits || b.linesAdded - a.linesAdded || a.name.localeCompare(b.name))
+      .slice(0, limit),
+    churn: Array.from(files, ([filePath, file]) => ({
+      path: filePath,
+      commits: file.commits,
+      linesAdded: file.linesAdded,
+      linesDeleted: file.linesDeleted,
+    }))
+      .sort((a, b) => b.commits - a.commits || a.path.localeCompare(b.path))
+      .slice(0, limit),
+    files: treeFiles,
+    directories: treeDirectories,
+    activity: groupActivity(commitDates),
+    stale: { afterDays: staleAfterDays, directories: staleDirectories },
+  };
+}
+
+/**
+ * Date part of an ISO timestamp
+ * @private
+ */
+function day(isoDate) {
+  return isoDate ? isoDate.slice(0, 10) : "never";
+}
+
+/**
+ * Count with a noun, e.g. "1 commit" or "3 commits"
+ * @private
+ */
+function count(number, noun) {
+  return `${number} ${noun}${number === 1 ? "" : "s"}`;
+}
+
+/**
+ * Describe a history analysis in one line, e.g.
+ * "120 commits by 4 contributors, 2023-01-02 to 2024-06-30"
+ * @param {Object} history - Result of analyzeGitHistory
+ * @returns {string} Description
+ */
+function describeHistory(history) {
+  if (history.commits === 0) return "No commits";
+  return `${count(history.commits, "commit")} by ${count(history.totalContributors, "contributor")}, ${day(
+    history.firstCommit
+  )} to ${day(history.lastCommit)}`;
+}
+
+/**
+ * Render a history analysis as plain text: contributors, most changed files,
+ * activity as a bar chart, top-level directories with their last change and the
+ * stale directories
+ * @param {Object} history - Result of analyzeGitHistory
+ * @returns {Array<string>} Report lines
+ */
+function formatHistoryReport(history) {
+  if (history.commits === 0) {
+    return [describeHistory(history)];
+  }
+
+  const lines = [`${describeHistory(history)} (merge commits not counted)`];
+  if (history.shallow) {
+    lines.push(SHALLOW_NOTE);
+  }
+
+  lines.push("", "Top Contributors:");
+  for (const contributor of history.contributors) {
+    lines.push(
+      `- ${contributor.name} <${contributor.email}>: ${count(contributor.commits, "commit")}, +${contributor.linesAdded} -${contributor.linesDeleted} lines`
+    );
+  }
+
+  lines.push("", "Most Changed Files:");
+  for (const file of history.churn) {
+    lines.push(`- ${file.path}: ${count(file.commits, "commit")}, +${file.linesAdded} -${file.linesDeleted} lines`);
+  }
+
+  const { interval, periods } = history.activity;
+  const busiest = Math.max(...periods.map((entry) => entry.commits));
+  lines.push("", `Activity (commits per ${interval}):`);
+  for (const entry of periods) {
+    const bar = "#".repeat(Math.ceil((entry.commits / busiest) * 40));
+    lines.push(`${entry.period.padEnd(7)} ${String(entry.commits).padStart(6)} ${bar}`);
+  }
+
+  const topLevel = history.directories.filter((directory) => !directory.path.includes("/"));
+  if (topLevel.length > 0) {
+    lines.push("", "Last Changed:");
+    for (const directory of topLevel) {
+      lines.push(`- ${directory.path}/: ${day(directory.lastModified)} (${count(directory.commits, "commit")})`);
+    }
+  }
+
+  lines.push("", `Stale Directories (unchanged for ${history.stale.afterDays} days before the last commit):`);
+  if (history.stale.directories.length === 0) {
+    lines.push("- none");
+  }
+  for (const directory of history.stale.directories) {
+    lines.push(`- ${directory.path}/: last changed ${day(directory.lastModified)}, ${count(directory.daysUnchanged, "day")} earlier`);
+  }
+  return lines;
+}
+
+export { SHALLOW_NOTE, analyzeGitHistory, describeHistory, formatHistoryReport };
@@ -0,0 +1,265 @@
+import fs from "fs";
+import path from "path";
+
+// Project-level ignore file read from the root of every traversal
+const REPOSKETCH_IGNORE_FILE = ".reposketchignore";
+const GITIGNORE_FILE = ".gitignore";
+
+/**
+ * Convert a gitignore glob into a regular expression source
+ * @private
+ */
+function globToRegexSource(glob) {
+  let source = "";
+  let i = 0;
+
+  while (i < glob.length) {
+    const char = glob[i];
+
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        const atStart = i === 0 || glob[i - 1] === "/";
+        const atEnd = i + 2 === glob.length || glob[i + 2] === "/";
+        if (atStart && atEnd) {
+          if (i + 2 === glob.length) {
+            // Trailing "**" matches everything inside
+            source += ".*";
+            i += 2;
+          } else {
+            // "**/" matches zero or more directories
+            source += "(?:.*/)?";
+            i += 3;
+          }
+          continue;
+        }
+      }
+      source += "[^/]*";
+      i++;
+      continue;
+    }
+
+    if (char === "?") {
+      source += "[^/]";
+      i++;
+      continue;
+    }
+
+    if (char === "[") {
+      const close = glob.indexOf("]", i + 2);
+      if (close !== -1) {
+        let charClass = glob.slice(i + 1, close);
+        if (charClass.startsWith("!")) {
+          charClass = "^" + charClass.slice(1);
+        }
+        source += `[${charClass.replace(/\\/g, "\\\\")}]`;
+        i = close + 1;
+        continue;
+      }
+    }
+
+    if (char === "\\" && i + 1 < glob.length) {
+      source += escapeRegex(glob[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    source += escapeRegex(char);
+    i++;
+  }
+
+  return source;
+}
+
+/**
+ * Escape a character for use in a regular expression
+ * @private
+ */
+function escapeRegex(text) {
+  return text.replace(/[.+^${}()|[\]\\/]/g, "\\$&");
+}
+
+/**
+ * Compile a single gitignore line into a rule
+ * @param {string} line - Line from an ignore file
+ * @param {string} baseDir - Directory the rule is relative to (relative to the traversal root, "" for the root)
+ * @param {string} source - Where the rule came from (used in ignore reasons)
+ * @returns {Object|null} Compiled rule, or null for blank lines and comments
+ */
+function compileIgnoreRule(line, baseDir = "", source = "") {
+  // Strip trailing whitespace unless it is escaped
+  let pattern = line.replace(/(?<!\\)\s+$/, "");
+
+  if (!pattern || pattern.startsWith("#")) {
+    return null;
+  }
+
+  let negated = false;
+  if (pattern.startsWith("!")) {
+    negated = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith("\\!") || pattern.startsWith("\\#")) {
+    pattern = pattern.slice(1);
+  }
+
+  let directoryOnly = false;
+  if (pattern.endsWith("/")) {
+    directoryOnly = true;
+    pattern = pattern.replace(/\/+$/, "");
+  }
+
+  if (!pattern) {
+    return null;
+  }
+
+  // A slash anywhere but at the end anchors the pattern to the ignore file's directory
+  const anchored = pattern.includes("/");
+  if (pattern.startsWith("/")) {
+    pattern = pattern.slice(1);
+  }
+
+  const body = globToRegexSource(pattern);
+  const regex = new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`);
+
+  return {
+    pattern: line.trim(),
+    negated,
+    directoryOnly,
+    baseDir,
+    source,
+    regex,
+  };
+}
+
+/**
+ * Parse the contents of an ignore file into rules
+ * @param {string} content - File contents
+ * @param {string} baseDir - Directory the rules are relative to
+ * @param {string} source - Where the rules came from
+ * @returns {Array<Object>} Compiled rules
+ */
+function parseIgnoreFile(content, baseDir = "", source = "") {
+  return content
+    .split(/\r?\n/)
+    .map((line) => compileIgnoreRule(line, baseDir, source))
+    .filter(Boolean);
+}
+
+/**
+ * Read an ignore file if it exists
+ * @private
+ */
+function readIgnoreFile(filePath, baseDir, source) {
+  try {
+    return parseIgnoreFile(fs.readFileSync(filePath, "utf8"), baseDir, source);
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Create a matcher that applies gitignore semantics to a directory tree.
+ * Rules are taken, from lowest to highest precedence, from .git/info/exclude, every
+ * .gitignore between the root and the path (deeper files win), the project-level
+ * .reposketchignore and the exclude option, so a repository cannot re-include what
+ * the caller excluded.
+ * @param {string} rootPath - Root of the traversal
+ * @param {Object} options - Matcher options
+ * @param {Array<string>} options.exclude - Extra gitignore-style patterns applied from the root
+ * @param {boolean} options.respectGitignore - Whether to read .gitignore files
+ * @returns {Object} Matcher with match(fullPath, isDirectory) and isIgnored(fullPath, isDirectory)
+ */
+function createIgnoreMatcher(rootPath, options = {}) {
+  const { exclude = [], respectGitignore = true } = options;
+  const root = path.resolve(rootPath);
+
+  const baseRules = respectGitignore
+    ? readIgnoreFile(path.join(root, ".git", "info", "exclude"), "", ".git/info/exclude")
+    : [];
+
+  const excludeRules = exclude
+    .map((pattern) => compileIgnoreRule(pattern, "", "exclude option"))
+    .filter(Boolean);
+
+  const projectRules = readIgnoreFile(
+    path.join(root, REPOSKETCH_IGNORE_FILE),
+    "",
+    REPOSKETCH_IGNORE_FILE
+  );
+
+  // .gitignore rules per directory, relative to the root
+  const directoryRules = new Map();
+
+  const rulesForDirectory = (relativeDir) => {
+    if (!respectGitignore) return [];
+    if (!directoryRules.has(relativeDir)) {
+      const source = relativeDir
+        ? `${relativeDir}/${GITIGNORE_FILE}`
+        : GITIGNORE_FILE;
+      directoryRules.set(
+        relativeDir,
+        readIgnoreFile(path.join(root, relativeDir, GITIGNORE_FILE), relativeDir, source)
+      );
+    }
+    return directoryRules.get(relativeDir);
+  };
+
+  /**
+   * Find the rule that decides whether a path is ignored
+   * @param {string} fullPath - Absolute path of the file or directory
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {Object|null} { ignored, pattern, source } for the last matching rule, or null
+   */
+  const match = (fullPath, isDirectory) => {
+    const relativePath = path
+      .relative(root, path.resolve(fullPath))
+      .split(path.sep)
+      .join("/");
+
+    // Outside the root; a name such as "..foo" is still inside
+    const outside =
+      relativePath === ".." || relativePath.startsWith("../") || path.isAbsolute(relativePath);
+    if (!relativePath || outside) {
+      return null;
+    }
+
+    // Collect rules in order of increasing precedence
+    const segments = relativePath.split("/");
+    const rules = [...baseRules];
+    for (let i = 0; i < segments.length; i++) {
+      rules.push(...rulesForDirectory(segments.slice(0, i).join("/")));
+    }
+    rules.push(...projectRules, ...excludeRules);
+
+    // The last matching rule wins
+    for (let i = rules.length - 1; i >= 0; i--) {
+      const rule = rules[i];
+      if (rule.directoryOnly && !isDirectory) continue;
+
+      if (rule.baseDir && !relativePath.startsWith(`${rule.baseDir}/`)) continue;
+      const candidate = rule.baseDir
+        ? relativePath.slice(rule.baseDir.length + 1)
+        : relativePath;
+
+      if (rule.regex.test(candidate)) {
+        return {
+          ignored: !rule.negated,
+          pattern: rule.pattern,
+          source: rule.source,
+        };
+      }
+    }
+
+    return null;
+  };
+
+  return {
+    root,
+    match,
+    isIgnored: (fullPath, isDirectory) => {
+      const result = match(fullPath, isDirectory);
+      return result !== null && result.ignored;
+    },
+  };
+}
+
+export { createIgnoreMatcher, compileIgnoreRule, parseIgnoreFile };
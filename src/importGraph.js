@@ -0,0 +1,803 @@
+import fs from "fs";
+import path from "path";
+import { builtinModules } from "module";
+import { walkTreeModel } from "./treeModel.js";
+import { createReadAhead } from "./fileContent.js";
+
+// The graph is drawn as Graphviz DOT or Mermaid, or written as data
+const GRAPH_FORMATS = ["dot", "mermaid", "json", "yaml"];
+
+// Files parsed for import statements
+const MODULE_PATTERN = /\.(?:[cm]?[jt]s|[jt]sx)$/;
+
+// Extensions tried, in order, for a specifier without one
+const RESOLVE_EXTENSIONS = [
+  ".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs", ".mts", ".cts", ".d.ts", ".json",
+];
+
+// TypeScript sources are imported by the name of their compiled output
+const TYPESCRIPT_SOURCES = {
+  ".js": [".ts", ".tsx"],
+  ".jsx": [".tsx"],
+  ".mjs": [".mts"],
+  ".cjs": [".cts"],
+};
+
+// Package exports and imports conditions that are followed, in order
+const CONDITIONS = ["source", "import", "require", "module", "node", "default", "types"];
+
+// Statements that load another module; the specifier is the first group
+const IMPORT_PATTERNS = [
+  { kind: "import", pattern: /(?:^|[^.\w$])import(?=[\s{*"'])\s*(?:type\s+)?(?:[\w$*{}\s,]+?\s*from\s*)?["']([^"'\n]+)["']/g },
+  { kind: "reexport", pattern: /(?:^|[^.\w$])export\s*(?:type\s+)?(?:\*(?:\s*as\s+[\w$]+)?|\{[^}]*\})\s*from\s*["']([^"'\n]+)["']/g },
+  { kind: "dynamic", pattern: /(?:^|[^.\w$])import\s*\(\s*["']([^"'\n]+)["']\s*[,)]/g },
+  { kind: "require", pattern: /(?:^|[^.\w$])require\s*\(\s*["']([^"'\n]+)["']\s*\)/g },
+];
+
+// Modules that tools load directly, so nothing importing them is expected
+const TOOL_ENTRY_PATTERNS = [
+  /^(?:src\/)?(?:index|main|app|server|cli)\.(?:[cm]?[jt]s|[jt]sx)$/,
+  /(?:^|\/)(?:__tests__|__mocks__|tests?|spec|e2e|scripts|bin)\//,
+  /\.(?:test|spec|stories|story|bench)\.(?:[cm]?[jt]s|[jt]sx)$/,
+  /(?:^|\/)[^/]+\.config\.[cm]?[jt]s$/,
+  /(?:^|\/)\.[^/]+rc\.[cm]?js$/,
+  /\.d\.[cm]?ts$/,
+];
+
+// Modules imported by at least this many others can be among the most depended on
+const MIN_DEPENDENTS = 2;
+const MAX_MOST_DEPENDED_ON = 10;
+
+/**
+ * Remove comments from JavaScript or TypeScript source, keeping string and
+ * template literals intact. Regular expression literals are not recognized.
+ * @private
+ * @returns {Object} { code, strings: [[start, end]] } with the ranges of the
+ *   string literals in the stripped code
+ */
+function stripComments(code) {
+  const pieces = [];
+  const strings = [];
+  let removed = 0;
+  let copyFrom = 0;
+  let i = 0;
+  while (i < code.length) {
+    const char = code[i];
+    if (char === "/" && code[i + 1] === "/") {
+      pieces.push(code.slice(copyFrom, i));
+      const end = code.indexOf("\n", i);
+      removed += (end === -1 ? code.length : end) - i;
+      i = end === -1 ? code.length : end;
+      copyFrom = i;
+    } else if (char === "/" && code[i + 1] === "*") {
+      pieces.push(code.slice(copyFrom, i), " ");
+      const end = code.indexOf("*/", i + 2);
+      removed += (end === -1 ? code.length : end + 2) - i - 1;
+      i = end === -1 ? code.length : end + 2;
+      copyFrom = i;
+    } else if (char === '"' || char === "'" || char === "`") {
+      const start = i;
+      i++;
+      while (i < code.length && code[i] !== char) {
+        if (code[i] === "\\") i++;
+        else if (char !== "`" && code[i] === "\n") break;
+        i++;
+      }
+      i++;
+      strings.push([start - removed, Math.min(i, code.length) - removed]);
+    } else {
+      i++;
+    }
+  }
+  pieces.push(code.slice(copyFrom));
+  return { code: pieces.join(""), strings };
+}
+
+/**
+ * Whether a position of the stripped code lies inside a string literal
+ * @private
+ */
+function insideString(strings, position) {
+  let low = 0;
+  let high = strings.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const [start, end] = strings[middle];
+    if (position < start) high = middle - 1;
+    else if (position >= end) low = middle + 1;
+    else return true;
+  }
+  return false;
+}
+
+/**
+ * Find the modules a JavaScript or TypeScript file loads: static imports,
+ * re-exports, dynamic import() and require() calls with a string literal
+ * @param {string} content - Source text
+ * @returns {Array<Object>} [{ specifier, kind }] in order of appearance, where kind
+ *   is "import", "reexport", "dynamic" or "require"
+ */
+function extractImports(content) {
+  const { code, strings } = stripComments(content);
+  const found = [];
+  for (const { kind, pattern } of IMPORT_PATTERNS) {
+    for (const match of code.matchAll(pattern)) {
+      // The statement itself must not be part of a string, such as example code
+      const keyword = match.index + match[0].search(/[a-z]/);
+      if (insideString(strings, keyword)) continue;
+      found.push({ specifier: match[1].trim(), kind, index: match.index });
+    }
+  }
+  return found
+    .sort((a, b) => a.index - b.index)
+    .map(({ specifier, kind }) => ({ specifier, kind }));
+}
+
+/**
+ * Parse JSON with comments and trailing commas, as tsconfig files allow
+ * @private
+ */
+function parseJsonc(content) {
+  return JSON.parse(stripComments(content.replace(/^\uFEFF/, "")).code.replace(/,(\s*[}\]])/g, "$1"));
+}
+
+/**
+ * Read the JSON files module resolution depends on: every package.json,
+ * tsconfig*.json and jsconfig*.json in the tree. Unreadable files are skipped.
+ * @private
+ */
+async function readResolutionConfigs(model) {
+  const packages = new Map();
+  const tsconfigs = new Map();
+  for (const node of walkTreeModel(model)) {
+    if (node.type !== "file") continue;
+    const isPackage = node.name === "package.json";
+    if (!isPackage && !/^[tj]sconfig(?:\.[\w.-]+)?\.json$/.test(node.name)) continue;
+    try {
+      const content = await fs.promises.readFile(node.path, "utf8");
+      if (isPackage) {
+        packages.set(path.posix.dirname(node.relativePath), JSON.parse(content.replace(/^\uFEFF/, "")));
+      } else {
+        tsconfigs.set(node.relativePath, parseJsonc(content));
+      }
+    } catch {
+      // A broken config resolves nothing
+    }
+  }
+  return { packages, tsconfigs };
+}
+
+/**
+ * Join a posix path to a base directory of the tree; null when it leaves the tree
+ * @private
+ */
+function joinTreePath(base, relative) {
+  const joined = path.posix.normalize(path.posix.join(base, relative));
+  if (joined === ".." || joined.startsWith("../")) return null;
+  return joined === "." ? "" : joined.replace(/\/$/, "");
+}
+
+/**
+ * Find the target of a subpath in an exports or imports map, with "*" patterns
+ * @private
+ */
+function matchSubpath(map, subpath) {
+  if (Object.prototype.hasOwnProperty.call(map, subpath) && !subpath.includes("*")) {
+    return { target: map[subpath], match: "" };
+  }
+  let best = null;
+  for (const key of Object.keys(map)) {
+    const star = key.indexOf("*");
+    if (star === -1) continue;
+    const prefix = key.slice(0, star);
+    const suffix = key.slice(star + 1);
+    if (
+      subpath.length >= key.length - 1 &&
+      subpath.startsWith(prefix) &&
+      subpath.endsWith(suffix) &&
+      (best === null || prefix.length > best.prefix.length)
+    ) {
+      best = { prefix, target: map[key], match: subpath.slice(prefix.length, subpath.length - suffix.length) };
+    }
+  }
+  return best;
+}
+
+/**
+ * List the files an exports or imports target may point to, following every
+ * known condition in order
+ * @private
+ */
+function targetCandidates(target, match) {
+  if (typeof target === "string") return [target.replace(/\*/g, match)];
+  if (Array.isArray(target)) return target.flatMap((item) => targetCandidates(item, match));
+  if (target && typeof target === "object") {
+    return Object.keys(target)
+      .filter((condition) => CONDITIONS.includes(condition))
+      .flatMap((condition) => targetCandidates(target[condition], match));
+  }
+  return [];
+}
+
+/**
+ * An exports field as a map of subpaths ("." for the package itself)
+ * @private
+ */
+function exportsMap(exportsField) {
+  const isSubpathMap =
+    exportsField && typeof exportsField === "object" && !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some((key) => key.startsWith("."));
+  return isSubpathMap ? exportsField : { ".": exportsField };
+}
+
+/**
+ * The package name of a bare specifier ("@scope/name/sub" gives "@scope/name")
+ * @private
+ */
+function packageName(specifier) {
+  const parts = specifier.split("/");
+  return specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+/**
+ * Resolve import specifiers to files of the tree the way Node.js, TypeScript and
+ * bundlers do: relative paths with implied extensions and index files,
+ * TypeScript sources imported as ".js", tsconfig/jsconfig baseUrl and paths,
+ * package.json exports and "#" imports, and workspace packages by name
+ * @private
+ */
+function createResolver(files, configs) {
+  const { packages, tsconfigs } = configs;
+
+  const packagesByName = new Map();
+  for (const [directory, manifest] of packages) {
+    if (manifest && typeof manifest.name === "string" && !packagesByName.has(manifest.name)) {
+      packagesByName.set(manifest.name, directory);
+    }
+  }
+
+  const resolveFile = (candidate, visited = new Set()) => {
+    if (candidate === null || visited.has(candidate)) return null;
+    if (files.has(candidate)) return candidate;
+
+    const extension = path.posix.extname(candidate);
+    for (const source of TYPESCRIPT_SOURCES[extension] || []) {
+      const sourcePath = candidate.slice(0, -extension.length) + source;
+      if (files.has(sourcePath)) return sourcePath;
+    }
+    for (const ext of RESOLVE_EXTENSIONS) {
+      if (files.has(candidate + ext)) return candidate + ext;
+    }
+
+    // A directory: its package.json entry, then an index file
+    const manifest = packages.get(candidate || ".");
+    if (manifest) {
+      for (const field of ["source", "module", "main"]) {
+        if (typeof manifest[field] !== "string") continue;
+        const target = joinTreePath(candidate, manifest[field]);
+        if (target === null || target === candidate) continue;
+        const entry = resolveFile(target, new Set(visited).add(candidate));
+        if (entry) return entry;
+      }
+    }
+    const prefix = candidate ? `${candidate}/index` : "index";
+    for (const ext of RESOLVE_EXTENSIONS) {
+      if (files.has(prefix + ext)) return prefix + ext;
+    }
+    return null;
+  };
+
+  const resolveTargets = (directory, entry) => {
+    if (!entry) return null;
+    for (const target of targetCandidates(entry.target, entry.match)) {
+      const resolved = resolveFile(joinTreePath(directory, target));
+      if (resolved) return resolved;
+    }
+    return null;
+  };
+
+  // A workspace package imported by name
+  const resolvePackage = (directory, subpath) => {
+    const manifest = packages.get(directory);
+    const base = directory === "." ? "" : directory;
+    if (manifest.exports !== undefined && manifest.exports !== null) {
+      return resolveTargets(base, matchSubpath(exportsMap(manifest.exports), subpath));
+    }
+    return resolveFile(joinTreePath(base, subpath));
+  };
+
+  // Nearest enclosing directory with one of the given files
+  const nearest = (fromPath, has) => {
+    let directory = path.posix.dirname(fromPath);
+    for (;;) {
+      const found = has(directory);
+      if (found !== null) return found;
+      if (directory === ".") return null;
+      directory = path.posix.dirname(directory);
+    }
+  };
+
+  // baseUrl and paths of a tsconfig, following relative "extends"
+  const compilerCache = new Map();
+  const compilerOptions = (configPath, seen = new Set()) => {
+    if (compilerCache.has(configPath)) return compilerCache.get(configPath);
+    const config = tsconfigs.get(configPath);
+    const directory = path.posix.dirname(configPath);
+    let inherited = { baseUrl: null, paths: null, pathsBase: null };
+    seen.add(configPath);
+
+    const parents = [].concat((config && config.extends) || []);
+    for (const parent of parents) {
+      if (typeof parent !== "string" || !parent.startsWith(".")) continue;
+      let parentPath = joinTreePath(directory, parent);
+      if (parentPath !== null && !parentPath.endsWith(".json")) parentPath += ".json";
+      if (parentPath === null || seen.has(parentPath) || !tsconfigs.has(parentPath)) continue;
+      const options = compilerOptions(parentPath, seen);
+      inherited = {
+        baseUrl: options.baseUrl !== null ? options.baseUrl : inherited.baseUrl,
+        paths: options.paths || inherited.paths,
+        pathsBase: options.paths ? options.pathsBase : inherited.pathsBase,
+      };
+    }
+
+    const own = (config && config.compilerOptions) || {};
+    const baseUrl = typeof own.baseUrl === "string"
+      ? joinTreePath(directory === "." ? "" : directory, own.baseUrl)
+      : inherited.baseUrl;
+    const ownPaths = own.paths && typeof own.paths === "object" ? own.paths : null;
+    const options = {
+      baseUrl,
+      paths: ownPaths || inherited.paths,
+      // Paths are relative to baseUrl, or else to the config that declares them
+      pathsBase: baseUrl !== null
+        ? baseUrl
+        : ownPaths ? (directory === "." ? "" : directory) : inherited.pathsBase,
+    };
+    compilerCache.set(configPath, options);
+    return options;
+  };
+
+  /**
+   * @returns {Object} { file } for a file of the tree, { external, builtin } for a
+   *   package outside it, or { unresolved: true }
+   */
+  return (specifier, fromPath) => {
+    const bare = specifier.replace(/^node:/, "");
+    if (specifier.startsWith("node:") || builtinModules.includes(bare)) {
+      return { external: `node:${bare}`, builtin: true };
+    }
+
+    if (specifier.startsWith(".") || specifier.startsWith("/")) {
+      const base = specifier.startsWith("/") ? "" : path.posix.dirname(fromPath);
+      const file = resolveFile(joinTreePath(base === "." ? "" : base, specifier.replace(/^\/+/, "") || "."));
+      return file ? { file } : { unresolved: true };
+    }
+
+    if (specifier.startsWith("#")) {
+      const directory = nearest(fromPath, (dir) => {
+        const manifest = packages.get(dir);
+        return manifest && manifest.imports ? dir : null;
+      });
+      if (directory === null) return { unresolved: true };
+      const file = resolveTargets(
+        directory === "." ? "" : directory,
+        matchSubpath(packages.get(directory).imports, specifier)
+      );
+      return file ? { file } : { unresolved: true };
+    }
+
+    const configPath = nearest(fromPath, (dir) => {
+      for (const name of ["tsconfig.json", "jsconfig.json"]) {
+        const candidate = dir === "." ? name : `${dir}/${name}`;
+        if (tsconfigs.has(candidate)) return candidate;
+      }
+      return null;
+    });
+    const options = configPath ? compilerOptions(configPath) : null;
+
+    if (options && options.paths) {
+      const entry = matchSubpath(options.paths, specifier);
+      if (entry) {
+        const file = resolveTargets(options.pathsBase, entry);
+        if (file) return { file };
+      }
+    }
+
+    const name = packageName(specifier);
+    if (packagesByName.has(name)) {
+      const subpath = specifier === name ? "." : `.${specifier.slice(name.length)}`;
+      const file = resolvePackage(packagesByName.get(name), subpath);
+      return file ? { file } : { unresolved: true };
+    }
+
+    if (options && options.baseUrl !== null) {
+      const file = resolveFile(joinTreePath(options.baseUrl, specifier));
+      if (file) return { file };
+    }
+
+    return { external: name, builtin: false };
+  };
+}
+
+/**
+ * Files that package.json files declare as entry points or run from scripts
+ * @private
+ */
+function declaredEntryPoints(packages, files) {
+  const entries = new Set();
+  const add = (directory, file) => {
+    if (typeof file !== "string") return;
+    const resolved = joinTreePath(directory === "." ? "" : directory, file);
+    if (resolved !== null && files.has(resolved)) entries.add(resolved);
+  };
+
+  for (const [directory, manifest] of packages) {
+    if (!manifest || typeof manifest !== "object") continue;
+    for (const field of ["main", "module", "browser", "source", "types", "typings"]) {
+      add(directory, manifest[field]);
+    }
+    const bin = typeof manifest.bin === "string" ? [manifest.bin] : Object.values(manifest.bin || {});
+    bin.forEach((file) => add(directory, file));
+    if (manifest.exports !== undefined && manifest.exports !== null) {
+      for (const target of Object.values(exportsMap(manifest.exports))) {
+        targetCandidates(target, "").forEach((file) => add(directory, file));
+      }
+    }
+    // Files run by scripts, e.g. "node scripts/build.js"
+    for (const script of Object.values(manifest.scripts || {})) {
+      if (typeof script !== "string") continue;
+      for (const token of script.split(/[\s;&|()'"=]+/)) {
+        if (MODULE_PATTERN.test(token)) add(directory, token);
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Find the strongly connected components of a graph (Tarjan's algorithm,
+ * iterative so deep graphs do not overflow the stack)
+ * @private
+ */
+function stronglyConnected(nodes, adjacency) {
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  for (const start of nodes) {
+    if (index.has(start)) continue;
+    const work = [{ node: start, next: 0 }];
+    index.set(start, counter);
+    lowLink.set(start, counter++);
+    stack.push(start);
+    onStack.add(start);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const targets = adjacency.get(frame.node) || [];
+      if (frame.next < targets.length) {
+        const target = targets[frame.next++];
+        if (!index.has(target)) {
+          index.set(target, counter);
+          lowLink.set(target, counter++);
+          stack.push(target);
+          onStack.add(target);
+          work.push({ node: target, next: 0 });
+        } else if (onStack.has(target)) {
+          lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(target)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+      }
+      if (lowLink.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+        components.push(component);
+      }
+    }
+  }
+  return components;
+}
+
+/**
+ * The shortest cycle through the first module of a component, as a path that
+ * ends where it starts
+ * @private
+ */
+function shortestCycle(component, adjacency) {
+  const members = new Set(component);
+  const start = [...component].sort()[0];
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const target of adjacency.get(node) || []) {
+      if (!members.has(target)) continue;
+      if (target === start) {
+        const cycle = [start];
+        for (let step = node; step !== null; step = previous.get(step)) cycle.push(step);
+        return cycle.reverse();
+      }
+      if (!previous.has(target)) {
+        previous.set(target, node);
+        queue.push(target);
+      }
+    }
+  }
+  return [start, start];
+}
+
+/**
+ * Parse the imports of every JavaScript and TypeScript file in a tree model and
+ * resolve them to files of the tree, giving the module dependency graph
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} options - Graph options
+ * @param {number} options.maxFileSize - Larger files are not parsed (default 1 MB)
+ * @param {number} options.concurrency - Maximum number of files read ahead (default 8)
+ * @param {AbortSignal} options.signal - Stops parsing once aborted
+ * @param {function(Object)} options.onProgress - Called with { files, total } as files are read
+ * @returns {Promise<Object>} { modules: [{ path, dependencies, dependents }],
+ *   edges: [{ from, to, dynamic }], external: [{ name, builtin, importers }],
+ *   unresolved: [{ from, specifier }], cycles: [{ modules, path }], orphans,
+ *   entryPoints, mostDependedOn: [{ path, dependents }], skippedFiles }
+ */
+async function buildImportGraph(model, options = {}) {
+  const {
+    maxFileSize = 1024 * 1024,
+    concurrency = 8,
+    signal = null,
+    onProgress = null,
+  } = options;
+
+  const files = new Set();
+  const sources = [];
+  for (const node of walkTreeModel(model)) {
+    if (node.type !== "file") continue;
+    files.add(node.relativePath);
+    if (MODULE_PATTERN.test(node.name)) sources.push(node);
+  }
+
+  const configs = await readResolutionConfigs(model);
+  const resolve = createResolver(files, configs);
+  const readFile = createReadAhead(sources, (node) => node.size <= maxFileSize, concurrency);
+
+  // from -> to -> whether every import of the pair is dynamic
+  const edges = new Map();
+  const external = new Map();
+  const unresolved = [];
+  const parsed = new Set();
+  let skippedFiles = 0;
+
+  for (const [index, node] of sources.entries()) {
+    if (signal) signal.throwIfAborted();
+    if (onProgress) onProgress({ files: index, total: sources.length });
+
+    if (node.size > maxFileSize) {
+      skippedFiles++;
+      continue;
+    }
+    const { file, error } = await readFile(index);
+    if (error || file.fileClass === "binary") {
+      skippedFiles++;
+      continue;
+    }
+
+    parsed.add(node.relativePath);
+    if (!edges.has(node.relativePath)) edges.set(node.relativePath, new Map());
+    const targets = edges.get(node.relativePath);
+
+    for (const { specifier, kind } of extractImports(file.content)) {
+      const resolved = resolve(specifier, node.relativePath);
+      if (resolved.file) {
+        const dynamic = kind === "dynamic";
+        targets.set(resolved.file, targets.has(resolved.file) ? targets.get(resolved.file) && dynamic : dynamic);
+      } else if (resolved.external) {
+        if (!external.has(resolved.external)) {
+          external.set(resolved.external, { builtin: resolved.builtin, importers: new Set() });
+        }
+        external.get(resolved.external).importers.add(node.relativePath);
+      } else {
+        unresolved.push({ from: node.relativePath, specifier });
+      }
+    }
+  }
+  if (onProgress) onProgress({ files: sources.length, total: sources.length });
+
+  // Every parsed module and every file imported by one is a node
+  const dependents = new Map(Array.from(parsed, (module) => [module, 0]));
+  for (const targets of edges.values()) {
+    for (const target of targets.keys()) {
+      dependents.set(target, (dependents.get(target) || 0) + 1);
+    }
+  }
+  const nodes = Array.from(dependents.keys()).sort();
+  const adjacency = new Map(
+    Array.from(edges, ([from, targets]) => [from, Array.from(targets.keys()).sort()])
+  );
+
+  const cycles = stronglyConnected(nodes, adjacency)
+    .filter(
+      (component) =>
+        component.length > 1 || (adjacency.get(component[0]) || []).includes(component[0])
+    )
+    .map((component) => ({
+      modules: component.sort(),
+      path: shortestCycle(component, adjacency),
+    }))
+    .sort((a, b) => a.modules[0].localeCompare(b.modules[0]));
+
+  const entryPoints = declaredEntryPoints(configs.packages, files);
+  const orphans = Array.from(parsed)
+    .filter(
+      (module) =>
+        dependents.get(module) === 0 &&
+        !entryPoints.has(module) &&
+        !TOOL_ENTRY_PATTERNS.some((pattern) => pattern.test(module))
+    )
+    .sort();
+
+  return {
+    modules: nodes.map((module) => ({
+      path: module,
+      dependencies: edges.has(module) ? edges.get(module).size : 0,
+      dependents: dependents.get(module),
+    })),
+    edges: nodes.flatMap((from) =>
+      (adjacency.get(from) || []).map((to) => ({ from, to, dynamic: edges.get(from).get(to) }))
+    ),
+    external: Array.from(external, ([name, entry]) => ({
+      name,
+      builtin: entry.builtin,
+      importers: entry.importers.size,
+    })).sort((a, b) => b.importers - a.importers || a.name.localeCompare(b.name)),
+    unresolved,
+    cycles,
+    orphans,
+    entryPoints: Array.from(entryPoints).filter((file) => dependents.has(file)).sort(),
+    mostDependedOn: nodes
+      .filter((module) => dependents.get(module) >= MIN_DEPENDENTS)
+      .map((module) => ({ path: module, dependents: dependents.get(module) }))
+      .sort((a, b) => b.dependents - a.dependents || a.path.localeCompare(b.path))
+      .slice(0, MAX_MOST_DEPENDED_ON),
+    skippedFiles,
+  };
+}
+
+/**
+ * Summarize an import graph in one line, e.g. "42 modules, 120 imports, 1 cycle, 3 orphans"
+ * @param {Object} graph - Result of buildImportGraph
+ * @returns {string} Counts
+ */
+function describeImportGraph(graph) {
+  const count = (number, noun) => `${number} ${number === 1 ? noun : `${noun}s`}`;
+  return [
+    count(graph.modules.length, "module"),
+    count(graph.edges.length, "import"),
+    count(graph.cycles.length, "cycle"),
+    count(graph.orphans.length, "orphan"),
+  ].join(", ");
+}
+
+/**
+ * Modules and edges to highlight: those in cycles, orphans and the most depended on
+ * @private
+ */
+function highlights(graph) {
+  const cycleOf = new Map();
+  graph.cycles.forEach((cycle, index) => cycle.modules.forEach((module) => cycleOf.set(module, index)));
+  return {
+    inCycle: (edge) => cycleOf.has(edge.from) && cycleOf.get(edge.from) === cycleOf.get(edge.to),
+    cycleModules: new Set(cycleOf.keys()),
+    orphans: new Set(graph.orphans),
+    hubs: new Set(graph.mostDependedOn.map((entry) => entry.path)),
+  };
+}
+
+/**
+ * Comment lines listing the cycles, orphans and most depended on modules
+ * @private
+ */
+function findingLines(graph) {
+  const lines = [describeImportGraph(graph)];
+  for (const cycle of graph.cycles) lines.push(`Cycle: ${cycle.path.join(" -> ")}`);
+  for (const orphan of graph.orphans) lines.push(`Orphan: ${orphan}`);
+  for (const entry of graph.mostDependedOn) {
+    lines.push(`Most depended on: ${entry.path} (${entry.dependents})`);
+  }
+  return lines;
+}
+
+/**
+ * Render an import graph in Graphviz DOT. Edges within a cycle are red,
+ * orphans are dashed, the most depended on modules are filled and dynamic
+ * imports are dotted.
+ * @param {Object} graph - Result of buildImportGraph
+ * @returns {Array<string>} DOT lines
+ */
+function formatImportGraphDot(graph) {
+  const quote = (value) => `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+  const { inCycle, cycleModules, orphans, hubs } = highlights(graph);
+
+  const lines = [
+    ...findingLines(graph).map((line) => `// ${line}`),
+    "digraph imports {",
+    "  rankdir=LR;",
+    '  node [shape=box, fontname="Helvetica"];',
+  ];
+  for (const module of graph.modules) {
+    const attributes = [];
+    if (hubs.has(module.path)) attributes.push('style=filled, fillcolor="#ffd8a8"');
+    if (orphans.has(module.path)) attributes.push("style=dashed");
+    if (cycleModules.has(module.path)) attributes.push('color="#e03131"');
+    lines.push(`  ${quote(module.path)}${attributes.length ? ` [${attributes.join(", ")}]` : ""};`);
+  }
+  for (const edge of graph.edges) {
+    const attributes = [];
+    if (inCycle(edge)) attributes.push('color="#e03131"');
+    if (edge.dynamic) attributes.push("style=dotted");
+    lines.push(
+      `  ${quote(edge.from)} -> ${quote(edge.to)}${attributes.length ? ` [${attributes.join(", ")}]` : ""};`
+    );
+  }
+  lines.push("}");
+  return lines;
+}
+
+/**
+ * Render an import graph as a Mermaid flowchart, with the same highlights as
+ * the DOT output
+ * @param {Object} graph - Result of buildImportGraph
+ * @returns {Array<string>} Mermaid lines
+ */
+function formatImportGraphMermaid(graph) {
+  const { inCycle, cycleModules, orphans, hubs } = highlights(graph);
+  const ids = new Map(graph.modules.map((module, index) => [module.path, `m${index}`]));
+  const label = (value) => `"${value.replace(/"/g, "#quot;")}"`;
+
+  const lines = [...findingLines(graph).map((line) => `%% ${line}`), "flowchart LR"];
+  for (const module of graph.modules) {
+    lines.push(`  ${ids.get(module.path)}[${label(module.path)}]`);
+  }
+  const cycleEdges = [];
+  for (const [index, edge] of graph.edges.entries()) {
+    lines.push(`  ${ids.get(edge.from)} ${edge.dynamic ? "-.->" : "-->"} ${ids.get(edge.to)}`);
+    if (inCycle(edge)) cycleEdges.push(index);
+  }
+
+  const classes = [
+    ["hub", "fill:#ffd8a8", hubs],
+    ["orphan", "stroke-dasharray:4 3", orphans],
+    ["cycle", "stroke:#e03131,stroke-width:2px", cycleModules],
+  ];
+  for (const [name, style, members] of classes) {
+    if (members.size === 0) continue;
+    lines.push(`  classDef ${name} ${style}`);
+    lines.push(`  class ${Array.from(members, (module) => ids.get(module)).join(",")} ${name}`);
+  }
+  if (cycleEdges.length > 0) {
+    lines.push(`  linkStyle ${cycleEdges.join(",")} stroke:#e03131`);
+  }
+  return lines;
+}
+
+export {
+  GRAPH_FORMATS,
+  extractImports,
+  buildImportGraph,
+  describeImportGraph,
+  formatImportGraphDot,
+  formatImportGraphMermaid,
+};
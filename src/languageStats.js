@@ -0,0 +1,246 @@
+import path from "path";
+import { walkTreeModel } from "./treeModel.js";
+import { createReadAhead } from "./fileContent.js";
+import { detectLanguage, commentSyntax } from "./languages.js";
+
+/**
+ * Count the code, comment and blank lines of a text. A line with both code and a
+ * comment counts as code; blank lines inside block comments count as blank.
+ * String literals are not parsed, so comment markers inside strings are taken
+ * at face value (as cloc does).
+ * @param {string} content - File text
+ * @param {string} language - Language name from detectLanguage
+ * @returns {Object} { code, comment, blank }
+ */
+function countLines(content, language) {
+  const { line: lineComments, block: blockComments } = commentSyntax(language);
+  const counts = { code: 0, comment: 0, blank: 0 };
+  if (content === "") return counts;
+
+  const lines = content.split(/\r?\n/);
+  // A trailing newline does not start another line
+  if (lines[lines.length - 1] === "") lines.pop();
+
+  let blockEnd = null;
+  for (const line of lines) {
+    if (line.trim() === "") {
+      counts.blank++;
+      continue;
+    }
+
+    let hasCode = false;
+    let hasComment = false;
+    let position = 0;
+    while (position < line.length) {
+      if (blockEnd !== null) {
+        hasComment = true;
+        const end = line.indexOf(blockEnd, position);
+        if (end === -1) break;
+        position = end + blockEnd.length;
+        blockEnd = null;
+        continue;
+      }
+
+      // Find the first comment marker from here on
+      let next = null;
+      for (const marker of lineComments) {
+        const index = line.indexOf(marker, position);
+        if (index !== -1 && (next === null || index < next.index)) {
+          next = { index, length: marker.length, end: null };
+        }
+      }
+      // At the same position a block marker wins over a line marker it starts
+      // with ("--[[" over "--", "#=" over "#")
+      for (const [start, end] of blockComments) {
+        const index = line.indexOf(start, position);
+        if (index !== -1 && (next === null || index <= next.index)) {
+          next = { index, length: start.length, end };
+        }
+      }
+
+      const before = line.slice(position, next === null ? line.length : next.index);
+      if (before.trim() !== "") hasCode = true;
+      if (next === null) break;
+
+      hasComment = true;
+      if (next.end === null) break;
+      position = next.index + next.length;
+      blockEnd = next.end;
+    }
+
+    if (hasCode) counts.code++;
+    else if (hasComment) counts.comment++;
+    else counts.blank++;
+  }
+
+  return counts;
+}
+
+/**
+ * Add one set of line counts to another
+ * @private
+ */
+function addCounts(target, counts) {
+  target.files += counts.files;
+  target.code += counts.code;
+  target.comment += counts.comment;
+  target.blank += counts.blank;
+}
+
+/**
+ * Empty line counts
+ * @private
+ */
+function emptyCounts() {
+  return { files: 0, code: 0, comment: 0, blank: 0 };
+}
+
+/**
+ * Turn a map of language to counts into a list, largest code count first
+ * @private
+ */
+function sortedLanguages(byLanguage) {
+  return Array.from(byLanguage, ([language, counts]) => ({ language, ...counts })).sort(
+    (a, b) => b.code - a.code || b.files - a.files || a.language.localeCompare(b.language)
+  );
+}
+
+/**
+ * Detect the language of every text file in a tree model and count its lines,
+ * like cloc. Binary files, files in unknown languages and files larger than
+ * maxFileSize are not counted.
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} options - Counting options
+ * @param {number} options.directoryDepth - Directories up to this depth get their
+ *   own totals (default 1, the top-level directories)
+ * @param {number} options.maxFileSize - Larger files are skipped (default 1 MB)
+ * @param {number} options.concurrency - Maximum number of files read ahead (default 8)
+ * @param {AbortSignal} options.signal - Stops counting once aborted
+ * @param {function(Object)} options.onProgress - Called with { files, total } as files are read
+ * @returns {Promise<Object>} { byLanguage: [{ language, files, code, comment, blank }],
+ *   byDirectory: [{ path, files, code, comment, blank, languages }], total, skippedFiles }
+ */
+async function collectLanguageStats(model, options = {}) {
+  const {
+    directoryDepth = 1,
+    maxFileSize = 1024 * 1024,
+    concurrency = 8,
+    signal = null,
+    onProgress = null,
+  } = options;
+
+  const nodes = Array.from(walkTreeModel(model)).filter((node) => node.type === "file");
+  const byLanguage = new Map();
+  const byDirectory = new Map();
+  const total = emptyCounts();
+  let skippedFiles = 0;
+
+  const readFile = createReadAhead(nodes, (node) => node.size <= maxFileSize, concurrency);
+
+  for (const [index, node] of nodes.entries()) {
+    if (signal) signal.throwIfAborted();
+    if (onProgress) onProgress({ files: index, total: nodes.length });
+
+    if (node.size > maxFileSize) {
+      skippedFiles++;
+      continue;
+    }
+
+    const { file, error } = await readFile(index);
+    if (error) {
+      skippedFiles++;
+      continue;
+    }
+    if (file.fileClass === "binary") continue;
+
+    const language = detectLanguage(node.name, file.content);
+    if (!language) continue;
+
+    const counts = { files: 1, ...countLines(file.content, language.name) };
+    addCounts(total, counts);
+    if (!byLanguage.has(language.name)) byLanguage.set(language.name, emptyCounts());
+    addCounts(byLanguage.get(language.name), counts);
+
+    // Credit every enclosing directory up to directoryDepth
+    const directoryPath = path.posix.dirname(node.relativePath);
+    const parts = directoryPath === "." ? [] : directoryPath.split("/");
+    for (let depth = 1; depth <= Math.min(directoryDepth, parts.length); depth++) {
+      const directory = parts.slice(0, depth).join("/");
+      if (!byDirectory.has(directory)) {
+        byDirectory.set(directory, { ...emptyCounts(), languages: new Map() });
+      }
+      const entry = byDirectory.get(directory);
+      addCounts(entry, counts);
+      if (!entry.languages.has(language.name)) entry.languages.set(language.name, emptyCounts());
+      addCounts(entry.languages.get(language.name), counts);
+    }
+  }
+
+  if (onProgress) onProgress({ files: nodes.length, total: nodes.length });
+
+  return {
+    byLanguage: sortedLanguages(byLanguage),
+    byDirectory: Array.from(byDirectory, ([directory, entry]) => ({
+      path: directory,
+      files: entry.files,
+      code: entry.code,
+      comment: entry.comment,
+      blank: entry.blank,
+      languages: sortedLanguages(entry.languages),
+    })).sort((a, b) => a.path.localeCompare(b.path)),
+    total,
+    skippedFiles,
+  };
+}
+
+/**
+ * Render language statistics as a plain text table like cloc's: one row per
+ * language with files, blank, comment and code lines, a total row, then the
+ * same columns per directory
+ * @param {Object} stats - Result of collectLanguageStats
+ * @returns {Array<string>} Report lines
+ */
+function formatLanguageReport(stats) {
+  const { byLanguage, byDirectory, total, skippedFiles } = stats;
+  if (byLanguage.length === 0) {
+    return ["No source files in a known language"];
+  }
+
+  const width = Math.max(
+    "Language".length,
+    "Directory".length,
+    "Total".length,
+    ...byLanguage.map((entry) => entry.language.length),
+    ...byDirectory.map((entry) => entry.path.length + 1)
+  );
+  const row = (label, counts) =>
+    [
+      label.padEnd(width),
+      String(counts.files).padStart(8),
+      String(counts.blank).padStart(10),
+      String(counts.comment).padStart(10),
+      String(counts.code).padStart(10),
+    ].join(" ");
+  const header = (label) =>
+    [label.padEnd(width), "Files".padStart(8), "Blank".padStart(10), "Comment".padStart(10), "Code".padStart(10)].join(" ");
+  const rule = "-".repeat(width + 42);
+
+  const lines = [header("Language"), rule];
+  lines.push(...byLanguage.map((entry) => row(entry.language, entry)));
+  lines.push(rule, row("Total", total));
+
+  if (byDirectory.length > 0) {
+    lines.push("", header("Directory"), rule);
+    lines.push(...byDirectory.map((entry) => row(`${entry.path}/`, entry)));
+  }
+
+  if (skippedFiles > 0) {
+    lines.push(
+      "",
+      `${skippedFiles} ${skippedFiles === 1 ? "file was" : "files were"} too large or unreadable and not counted`
+    );
+  }
+  return lines;
+}
+
+export { countLines, collectLanguageStats, formatLanguageReport };
@@ -0,0 +1,233 @@
+import path from "path";
+
+// Extension to language name and Markdown fence tag
+const LANGUAGES_BY_EXTENSION = {
+  ".js": { name: "JavaScript", fence: "javascript" },
+  ".mjs": { name: "JavaScript", fence: "javascript" },
+  ".cjs": { name: "JavaScript", fence: "javascript" },
+  ".jsx": { name: "JavaScript", fence: "jsx" },
+  ".ts": { name: "TypeScript", fence: "typescript" },
+  ".mts": { name: "TypeScript", fence: "typescript" },
+  ".cts": { name: "TypeScript", fence: "typescript" },
+  ".tsx": { name: "TypeScript", fence: "tsx" },
+  ".py": { name: "Python", fence: "python" },
+  ".pyi": { name: "Python", fence: "python" },
+  ".pyw": { name: "Python", fence: "python" },
+  ".rb": { name: "Ruby", fence: "ruby" },
+  ".rake": { name: "Ruby", fence: "ruby" },
+  ".gemspec": { name: "Ruby", fence: "ruby" },
+  ".go": { name: "Go", fence: "go" },
+  ".rs": { name: "Rust", fence: "rust" },
+  ".java": { name: "Java", fence: "java" },
+  ".kt": { name: "Kotlin", fence: "kotlin" },
+  ".kts": { name: "Kotlin", fence: "kotlin" },
+  ".scala": { name: "Scala", fence: "scala" },
+  ".swift": { name: "Swift", fence: "swift" },
+  ".c": { name: "C", fence: "c" },
+  ".h": { name: "C", fence: "c" },
+  ".cc": { name: "C++", fence: "cpp" },
+  ".cpp": { name: "C++", fence: "cpp" },
+  ".cxx": { name: "C++", fence: "cpp" },
+  ".hpp": { name: "C++", fence: "cpp" },
+  ".cs": { name: "C#", fence: "csharp" },
+  ".php": { name: "PHP", fence: "php" },
+  ".sh": { name: "Shell", fence: "bash" },
+  ".bash": { name: "Shell", fence: "bash" },
+  ".zsh": { name: "Shell", fence: "bash" },
+  ".fish": { name: "Shell", fence: "fish" },
+  ".ps1": { name: "PowerShell", fence: "powershell" },
+  ".psm1": { name: "PowerShell", fence: "powershell" },
+  ".bat": { name: "Batch", fence: "batch" },
+  ".cmd": { name: "Batch", fence: "batch" },
+  ".html": { name: "HTML", fence: "html" },
+  ".htm": { name: "HTML", fence: "html" },
+  ".css": { name: "CSS", fence: "css" },
+  ".scss": { name: "SCSS", fence: "scss" },
+  ".less": { name: "Less", fence: "less" },
+  ".vue": { name: "Vue", fence: "vue" },
+  ".svelte": { name: "Svelte", fence: "svelte" },
+  ".json": { name: "JSON", fence: "json" },
+  ".yaml": { name: "YAML", fence: "yaml" },
+  ".yml": { name: "YAML", fence: "yaml" },
+  ".toml": { name: "TOML", fence: "toml" },
+  ".xml": { name: "XML", fence: "xml" },
+  ".md": { name: "Markdown", fence: "markdown" },
+  ".markdown": { name: "Markdown", fence: "markdown" },
+  ".sql": { name: "SQL", fence: "sql" },
+  ".graphql": { name: "GraphQL", fence: "graphql" },
+  ".proto": { name: "Protocol Buffers", fence: "protobuf" },
+  ".lua": { name: "Lua", fence: "lua" },
+  ".dart": { name: "Dart", fence: "dart" },
+  ".r": { name: "R", fence: "r" },
+  ".ex": { name: "Elixir", fence: "elixir" },
+  ".exs": { name: "Elixir", fence: "elixir" },
+  ".tf": { name: "HCL", fence: "hcl" },
+  ".hcl": { name: "HCL", fence: "hcl" },
+  ".pl": { name: "Perl", fence: "perl" },
+  ".pm": { name: "Perl", fence: "perl" },
+  ".groovy": { name: "Groovy", fence: "groovy" },
+  ".gradle": { name: "Groovy", fence: "groovy" },
+  ".hs": { name: "Haskell", fence: "haskell" },
+  ".clj": { name: "Clojure", fence: "clojure" },
+  ".cljs": { name: "Clojure", fence: "clojure" },
+  ".erl": { name: "Erlang", fence: "erlang" },
+  ".jl": { name: "Julia", fence: "julia" },
+  ".zig": { name: "Zig", fence: "zig" },
+  ".cmake": { name: "CMake", fence: "cmake" },
+  ".mk": { name: "Makefile", fence: "makefile" },
+  ".ini": { name: "INI", fence: "ini" },
+  ".vim": { name: "Vim Script", fence: "vim" },
+};
+
+// Well-known file names without a meaningful extension
+const LANGUAGES_BY_FILENAME = {
+  dockerfile: { name: "Dockerfile", fence: "dockerfile" },
+  containerfile: { name: "Dockerfile", fence: "dockerfile" },
+  makefile: { name: "Makefile", fence: "makefile" },
+  gnumakefile: { name: "Makefile", fence: "makefile" },
+  "cmakelists.txt": { name: "CMake", fence: "cmake" },
+  gemfile: { name: "Ruby", fence: "ruby" },
+  rakefile: { name: "Ruby", fence: "ruby" },
+  podfile: { name: "Ruby", fence: "ruby" },
+  vagrantfile: { name: "Ruby", fence: "ruby" },
+  jenkinsfile: { name: "Groovy", fence: "groovy" },
+};
+
+// Interpreters named on a "#!" line, without version suffixes ("python3.12" is "python")
+const LANGUAGES_BY_INTERPRETER = {
+  node: LANGUAGES_BY_EXTENSION[".js"],
+  nodejs: LANGUAGES_BY_EXTENSION[".js"],
+  deno: LANGUAGES_BY_EXTENSION[".ts"],
+  bun: LANGUAGES_BY_EXTENSION[".js"],
+  "ts-node": LANGUAGES_BY_EXTENSION[".ts"],
+  tsx: LANGUAGES_BY_EXTENSION[".ts"],
+  python: LANGUAGES_BY_EXTENSION[".py"],
+  ruby: LANGUAGES_BY_EXTENSION[".rb"],
+  sh: LANGUAGES_BY_EXTENSION[".sh"],
+  bash: LANGUAGES_BY_EXTENSION[".sh"],
+  zsh: LANGUAGES_BY_EXTENSION[".sh"],
+  dash: LANGUAGES_BY_EXTENSION[".sh"],
+  ksh: LANGUAGES_BY_EXTENSION[".sh"],
+  fish: LANGUAGES_BY_EXTENSION[".fish"],
+  perl: LANGUAGES_BY_EXTENSION[".pl"],
+  php: LANGUAGES_BY_EXTENSION[".php"],
+  lua: LANGUAGES_BY_EXTENSION[".lua"],
+  rscript: LANGUAGES_BY_EXTENSION[".r"],
+  pwsh: LANGUAGES_BY_EXTENSION[".ps1"],
+  elixir: LANGUAGES_BY_EXTENSION[".ex"],
+  groovy: LANGUAGES_BY_EXTENSION[".groovy"],
+  julia: LANGUAGES_BY_EXTENSION[".jl"],
+};
+
+// Comment delimiters per language, used to split code from comments when
+// counting lines. Languages missing here (JSON, Markdown) have no comments.
+const C_COMMENTS = { line: ["//"], block: [["/*", "*/"]] };
+const HASH_COMMENTS = { line: ["#"], block: [] };
+const MARKUP_COMMENTS = { line: [], block: [["<!--", "-->"]] };
+const COMMENT_SYNTAX = {
+  JavaScript: C_COMMENTS,
+  TypeScript: C_COMMENTS,
+  Go: C_COMMENTS,
+  Rust: C_COMMENTS,
+  Java: C_COMMENTS,
+  Kotlin: C_COMMENTS,
+  Scala: C_COMMENTS,
+  Swift: C_COMMENTS,
+  C: C_COMMENTS,
+  "C++": C_COMMENTS,
+  "C#": C_COMMENTS,
+  Dart: C_COMMENTS,
+  Groovy: C_COMMENTS,
+  SCSS: C_COMMENTS,
+  Less: C_COMMENTS,
+  "Protocol Buffers": C_COMMENTS,
+  Zig: { line: ["//"], block: [] },
+  CSS: { line: [], block: [["/*", "*/"]] },
+  PHP: { line: ["//", "#"], block: [["/*", "*/"]] },
+  Vue: { line: ["//"], block: [["<!--", "-->"], ["/*", "*/"]] },
+  Svelte: { line: ["//"], block: [["<!--", "-->"], ["/*", "*/"]] },
+  HCL: { line: ["#", "//"], block: [["/*", "*/"]] },
+  // Docstrings count as comments, like cloc does
+  Python: { line: ["#"], block: [['"""', '"""'], ["'''", "'''"]] },
+  Ruby: { line: ["#"], block: [["=begin", "=end"]] },
+  PowerShell: { line: ["#"], block: [["<#", "#>"]] },
+  Julia: { line: ["#"], block: [["#=", "=#"]] },
+  Shell: HASH_COMMENTS,
+  YAML: HASH_COMMENTS,
+  TOML: HASH_COMMENTS,
+  Dockerfile: HASH_COMMENTS,
+  Makefile: HASH_COMMENTS,
+  CMake: HASH_COMMENTS,
+  Perl: HASH_COMMENTS,
+  R: HASH_COMMENTS,
+  Elixir: HASH_COMMENTS,
+  GraphQL: HASH_COMMENTS,
+  INI: { line: [";", "#"], block: [] },
+  SQL: { line: ["--"], block: [["/*", "*/"]] },
+  Lua: { line: ["--"], block: [["--[[", "]]"]] },
+  Haskell: { line: ["--"], block: [["{-", "-}"]] },
+  Erlang: { line: ["%"], block: [] },
+  Clojure: { line: [";"], block: [] },
+  "Vim Script": { line: ['"'], block: [] },
+  Batch: { line: ["::", "REM ", "rem "], block: [] },
+  HTML: MARKUP_COMMENTS,
+  XML: MARKUP_COMMENTS,
+  Markdown: MARKUP_COMMENTS,
+};
+
+/**
+ * Detect the language of a file from its name
+ * @param {string} filePath - File path or name
+ * @returns {Object|null} { name, fence } or null if unknown
+ */
+function languageForFile(filePath) {
+  const baseName = path.basename(filePath).toLowerCase();
+  return (
+    LANGUAGES_BY_FILENAME[baseName] ||
+    LANGUAGES_BY_EXTENSION[path.extname(baseName)] ||
+    // Dockerfile.dev, Dockerfile.prod
+    (baseName.startsWith("dockerfile.") ? LANGUAGES_BY_FILENAME.dockerfile : null)
+  );
+}
+
+/**
+ * Detect the language of a script from its "#!" line, e.g. "#!/usr/bin/env python3"
+ * @param {string} content - File contents, or at least the first line
+ * @returns {Object|null} { name, fence } or null without a known interpreter
+ */
+function languageForShebang(content) {
+  const match = /^#!\s*(\S+)(?:[ \t]+(.*))?/.exec(content);
+  if (!match) return null;
+
+  // "/usr/bin/env -S node --flag" names the interpreter in its arguments
+  let interpreter = path.posix.basename(match[1]);
+  if (interpreter === "env") {
+    const args = (match[2] || "").split(/\s+/).filter((arg) => arg && !arg.startsWith("-"));
+    interpreter = args.find((arg) => !arg.includes("=")) || "";
+  }
+  interpreter = interpreter.toLowerCase().replace(/[\d.]+$/, "");
+  return LANGUAGES_BY_INTERPRETER[interpreter] || null;
+}
+
+/**
+ * Detect the language of a file from its name, falling back to the "#!" line
+ * for extensionless scripts
+ * @param {string} filePath - File path or name
+ * @param {string} content - File contents, used when the name is not enough
+ * @returns {Object|null} { name, fence } or null if unknown
+ */
+function detectLanguage(filePath, content) {
+  return languageForFile(filePath) || (content ? languageForShebang(content) : null);
+}
+
+/**
+ * Comment delimiters of a language
+ * @param {string} language - Language name, as returned in { name }
+ * @returns {Object} { line: [prefix], block: [[start, end]] }; both empty for
+ *   languages without comments
+ */
+function commentSyntax(language) {
+  return COMMENT_SYNTAX[language] || { line: [], block: [] };
+}
+
+export { languageForFile, languageForShebang, detectLanguage, commentSyntax };
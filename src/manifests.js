@@ -0,0 +1,867 @@
+import fs from "fs";
+import path from "path";
+import { walkTreeModel } from "./treeModel.js";
+
+// Manifest file names per ecosystem, the lockfiles that pin them, and whether a
+// lockfile in a parent directory counts (workspaces share the root lockfile)
+const ECOSYSTEMS = [
+  {
+    id: "npm",
+    matches: (name) => name === "package.json",
+    parse: parsePackageJson,
+    lockfiles: ["package-lock.json", "npm-shrinkwrap.json", "yarn.lock", "pnpm-lock.yaml", "bun.lock", "bun.lockb"],
+    sharedLockfile: true,
+  },
+  {
+    id: "pip",
+    matches: (name) => /^(?:requirements(?:[-_.][\w.-]+)?|[\w-]+[-_]requirements)\.txt$/i.test(name),
+    parse: parseRequirements,
+    lockfiles: [],
+    sharedLockfile: false,
+  },
+  {
+    id: "python",
+    matches: (name) => name === "pyproject.toml",
+    parse: parsePyproject,
+    lockfiles: ["poetry.lock", "uv.lock", "pdm.lock", "pylock.toml"],
+    sharedLockfile: true,
+  },
+  {
+    id: "go",
+    matches: (name) => name === "go.mod",
+    parse: parseGoMod,
+    lockfiles: ["go.sum"],
+    sharedLockfile: false,
+  },
+  {
+    id: "cargo",
+    matches: (name) => name === "Cargo.toml",
+    parse: parseCargoToml,
+    lockfiles: ["Cargo.lock"],
+    sharedLockfile: true,
+  },
+  {
+    id: "maven",
+    matches: (name) => name === "pom.xml",
+    parse: parsePom,
+    // Maven has no lockfile; versions are pinned in the pom itself
+    lockfiles: null,
+    sharedLockfile: false,
+  },
+  {
+    id: "bundler",
+    matches: (name) => name === "Gemfile" || name === "gems.rb",
+    parse: parseGemfile,
+    lockfiles: ["Gemfile.lock", "gems.locked"],
+    sharedLockfile: false,
+  },
+];
+
+// Requirement files and dependency groups with these words in their name hold dev dependencies
+const DEV_GROUP_PATTERN = /(?:^|[^a-z])(?:dev|develop|development|test|tests|testing|lint|docs?|typing)(?:[^a-z]|$)/i;
+
+/**
+ * Find the ecosystem a manifest file belongs to
+ * @param {string} fileName - Base name of the file
+ * @returns {string|null} Ecosystem id ("npm", "pip", "python", "go", "cargo",
+ *   "maven" or "bundler"), or null if the file is not a manifest
+ */
+function manifestEcosystem(fileName) {
+  const ecosystem = ECOSYSTEMS.find((entry) => entry.matches(fileName));
+  return ecosystem ? ecosystem.id : null;
+}
+
+/**
+ * Parse a manifest
+ * @param {string} fileName - Base name of the manifest, which selects the parser
+ * @param {string} content - Manifest text
+ * @returns {Object} { ecosystem, name, version, dependencies, devDependencies,
+ *   engines, scripts, workspaces, entryPoints }; dependency maps are keyed by package name
+ *   with the declared version requirement as value
+ */
+function parseManifest(fileName, content) {
+  const ecosystem = ECOSYSTEMS.find((entry) => entry.matches(fileName));
+  if (!ecosystem) {
+    throw new Error(`Not a known manifest: ${fileName}`);
+  }
+
+  return { ...emptyManifest(ecosystem.id), ...ecosystem.parse(content, fileName) };
+}
+
+/**
+ * Manifest fields before parsing
+ * @private
+ */
+function emptyManifest(ecosystem) {
+  return {
+    ecosystem,
+    name: null,
+    version: null,
+    dependencies: {},
+    devDependencies: {},
+    engines: {},
+    scripts: {},
+    workspaces: [],
+    entryPoints: [],
+  };
+}
+
+/**
+ * Find and parse every manifest in a tree model and check which ones have a
+ * lockfile next to them (or, for workspaces, in a parent directory)
+ * @param {Object} model - Root node from buildTreeModel
+ * @returns {Promise<Object>} { manifests: [{ path, directory, ecosystem, name, version,
+ *   dependencies, devDependencies, engines, scripts, workspaces, entryPoints, lockfile,
+ *   error }],
+ *   missingLockfiles: [path] }
+ */
+async function analyzeManifests(model) {
+  const manifests = [];
+
+  for (const node of walkTreeModel(model)) {
+    if (node.type !== "file") continue;
+    const ecosystem = ECOSYSTEMS.find((entry) => entry.matches(node.name));
+    if (!ecosystem) continue;
+
+    const directory = path.posix.dirname(node.relativePath);
+    // A manifest that cannot be read or parsed is listed with the error
+    let parsed;
+    let error = null;
+    try {
+      const content = await fs.promises.readFile(node.path, "utf8");
+      parsed = parseManifest(node.name, content.replace(/^\uFEFF/, ""));
+    } catch (err) {
+      parsed = emptyManifest(ecosystem.id);
+      error = err.message;
+    }
+
+    manifests.push({
+      path: node.relativePath,
+      directory,
+      ...parsed,
+      lockfile: error ? null : findLockfile(model.path, directory, ecosystem, parsed, node.relativePath),
+      error,
+    });
+  }
+
+  // Root manifests first, then by path
+  manifests.sort(
+    (a, b) => a.path.split("/").length - b.path.split("/").length || a.path.localeCompare(b.path)
+  );
+
+  return {
+    manifests,
+    missingLockfiles: manifests
+      .filter((manifest) => manifest.lockfile === null && lockfileExpected(manifest))
+      .map((manifest) => manifest.path),
+  };
+}
+
+/**
+ * Whether a manifest should have a lockfile: it declares dependencies and its
+ * ecosystem has one
+ * @private
+ */
+function lockfileExpected(manifest) {
+  const ecosystem = ECOSYSTEMS.find((entry) => entry.id === manifest.ecosystem);
+  return (
+    ecosystem.lockfiles !== null &&
+    !manifest.error &&
+    Object.keys(manifest.dependencies).length + Object.keys(manifest.devDependencies).length > 0
+  );
+}
+
+/**
+ * Relative path of the lockfile for a manifest, or null when there is none
+ * @private
+ */
+function findLockfile(rootPath, directory, ecosystem, parsed, manifestPath) {
+  if (ecosystem.lockfiles === null) return null;
+
+  // Requirement files lock themselves when every requirement is pinned exactly
+  if (ecosystem.id === "pip") {
+    const requirements = [
+      ...Object.values(parsed.dependencies),
+      ...Object.values(parsed.devDependencies),
+    ];
+    return requirements.length > 0 && requirements.every((spec) => /^===?[^,;*]+$/.test(spec))
+      ? manifestPath
+      : null;
+  }
+
+  let current = directory;
+  for (;;) {
+    for (const lockfile of ecosystem.lockfiles) {
+      const candidate = current === "." ? lockfile : `${current}/${lockfile}`;
+      if (fs.existsSync(path.join(rootPath, candidate))) {
+        return candidate;
+      }
+    }
+    if (!ecosystem.sharedLockfile || current === ".") return null;
+    current = path.posix.dirname(current);
+  }
+}
+
+/**
+ * Parse package.json
+ * @private
+ */
+function parsePackageJson(content) {
+  const manifest = content.trim() ? JSON.parse(content) : {};
+  const workspaces = Array.isArray(manifest.workspaces)
+    ? manifest.workspaces
+    : (manifest.workspaces && manifest.workspaces.packages) || [];
+
+  // Files the package declares as its entry points, relative to the manifest
+  const rootExport = manifest.exports && manifest.exports["."] !== undefined
+    ? manifest.exports["."]
+    : manifest.exports;
+  const bin = typeof manifest.bin === "string" ? { [manifest.name]: manifest.bin } : manifest.bin;
+  const entryPoints = [
+    ...(typeof manifest.main === "string" ? [{ file: manifest.main, via: "main" }] : []),
+    ...(typeof manifest.module === "string" ? [{ file: manifest.module, via: "module" }] : []),
+    ...(typeof rootExport === "string" ? [{ file: rootExport, via: "exports" }] : []),
+    ...Object.entries(stringValues(bin)).map(([command, file]) => ({ file, via: `bin ${command}` })),
+  ];
+
+  return {
+    name: typeof manifest.name === "string" ? manifest.name : null,
+    version: typeof manifest.version === "string" ? manifest.version : null,
+    dependencies: {
+      ...stringValues(manifest.dependencies),
+      ...stringValues(manifest.optionalDependencies),
+    },
+    devDependencies: stringValues(manifest.devDependencies),
+    engines: stringValues(manifest.engines),
+    scripts: stringValues(manifest.scripts),
+    workspaces: workspaces.filter((pattern) => typeof pattern === "string"),
+    entryPoints: normalizeEntryPoints(entryPoints),
+  };
+}
+
+/**
+ * Normalize entry point paths ("./src/index.js" becomes "src/index.js") and drop
+ * duplicates, keeping the first declaration of each file
+ * @private
+ */
+function normalizeEntryPoints(entryPoints) {
+  const seen = new Set();
+  const result = [];
+  for (const { file, via } of entryPoints) {
+    const normalized = path.posix.normalize(file.replace(/\\/g, "/"));
+    if (seen.has(normalized) || normalized.startsWith("..")) continue;
+    seen.add(normalized);
+    result.push({ file: normalized, via });
+  }
+  return result;
+}
+
+/**
+ * Keep the string values of an object
+ * @private
+ */
+function stringValues(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+  return Object.fromEntries(
+    Object.entries(value).filter(([, entry]) => typeof entry === "string")
+  );
+}
+
+/**
+ * Split a PEP 508 requirement ("requests[socks]>=2.0; python_version<'3.8'")
+ * into its package name and version requirement
+ * @private
+ */
+function parseRequirement(requirement) {
+  const match = /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*([^;]*)/.exec(requirement);
+  if (!match) return null;
+  return { name: match[1], spec: match[2].trim() || "*" };
+}
+
+/**
+ * Parse a pip requirements file
+ * @private
+ */
+function parseRequirements(content, fileName) {
+  const requirements = {};
+  const lines = content.replace(/\\\r?\n/g, " ").split(/\r?\n/);
+
+  for (const rawLine of lines) {
+    // Options (-r, -e, --index-url) and hashes are not requirements
+    const line = rawLine.replace(/(?:^|\s)#.*$/, "").replace(/\s--hash=\S+/g, "").trim();
+    if (!line || line.startsWith("-")) continue;
+    const requirement = parseRequirement(line);
+    if (requirement) {
+      requirements[requirement.name] = requirement.spec;
+    }
+  }
+
+  return DEV_GROUP_PATTERN.test(fileName.replace(/\.txt$/i, "").replace(/requirements/i, ""))
+    ? { devDependencies: requirements }
+    : { dependencies: requirements };
+}
+
+/**
+ * Collect PEP 508 requirement strings into a dependency map
+ * @private
+ */
+function requirementMap(requirements) {
+  const map = {};
+  for (const entry of Array.isArray(requirements) ? requirements : []) {
+    if (typeof entry !== "string") continue;
+    const requirement = parseRequirement(entry);
+    if (requirement) {
+      map[requirement.name] = requirement.spec;
+    }
+  }
+  return map;
+}
+
+/**
+ * Describe a Poetry or Cargo dependency, which is a version string or a table
+ * @private
+ */
+function tableDependencySpec(value) {
+  if (typeof value === "string") return value;
+  if (!value || typeof value !== "object") return "*";
+  if (typeof value.version === "string") return value.version;
+  if (value.workspace === true) return "workspace";
+  if (typeof value.path === "string") return `path:${value.path}`;
+  if (typeof value.git === "string") return `git:${value.git}`;
+  return "*";
+}
+
+/**
+ * Convert a TOML dependency table into a dependency map
+ * @private
+ */
+function tableDependencies(table) {
+  if (!table || typeof table !== "object") return {};
+  return Object.fromEntries(
+    Object.entries(table).map(([name, value]) => [name, tableDependencySpec(value)])
+  );
+}
+
+/**
+ * Parse pyproject.toml: PEP 621 metadata, PEP 735 dependency groups and Poetry
+ * @private
+ */
+function parsePyproject(content) {
+  const data = parseToml(content);
+  const project = data.project || {};
+  const tool = data.tool || {};
+  const poetry = tool.poetry || {};
+
+  const dependencies = requirementMap(project.dependencies);
+  const devDependencies = {};
+  for (const [group, requirements] of Object.entries(project["optional-dependencies"] || {})) {
+    Object.assign(
+      DEV_GROUP_PATTERN.test(group) ? devDependencies : dependencies,
+      requirementMap(requirements)
+    );
+  }
+  for (const requirements of Object.values(data["dependency-groups"] || {})) {
+    Object.assign(devDependencies, requirementMap(requirements));
+  }
+
+  // Poetry declares the Python version among the dependencies
+  const poetryDependencies = tableDependencies(poetry.dependencies);
+  const poetryPython = poetryDependencies.python;
+  delete poetryDependencies.python;
+  Object.assign(dependencies, poetryDependencies);
+  Object.assign(devDependencies, tableDependencies(poetry["dev-dependencies"]));
+  for (const group of Object.values(poetry.group || {})) {
+    Object.assign(devDependencies, tableDependencies(group.dependencies));
+  }
+
+  const engines = {};
+  const python = project["requires-python"] || poetryPython;
+  if (typeof python === "string") engines.python = python;
+
+  const workspace = (tool.uv && tool.uv.workspace) || {};
+  const name = project.name || poetry.name;
+  const version = project.version || poetry.version;
+
+  return {
+    name: typeof name === "string" ? name : null,
+    version: typeof version === "string" ? version : null,
+    dependencies,
+    devDependencies,
+    engines,
+    scripts: stringValues({ ...poetry.scripts, ...project.scripts }),
+    workspaces: (workspace.members || []).filter((member) => typeof member === "string"),
+  };
+}
+
+/**
+ * Parse Cargo.toml
+ * @private
+ */
+function parseCargoToml(content) {
+  const data = parseToml(content);
+  const cargoPackage = data.package || {};
+
+  const dependencies = tableDependencies(data.dependencies);
+  const devDependencies = {
+    ...tableDependencies(data["dev-dependencies"]),
+    ...tableDependencies(data["build-dependencies"]),
+  };
+  // [target.'cfg(...)'.dependencies] tables
+  for (const target of Object.values(data.target || {})) {
+    Object.assign(dependencies, tableDependencies(target.dependencies));
+    Object.assign(devDependencies, tableDependencies(target["dev-dependencies"]));
+  }
+
+  const engines = {};
+  if (typeof cargoPackage["rust-version"] === "string") {
+    engines.rust = cargoPackage["rust-version"];
+  }
+
+  // Explicit [lib] and [[bin]] targets, or Cargo's conventional files
+  const entryPoints = [];
+  if (data.lib && typeof data.lib.path === "string") {
+    entryPoints.push({ file: data.lib.path, via: "lib" });
+  }
+  for (const target of Array.isArray(data.bin) ? data.bin : []) {
+    entryPoints.push({
+      file: typeof target.path === "string" ? target.path : `src/bin/${target.name}.rs`,
+      via: `bin ${target.name}`,
+    });
+  }
+
+  const workspace = data.workspace || {};
+  return {
+    name: typeof cargoPackage.name === "string" ? cargoPackage.name : null,
+    version: typeof cargoPackage.version === "string" ? cargoPackage.version : null,
+    dependencies,
+    devDependencies,
+    engines,
+    workspaces: (workspace.members || []).filter((member) => typeof member === "string"),
+    entryPoints: normalizeEntryPoints(entryPoints),
+  };
+}
+
+/**
+ * Parse go.mod
+ * @private
+ */
+function parseGoMod(content) {
+  const result = { dependencies: {}, engines: {} };
+  let inRequire = false;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const indirect = /\/\/\s*indirect\b/.test(rawLine);
+    const line = rawLine.replace(/\/\/.*$/, "").trim();
+    if (!line) continue;
+
+    if (inRequire) {
+      if (line === ")") {
+        inRequire = false;
+        continue;
+      }
+      const [modulePath, version] = line.split(/\s+/);
+      result.dependencies[modulePath] = indirect ? `${version} (indirect)` : version;
+      continue;
+    }
+
+    const [keyword, ...rest] = line.split(/\s+/);
+    if (keyword === "module") {
+      result.name = rest[0].replace(/^"|"$/g, "");
+    } else if (keyword === "go") {
+      result.engines.go = rest[0];
+    } else if (keyword === "toolchain") {
+      result.engines.toolchain = rest[0];
+    } else if (keyword === "require") {
+      if (rest[0] === "(") {
+        inRequire = true;
+      } else {
+        result.dependencies[rest[0]] = indirect ? `${rest[1]} (indirect)` : rest[1];
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse pom.xml. Only the project's own elements are read: the parent, build,
+ * profiles and dependencyManagement sections are skipped, and ${property}
+ * references are resolved from <properties>.
+ * @private
+ */
+function parsePom(content) {
+  const xml = content
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(parent|build|profiles|dependencyManagement|reporting)>[\s\S]*?<\/\1>/g, "");
+
+  const element = (source, name) => {
+    const match = new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`).exec(source);
+    return match ? match[1] : null;
+  };
+
+  const properties = {};
+  const propertiesBlock = /<properties>([\s\S]*?)<\/properties>/.exec(xml);
+  if (propertiesBlock) {
+    for (const match of propertiesBlock[1].matchAll(/<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g)) {
+      properties[match[1]] = match[2];
+    }
+  }
+  const resolve = (value) =>
+    value === null
+      ? null
+      : value.replace(/\$\{([^}]+)\}/g, (reference, name) =>
+          name in properties ? properties[name] : reference
+        );
+
+  // Top-level coordinates come before the first nested section
+  const header = xml.split(/<(?:dependencies|modules|properties)>/)[0];
+
+  const dependencies = {};
+  const devDependencies = {};
+  const dependenciesBlock = /<dependencies>([\s\S]*?)<\/dependencies>/.exec(xml);
+  if (dependenciesBlock) {
+    for (const match of dependenciesBlock[1].matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+      const name = `${resolve(element(match[1], "groupId"))}:${resolve(element(match[1], "artifactId"))}`;
+      const spec = resolve(element(match[1], "version")) || "*";
+      const scope = element(match[1], "scope");
+      (scope === "test" ? devDependencies : dependencies)[name] = spec;
+    }
+  }
+
+  const engines = {};
+  const java =
+    properties["maven.compiler.release"] ||
+    properties["maven.compiler.source"] ||
+    properties["java.version"];
+  if (java) engines.java = resolve(java);
+
+  const modulesBlock = /<modules>([\s\S]*?)<\/modules>/.exec(xml);
+  return {
+    name: resolve(element(header, "artifactId")),
+    version: resolve(element(header, "version")),
+    dependencies,
+    devDependencies,
+    engines,
+    workspaces: modulesBlock
+      ? Array.from(modulesBlock[1].matchAll(/<module>\s*([^<]*?)\s*<\/module>/g), (match) => match[1])
+      : [],
+  };
+}
+
+/**
+ * Parse a Gemfile. Gems in development and test groups are dev dependencies.
+ * @private
+ */
+function parseGemfile(content) {
+  const result = { dependencies: {}, devDependencies: {}, engines: {} };
+  const groups = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/(?:^|\s)#.*$/, "").trim();
+    if (!line) continue;
+
+    const group = /^group\s+(.+?)\s+do\b/.exec(line);
+    if (group) {
+      groups.push(/:(?:development|test)\b|["'](?:development|test)["']/.test(group[1]));
+      continue;
+    }
+    // Other blocks (platforms, source, git) inherit the enclosing group
+    if (/\bdo(?:\s*\|[^|]*\|)?$/.test(line)) {
+      groups.push(groups.length > 0 && groups[groups.length - 1]);
+      continue;
+    }
+    if (line === "end") {
+      groups.pop();
+      continue;
+    }
+
+    const ruby = /^ruby\s+["']([^"']+)["']/.exec(line);
+    if (ruby) {
+      result.engines.ruby = ruby[1];
+      continue;
+    }
+
+    const gem = /^gem\s+["']([^"']+)["']\s*(.*)$/.exec(line);
+    if (!gem) continue;
+    const versions = Array.from(
+      gem[2].matchAll(/(?:^|,)\s*["']([^"']+)["']/g),
+      (match) => match[1]
+    );
+    const dev =
+      (groups.length > 0 && groups[groups.length - 1]) ||
+      /group:\s*(?:\[[^\]]*)?:(?:development|test)\b/.test(gem[2]);
+    (dev ? result.devDependencies : result.dependencies)[gem[1]] =
+      versions.length > 0 ? versions.join(", ") : "*";
+  }
+
+  return result;
+}
+
+/**
+ * Describe a manifest in a few words, e.g. "npm, my-app@1.0.0"
+ * @param {Object} manifest - Manifest from analyzeManifests
+ * @returns {string} Ecosystem, name and version
+ */
+function describeManifest(manifest) {
+  if (!manifest.name) return manifest.ecosystem;
+  return manifest.version
+    ? `${manifest.ecosystem}, ${manifest.name}@${manifest.version}`
+    : `${manifest.ecosystem}, ${manifest.name}`;
+}
+
+/**
+ * Render a manifest analysis as plain text lines: every manifest with its
+ * lockfile, workspaces, engines, scripts and dependencies, then the manifests
+ * that have no lockfile
+ * @param {Object} analysis - Result of analyzeManifests
+ * @returns {Array<string>} Report lines
+ */
+function formatManifestReport(analysis) {
+  const { manifests, missingLockfiles } = analysis;
+  if (manifests.length === 0) {
+    return ["No dependency manifests found"];
+  }
+
+  const lines = [];
+  const list = (label, entries, separator) => {
+    if (entries.length === 0) return;
+    lines.push(`  ${label} (${entries.length}):`);
+    for (const [name, value] of entries) {
+      lines.push(`    ${name}${separator}${value}`);
+    }
+  };
+
+  for (const manifest of manifests) {
+    lines.push(`- ${manifest.path} (${describeManifest(manifest)})`);
+    if (manifest.error) {
+      lines.push(`  Error: ${manifest.error}`);
+      continue;
+    }
+    if (manifest.lockfile) {
+      lines.push(`  Lockfile: ${manifest.lockfile}`);
+    } else if (missingLockfiles.includes(manifest.path)) {
+      lines.push("  Lockfile: missing");
+    }
+    if (manifest.workspaces.length > 0) {
+      lines.push(`  Workspaces: ${manifest.workspaces.join(", ")}`);
+    }
+    const engines = Object.entries(manifest.engines);
+    if (engines.length > 0) {
+      lines.push(`  Engines: ${engines.map(([name, version]) => `${name} ${version}`).join(", ")}`);
+    }
+    list("Scripts", Object.entries(manifest.scripts), ": ");
+    list("Dependencies", Object.entries(manifest.dependencies), " ");
+    list("Dev dependencies", Object.entries(manifest.devDependencies), " ");
+  }
+
+  if (missingLockfiles.length > 0) {
+    lines.push("");
+    lines.push("Manifests without a lockfile:");
+    lines.push(...missingLockfiles.map((manifestPath) => `- ${manifestPath}`));
+  }
+  return lines;
+}
+
+/**
+ * Parse the subset of TOML that manifests use: tables, arrays of tables,
+ * dotted and quoted keys, strings, numbers, booleans, arrays and inline tables.
+ * Dates are kept as strings.
+ * @private
+ */
+function parseToml(content) {
+  const root = {};
+  let table = root;
+  let position = 0;
+
+  const fail = (message) => {
+    const line = content.slice(0, position).split("\n").length;
+    throw new Error(`Invalid TOML on line ${line}: ${message}`);
+  };
+
+  const skipWhitespace = (newlines) => {
+    for (;;) {
+      const char = content[position];
+      if (char === " " || char === "\t" || char === "\r" || (newlines && char === "\n")) {
+        position++;
+      } else if (char === "#") {
+        while (position < content.length && content[position] !== "\n") position++;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const readString = () => {
+    const quote = content[position];
+    const multiline = content.startsWith(quote.repeat(3), position);
+    const delimiter = multiline ? quote.repeat(3) : quote;
+    position += delimiter.length;
+    if (multiline && content[position] === "\n") position++;
+
+    let value = "";
+    for (;;) {
+      if (position >= content.length) fail("unterminated string");
+      if (content.startsWith(delimiter, position)) {
+        position += delimiter.length;
+        return value;
+      }
+      const char = content[position];
+      if (!multiline && char === "\n") fail("newline in string");
+      if (quote === '"' && char === "\\") {
+        const escape = content[position + 1];
+        const simple = { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r", '"': '"', "\\": "\\" };
+        if (escape in simple) {
+          value += simple[escape];
+          position += 2;
+        } else if (escape === "u" || escape === "U") {
+          const length = escape === "u" ? 4 : 8;
+          value += String.fromCodePoint(parseInt(content.substr(position + 2, length), 16));
+          position += 2 + length;
+        } else if (multiline && /\s/.test(escape)) {
+          // A line-ending backslash trims the following whitespace
+          position++;
+          while (/\s/.test(content[position])) position++;
+        } else {
+          fail(`unknown escape \\${escape}`);
+        }
+        continue;
+      }
+      value += char;
+      position++;
+    }
+  };
+
+  const readKey = () => {
+    const parts = [];
+    for (;;) {
+      skipWhitespace(false);
+      const char = content[position];
+      if (char === '"' || char === "'") {
+        parts.push(readString());
+      } else {
+        const match = /^[A-Za-z0-9_-]+/.exec(content.slice(position, position + 256));
+        if (!match) fail("expected a key");
+        parts.push(match[0]);
+        position += match[0].length;
+      }
+      skipWhitespace(false);
+      if (content[position] !== ".") return parts;
+      position++;
+    }
+  };
+
+  const readValue = () => {
+    skipWhitespace(false);
+    const char = content[position];
+
+    if (char === '"' || char === "'") return readString();
+
+    if (char === "[") {
+      position++;
+      const items = [];
+      for (;;) {
+        skipWhitespace(true);
+        if (content[position] === "]") {
+          position++;
+          return items;
+        }
+        items.push(readValue());
+        skipWhitespace(true);
+        if (content[position] === ",") position++;
+        else if (content[position] !== "]") fail("expected , or ] in array");
+      }
+    }
+
+    if (char === "{") {
+      position++;
+      const inline = {};
+      skipWhitespace(false);
+      if (content[position] === "}") {
+        position++;
+        return inline;
+      }
+      for (;;) {
+        const key = readKey();
+        if (content[position] !== "=") fail("expected = in inline table");
+        position++;
+        assignKey(inline, key, readValue());
+        skipWhitespace(false);
+        if (content[position] === "}") {
+          position++;
+          return inline;
+        }
+        if (content[position] !== ",") fail("expected , or } in inline table");
+        position++;
+      }
+    }
+
+    const match = /^[^\s,\]}#]+/.exec(content.slice(position, position + 256));
+    if (!match) fail("expected a value");
+    position += match[0].length;
+    const literal = match[0];
+    if (literal === "true") return true;
+    if (literal === "false") return false;
+    if (/^[+-]?(?:\d[\d_]*)(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?$/.test(literal)) {
+      return Number(literal.replace(/_/g, ""));
+    }
+    // Dates, times and anything else stay as text
+    return literal;
+  };
+
+  // Walk to the table at a dotted key, creating tables on the way
+  const tableAt = (parent, keys) => {
+    let current = parent;
+    for (const key of keys) {
+      if (!(key in current)) current[key] = {};
+      current = current[key];
+      if (Array.isArray(current)) current = current[current.length - 1];
+      if (!current || typeof current !== "object") fail(`${keys.join(".")} is not a table`);
+    }
+    return current;
+  };
+
+  function assignKey(target, keys, value) {
+    tableAt(target, keys.slice(0, -1))[keys[keys.length - 1]] = value;
+  }
+
+  for (;;) {
+    skipWhitespace(true);
+    if (position >= content.length) return root;
+
+    if (content.startsWith("[[", position)) {
+      position += 2;
+      const keys = readKey();
+      if (!content.startsWith("]]", position)) fail("expected ]]");
+      position += 2;
+      const parent = tableAt(root, keys.slice(0, -1));
+      const name = keys[keys.length - 1];
+      if (!Array.isArray(parent[name])) parent[name] = [];
+      table = {};
+      parent[name].push(table);
+    } else if (content[position] === "[") {
+      position++;
+      const keys = readKey();
+      if (content[position] !== "]") fail("expected ]");
+      position++;
+      table = tableAt(root, keys);
+    } else {
+      const keys = readKey();
+      if (content[position] !== "=") fail("expected =");
+      position++;
+      assignKey(table, keys, readValue());
+    }
+
+    skipWhitespace(false);
+    if (position < content.length && content[position] !== "\n") {
+      fail("expected the end of the line");
+    }
+  }
+}
+
+export {
+  analyzeManifests,
+  parseManifest,
+  manifestEcosystem,
+  describeManifest,
+  formatManifestReport,
+};
@@ -0,0 +1,533 @@
+import { walkTreeModel } from "./treeModel.js";
+import { createReadAhead } from "./fileContent.js";
+import { languageForFile } from "./languages.js";
+
+// Longest signature and doc line kept, in characters
+const MAX_SIGNATURE_LENGTH = 160;
+const MAX_DOC_LENGTH = 100;
+
+// Lines joined at most to complete a declaration that spans several lines
+const MAX_DECLARATION_LINES = 8;
+
+// Words that look like a method call at the start of a line but are statements
+const JS_KEYWORDS = new Set([
+  "if", "for", "while", "switch", "catch", "function", "return", "with", "super", "await",
+]);
+
+/**
+ * Track the brace depth of a C-like source (JavaScript, TypeScript, Go, Java)
+ * line by line, skipping strings and comments. Regular expression literals are
+ * not recognized, so a brace or quote inside one can throw the depth off.
+ * @private
+ * @returns {Array<Object>} Per line: { depth, code } with the depth at the start of
+ *   the line and whether the line starts outside a comment or string
+ */
+function scanBraces(lines) {
+  const info = [];
+  let depth = 0;
+  let state = null;
+  for (const line of lines) {
+    info.push({ depth, code: state === null });
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (state === "block") {
+        if (char === "*" && line[i + 1] === "/") {
+          state = null;
+          i++;
+        }
+      } else if (state !== null) {
+        if (char === "\\") i++;
+        else if (char === state) state = null;
+      } else if (char === "/" && line[i + 1] === "/") {
+        break;
+      } else if (char === "/" && line[i + 1] === "*") {
+        state = "block";
+        i++;
+      } else if (char === '"' || char === "'" || char === "`") {
+        state = char;
+      } else if (char === "{") {
+        depth++;
+      } else if (char === "}") {
+        depth = Math.max(0, depth - 1);
+      }
+    }
+    // Only template literals and raw strings span lines
+    if (state === '"' || state === "'") state = null;
+  }
+  return info;
+}
+
+/**
+ * Join the lines of a declaration until its parentheses are balanced and it
+ * reaches one of the terminators
+ * @private
+ */
+function declarationText(lines, index, terminators) {
+  let text = "";
+  let parens = 0;
+  const end = Math.min(lines.length, index + MAX_DECLARATION_LINES);
+  for (let i = index; i < end; i++) {
+    const line = lines[i].trim();
+    text = text ? `${text} ${line}` : line;
+    for (const char of line) {
+      if (char === "(" || char === "[") parens++;
+      else if (char === ")" || char === "]") parens--;
+    }
+    if (parens <= 0 && terminators.test(line)) break;
+  }
+  return text.replace(/\s+/g, " ").replace(/([([]) | ([)\]])/g, "$1$2");
+}
+
+/**
+ * Cut a declaration before its body: at the first stop character outside
+ * parentheses and brackets
+ * @private
+ */
+function cutSignature(text, stops) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "(" || char === "[") depth++;
+    else if (char === ")" || char === "]") depth--;
+    else if (depth === 0 && stops.includes(char)) {
+      return shorten(text.slice(0, i).trim(), MAX_SIGNATURE_LENGTH);
+    }
+  }
+  return shorten(text.trim(), MAX_SIGNATURE_LENGTH);
+}
+
+/**
+ * Shorten a text to a maximum length with an ellipsis
+ * @private
+ */
+function shorten(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+/**
+ * First line of the doc comment right above a declaration: a /** *\/ block or a
+ * run of // comments, skipping decorators and annotations in between
+ * @private
+ */
+function docAbove(lines, index) {
+  let i = index - 1;
+  while (i >= 0 && lines[i].trim().startsWith("@")) i--;
+  if (i < 0) return null;
+
+  const comment = [];
+  const last = lines[i].trim();
+  if (last.endsWith("*/")) {
+    for (; i >= 0; i--) {
+      comment.unshift(lines[i].trim());
+      if (lines[i].includes("/*")) break;
+    }
+  } else if (last.startsWith("//")) {
+    for (; i >= 0 && lines[i].trim().startsWith("//"); i--) {
+      comment.unshift(lines[i].trim());
+    }
+  } else {
+    return null;
+  }
+  return firstDocLine(
+    comment.map((line) => line.replace(/^\/\*+|\*+\/$|^\*+|^\/\/+/g, "").trim())
+  );
+}
+
+/**
+ * First line of doc text that is not a tag such as @param, up to the end of its
+ * first sentence
+ * @private
+ */
+function firstDocLine(lines) {
+  const line = lines
+    .map((text) => text.replace(/\*+\/$/, "").trim())
+    .find((text) => text !== "" && !text.startsWith("@"));
+  return line ? shorten(line.replace(/\.\s.*$/, "."), MAX_DOC_LENGTH) : null;
+}
+
+/**
+ * Create a symbol
+ * @private
+ */
+function symbol(kind, name, signature, doc, index) {
+  return { kind, name, signature, doc, line: index + 1, members: [] };
+}
+
+/**
+ * Indexes of the lines directly inside the braces opened by a declaration
+ * @private
+ */
+function bodyLines(info, index) {
+  const depth = info[index].depth;
+  const members = [];
+  for (let i = index + 1; i < info.length && info[i].depth > depth; i++) {
+    if (info[i].depth === depth + 1 && info[i].code) members.push(i);
+  }
+  return members;
+}
+
+/**
+ * Outline JavaScript or TypeScript: top-level functions, classes (with their
+ * methods), interfaces, types, enums, exported variables and export statements
+ * @private
+ */
+function outlineJavaScript(lines) {
+  const info = scanBraces(lines);
+  const symbols = [];
+
+  for (const [index, line] of lines.entries()) {
+    if (info[index].depth !== 0 || !info[index].code) continue;
+    const text = line.trim();
+    let match;
+
+    if ((match = /^(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:async\s+)?function\b\s*\*?\s*([\w$]*)/.exec(text))) {
+      const signature = cutSignature(declarationText(lines, index, /[{;]/), "{;");
+      symbols.push(symbol("function", match[1] || "default", signature, docAbove(lines, index), index));
+    } else if ((match = /^(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?class\b\s*([\w$]*)/.exec(text))) {
+      const entry = symbol(
+        "class",
+        match[1] || "default",
+        cutSignature(declarationText(lines, index, /\{/), "{"),
+        docAbove(lines, index),
+        index
+      );
+      for (const memberIndex of bodyLines(info, index)) {
+        const member = javaScriptMember(lines, memberIndex);
+        if (member) entry.members.push(member);
+      }
+      symbols.push(entry);
+    } else if ((match = /^(?:export\s+)?(?:declare\s+)?(interface|enum|const\s+enum|namespace|module)\s+([\w$.]+)/.exec(text))) {
+      const kind = match[1].endsWith("enum") ? "enum" : match[1] === "interface" ? "interface" : "namespace";
+      const signature = cutSignature(declarationText(lines, index, /\{/), "{");
+      symbols.push(symbol(kind, match[2], signature, docAbove(lines, index), index));
+    } else if ((match = /^(?:export\s+)?(?:declare\s+)?type\s+([\w$]+)/.exec(text))) {
+      const signature = shorten(declarationText(lines, index, /;|^$/).replace(/;$/, ""), MAX_SIGNATURE_LENGTH);
+      symbols.push(symbol("type", match[1], signature, docAbove(lines, index), index));
+    } else if ((match = /^(export\s+)?(?:declare\s+)?(?:const|let|var)\s+([\w$]+)/.exec(text))) {
+      const declaration = declarationText(lines, index, /[{;]|=>/);
+      const isFunction = /^[^=]*=\s*(?:async\s+)?(?:function\b|(?:\([^)]*\)|[\w$]+)\s*(?::[^=]+)?=>)/.test(declaration);
+      // Plain variables are only part of the outline when exported
+      if (!isFunction && !match[1]) continue;
+      const signature = isFunction
+        ? cutSignature(declaration.replace(/=>.*$/, "=>"), "{;")
+        : cutSignature(declaration, "=;");
+      symbols.push(symbol(isFunction ? "function" : "variable", match[2], signature, docAbove(lines, index), index));
+    } else if (/^export\s*(?:\{|\*|default\b)/.test(text)) {
+      const signature = cutSignature(declarationText(lines, index, /[;}]|from/), ";");
+      symbols.push(symbol("export", "export", signature, docAbove(lines, index), index));
+    } else if ((match = /^(?:module\.)?exports(?:\.([\w$]+))?\s*=/.exec(text))) {
+      const signature = shorten(text.replace(/\s*[{(]?\s*$/, "").replace(/;$/, ""), MAX_SIGNATURE_LENGTH);
+      symbols.push(symbol("export", match[1] || "module.exports", signature, docAbove(lines, index), index));
+    }
+  }
+  return symbols;
+}
+
+/**
+ * A method or constructor of a JavaScript or TypeScript class; private members
+ * (#name or the private modifier) are left out
+ * @private
+ */
+function javaScriptMember(lines, index) {
+  const text = lines[index].trim();
+  const match =
+    /^((?:(?:public|protected|private|static|async|get|set|readonly|override|abstract|declare)\s+)*)\*?\s*(#?[\w$]+)\s*(?:<[^>]*>)?\s*(?:\(|=\s*(?:async\s*)?\()/.exec(text);
+  if (!match || JS_KEYWORDS.has(match[2])) return null;
+  if (match[2].startsWith("#") || /\bprivate\b/.test(match[1])) return null;
+
+  const declaration = declarationText(lines, index, /[{;]|=>/);
+  const signature = cutSignature(declaration.replace(/=>.*$/, "=>"), "{;");
+  return symbol(match[2] === "constructor" ? "constructor" : "method", match[2], signature, docAbove(lines, index), index);
+}
+
+/**
+ * Outline Go: exported functions, methods, types (with interface methods),
+ * constants and variables
+ * @private
+ */
+function outlineGo(lines) {
+  const info = scanBraces(lines);
+  const symbols = [];
+
+  for (const [index, line] of lines.entries()) {
+    if (info[index].depth !== 0 || !info[index].code) continue;
+    let match;
+
+    if ((match = /^func\s+(?:\(\s*(?:[\w$]+\s+)?\*?\s*([\w$]+)[^)]*\)\s*)?([\w$]+)/.exec(line))) {
+      const [, receiver, name] = match;
+      if (!/^[A-Z]/.test(name)) continue;
+      const signature = cutSignature(declarationText(lines, index, /\{/), "{");
+      symbols.push(symbol(
+        receiver ? "method" : "function",
+        receiver ? `${receiver}.${name}` : name,
+        signature,
+        docAbove(lines, index),
+        index
+      ));
+    } else if ((match = /^type\s+([\w$]+)\s+(struct|interface)?/.exec(line))) {
+      if (!/^[A-Z]/.test(match[1])) continue;
+      const entry = symbol(
+        match[2] || "type",
+        match[1],
+        cutSignature(declarationText(lines, index, /[{]|$/), "{"),
+        docAbove(lines, index),
+        index
+      );
+      if (match[2] === "interface") {
+        for (const memberIndex of bodyLines(info, index)) {
+          const member = /^\s*([A-Z][\w$]*)\s*\(/.exec(lines[memberIndex]);
+          if (member) {
+            entry.members.push(symbol(
+              "method",
+              member[1],
+              shorten(lines[memberIndex].trim(), MAX_SIGNATURE_LENGTH),
+              docAbove(lines, memberIndex),
+              memberIndex
+            ));
+          }
+        }
+      }
+      symbols.push(entry);
+    } else if ((match = /^(const|var)\s+([A-Z][\w$]*)/.exec(line))) {
+      symbols.push(symbol(
+        match[1] === "const" ? "constant" : "variable",
+        match[2],
+        cutSignature(line, "="),
+        docAbove(lines, index),
+        index
+      ));
+    }
+  }
+  return symbols;
+}
+
+/**
+ * Outline Java: top-level types with their non-private methods, constructors
+ * and nested types
+ * @private
+ */
+function outlineJava(lines) {
+  const info = scanBraces(lines);
+  const typePattern =
+    /^((?:(?:public|protected|private|abstract|final|static|sealed|non-sealed|strictfp)\s+)*)(class|interface|enum|record|@interface)\s+([\w$]+)/;
+
+  const outlineType = (index, match) => {
+    const entry = symbol(
+      match[2] === "@interface" ? "annotation" : match[2],
+      match[3],
+      cutSignature(declarationText(lines, index, /\{/), "{"),
+      docAbove(lines, index),
+      index
+    );
+    for (const memberIndex of bodyLines(info, index)) {
+      const text = lines[memberIndex].trim();
+      const nested = typePattern.exec(text);
+      if (nested) {
+        if (!/\bprivate\b/.test(nested[1])) entry.members.push(outlineType(memberIndex, nested));
+        continue;
+      }
+      const method =
+        /^((?:(?:public|protected|private|static|final|abstract|synchronized|native|default|strictfp)\s+)*)(?:<[^>]+>\s+)?(?:[\w$.<>[\],?]+(?:\s*<[^>]*>)?(?:\[\])*\s+)?([\w$]+)\s*\(/.exec(text);
+      if (!method || /\bprivate\b/.test(method[1]) || JS_KEYWORDS.has(method[2]) || method[2] === "new") continue;
+      const signature = cutSignature(declarationText(lines, memberIndex, /[{;]/), "{;");
+      entry.members.push(symbol(
+        method[2] === match[3] ? "constructor" : "method",
+        method[2],
+        signature,
+        docAbove(lines, memberIndex),
+        memberIndex
+      ));
+    }
+    return entry;
+  };
+
+  const symbols = [];
+  for (const [index, line] of lines.entries()) {
+    if (info[index].depth !== 0 || !info[index].code) continue;
+    const match = typePattern.exec(line.trim());
+    if (match) symbols.push(outlineType(index, match));
+  }
+  return symbols;
+}
+
+/**
+ * Mark the lines of a Python file that start inside a triple-quoted string
+ * @private
+ */
+function pythonStringLines(lines) {
+  const inString = [];
+  let quote = null;
+  for (const line of lines) {
+    inString.push(quote !== null);
+    for (const match of line.matchAll(/"""|'''/g)) {
+      if (quote === null) quote = match[0];
+      else if (quote === match[0]) quote = null;
+    }
+  }
+  return inString;
+}
+
+/**
+ * The first line of the docstring after a Python def or class header
+ * @private
+ */
+function pythonDocstring(lines, index) {
+  let i = index;
+  // Find the line that ends the header
+  while (i < lines.length - 1 && !/:\s*(?:#.*)?$/.test(lines[i])) i++;
+  for (i++; i < lines.length && lines[i].trim() === ""; i++);
+  if (i >= lines.length) return null;
+
+  const match = /^\s*[rRuU]?("""|''')(.*)$/.exec(lines[i]);
+  if (!match) return null;
+  const docLines = [match[2]];
+  for (let j = i + 1; j < lines.length && !match[2].includes(match[1]) && docLines.length < 5; j++) {
+    docLines.push(lines[j].trim());
+    if (lines[j].includes(match[1])) break;
+  }
+  return firstDocLine(docLines.map((line) => line.split(match[1])[0].trim()));
+}
+
+/**
+ * Outline Python: public top-level functions and classes with their public
+ * methods, and __all__
+ * @private
+ */
+function outlinePython(lines) {
+  const inString = pythonStringLines(lines);
+  const signatureOf = (index) =>
+    cutSignature(declarationText(lines, index, /:\s*(?:#.*)?$/).replace(/\s*#.*$/, ""), ":");
+
+  const symbols = [];
+  for (const [index, line] of lines.entries()) {
+    if (inString[index]) continue;
+    let match;
+
+    if ((match = /^(?:async\s+)?def\s+([\w]+)/.exec(line))) {
+      if (match[1].startsWith("_")) continue;
+      symbols.push(symbol("function", match[1], signatureOf(index), pythonDocstring(lines, index), index));
+    } else if ((match = /^class\s+([\w]+)/.exec(line))) {
+      if (match[1].startsWith("_")) continue;
+      const entry = symbol("class", match[1], signatureOf(index), pythonDocstring(lines, index), index);
+
+      // Methods at the indentation of the first statement of the body
+      let indent = null;
+      for (let i = index + 1; i < lines.length; i++) {
+        if (inString[i] || lines[i].trim() === "" || lines[i].trim().startsWith("#")) continue;
+        const lineIndent = /^\s*/.exec(lines[i])[0].length;
+        if (lineIndent === 0) break;
+        if (indent === null) indent = lineIndent;
+        if (lineIndent !== indent) continue;
+        const method = /^\s*(?:async\s+)?def\s+([\w]+)/.exec(lines[i]);
+        if (method && (!method[1].startsWith("_") || method[1] === "__init__")) {
+          entry.members.push(symbol(
+            method[1] === "__init__" ? "constructor" : "method",
+            method[1],
+            signatureOf(i),
+            pythonDocstring(lines, i),
+            i
+          ));
+        }
+      }
+      symbols.push(entry);
+    } else if (/^__all__\s*=/.test(line)) {
+      const declaration = declarationText(lines, index, /[\])]\s*$/);
+      symbols.push(symbol("export", "__all__", shorten(declaration, MAX_SIGNATURE_LENGTH), null, index));
+    }
+  }
+  return symbols;
+}
+
+// Outliner per language name from languages.js
+const OUTLINERS = {
+  JavaScript: outlineJavaScript,
+  TypeScript: outlineJavaScript,
+  Python: outlinePython,
+  Go: outlineGo,
+  Java: outlineJava,
+};
+
+/**
+ * List the top-level symbols of a source file: classes, functions, types and
+ * exports with their signatures and the first line of their doc comments.
+ * Declarations are found line by line rather than with a full parser.
+ * @param {string} content - Source text
+ * @param {string} language - "JavaScript", "TypeScript", "Python", "Go" or "Java"
+ * @returns {Array<Object>|null} [{ kind, name, signature, doc, line, members }], where
+ *   members lists the methods of classes and interfaces; null for other languages
+ */
+function extractOutline(content, language) {
+  const outliner = OUTLINERS[language];
+  if (!outliner) return null;
+  return outliner(content.split(/\r?\n/));
+}
+
+/**
+ * Outline every JavaScript, TypeScript, Python, Go and Java file of a tree model
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} options - Outline options
+ * @param {number} options.maxFileSize - Larger files are skipped (default 1 MB)
+ * @param {number} options.concurrency - Maximum number of files read ahead (default 8)
+ * @param {AbortSignal} options.signal - Stops reading once aborted
+ * @param {function(Object)} options.onProgress - Called with { files, total } as files are read
+ * @returns {Promise<Object>} { files: [{ path, language, symbols }] for files with at
+ *   least one symbol, in tree order, skippedFiles }
+ */
+async function collectOutlines(model, options = {}) {
+  const {
+    maxFileSize = 1024 * 1024,
+    concurrency = 8,
+    signal = null,
+    onProgress = null,
+  } = options;
+
+  const nodes = Array.from(walkTreeModel(model)).filter((node) => {
+    if (node.type !== "file") return false;
+    const language = languageForFile(node.name);
+    return language !== null && Boolean(OUTLINERS[language.name]);
+  });
+  const readFile = createReadAhead(nodes, (node) => node.size <= maxFileSize, concurrency);
+
+  const files = [];
+  let skippedFiles = 0;
+  for (const [index, node] of nodes.entries()) {
+    if (signal) signal.throwIfAborted();
+    if (onProgress) onProgress({ files: index, total: nodes.length });
+
+    if (node.size > maxFileSize) {
+      skippedFiles++;
+      continue;
+    }
+    const { file, error } = await readFile(index);
+    if (error || file.fileClass === "binary") {
+      skippedFiles++;
+      continue;
+    }
+
+    const language = languageForFile(node.name).name;
+    const symbols = extractOutline(file.content, language);
+    if (symbols.length > 0) {
+      files.push({ path: node.relativePath, language, symbols });
+    }
+  }
+  if (onProgress) onProgress({ files: nodes.length, total: nodes.length });
+
+  return { files, skippedFiles };
+}
+
+/**
+ * Render the symbols of one file as indented lines, members below their class
+ * @param {Array<Object>} symbols - Result of extractOutline
+ * @returns {Array<string>} Lines such as "function sketch(source, options = {}) — Analyze a source"
+ */
+function formatOutlineLines(symbols) {
+  const lines = [];
+  const add = (entry, indent) => {
+    lines.push(`${indent}${entry.signature}${entry.doc ? ` — ${entry.doc}` : ""}`);
+    for (const member of entry.members) add(member, `${indent}  `);
+  };
+  for (const entry of symbols) add(entry, "  ");
+  return lines;
+}
+
+export { extractOutline, collectOutlines, formatOutlineLines };
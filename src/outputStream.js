@@ -0,0 +1,96 @@
+import fs from "fs";
+import { once } from "events";
+import { finished } from "stream/promises";
+
+// Pieces are collected up to this size before they are handed to the file stream
+const FLUSH_SIZE = 64 * 1024;
+
+/**
+ * Open a file for streamed writing. Output is written in order while it is being
+ * produced; write() waits whenever the file stream is backed up, so the whole
+ * output is never held in memory.
+ * @param {string} filePath - File to create or truncate
+ * @param {Object} options - Stream options
+ * @param {AbortSignal} options.signal - Makes the next write throw once aborted
+ * @param {function(number)} options.onWrite - Called with the total bytes written so far
+ * @returns {Object} { write(text), writeLines(lines), close(), abort(), bytesWritten }
+ */
+function createOutputStream(filePath, options = {}) {
+  const { signal = null, onWrite = null } = options;
+  const stream = fs.createWriteStream(filePath, { encoding: "utf8" });
+
+  // Errors surface from the next write or from close()
+  let failure = null;
+  stream.on("error", (err) => {
+    failure = failure || err;
+  });
+
+  let pending = [];
+  let pendingSize = 0;
+
+  const flush = async () => {
+    if (pending.length === 0) return;
+    const text = pending.join("");
+    pending = [];
+    pendingSize = 0;
+
+    output.bytesWritten += Buffer.byteLength(text, "utf8");
+    if (!stream.write(text)) {
+      await once(stream, "drain");
+    }
+    if (onWrite) onWrite(output.bytesWritten);
+  };
+
+  const output = {
+    bytesWritten: 0,
+
+    /**
+     * Write a piece of output
+     * @returns {Promise<void>} Resolves once the piece may be followed by more
+     */
+    async write(text) {
+      if (signal) signal.throwIfAborted();
+      if (failure) throw failure;
+      pending.push(text);
+      pendingSize += text.length;
+      if (pendingSize >= FLUSH_SIZE) {
+        await flush();
+      }
+    },
+
+    /**
+     * Write lines joined by newlines, without a trailing newline
+     * @param {Iterable<string>} lines - Lines to write
+     */
+    async writeLines(lines) {
+      let first = true;
+      for (const line of lines) {
+        await output.write(first ? line : `\n${line}`);
+        first = false;
+      }
+    },
+
+    /**
+     * Flush the remaining output and close the file
+     */
+    async close() {
+      if (failure) throw failure;
+      await flush();
+      stream.end();
+      await finished(stream);
+    },
+
+    /**
+     * Stop writing and remove the partial file
+     */
+    async abort() {
+      stream.destroy();
+      await finished(stream).catch(() => {});
+      await fs.promises.rm(filePath, { force: true });
+    },
+  };
+
+  return output;
+}
+
+export { createOutputStream };
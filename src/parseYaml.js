@@ -0,0 +1,291 @@
+// A small YAML reader for configuration and list files written by hand: block
+// mappings and sequences, flow collections ([a, b] and {a: 1}), quoted and plain
+// scalars and comments. Anchors, aliases, tags, block scalars (| and >) and
+// multiple documents are rejected rather than misread.
+
+/**
+ * Error raised for YAML the reader does not understand
+ * @private
+ */
+function yamlError(line, message) {
+  return new Error(`YAML line ${line.number}: ${message}`);
+}
+
+/**
+ * Remove a comment from a line, leaving # inside quotes alone
+ * @private
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === "\\" && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+/**
+ * Split a document into its meaningful lines with their indentation
+ * @private
+ */
+function tokenize(text) {
+  const lines = [];
+  const rawLines = text.replace(/^﻿/, "").split(/\r?\n/);
+  for (const [index, raw] of rawLines.entries()) {
+    const line = { number: index + 1 };
+    const content = stripComment(raw).trimEnd();
+    if (content.trim() === "" || /^%/.test(content)) continue;
+    if (content === "---") {
+      if (lines.length > 0) throw yamlError(line, "multiple documents are not supported");
+      continue;
+    }
+    if (content === "...") break;
+
+    const indentation = /^[ \t]*/.exec(content)[0];
+    if (indentation.includes("\t")) throw yamlError(line, "tabs are not allowed in indentation");
+    lines.push({ ...line, indent: indentation.length, text: content.slice(indentation.length) });
+  }
+  return lines;
+}
+
+/**
+ * Check whether a line starts a sequence item ("- value" or a lone "-")
+ * @private
+ */
+function isSequenceItem(text) {
+  return text === "-" || text.startsWith("- ");
+}
+
+/**
+ * Split "key: value" into its key and the text of its value
+ * @private
+ * @returns {Array|null} [key, rest] or null when the text is not a mapping entry
+ */
+function splitKey(text, line) {
+  const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#[\]{},:&*!|>%@`-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/.exec(text);
+  if (!match) return null;
+  const key = parseScalar(match[1], line);
+  return [String(key), match[2] === undefined ? "" : match[2].trim()];
+}
+
+/**
+ * Parse a scalar: quoted strings, null, booleans, numbers or plain strings
+ * @private
+ */
+function parseScalar(text, line) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw yamlError(line, `invalid double-quoted string ${text}`);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(text)) throw yamlError(line, `invalid single-quoted string ${text}`);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (/^[&*!|>]/.test(text)) {
+    throw yamlError(line, `unsupported YAML feature: ${text}`);
+  }
+  if (text === "" || text === "~" || /^(?:null|Null|NULL)$/.test(text)) return null;
+  if (/^(?:true|True|TRUE)$/.test(text)) return true;
+  if (/^(?:false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text)) return Number.parseInt(text, 10);
+  if (/^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Parse a flow collection such as [a, "b", {c: 1}]
+ * @private
+ */
+function parseFlow(text, line) {
+  let pos = 0;
+  const fail = () => {
+    throw yamlError(line, `invalid flow collection ${text}`);
+  };
+  const skipSpaces = () => {
+    while (text[pos] === " ") pos++;
+  };
+
+  const readScalar = (stops) => {
+    skipSpaces();
+    const quote = text[pos];
+    if (quote === '"' || quote === "'") {
+      const start = pos++;
+      while (pos < text.length && text[pos] !== quote) {
+        pos += text[pos] === "\\" && quote === '"' ? 2 : 1;
+        // '' is an escaped quote inside single quotes
+        if (quote === "'" && text[pos] === "'" && text[pos + 1] === "'") pos += 2;
+      }
+      if (pos >= text.length) fail();
+      pos++;
+      return parseScalar(text.slice(start, pos), line);
+    }
+    const start = pos;
+    while (pos < text.length && !stops.includes(text[pos])) pos++;
+    return parseScalar(text.slice(start, pos).trim(), line);
+  };
+
+  const readValue = () => {
+    skipSpaces();
+    if (text[pos] === "[") {
+      pos++;
+      const items = [];
+      skipSpaces();
+      if (text[pos] === "]") {
+        pos++;
+        return items;
+      }
+      for (;;) {
+        items.push(readValue());
+        skipSpaces();
+        if (text[pos] === ",") pos++;
+        else if (text[pos] === "]") {
+          pos++;
+          return items;
+        } else fail();
+      }
+    }
+    if (text[pos] === "{") {
+      pos++;
+      const result = {};
+      skipSpaces();
+      if (text[pos] === "}") {
+        pos++;
+        return result;
+      }
+      for (;;) {
+        const key = readScalar(":,}");
+        skipSpaces();
+        if (text[pos] !== ":") fail();
+        pos++;
+        result[String(key)] = readValue();
+        skipSpaces();
+        if (text[pos] === ",") pos++;
+        else if (text[pos] === "}") {
+          pos++;
+          return result;
+        } else fail();
+      }
+    }
+    return readScalar(",]}");
+  };
+
+  const value = readValue();
+  skipSpaces();
+  if (pos !== text.length) fail();
+  return value;
+}
+
+/**
+ * Parse the value written after "key:" or "- " on the same line
+ * @private
+ */
+function parseInlineValue(text, line) {
+  return text.startsWith("[") || text.startsWith("{") ? parseFlow(text, line) : parseScalar(text, line);
+}
+
+/**
+ * Parse the block that starts at the current line
+ * @private
+ */
+function parseNode(state, indent) {
+  const line = state.lines[state.index];
+  if (isSequenceItem(line.text)) return parseSequence(state, indent);
+  if (splitKey(line.text, line)) return parseMapping(state, indent);
+  state.index++;
+  return parseInlineValue(line.text, line);
+}
+
+/**
+ * Parse the value of an entry whose value starts on the next line: a deeper
+ * block, a sequence at the same indentation (allowed under mapping keys) or null
+ * @private
+ */
+function parseNested(state, indent, allowSequence) {
+  const next = state.lines[state.index];
+  if (!next) return null;
+  if (next.indent > indent || (allowSequence && next.indent === indent && isSequenceItem(next.text))) {
+    return parseNode(state, next.indent);
+  }
+  return null;
+}
+
+/**
+ * Parse a block sequence
+ * @private
+ */
+function parseSequence(state, indent) {
+  const items = [];
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    if (line.indent !== indent || !isSequenceItem(line.text)) break;
+
+    const rest = line.text.slice(1).trimStart();
+    if (rest === "") {
+      state.index++;
+      items.push(parseNested(state, indent, false));
+    } else if (isSequenceItem(rest) || splitKey(rest, line)) {
+      // "- key: value" opens a mapping indented to where its first key starts
+      const offset = line.text.length - rest.length;
+      state.lines[state.index] = { ...line, indent: indent + offset, text: rest };
+      items.push(parseNode(state, indent + offset));
+    } else {
+      state.index++;
+      items.push(parseInlineValue(rest, line));
+    }
+  }
+  return items;
+}
+
+/**
+ * Parse a block mapping
+ * @private
+ */
+function parseMapping(state, indent) {
+  const result = {};
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    if (line.indent < indent) break;
+    if (line.indent > indent) throw yamlError(line, "unexpected indentation");
+
+    const entry = splitKey(line.text, line);
+    if (!entry) throw yamlError(line, `expected "key: value", got ${line.text}`);
+    const [key, rest] = entry;
+    if (Object.prototype.hasOwnProperty.call(result, key)) {
+      throw yamlError(line, `duplicate key ${key}`);
+    }
+    state.index++;
+    result[key] = rest === "" ? parseNested(state, indent, true) : parseInlineValue(rest, line);
+  }
+  return result;
+}
+
+/**
+ * Parse a YAML document into plain data
+ * @param {string} text - YAML text
+ * @returns {*} Objects, arrays, strings, numbers, booleans and nulls; null for an empty document
+ * @throws {Error} With the line number for syntax the reader does not support
+ */
+function parseYaml(text) {
+  const lines = tokenize(text);
+  if (lines.length === 0) return null;
+
+  const state = { lines, index: 0 };
+  const value = parseNode(state, lines[0].indent);
+  if (state.index < lines.length) {
+    const line = lines[state.index];
+    throw yamlError(line, line.indent === lines[0].indent ? `unexpected ${line.text}` : "unexpected indentation");
+  }
+  return value;
+}
+
+export { parseYaml };
@@ -0,0 +1,507 @@
+import fs from "fs";
+import path from "path";
+
+// Profile categories in the order they are reported, with their display labels
+const PROFILE_CATEGORIES = [
+  ["frameworks", "Frameworks"],
+  ["buildTools", "Build tools"],
+  ["testFrameworks", "Test frameworks"],
+  ["ci", "CI"],
+  ["containers", "Containers"],
+  ["infrastructure", "Infrastructure as code"],
+];
+
+// Files that identify a tool. `file` is matched against the file name and `path`
+// against the path relative to the root.
+const FILE_RULES = [
+  // Frameworks
+  { category: "frameworks", name: "Next.js", file: /^next\.config\.[cm]?[jt]s$/ },
+  { category: "frameworks", name: "Nuxt", file: /^nuxt\.config\.[cm]?[jt]s$/ },
+  { category: "frameworks", name: "Angular", file: /^angular\.json$/ },
+  { category: "frameworks", name: "Svelte", file: /^svelte\.config\.[cm]?js$/ },
+  { category: "frameworks", name: "Astro", file: /^astro\.config\.[cm]?[jt]s$/ },
+  { category: "frameworks", name: "Gatsby", file: /^gatsby-config\.[cm]?[jt]s$/ },
+  { category: "frameworks", name: "Remix", file: /^remix\.config\.[cm]?js$/ },
+  { category: "frameworks", name: "Django", file: /^manage\.py$/ },
+  { category: "frameworks", name: "Rails", path: /^config\/application\.rb$/ },
+  {
+    category: "frameworks",
+    name: "Spring Boot",
+    path: /(?:^|\/)src\/main\/resources\/application(?:-[\w-]+)?\.(?:properties|ya?ml)$/,
+  },
+
+  // Build tools
+  { category: "buildTools", name: "Vite", file: /^vite\.config\.[cm]?[jt]s$/ },
+  { category: "buildTools", name: "webpack", file: /^webpack\.(?:[\w-]+\.)?config\.[cm]?[jt]s$/ },
+  { category: "buildTools", name: "Rollup", file: /^rollup\.config\.[cm]?[jt]s$/ },
+  { category: "buildTools", name: "Parcel", file: /^\.parcelrc$/ },
+  { category: "buildTools", name: "TypeScript", file: /^tsconfig(?:\.[\w-]+)?\.json$/ },
+  { category: "buildTools", name: "Babel", file: /^(?:babel\.config\.(?:[cm]?js|json)|\.babelrc(?:\.json)?)$/ },
+  { category: "buildTools", name: "Gulp", file: /^gulpfile\.[cm]?[jt]s$/i },
+  { category: "buildTools", name: "Grunt", file: /^gruntfile\.[cm]?[jt]s$/i },
+  { category: "buildTools", name: "Turborepo", file: /^turbo\.json$/ },
+  { category: "buildTools", name: "Nx", file: /^nx\.json$/ },
+  { category: "buildTools", name: "Lerna", file: /^lerna\.json$/ },
+  { category: "buildTools", name: "Make", file: /^(?:GNUmakefile|[Mm]akefile)$/ },
+  { category: "buildTools", name: "CMake", file: /^CMakeLists\.txt$/ },
+  { category: "buildTools", name: "Meson", file: /^meson\.build$/ },
+  { category: "buildTools", name: "Bazel", file: /^(?:BUILD|WORKSPACE|MODULE)\.bazel$|^WORKSPACE$/ },
+  { category: "buildTools", name: "Gradle", file: /^(?:build|settings)\.gradle(?:\.kts)?$/ },
+  { category: "buildTools", name: "Maven", file: /^pom\.xml$/ },
+  { category: "buildTools", name: "Cargo", file: /^Cargo\.toml$/ },
+  { category: "buildTools", name: "Go modules", file: /^go\.mod$/ },
+  { category: "buildTools", name: "setuptools", file: /^setup\.(?:py|cfg)$/ },
+  { category: "buildTools", name: "Rake", file: /^Rakefile$/ },
+  { category: "buildTools", name: "just", file: /^[Jj]ustfile$/ },
+  { category: "buildTools", name: "Task", file: /^Taskfile\.ya?ml$/ },
+
+  // Test frameworks
+  { category: "testFrameworks", name: "Jest", file: /^jest\.config\.(?:[cm]?[jt]s|json)$/ },
+  { category: "testFrameworks", name: "Vitest", file: /^vitest\.(?:config|workspace)\.[cm]?[jt]s$/ },
+  { category: "testFrameworks", name: "Mocha", file: /^\.mocharc\.(?:[cm]?js|json|ya?ml)$/ },
+  { category: "testFrameworks", name: "Cypress", file: /^cypress\.(?:config\.[cm]?[jt]s|json)$/ },
+  { category: "testFrameworks", name: "Playwright", file: /^playwright\.config\.[cm]?[jt]s$/ },
+  { category: "testFrameworks", name: "Karma", file: /^karma\.conf\.[cm]?[jt]s$/ },
+  { category: "testFrameworks", name: "pytest", file: /^(?:pytest\.ini|conftest\.py)$/ },
+  { category: "testFrameworks", name: "tox", file: /^tox\.ini$/ },
+  { category: "testFrameworks", name: "Go testing", file: /_test\.go$/ },
+  { category: "testFrameworks", name: "RSpec", file: /^\.rspec$|_spec\.rb$/ },
+  { category: "testFrameworks", name: "PHPUnit", file: /^phpunit\.xml(?:\.dist)?$/ },
+
+  // Continuous integration
+  { category: "ci", name: "GitHub Actions", path: /^\.github\/workflows\/[^/]+\.ya?ml$/ },
+  { category: "ci", name: "GitLab CI", path: /^\.gitlab-ci\.ya?ml$/ },
+  { category: "ci", name: "CircleCI", path: /^\.circleci\/config\.ya?ml$/ },
+  { category: "ci", name: "Travis CI", path: /^\.travis\.ya?ml$/ },
+  { category: "ci", name: "Jenkins", file: /^Jenkinsfile$/ },
+  { category: "ci", name: "Azure Pipelines", path: /^azure-pipelines(?:[.-][\w-]+)?\.ya?ml$/ },
+  { category: "ci", name: "Bitbucket Pipelines", path: /^bitbucket-pipelines\.ya?ml$/ },
+  { category: "ci", name: "Drone", path: /^\.drone\.ya?ml$/ },
+  { category: "ci", name: "AppVeyor", path: /^\.?appveyor\.ya?ml$/ },
+  { category: "ci", name: "Buildkite", path: /^\.buildkite\/pipeline\.ya?ml$/ },
+
+  // Containers
+  { category: "containers", name: "Docker", file: /^(?:Dockerfile|Containerfile)(?:\.[\w.-]+)?$|\.[Dd]ockerfile$/ },
+  { category: "containers", name: "Docker Compose", file: /^(?:docker-)?compose(?:\.[\w-]+)?\.ya?ml$/ },
+  { category: "containers", name: "Dev Containers", path: /^\.devcontainer\/(?:[^/]+\/)?devcontainer\.json$/ },
+  { category: "containers", name: "Skaffold", file: /^skaffold\.ya?ml$/ },
+
+  // Infrastructure as code
+  { category: "infrastructure", name: "Terraform", file: /\.(?:tf|tfvars)$/ },
+  { category: "infrastructure", name: "Pulumi", file: /^Pulumi(?:\.[\w-]+)?\.ya?ml$/ },
+  { category: "infrastructure", name: "AWS CDK", file: /^cdk\.json$/ },
+  { category: "infrastructure", name: "AWS SAM", file: /^samconfig\.toml$/ },
+  { category: "infrastructure", name: "CloudFormation", file: /\.(?:cfn|cloudformation)\.(?:ya?ml|json)$/ },
+  { category: "infrastructure", name: "Serverless Framework", file: /^serverless\.ya?ml$/ },
+  { category: "infrastructure", name: "Helm", file: /^Chart\.ya?ml$/ },
+  { category: "infrastructure", name: "Kustomize", file: /^kustomization\.ya?ml$/ },
+  { category: "infrastructure", name: "Kubernetes", path: /(?:^|\/)(?:k8s|kubernetes)\/(?:[^/]+\/)*[^/]+\.ya?ml$/ },
+  { category: "infrastructure", name: "Ansible", file: /^(?:ansible\.cfg|playbook\.ya?ml)$/ },
+  { category: "infrastructure", name: "Vagrant", file: /^Vagrantfile$/ },
+  { category: "infrastructure", name: "Bicep", file: /\.bicep$/ },
+];
+
+// Packages that identify a tool, by manifest ecosystem. A string matches the
+// package name exactly; a regular expression matches it as a pattern.
+const DEPENDENCY_RULES = [
+  // JavaScript
+  { category: "frameworks", name: "React", ecosystems: ["npm"], packages: ["react"] },
+  { category: "frameworks", name: "React Native", ecosystems: ["npm"], packages: ["react-native"] },
+  { category: "frameworks", name: "Next.js", ecosystems: ["npm"], packages: ["next"] },
+  { category: "frameworks", name: "Vue", ecosystems: ["npm"], packages: ["vue"] },
+  { category: "frameworks", name: "Nuxt", ecosystems: ["npm"], packages: ["nuxt"] },
+  { category: "frameworks", name: "Angular", ecosystems: ["npm"], packages: ["@angular/core"] },
+  { category: "frameworks", name: "Svelte", ecosystems: ["npm"], packages: ["svelte", "@sveltejs/kit"] },
+  { category: "frameworks", name: "Solid", ecosystems: ["npm"], packages: ["solid-js"] },
+  { category: "frameworks", name: "Preact", ecosystems: ["npm"], packages: ["preact"] },
+  { category: "frameworks", name: "Astro", ecosystems: ["npm"], packages: ["astro"] },
+  { category: "frameworks", name: "Gatsby", ecosystems: ["npm"], packages: ["gatsby"] },
+  { category: "frameworks", name: "Remix", ecosystems: ["npm"], packages: [/^@remix-run\//] },
+  { category: "frameworks", name: "Electron", ecosystems: ["npm"], packages: ["electron"] },
+  { category: "frameworks", name: "Express", ecosystems: ["npm"], packages: ["express"] },
+  { category: "frameworks", name: "Fastify", ecosystems: ["npm"], packages: ["fastify"] },
+  { category: "frameworks", name: "Koa", ecosystems: ["npm"], packages: ["koa"] },
+  { category: "frameworks", name: "hapi", ecosystems: ["npm"], packages: ["@hapi/hapi", "hapi"] },
+  { category: "frameworks", name: "NestJS", ecosystems: ["npm"], packages: ["@nestjs/core"] },
+  { category: "buildTools", name: "Vite", ecosystems: ["npm"], packages: ["vite"] },
+  { category: "buildTools", name: "webpack", ecosystems: ["npm"], packages: ["webpack"] },
+  { category: "buildTools", name: "Rollup", ecosystems: ["npm"], packages: ["rollup"] },
+  { category: "buildTools", name: "esbuild", ecosystems: ["npm"], packages: ["esbuild"] },
+  { category: "buildTools", name: "Parcel", ecosystems: ["npm"], packages: ["parcel"] },
+  { category: "buildTools", name: "TypeScript", ecosystems: ["npm"], packages: ["typescript"] },
+  { category: "buildTools", name: "Babel", ecosystems: ["npm"], packages: ["@babel/core"] },
+  { category: "testFrameworks", name: "Jest", ecosystems: ["npm"], packages: ["jest"] },
+  { category: "testFrameworks", name: "Vitest", ecosystems: ["npm"], packages: ["vitest"] },
+  { category: "testFrameworks", name: "Mocha", ecosystems: ["npm"], packages: ["mocha"] },
+  { category: "testFrameworks", name: "Jasmine", ecosystems: ["npm"], packages: ["jasmine"] },
+  { category: "testFrameworks", name: "AVA", ecosystems: ["npm"], packages: ["ava"] },
+  { category: "testFrameworks", name: "Cypress", ecosystems: ["npm"], packages: ["cypress"] },
+  { category: "testFrameworks", name: "Playwright", ecosystems: ["npm"], packages: ["@playwright/test"] },
+  { category: "testFrameworks", name: "Testing Library", ecosystems: ["npm"], packages: [/^@testing-library\//] },
+
+  // Python
+  { category: "frameworks", name: "Django", ecosystems: ["pip", "python"], packages: ["django"] },
+  { category: "frameworks", name: "Flask", ecosystems: ["pip", "python"], packages: ["flask"] },
+  { category: "frameworks", name: "FastAPI", ecosystems: ["pip", "python"], packages: ["fastapi"] },
+  { category: "frameworks", name: "Starlette", ecosystems: ["pip", "python"], packages: ["starlette"] },
+  { category: "frameworks", name: "Tornado", ecosystems: ["pip", "python"], packages: ["tornado"] },
+  { category: "frameworks", name: "Pyramid", ecosystems: ["pip", "python"], packages: ["pyramid"] },
+  { category: "frameworks", name: "aiohttp", ecosystems: ["pip", "python"], packages: ["aiohttp"] },
+  { category: "frameworks", name: "Streamlit", ecosystems: ["pip", "python"], packages: ["streamlit"] },
+  { category: "testFrameworks", name: "pytest", ecosystems: ["pip", "python"], packages: ["pytest"] },
+  { category: "testFrameworks", name: "tox", ecosystems: ["pip", "python"], packages: ["tox"] },
+  { category: "testFrameworks", name: "nose", ecosystems: ["pip", "python"], packages: ["nose", "nose2"] },
+
+  // Go
+  { category: "frameworks", name: "Gin", ecosystems: ["go"], packages: [/^github\.com\/gin-gonic\/gin(?:\/|$)/] },
+  { category: "frameworks", name: "Echo", ecosystems: ["go"], packages: [/^github\.com\/labstack\/echo(?:\/|$)/] },
+  { category: "frameworks", name: "Fiber", ecosystems: ["go"], packages: [/^github\.com\/gofiber\/fiber(?:\/|$)/] },
+  { category: "frameworks", name: "chi", ecosystems: ["go"], packages: [/^github\.com\/go-chi\/chi(?:\/|$)/] },
+  { category: "frameworks", name: "Gorilla", ecosystems: ["go"], packages: [/^github\.com\/gorilla\/mux(?:\/|$)/] },
+  { category: "testFrameworks", name: "Testify", ecosystems: ["go"], packages: [/^github\.com\/stretchr\/testify(?:\/|$)/] },
+  { category: "testFrameworks", name: "Ginkgo", ecosystems: ["go"], packages: [/^github\.com\/onsi\/ginkgo(?:\/|$)/] },
+
+  // Rust
+  { category: "frameworks", name: "Actix Web", ecosystems: ["cargo"], packages: ["actix-web"] },
+  { category: "frameworks", name: "Axum", ecosystems: ["cargo"], packages: ["axum"] },
+  { category: "frameworks", name: "Rocket", ecosystems: ["cargo"], packages: ["rocket"] },
+  { category: "frameworks", name: "Tauri", ecosystems: ["cargo"], packages: ["tauri"] },
+  { category: "frameworks", name: "Bevy", ecosystems: ["cargo"], packages: ["bevy"] },
+
+  // Java
+  { category: "frameworks", name: "Spring Boot", ecosystems: ["maven"], packages: [/^org\.springframework\.boot:/] },
+  { category: "frameworks", name: "Spring", ecosystems: ["maven"], packages: [/^org\.springframework:/] },
+  { category: "frameworks", name: "Quarkus", ecosystems: ["maven"], packages: [/^io\.quarkus:/] },
+  { category: "frameworks", name: "Micronaut", ecosystems: ["maven"], packages: [/^io\.micronaut(?:\.[\w-]+)*:/] },
+  { category: "testFrameworks", name: "JUnit", ecosystems: ["maven"], packages: ["junit:junit", /^org\.junit(?:\.[\w-]+)*:/] },
+  { category: "testFrameworks", name: "TestNG", ecosystems: ["maven"], packages: ["org.testng:testng"] },
+
+  // Ruby
+  { category: "frameworks", name: "Rails", ecosystems: ["bundler"], packages: ["rails"] },
+  { category: "frameworks", name: "Sinatra", ecosystems: ["bundler"], packages: ["sinatra"] },
+  { category: "frameworks", name: "Hanami", ecosystems: ["bundler"], packages: ["hanami"] },
+  { category: "testFrameworks", name: "RSpec", ecosystems: ["bundler"], packages: ["rspec", "rspec-rails"] },
+  { category: "testFrameworks", name: "Minitest", ecosystems: ["bundler"], packages: ["minitest"] },
+];
+
+// Files that are entry points by convention, matched against the relative path
+const ENTRY_POINT_PATTERNS = [
+  /^(?:src\/)?(?:index|main|app|server|cli)\.(?:[cm]?[jt]s|[jt]sx)$/,
+  /^(?:src\/)?(?:[\w-]+\/)?__main__\.py$/,
+  /^(?:main|app|manage|wsgi|asgi)\.py$/,
+  /^(?:cmd\/[^/]+\/)?main\.go$/,
+  /^src\/(?:main|lib)\.rs$/,
+  /^src\/bin\/[^/]+\.rs$/,
+  /^src\/main\/(?:java|kotlin)\/(?:[^/]+\/)*[^/]+Application\.(?:java|kt)$/,
+  /^(?:src\/)?main\.(?:c|cc|cpp)$/,
+  /^(?:public\/)?index\.php$/,
+  /^config\.ru$/,
+  /^bin\/[^/]+$/,
+];
+
+// License texts, checked in order after whitespace is collapsed. More specific
+// licenses come before those whose wording they contain.
+const LICENSE_RULES = [
+  { id: "AGPL-3.0", pattern: /GNU AFFERO GENERAL PUBLIC LICENSE/i },
+  { id: "LGPL-3.0", pattern: /GNU LESSER GENERAL PUBLIC LICENSE Version 3/i },
+  { id: "LGPL-2.1", pattern: /GNU LESSER GENERAL PUBLIC LICENSE Version 2\.1|GNU LIBRARY GENERAL PUBLIC LICENSE/i },
+  { id: "GPL-3.0", pattern: /GNU GENERAL PUBLIC LICENSE Version 3/i },
+  { id: "GPL-2.0", pattern: /GNU GENERAL PUBLIC LICENSE Version 2/i },
+  { id: "Apache-2.0", pattern: /Apache License,? Version 2\.0/i },
+  { id: "MPL-2.0", pattern: /Mozilla Public License,? (?:Version|v\.?) ?2\.0/i },
+  { id: "EPL-2.0", pattern: /Eclipse Public License -? ?v(?:ersion)? ?2\.0/i },
+  { id: "BSL-1.0", pattern: /Boost Software License/i },
+  { id: "Unlicense", pattern: /This is free and unencumbered software released into the public domain/i },
+  { id: "CC0-1.0", pattern: /CC0 1\.0 Universal/i },
+  {
+    id: "ISC",
+    pattern: /Permission to use, copy, modify, and\/or distribute this software for any purpose with or without fee is hereby granted/i,
+  },
+  { id: "MIT", pattern: /Permission is hereby granted, free of charge, to any person obtaining a copy/i },
+  { id: "BSD-3-Clause", pattern: /Redistribution and use in source and binary forms.*Neither the name/i },
+  { id: "BSD-2-Clause", pattern: /Redistribution and use in source and binary forms/i },
+  { id: "Zlib", pattern: /This software is provided 'as-is', without any express or implied warranty/i },
+];
+
+const LICENSE_FILE_PATTERN = /^(?:LICEN[CS]E|COPYING|UNLICENSE)(?:[-.][\w.-]+)?$/i;
+
+// Only the start of a license file is read
+const LICENSE_READ_LIMIT = 64 * 1024;
+
+// Hidden root directories whose files are checked even when hidden entries are not walked
+const HIDDEN_DIRECTORIES = [".github/workflows", ".circleci", ".buildkite", ".devcontainer"];
+
+// Evidence kept per detection; the rest is only counted
+const MAX_EVIDENCE = 5;
+
+/**
+ * Whether a package name matches one of a rule's names or patterns
+ * @private
+ */
+function matchesPackage(packages, name) {
+  const lowerName = name.toLowerCase();
+  return packages.some((pattern) =>
+    typeof pattern === "string" ? pattern === lowerName : pattern.test(name)
+  );
+}
+
+/**
+ * Identify the license of a license file's text
+ * @private
+ */
+function identifyLicense(text) {
+  const spdx = /SPDX-License-Identifier:\s*([\w.+-]+(?:\s+(?:OR|AND|WITH)\s+[\w.+-]+)*)/.exec(text);
+  if (spdx) {
+    return { id: spdx[1], reason: "declares SPDX-License-Identifier" };
+  }
+
+  const normalized = text.replace(/\s+/g, " ");
+  const rule = LICENSE_RULES.find((candidate) => candidate.pattern.test(normalized));
+  return rule
+    ? { id: rule.id, reason: `matches the ${rule.id} license text` }
+    : { id: null, reason: "text not recognized" };
+}
+
+/**
+ * Read the start of a file as UTF-8 text
+ * @private
+ */
+async function readStart(filePath, limit) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(limit);
+    const { bytesRead } = await handle.read(buffer, 0, limit, 0);
+    return buffer.subarray(0, bytesRead).toString("utf8");
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * List the hidden files at the root and in the hidden directories that hold CI
+ * and container configuration, as posix paths relative to the root
+ * @private
+ */
+async function listHiddenFiles(rootPath) {
+  const readFiles = async (relativeDirectory) => {
+    try {
+      const entries = await fs.promises.readdir(path.join(rootPath, relativeDirectory), {
+        withFileTypes: true,
+      });
+      return entries
+        .filter((entry) => entry.isFile())
+        .map((entry) => path.posix.join(relativeDirectory, entry.name));
+    } catch {
+      return [];
+    }
+  };
+
+  const rootFiles = (await readFiles(".")).filter((file) => file.startsWith("."));
+  const nested = await Promise.all(HIDDEN_DIRECTORIES.map(readFiles));
+  return [...rootFiles, ...nested.flat()];
+}
+
+/**
+ * Create a collector that infers the profile of a project: its frameworks, build
+ * tools, test frameworks, CI, containers, infrastructure as code, license and
+ * likely entry points. Feed it every file of the walk with addFile (for example
+ * through collectDirectoryStats), then call finish with the dependency analysis.
+ * Every detection lists the evidence it is based on.
+ * @param {string} rootPath - Absolute path of the tree root
+ * @returns {Object} { addFile(node), finish(dependencies) }
+ */
+function createProfileCollector(rootPath) {
+  const detections = new Map();
+  const entryPoints = new Map();
+  const files = new Set();
+  const licenseFiles = [];
+
+  const detect = (category, name, evidence) => {
+    const key = `${category}\0${name}`;
+    if (!detections.has(key)) {
+      detections.set(key, { category, name, evidence: [], omittedEvidence: 0 });
+    }
+    const detection = detections.get(key);
+    if (detection.evidence.includes(evidence)) return;
+    if (detection.evidence.length < MAX_EVIDENCE) detection.evidence.push(evidence);
+    else detection.omittedEvidence++;
+  };
+
+  const addEntryPoint = (entryPath, evidence) => {
+    if (!entryPoints.has(entryPath)) entryPoints.set(entryPath, []);
+    const evidenceList = entryPoints.get(entryPath);
+    if (!evidenceList.includes(evidence)) evidenceList.push(evidence);
+  };
+
+  const addPath = (relativePath) => {
+    if (files.has(relativePath)) return;
+    files.add(relativePath);
+
+    const name = path.posix.basename(relativePath);
+    for (const rule of FILE_RULES) {
+      const matched = rule.file ? rule.file.test(name) : rule.path.test(relativePath);
+      if (matched) detect(rule.category, rule.name, relativePath);
+    }
+    if (ENTRY_POINT_PATTERNS.some((pattern) => pattern.test(relativePath))) {
+      addEntryPoint(relativePath, "conventional entry point name");
+    }
+    if (!relativePath.includes("/") && LICENSE_FILE_PATTERN.test(name)) {
+      licenseFiles.push(relativePath);
+    }
+  };
+
+  const addManifest = (manifest) => {
+    const declared = [
+      ...Object.entries(manifest.dependencies).map(([name, version]) => [name, version, "dependency"]),
+      ...Object.entries(manifest.devDependencies).map(([name, version]) => [name, version, "dev dependency"]),
+    ];
+    for (const [name, version, kind] of declared) {
+      for (const rule of DEPENDENCY_RULES) {
+        if (rule.ecosystems.includes(manifest.ecosystem) && matchesPackage(rule.packages, name)) {
+          detect(rule.category, rule.name, `${manifest.path}: ${kind} ${name} ${version}`);
+        }
+      }
+    }
+
+    for (const { file, via } of manifest.entryPoints || []) {
+      const entryPath = path.posix.join(manifest.directory, file);
+      addEntryPoint(
+        entryPath,
+        files.has(entryPath)
+          ? `${manifest.path}: ${via}`
+          : `${manifest.path}: ${via} (not in the tree, probably built)`
+      );
+    }
+
+    // Python console scripts name a module; find its file
+    if (manifest.ecosystem === "python") {
+      for (const [script, target] of Object.entries(manifest.scripts)) {
+        const modulePath = target.split(":")[0].trim().replace(/\./g, "/");
+        const candidates = [`${modulePath}.py`, `${modulePath}/__init__.py`].flatMap((file) => [
+          path.posix.join(manifest.directory, file),
+          path.posix.join(manifest.directory, "src", file),
+        ]);
+        const found = candidates.find((candidate) => files.has(candidate));
+        if (found) addEntryPoint(found, `${manifest.path}: script ${script}`);
+      }
+    }
+  };
+
+  const readLicenses = () =>
+    Promise.all(
+      licenseFiles.sort().map(async (licensePath) => {
+        try {
+          const text = await readStart(path.join(rootPath, licensePath), LICENSE_READ_LIMIT);
+          const { id, reason } = identifyLicense(text);
+          return { id, path: licensePath, evidence: [`${licensePath}: ${reason}`] };
+        } catch (err) {
+          return { id: null, path: licensePath, evidence: [`${licensePath}: ${err.message}`] };
+        }
+      })
+    );
+
+  return {
+    /**
+     * Record a file of the walk
+     * @param {Object} node - File node from walkTreeModel
+     */
+    addFile(node) {
+      addPath(node.relativePath);
+    },
+
+    /**
+     * Check the hidden CI and tool configuration the walk may have skipped, add
+     * what the dependency manifests declare and read the license files
+     * @param {Object} dependencies - Result of analyzeManifests, or null
+     * @returns {Promise<Object>} { frameworks, buildTools, testFrameworks, ci,
+     *   containers, infrastructure: [{ name, evidence, omittedEvidence }],
+     *   licenses: [{ id, path, evidence }], entryPoints: [{ path, evidence }] }
+     */
+    async finish(dependencies) {
+      for (const hiddenPath of await listHiddenFiles(rootPath)) {
+        addPath(hiddenPath);
+      }
+      if (dependencies) {
+        dependencies.manifests.filter((manifest) => !manifest.error).forEach(addManifest);
+      }
+
+      const profile = {};
+      for (const [category] of PROFILE_CATEGORIES) {
+        profile[category] = Array.from(detections.values())
+          .filter((detection) => detection.category === category)
+          .map(({ name, evidence, omittedEvidence }) => ({ name, evidence, omittedEvidence }))
+          .sort((a, b) => a.name.localeCompare(b.name));
+      }
+      profile.licenses = await readLicenses();
+
+      // Declared entry points first, then conventional ones, each by path
+      const conventional = (evidence) =>
+        evidence.every((item) => item === "conventional entry point name");
+      profile.entryPoints = Array.from(entryPoints, ([entryPath, evidence]) => ({
+        path: entryPath,
+        evidence,
+      })).sort(
+        (a, b) =>
+          conventional(a.evidence) - conventional(b.evidence) || a.path.localeCompare(b.path)
+      );
+      return profile;
+    },
+  };
+}
+
+/**
+ * Flatten a profile into rows of { category, name, evidence } in report order,
+ * with display labels for the categories
+ * @param {Object} profile - Result of a profile collector's finish
+ * @returns {Array<Object>} Profile rows
+ */
+function profileRows(profile) {
+  const evidenceOf = (detection) =>
+    detection.omittedEvidence > 0
+      ? [...detection.evidence, `and ${detection.omittedEvidence} more`]
+      : detection.evidence;
+
+  return [
+    ...PROFILE_CATEGORIES.flatMap(([category, label]) =>
+      profile[category].map((detection) => ({
+        category: label,
+        name: detection.name,
+        evidence: evidenceOf(detection),
+      }))
+    ),
+    ...profile.licenses.map((license) => ({
+      category: "License",
+      name: license.id || "Unrecognized",
+      evidence: license.evidence,
+    })),
+    ...profile.entryPoints.map((entryPoint) => ({
+      category: "Entry points",
+      name: entryPoint.path,
+      evidence: entryPoint.evidence,
+    })),
+  ];
+}
+
+/**
+ * Render a project profile as plain text: one line per category, then the
+ * evidence behind every detection
+ * @param {Object} profile - Result of a profile collector's finish
+ * @returns {Array<string>} Report lines
+ */
+function formatProfileReport(profile) {
+  const rows = profileRows(profile);
+  const labels = [...PROFILE_CATEGORIES.map(([, label]) => label), "License", "Entry points"];
+
+  const lines = labels.map((label) => {
+    const names = rows.filter((row) => row.category === label).map((row) => row.name);
+    return `- ${label}: ${names.length > 0 ? names.join(", ") : "none detected"}`;
+  });
+
+  if (rows.length > 0) {
+    lines.push("", "Evidence:");
+    lines.push(...rows.map((row) => `- ${row.name}: ${row.evidence.join("; ")}`));
+  }
+  return lines;
+}
+
+export { createProfileCollector, profileRows, formatProfileReport };
@@ -0,0 +1,336 @@
+import path from "path";
+import { compileIgnoreRule } from "./ignoreRules.js";
+
+// Files that hold credentials by convention. They are listed but never read.
+// Gitignore syntax: the last matching pattern wins, so "!" re-allows templates.
+const DEFAULT_DENYLIST = [
+  ".env",
+  ".env.*",
+  "!.env.example",
+  "!.env.sample",
+  "!.env.template",
+  "*.pem",
+  "*.key",
+  "*.p12",
+  "*.pfx",
+  "*.jks",
+  "*.keystore",
+  "id_rsa",
+  "id_dsa",
+  "id_ecdsa",
+  "id_ed25519",
+  ".npmrc",
+  ".pypirc",
+  ".netrc",
+  ".htpasswd",
+  "*.tfstate",
+  "*.tfstate.backup",
+  "credentials.json",
+  "service-account*.json",
+];
+
+// A secret-like name followed by ":" or "=", as in config files, code and JSON. The
+// keyword may sit anywhere in the name (SECRET_KEY_BASE, DB_PASSWORD_PROD); both
+// sides are bounded so long runs of name characters stay linear to scan.
+const SECRET_ASSIGNMENT = String.raw`\b[\w.-]{0,64}?(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|client[_-]?secret|auth[_-]?key)[\w.-]{0,64}?["']?[ \t]*[:=][ \t]*`;
+
+// Secret patterns, most specific first. When a pattern has a "secret" group, only
+// that part of the match is replaced; otherwise the whole match is.
+const SECRET_RULES = [
+  {
+    id: "private-key",
+    description: "Private key block",
+    regex: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g,
+  },
+  {
+    id: "aws-access-key-id",
+    description: "AWS access key ID",
+    regex: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    id: "aws-secret-access-key",
+    description: "AWS secret access key",
+    regex: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+  },
+  {
+    id: "github-token",
+    description: "GitHub token",
+    regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+  },
+  {
+    id: "gitlab-token",
+    description: "GitLab token",
+    regex: /\bglpat-[A-Za-z0-9_-]{20,}\b/g,
+  },
+  {
+    id: "slack-token",
+    description: "Slack token",
+    regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g,
+  },
+  {
+    id: "slack-webhook",
+    description: "Slack webhook URL",
+    regex: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/_-]+/g,
+  },
+  {
+    id: "stripe-key",
+    description: "Stripe API key",
+    regex: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g,
+  },
+  {
+    id: "google-api-key",
+    description: "Google API key",
+    regex: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  },
+  {
+    id: "ai-api-key",
+    description: "AI provider API key",
+    regex: /\bsk-(?:proj-|ant-(?:api\d+-)?)?[A-Za-z0-9_-]{32,}\b/g,
+  },
+  {
+    id: "npm-token",
+    description: "npm access token",
+    regex: /\bnpm_[A-Za-z0-9]{36}\b/g,
+  },
+  {
+    id: "jwt",
+    description: "JSON Web Token",
+    regex: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  },
+  {
+    id: "connection-string",
+    description: "Password in a connection string",
+    regex: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/'"]+:(?<secret>[^\s@/'"]+)@/gi,
+  },
+  {
+    id: "secret-assignment",
+    description: "Value assigned to a secret-like name",
+    // A quoted value is replaced up to its closing quote, so passphrases with
+    // spaces are not cut short at the first word
+    regex: new RegExp(String.raw`${SECRET_ASSIGNMENT}(["'\x60])(?<secret>(?:(?!\1)[^\r\n]){8,})\1`, "gi"),
+    accept: (secret) => isLiteralSecret(secret, null),
+  },
+  {
+    id: "secret-assignment",
+    description: "Value assigned to a secret-like name",
+    regex: new RegExp(String.raw`${SECRET_ASSIGNMENT}["']?(?<secret>[^\s"'\x60,;()[\]]{8,})`, "gi"),
+    accept: isLiteralSecret,
+  },
+  {
+    id: "high-entropy",
+    description: "High-entropy string",
+    regex: /(?:["'`]|[=:]\s*)(?<secret>[A-Za-z0-9+/_-]{20,}={0,2})/g,
+    accept: isHighEntropy,
+  },
+];
+
+/**
+ * Shannon entropy of a string in bits per character
+ * @private
+ */
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Check whether an assigned value is a literal secret rather than a reference to
+ * another value (variable, env lookup, template or function call)
+ * @param {string} secret - Assigned value
+ * @param {string|null} following - Character after an unquoted value, or null for a quoted one
+ * @private
+ */
+function isLiteralSecret(secret, following) {
+  if (/^(?:\$|%|<|\{|process\.env|os\.environ|env\(|getenv)/i.test(secret)) return false;
+  if (/^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+$/.test(secret)) return false;
+  if (following === null) return true;
+
+  // Unquoted values in code: calls such as getToken() and variables such as
+  // accessToken or stored_hash; in .env and YAML files a bare word is the value
+  if (following === "(") return false;
+  if (/^[a-z]+(?:[A-Z][a-z]+)+\d*$/.test(secret)) return false;
+  return !(following === ";" && /^[a-z_][a-z\d_]*$/.test(secret));
+}
+
+/**
+ * Check whether a candidate looks like a random key rather than a word,
+ * identifier, path or integrity hash
+ * @private
+ */
+function isHighEntropy(candidate) {
+  if (/^sha(?:1|256|384|512)-/.test(candidate)) return false;
+  if (!/[a-z]/.test(candidate) || !/[A-Z]/.test(candidate) || !/\d/.test(candidate)) {
+    return false;
+  }
+  // A random string of length n can reach log2(n) bits per character
+  const threshold = Math.min(4.5, Math.log2(candidate.length) * 0.85);
+  return shannonEntropy(candidate) >= threshold;
+}
+
+/**
+ * Create a filename denylist matcher
+ * @param {Array<string>} patterns - Extra gitignore-style patterns, applied after the defaults
+ * @param {Object} options - Matcher options
+ * @param {boolean} options.includeDefaults - Whether to start from DEFAULT_DENYLIST (default true)
+ * @returns {function(string): (string|null)} Returns the matching pattern for a relative path, or null
+ */
+function createDenylist(patterns = [], options = {}) {
+  const { includeDefaults = true } = options;
+  const rules = [...(includeDefaults ? DEFAULT_DENYLIST : []), ...patterns]
+    .map((pattern) => compileIgnoreRule(pattern, "", "denylist"))
+    .filter(Boolean);
+
+  return (relativePath) => {
+    const candidate = relativePath.split(path.sep).join("/");
+    for (let i = rules.length - 1; i >= 0; i--) {
+      if (rules[i].regex.test(candidate)) {
+        return rules[i].negated ? null : rules[i].pattern;
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Line number (1-based) of an offset in a text
+ * @private
+ */
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = text.indexOf("\n"); i !== -1 && i < offset; i = text.indexOf("\n", i + 1)) {
+    line++;
+  }
+  return line;
+}
+
+/**
+ * Find secrets in a text and replace them with placeholders such as
+ * "[REDACTED:github-token]". The secrets themselves never appear in the findings.
+ * @param {string} content - Text to scan
+ * @param {Object} options - Redaction options
+ * @param {string} options.filePath - Path recorded in the findings
+ * @returns {Object} { content, findings: [{ path, line, rule, description }] }
+ */
+function redactSecrets(content, options = {}) {
+  const { filePath = "" } = options;
+
+  // Collect matches from every rule against the original text
+  const matches = [];
+  SECRET_RULES.forEach((rule, priority) => {
+    const regex = new RegExp(rule.regex.source, `${rule.regex.flags}d`);
+    for (const match of content.matchAll(regex)) {
+      const [start, end] = match.indices.groups && match.indices.groups.secret
+        ? match.indices.groups.secret
+        : match.indices[0];
+      const secret = content.slice(start, end);
+      if (rule.accept && !rule.accept(secret, content.charAt(end))) continue;
+      matches.push({ start, end, rule, priority });
+    }
+  });
+
+  // Earlier matches win; at the same position the more specific rule wins
+  matches.sort((a, b) => a.start - b.start || a.priority - b.priority);
+
+  const findings = [];
+  const parts = [];
+  let cursor = 0;
+  for (const match of matches) {
+    if (match.start < cursor) continue;
+    parts.push(content.slice(cursor, match.start), `[REDACTED:${match.rule.id}]`);
+    findings.push({
+      path: filePath,
+      line: lineAt(content, match.start),
+      rule: match.rule.id,
+      description: match.rule.description,
+    });
+    cursor = match.end;
+  }
+  parts.push(content.slice(cursor));
+
+  return { content: parts.join(""), findings };
+}
+
+/**
+ * Create a redactor that applies the denylist and secret patterns to the files of
+ * one export and records every finding
+ * @param {Object} options - Redaction options
+ * @param {boolean} options.enabled - Whether to redact at all (default true)
+ * @param {Array<string>} options.denylist - Extra filename patterns to withhold
+ * @returns {Object} { findings, isDenied(relativePath), deniedBy(relativePath), redact(content, relativePath) }
+ */
+function createRedactor(options = {}) {
+  const { enabled = true, denylist = [] } = options;
+  const isDenied = createDenylist(denylist);
+  const findings = [];
+
+  return {
+    findings,
+
+    /**
+     * Check a file against the denylist without recording anything
+     * @returns {string|null} Matching pattern, or null if the file may be read
+     */
+    isDenied(relativePath) {
+      return enabled ? isDenied(relativePath) : null;
+    },
+
+    /**
+     * Check a file against the denylist, recording a finding when it matches
+     * @returns {string|null} Matching pattern, or null if the file may be read
+     */
+    deniedBy(relativePath) {
+      if (!enabled) return null;
+      const pattern = isDenied(relativePath);
+      if (pattern) {
+        findings.push({
+          path: relativePath,
+          line: null,
+          rule: "denylist",
+          description: `File matches denylist pattern "${pattern}"`,
+        });
+      }
+      return pattern;
+    },
+
+    /**
+     * Redact the secrets in a file's text
+     * @returns {string} Redacted text
+     */
+    redact(content, relativePath) {
+      if (!enabled) return content;
+      const result = redactSecrets(content, { filePath: relativePath });
+      findings.push(...result.findings);
+      return result.content;
+    },
+  };
+}
+
+/**
+ * Render redaction findings as plain text lines ("path:line  description")
+ * @param {Array<Object>} findings - Findings from redactSecrets, plus denylisted files
+ * @returns {Array<string>} Report lines
+ */
+function formatRedactionReport(findings) {
+  return findings.map((finding) =>
+    finding.line
+      ? `${finding.path}:${finding.line}  ${finding.description} (${finding.rule})`
+      : `${finding.path}  ${finding.description} (${finding.rule})`
+  );
+}
+
+export {
+  DEFAULT_DENYLIST,
+  createDenylist,
+  createRedactor,
+  redactSecrets,
+  formatRedactionReport,
+};
@@ -0,0 +1,901 @@
+import path from "path";
+import { formatFileSize } from "./format.js";
+import {
+  renderTreeLines,
+  iterateSummaryText,
+  renderSummaryText,
+  describeGitMetadata,
+} from "./textOutput.js";
+import {
+  buildStructuredReport,
+  serializeReport,
+  iterateReport,
+} from "./structuredOutput.js";
+import { describeManifest } from "./manifests.js";
+import { profileRows } from "./projectProfile.js";
+import { SHALLOW_NOTE, describeHistory } from "./gitHistory.js";
+
+/**
+ * Sort file type statistics by file count, largest first
+ * @private
+ */
+function sortedFileTypes(stats) {
+  return Object.entries(stats.fileTypes).sort((a, b) => b[1].count - a[1].count);
+}
+
+/**
+ * The ten largest files, with paths relative to the tree root
+ * @private
+ */
+function topLargestFiles(summary) {
+  return [...summary.stats.largestFiles]
+    .sort((a, b) => b.size - a.size)
+    .slice(0, 10)
+    .map((file) => ({
+      path: path.relative(summary.model.path, file.path).split(path.sep).join("/"),
+      size: file.size,
+    }));
+}
+
+/**
+ * Lockfile column of the dependency tables: the lockfile, "missing", or "n/a" for
+ * manifests that need none
+ * @private
+ */
+function lockfileLabel(manifest, dependencies) {
+  if (manifest.lockfile) return manifest.lockfile;
+  return dependencies.missingLockfiles.includes(manifest.path) ? "missing" : "n/a";
+}
+
+/**
+ * Scripts and dependencies of a manifest as rows of [name, value, kind]
+ * @private
+ */
+function manifestRows(manifest) {
+  return [
+    ...Object.entries(manifest.scripts).map(([name, command]) => [name, command, "script"]),
+    ...Object.entries(manifest.dependencies).map(([name, version]) => [name, version, "runtime"]),
+    ...Object.entries(manifest.devDependencies).map(([name, version]) => [name, version, "dev"]),
+  ];
+}
+
+/**
+ * Date part of an ISO timestamp
+ * @private
+ */
+function isoDay(isoDate) {
+  return isoDate.slice(0, 10);
+}
+
+/**
+ * Escape a value for use inside a Markdown table cell
+ * @private
+ */
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+/**
+ * Render a directory summary as Markdown: a fenced tree and tables for file types
+ * and largest files, each in a collapsible <details> section
+ * @param {Object} summary - Summary data
+ * @param {Object} summary.model - Tree model
+ * @param {Object} summary.stats - Directory statistics
+ * @param {Array<string>} summary.treeLines - Plain text tree lines
+ * @param {string} summary.origin - Analyzed source
+ * @param {string|null} summary.git - Git description line
+ * @param {Date} summary.generatedAt - Generation time
+ * @param {boolean} summary.includeStats - Whether to include the statistics sections
+ * @param {Object} summary.profile - Project profile, or null
+ * @param {Object} summary.languages - Result of collectLanguageStats, or null
+ * @param {Object} summary.dependencies - Result of analyzeManifests, or null
+ * @param {Object} summary.history - Result of analyzeGitHistory, or null
+ * @returns {string} Markdown document
+ */
+function renderSummaryMarkdown(summary) {
+  const { model, stats, treeLines, origin, git, generatedAt, includeStats } = summary;
+  const { profile = null, languages = null, dependencies = null, history = null } = summary;
+
+  // Pick a fence longer than any backtick run in a file name
+  const backtickRuns = treeLines.join("\n").match(/`+/g) || [];
+  const longestRun = Math.max(0, ...backtickRuns.map((run) => run.length));
+  const fence = "`".repeat(Math.max(3, longestRun + 1));
+
+  const output = [];
+  output.push(`# Directory Summary: ${model.name}`);
+  output.push("");
+  output.push(`- **Source:** \`${origin}\``);
+  if (git) {
+    output.push(`- **Git:** ${git}`);
+  }
+  output.push(`- **Generated on:** ${generatedAt.toLocaleString()}`);
+  output.push("");
+
+  if (profile) {
+    const rows = profileRows(profile);
+    output.push("## Project Profile");
+    output.push("");
+    if (rows.length === 0) {
+      output.push("Nothing detected.");
+    } else {
+      output.push("| Category | Detected | Evidence |");
+      output.push("| --- | --- | --- |");
+      rows.forEach((row) => {
+        output.push(
+          `| ${row.category} | ${escapeMarkdownCell(row.name)} | ${row.evidence
+            .map(escapeMarkdownCell)
+            .join("<br>")} |`
+        );
+      });
+    }
+    output.push("");
+  }
+
+  output.push("## Directory Structure");
+  output.push("");
+  output.push("<details open>");
+  output.push(
+    `<summary>${stats.totalFiles} files in ${stats.totalDirectories} directories</summary>`
+  );
+  output.push("");
+  output.push(`${fence}text`);
+  output.push(...treeLines);
+  output.push(fence);
+  output.push("");
+  output.push("</details>");
+
+  if (includeStats) {
+    output.push("");
+    output.push("## Directory Statistics");
+    output.push("");
+    output.push("| Metric | Value |");
+    output.push("| --- | ---: |");
+    output.push(`| Total Files | ${stats.totalFiles} |`);
+    output.push(`| Total Directories | ${stats.totalDirectories} |`);
+    output.push(`| Total Size | ${formatFileSize(stats.totalSize)} |`);
+
+    const fileTypes = sortedFileTypes(stats);
+    output.push("");
+    output.push("## File Types");
+    output.push("");
+    output.push("<details>");
+    output.push(`<summary>${fileTypes.length} file types</summary>`);
+    output.push("");
+    output.push("| Extension | Files | Size |");
+    output.push("| --- | ---: | ---: |");
+    fileTypes.forEach(([ext, data]) => {
+      output.push(
+        `| ${escapeMarkdownCell(ext)} | ${data.count} | ${formatFileSize(data.size)} |`
+      );
+    });
+    output.push("");
+    output.push("</details>");
+
+    const largestFiles = topLargestFiles(summary);
+    output.push("");
+    output.push("## Largest Files");
+    output.push("");
+    output.push("<details>");
+    output.push(`<summary>Top ${largestFiles.length} files by size</summary>`);
+    output.push("");
+    output.push("| File | Size |");
+    output.push("| --- | ---: |");
+    largestFiles.forEach((file) => {
+      output.push(
+        `| \`${escapeMarkdownCell(file.path)}\` | ${formatFileSize(file.size)} |`
+      );
+    });
+    output.push("");
+    output.push("</details>");
+  }
+
+  if (languages) {
+    output.push("");
+    output.push("## Languages");
+    output.push("");
+    if (languages.byLanguage.length === 0) {
+      output.push("No source files in a known language.");
+    } else {
+      output.push("| Language | Files | Blank | Comment | Code |");
+      output.push("| --- | ---: | ---: | ---: | ---: |");
+      [...languages.byLanguage, { language: "**Total**", ...languages.total }].forEach((entry) => {
+        output.push(
+          `| ${escapeMarkdownCell(entry.language)} | ${entry.files} | ${entry.blank} | ${entry.comment} | ${entry.code} |`
+        );
+      });
+    }
+
+    if (languages.byDirectory.length > 0) {
+      output.push("");
+      output.push("<details>");
+      output.push(`<summary>Lines of code in ${languages.byDirectory.length} directories</summary>`);
+      output.push("");
+      output.push("| Directory | Main Language | Files | Blank | Comment | Code |");
+      output.push("| --- | --- | ---: | ---: | ---: | ---: |");
+      languages.byDirectory.forEach((entry) => {
+        output.push(
+          `| \`${escapeMarkdownCell(entry.path)}/\` | ${escapeMarkdownCell(
+            entry.languages[0].language
+          )} | ${entry.files} | ${entry.blank} | ${entry.comment} | ${entry.code} |`
+        );
+      });
+      output.push("");
+      output.push("</details>");
+    }
+  }
+
+  if (dependencies) {
+    output.push("");
+    output.push("## Dependencies");
+    output.push("");
+    if (dependencies.manifests.length === 0) {
+      output.push("No dependency manifests found.");
+    } else {
+      output.push("| Manifest | Ecosystem | Dependencies | Dev Dependencies | Lockfile |");
+      output.push("| --- | --- | ---: | ---: | --- |");
+      dependencies.manifests.forEach((manifest) => {
+        output.push(
+          `| \`${escapeMarkdownCell(manifest.path)}\` | ${escapeMarkdownCell(describeManifest(manifest))} | ${
+            Object.keys(manifest.dependencies).length
+          } | ${Object.keys(manifest.devDependencies).length} | ${escapeMarkdownCell(
+            lockfileLabel(manifest, dependencies)
+          )} |`
+        );
+      });
+    }
+
+    dependencies.manifests.forEach((manifest) => {
+      const rows = manifestRows(manifest);
+      const engines = Object.entries(manifest.engines);
+      if (rows.length === 0 && engines.length === 0 && !manifest.error) return;
+
+      output.push("");
+      output.push("<details>");
+      output.push(`<summary>${escapeHtml(manifest.path)}</summary>`);
+      output.push("");
+      if (manifest.error) {
+        output.push(`Could not parse the manifest: ${manifest.error}`);
+      }
+      if (manifest.workspaces.length > 0) {
+        output.push(`- **Workspaces:** ${manifest.workspaces.map((w) => `\`${w}\``).join(", ")}`);
+      }
+      if (engines.length > 0) {
+        output.push(
+          `- **Engines:** ${engines.map(([name, version]) => `${name} \`${version}\``).join(", ")}`
+        );
+      }
+      if (rows.length > 0) {
+        output.push("");
+        output.push("| Name | Version or Command | Kind |");
+        output.push("| --- | --- | --- |");
+        rows.forEach(([name, value, kind]) => {
+          output.push(
+            `| ${escapeMarkdownCell(name)} | \`${escapeMarkdownCell(value)}\` | ${kind} |`
+          );
+        });
+      }
+      output.push("");
+      output.push("</details>");
+    });
+  }
+
+  if (history) {
+    output.push("");
+    output.push("## History");
+    output.push("");
+    output.push(`${describeHistory(history)}${history.commits > 0 ? " (merge commits not counted)" : ""}.`);
+    if (history.shallow) {
+      output.push("");
+      output.push(`> ${SHALLOW_NOTE}.`);
+    }
+  }
+
+  if (history && history.commits > 0) {
+    output.push("");
+    output.push("### Top Contributors");
+    output.push("");
+    output.push("| Contributor | Commits | Lines Added | Lines Deleted | Last Commit |");
+    output.push("| --- | ---: | ---: | ---: | --- |");
+    history.contributors.forEach((contributor) => {
+      output.push(
+        `| ${escapeMarkdownCell(`${contributor.name} <${contributor.email}>`)} | ${contributor.commits} | ${
+          contributor.linesAdded
+        } | ${contributor.linesDeleted} | ${isoDay(contributor.lastCommit)} |`
+      );
+    });
+
+    output.push("");
+    output.push("### Most Changed Files");
+    output.push("");
+    output.push("| File | Commits | Lines Added | Lines Deleted |");
+    output.push("| --- | ---: | ---: | ---: |");
+    history.churn.forEach((file) => {
+      output.push(
+        `| \`${escapeMarkdownCell(file.path)}\` | ${file.commits} | ${file.linesAdded} | ${file.linesDeleted} |`
+      );
+    });
+
+    output.push("");
+    output.push("### Activity");
+    output.push("");
+    output.push("<details>");
+    output.push(`<summary>Commits per ${history.activity.interval}</summary>`);
+    output.push("");
+    output.push("| Period | Commits | Authors | Lines Added | Lines Deleted |");
+    output.push("| --- | ---: | ---: | ---: | ---: |");
+    history.activity.periods.forEach((entry) => {
+      output.push(
+        `| ${entry.period} | ${entry.commits} | ${entry.authors} | ${entry.linesAdded} | ${entry.linesDeleted} |`
+      );
+    });
+    output.push("");
+    output.push("</details>");
+
+    output.push("");
+    output.push("### Last Changed");
+    output.push("");
+    output.push("<details>");
+    output.push(`<summary>${history.directories.length} directories</summary>`);
+    output.push("");
+    output.push("| Directory | Commits | Last Changed |");
+    output.push("| --- | ---: | --- |");
+    history.directories.forEach((directory) => {
+      output.push(
+        `| \`${escapeMarkdownCell(directory.path)}/\` | ${directory.commits} | ${isoDay(directory.lastModified)} |`
+      );
+    });
+    output.push("");
+    output.push("</details>");
+    output.push("");
+    output.push("<details>");
+    output.push(`<summary>${history.files.length} files</summary>`);
+    output.push("");
+    output.push("| File | Commits | Created | Last Changed |");
+    output.push("| --- | ---: | --- | --- |");
+    history.files.forEach((file) => {
+      output.push(
+        `| \`${escapeMarkdownCell(file.path)}\` | ${file.commits} | ${isoDay(file.created)} | ${isoDay(
+          file.lastModified
+        )} |`
+      );
+    });
+    output.push("");
+    output.push("</details>");
+
+    output.push("");
+    output.push("### Stale Directories");
+    output.push("");
+    output.push(`Unchanged for ${history.stale.afterDays} days before the last commit:`);
+    output.push("");
+    if (history.stale.directories.length === 0) {
+      output.push("- none");
+    }
+    history.stale.directories.forEach((directory) => {
+      output.push(
+        `- \`${directory.path}/\`: last changed ${isoDay(directory.lastModified)}, ${directory.daysUnchanged} days earlier`
+      );
+    });
+  }
+
+  return `${output.join("\n")}\n`;
+}
+
+/**
+ * Escape text for HTML
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Render the tree model as nested lists; directories are <details> elements
+ * @private
+ */
+function renderHtmlTree(node) {
+  const children = (node.children || []).filter((child) => !child.ignored);
+  if (children.length === 0) {
+    return node.children ? '<ul><li class="empty">[empty]</li></ul>' : "";
+  }
+
+  const items = children.map((child) => {
+    const name = escapeHtml(child.name);
+    const searchPath = escapeHtml(child.relativePath.toLowerCase());
+    if (child.type === "directory") {
+      return `<li data-path="${searchPath}"><details><summary class="dir">${name}/</summary>${renderHtmlTree(child)}</details></li>`;
+    }
+    return `<li data-path="${searchPath}"><span class="file">${name}</span> <span class="size">${formatFileSize(child.size)}</span></li>`;
+  });
+
+  return `<ul>${items.join("")}</ul>`;
+}
+
+/**
+ * Render a sortable table
+ * @private
+ */
+function renderHtmlTable(columns, rows) {
+  const head = columns
+    .map((column, i) => `<th data-column="${i}" data-type="${column.type}">${escapeHtml(column.label)}</th>`)
+    .join("");
+  const body = rows
+    .map(
+      (row) =>
+        `<tr>${row
+          .map((cell) => `<td data-value="${escapeHtml(cell.value)}">${escapeHtml(cell.display)}</td>`)
+          .join("")}</tr>`
+    )
+    .join("\n");
+
+  return `<table class="sortable"><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #1f2328; }
+h1 { font-size: 1.6rem; } h2 { margin-top: 2rem; border-bottom: 1px solid #d0d7de; padding-bottom: .3rem; }
+.meta { color: #59636e; }
+#search { width: 100%; padding: .5rem; font-size: 1rem; margin-bottom: .75rem; box-sizing: border-box; }
+.tree ul { list-style: none; padding-left: 1.25rem; margin: 0; }
+.tree > ul { padding-left: 0; }
+.tree li { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: .9rem; line-height: 1.6; }
+.tree summary { cursor: pointer; }
+.dir { font-weight: 600; color: #0969da; }
+.size, .empty { color: #59636e; }
+.hidden { display: none; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #d0d7de; padding: .35rem .6rem; text-align: left; }
+th { background: #f6f8fa; cursor: pointer; user-select: none; }
+th[data-order="asc"]::after { content: " \\25B2"; } th[data-order="desc"]::after { content: " \\25BC"; }
+td[data-value]:not(:first-child) { text-align: right; }
+`;
+
+const HTML_SCRIPT = `
+(function () {
+  var search = document.getElementById("search");
+  var items = Array.prototype.slice.call(document.querySelectorAll(".tree li[data-path]"));
+  search.addEventListener("input", function () {
+    var query = search.value.trim().toLowerCase();
+    items.forEach(function (item) { item.classList.toggle("hidden", Boolean(query)); });
+    if (!query) return;
+    items.forEach(function (item) {
+      if (item.getAttribute("data-path").indexOf(query) === -1) return;
+      // Show the match with everything below it, and open every directory above it
+      item.querySelectorAll("li[data-path]").forEach(function (child) { child.classList.remove("hidden"); });
+      for (var node = item; node; node = node.parentElement.closest("li[data-path]")) {
+        node.classList.remove("hidden");
+        var details = node.querySelector(":scope > details");
+        if (details && node !== item) details.open = true;
+      }
+    });
+  });
+
+  document.querySelectorAll("table.sortable th").forEach(function (header) {
+    header.addEventListener("click", function () {
+      var table = header.closest("table");
+      var column = Number(header.getAttribute("data-column"));
+      var numeric = header.getAttribute("data-type") === "number";
+      var order = header.getAttribute("data-order") === "asc" ? "desc" : "asc";
+      table.querySelectorAll("th").forEach(function (th) { th.removeAttribute("data-order"); });
+      header.setAttribute("data-order", order);
+      var body = table.tBodies[0];
+      var rows = Array.prototype.slice.call(body.rows);
+      rows.sort(function (a, b) {
+        var x = a.cells[column].getAttribute("data-value");
+        var y = b.cells[column].getAttribute("data-value");
+        var result = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+        return order === "asc" ? result : -result;
+      });
+      rows.forEach(function (row) { body.appendChild(row); });
+    });
+  });
+})();
+`;
+
+/**
+ * Render a directory summary as a standalone HTML report with an expandable,
+ * searchable tree and sortable tables
+ * @param {Object} summary - Summary data (see renderSummaryMarkdown)
+ * @returns {string} HTML document
+ */
+function renderSummaryHtml(summary) {
+  const { model, stats, origin, git, generatedAt, includeStats } = summary;
+  const { profile = null, languages = null, dependencies = null, history = null } = summary;
+
+  const sections = [];
+  if (profile) {
+    sections.push(`<h2>Project Profile</h2>
+${renderHtmlTable(
+  [
+    { label: "Category", type: "text" },
+    { label: "Detected", type: "text" },
+    { label: "Evidence", type: "text" },
+  ],
+  profileRows(profile).map((row) => [
+    { value: row.category, display: row.category },
+    { value: row.name, display: row.name },
+    { value: row.evidence.join("; "), display: row.evidence.join("; ") },
+  ])
+)}`);
+  }
+
+  sections.push(`<h2>Directory Structure</h2>
+<input id="search" type="search" placeholder="Filter files and directories..." autocomplete="off">
+<div class="tree"><ul><li data-path=""><details open><summary class="dir">${escapeHtml(model.name)}/</summary>${renderHtmlTree(model)}</details></li></ul></div>`);
+
+  if (includeStats) {
+    sections.push(`<h2>Directory Statistics</h2>
+${renderHtmlTable(
+  [
+    { label: "Metric", type: "text" },
+    { label: "Value", type: "number" },
+  ],
+  [
+    [{ value: "Total Files", display: "Total Files" }, { value: stats.totalFiles, display: stats.totalFiles }],
+    [{ value: "Total Directories", display: "Total Directories" }, { value: stats.totalDirectories, display: stats.totalDirectories }],
+    [{ value: "Total Size", display: "Total Size" }, { value: stats.totalSize, display: formatFileSize(stats.totalSize) }],
+  ]
+)}`);
+
+    sections.push(`<h2>File Types</h2>
+${renderHtmlTable(
+  [
+    { label: "Extension", type: "text" },
+    { label: "Files", type: "number" },
+    { label: "Size", type: "number" },
+  ],
+  sortedFileTypes(stats).map(([ext, data]) => [
+    { value: ext, display: ext },
+    { value: data.count, display: data.count },
+    { value: data.size, display: formatFileSize(data.size) },
+  ])
+)}`);
+
+    sections.push(`<h2>Largest Files</h2>
+${renderHtmlTable(
+  [
+    { label: "File", type: "text" },
+    { label: "Size", type: "number" },
+  ],
+  topLargestFiles(summary).map((file) => [
+    { value: file.path, display: file.path },
+    { value: file.size, display: formatFileSize(file.size) },
+  ])
+)}`);
+  }
+
+  if (languages) {
+    const countColumns = [
+      { label: "Files", type: "number" },
+      { label: "Blank", type: "number" },
+      { label: "Comment", type: "number" },
+      { label: "Code", type: "number" },
+    ];
+    const countCells = (entry) =>
+      [entry.files, entry.blank, entry.comment, entry.code].map((count) => ({
+        value: count,
+        display: count,
+      }));
+
+    sections.push(`<h2>Languages</h2>
+${renderHtmlTable(
+  [{ label: "Language", type: "text" }, ...countColumns],
+  languages.byLanguage.map((entry) => [
+    { value: entry.language, display: entry.language },
+    ...countCells(entry),
+  ])
+)}
+<p class="meta">Total: ${languages.total.files} files, ${languages.total.code} lines of code, ${
+      languages.total.comment
+    } comment lines, ${languages.total.blank} blank lines</p>`);
+
+    if (languages.byDirectory.length > 0) {
+      sections.push(`<h2>Lines of Code by Directory</h2>
+${renderHtmlTable(
+  [{ label: "Directory", type: "text" }, { label: "Main Language", type: "text" }, ...countColumns],
+  languages.byDirectory.map((entry) => [
+    { value: entry.path, display: `${entry.path}/` },
+    { value: entry.languages[0].language, display: entry.languages[0].language },
+    ...countCells(entry),
+  ])
+)}`);
+    }
+  }
+
+  if (dependencies) {
+    sections.push(`<h2>Dependencies</h2>
+${renderHtmlTable(
+  [
+    { label: "Manifest", type: "text" },
+    { label: "Ecosystem", type: "text" },
+    { label: "Dependencies", type: "number" },
+    { label: "Dev Dependencies", type: "number" },
+    { label: "Lockfile", type: "text" },
+  ],
+  dependencies.manifests.map((manifest) => {
+    const runtimeCount = Object.keys(manifest.dependencies).length;
+    const devCount = Object.keys(manifest.devDependencies).length;
+    const lockfile = lockfileLabel(manifest, dependencies);
+    return [
+      { value: manifest.path, display: manifest.path },
+      { value: describeManifest(manifest), display: describeManifest(manifest) },
+      { value: runtimeCount, display: runtimeCount },
+      { value: devCount, display: devCount },
+      { value: lockfile, display: lockfile },
+    ];
+  })
+)}`);
+
+    dependencies.manifests.forEach((manifest) => {
+      const rows = manifestRows(manifest);
+      const engines = Object.entries(manifest.engines)
+        .map(([name, version]) => `${name} ${version}`)
+        .join(", ");
+      if (rows.length === 0 && !engines) return;
+
+      sections.push(`<details><summary><code>${escapeHtml(manifest.path)}</code></summary>
+${engines ? `<p class="meta">Engines: ${escapeHtml(engines)}</p>\n` : ""}${renderHtmlTable(
+  [
+    { label: "Name", type: "text" },
+    { label: "Version or Command", type: "text" },
+    { label: "Kind", type: "text" },
+  ],
+  rows.map((row) => row.map((cell) => ({ value: cell, display: cell })))
+)}</details>`);
+    });
+  }
+
+  if (history) {
+    sections.push(`<h2>History</h2>
+<p class="meta">${escapeHtml(describeHistory(history))}${
+      history.commits > 0 ? " (merge commits not counted)" : ""
+    }${history.shallow ? `<br>${escapeHtml(SHALLOW_NOTE)}` : ""}</p>`);
+  }
+
+  if (history && history.commits > 0) {
+    const cell = (value, display = value) => ({ value, display });
+    const lineColumns = [
+      { label: "Commits", type: "number" },
+      { label: "Lines Added", type: "number" },
+      { label: "Lines Deleted", type: "number" },
+    ];
+
+    sections.push(`<h3>Top Contributors</h3>
+${renderHtmlTable(
+  [{ label: "Contributor", type: "text" }, ...lineColumns, { label: "Last Commit", type: "text" }],
+  history.contributors.map((contributor) => [
+    cell(`${contributor.name} <${contributor.email}>`),
+    cell(contributor.commits),
+    cell(contributor.linesAdded),
+    cell(contributor.linesDeleted),
+    cell(contributor.lastCommit, isoDay(contributor.lastCommit)),
+  ])
+)}`);
+
+    sections.push(`<h3>Most Changed Files</h3>
+${renderHtmlTable(
+  [{ label: "File", type: "text" }, ...lineColumns],
+  history.churn.map((file) => [
+    cell(file.path),
+    cell(file.commits),
+    cell(file.linesAdded),
+    cell(file.linesDeleted),
+  ])
+)}`);
+
+    sections.push(`<h3>Activity</h3>
+${renderHtmlTable(
+  [
+    { label: history.activity.interval === "month" ? "Month" : "Year", type: "text" },
+    { label: "Commits", type: "number" },
+    { label: "Authors", type: "number" },
+    { label: "Lines Added", type: "number" },
+    { label: "Lines Deleted", type: "number" },
+  ],
+  history.activity.periods.map((entry) => [
+    cell(entry.period),
+    cell(entry.commits),
+    cell(entry.authors),
+    cell(entry.linesAdded),
+    cell(entry.linesDeleted),
+  ])
+)}`);
+
+    sections.push(`<h3>Last Changed</h3>
+<details><summary>${history.directories.length} directories</summary>
+${renderHtmlTable(
+  [
+    { label: "Directory", type: "text" },
+    { label: "Commits", type: "number" },
+    { label: "Last Changed", type: "text" },
+  ],
+  history.directories.map((directory) => [
+    cell(directory.path, `${directory.path}/`),
+    cell(directory.commits),
+    cell(directory.lastModified, isoDay(directory.lastModified)),
+  ])
+)}</details>
+<details><summary>${history.files.length} files</summary>
+${renderHtmlTable(
+  [
+    { label: "File", type: "text" },
+    { label: "Commits", type: "number" },
+    { label: "Created", type: "text" },
+    { label: "Last Changed", type: "text" },
+  ],
+  history.files.map((file) => [
+    cell(file.path),
+    cell(file.commits),
+    cell(file.created, isoDay(file.created)),
+    cell(file.lastModified, isoDay(file.lastModified)),
+  ])
+)}</details>`);
+
+    sections.push(`<h3>Stale Directories</h3>
+<p class="meta">Unchanged for ${history.stale.afterDays} days before the last commit</p>
+${renderHtmlTable(
+  [
+    { label: "Directory", type: "text" },
+    { label: "Last Changed", type: "text" },
+    { label: "Days Unchanged", type: "number" },
+  ],
+  history.stale.directories.map((directory) => [
+    cell(directory.path, `${directory.path}/`),
+    cell(directory.lastModified, isoDay(directory.lastModified)),
+    cell(directory.daysUnchanged),
+  ])
+)}`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Directory Summary: ${escapeHtml(model.name)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Directory Summary: ${escapeHtml(model.name)}</h1>
+<p class="meta">Source: <code>${escapeHtml(origin)}</code><br>
+${git ? `Git: ${escapeHtml(git)}<br>\n` : ""}Generated on: ${escapeHtml(generatedAt.toLocaleString())}</p>
+${sections.join("\n")}
+<script>${HTML_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a directory summary piece by piece so it can be streamed to a file.
+ * Text is produced line by line and JSON/YAML entry by entry; the Markdown and
+ * HTML documents are rendered whole.
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} stats - Statistics from collectDirectoryStats
+ * @param {Object} source - Resolved source ({ origin, kind, git })
+ * @param {Object} options - Rendering options
+ * @param {string} options.format - "text", "json", "yaml", "markdown" or "html"
+ * @param {boolean} options.includeStats - Whether to include the statistics sections
+ * @param {Object} options.profile - Project profile, rendered as a Project Profile
+ *   section at the top when given
+ * @param {Object} options.languages - Result of collectLanguageStats, rendered as a
+ *   Languages section when given
+ * @param {Object} options.dependencies - Result of analyzeManifests, rendered as a
+ *   Dependencies section when given
+ * @param {Object} options.history - Result of analyzeGitHistory, rendered as a
+ *   History section when given
+ * @yields {string} Consecutive pieces of the rendered summary
+ */
+function* iterateSummary(model, stats, source, options) {
+  const {
+    format,
+    includeStats,
+    profile = null,
+    languages = null,
+    dependencies = null,
+    history = null,
+  } = options;
+
+  if (format === "text") {
+    let first = true;
+    const lines = iterateSummaryText(model, stats, source, {
+      includeStats,
+      profile,
+      languages,
+      dependencies,
+      history,
+    });
+    for (const line of lines) {
+      yield first ? line : `\n${line}`;
+      first = false;
+    }
+    return;
+  }
+
+  if (format === "markdown" || format === "html") {
+    yield renderSummary(model, stats, source, options);
+    return;
+  }
+
+  const report = buildStructuredReport(model, {
+    kind: "summary",
+    source,
+    stats,
+    profile,
+    languages,
+    dependencies,
+    history,
+  });
+  yield* iterateReport(report, format);
+}
+
+/**
+ * Render a directory summary in any supported format
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} stats - Statistics from collectDirectoryStats
+ * @param {Object} source - Resolved source ({ origin, kind, git })
+ * @param {Object} options - Rendering options
+ * @param {string} options.format - "text", "json", "yaml", "markdown" or "html"
+ * @param {boolean} options.includeStats - Whether to include the statistics sections
+ * @param {Object} options.profile - Project profile
+ * @param {Object} options.languages - Result of collectLanguageStats
+ * @param {Object} options.dependencies - Result of analyzeManifests
+ * @param {Object} options.history - Result of analyzeGitHistory
+ * @returns {string} Rendered summary
+ */
+function renderSummary(model, stats, source, options) {
+  const {
+    format,
+    includeStats,
+    profile = null,
+    languages = null,
+    dependencies = null,
+    history = null,
+  } = options;
+
+  if (format === "text") {
+    return renderSummaryText(model, stats, source, {
+      includeStats,
+      profile,
+      languages,
+      dependencies,
+      history,
+    });
+  }
+
+  if (format === "markdown" || format === "html") {
+    const summary = {
+      model,
+      stats,
+      origin: source.origin,
+      git: source.git ? describeGitMetadata(source.git) : null,
+      generatedAt: new Date(),
+      treeLines: renderTreeLines(model),
+      includeStats,
+      profile,
+      languages,
+      dependencies,
+      history,
+    };
+    return format === "markdown"
+      ? renderSummaryMarkdown(summary)
+      : renderSummaryHtml(summary);
+  }
+
+  const report = buildStructuredReport(model, {
+    kind: "summary",
+    source,
+    stats,
+    profile,
+    languages,
+    dependencies,
+    history,
+  });
+  return serializeReport(report, format);
+}
+
+export { renderSummary, iterateSummary, renderSummaryMarkdown, renderSummaryHtml };
@@ -0,0 +1,219 @@
+import fs from "fs";
+import colors from "colors";
+import { formatFileSize } from "./format.js";
+
+// Console verbosity, from nothing at all to every progress phase
+const LOG_LEVELS = ["silent", "quiet", "normal", "verbose"];
+const LOG_FORMATS = ["text", "json"];
+
+// Messages printed at each level; errors are shown unless the reporter is silent
+const MESSAGE_LEVELS = {
+  error: "quiet",
+  success: "normal",
+  info: "normal",
+  debug: "verbose",
+};
+
+// Minimum time between progress bar redraws and logged progress events (ms)
+const REDRAW_INTERVAL = 100;
+const LOG_INTERVAL = 1000;
+
+const BAR_WIDTH = 24;
+
+colors.setTheme({
+  info: "blue",
+  success: "green",
+  error: "red",
+});
+
+/**
+ * Describe a progress snapshot in a few words, e.g. "Scanning: 120 directories, 800 entries"
+ * @param {Object} progress - Progress snapshot
+ * @returns {string} Description
+ */
+function describeProgress(progress) {
+  switch (progress.phase) {
+    case "clone":
+      return `Cloning: ${progress.step.toLowerCase()} ${progress.percent}%`;
+    case "scan":
+      return `Scanning: ${progress.directoriesScanned} directories, ${progress.entriesScanned} entries`;
+    case "read":
+      return `Reading: ${progress.filesProcessed}/${progress.filesTotal} files`;
+    case "count":
+      return `Counting lines: ${progress.filesProcessed}/${progress.filesTotal} files`;
+    case "imports":
+      return `Parsing imports: ${progress.filesProcessed}/${progress.filesTotal} files`;
+    case "outline":
+      return `Outlining: ${progress.filesProcessed}/${progress.filesTotal} files`;
+    case "history":
+      return `Reading history: ${progress.commitsRead} commits`;
+    case "write":
+      return progress.filesTotal
+        ? `Writing: ${progress.filesProcessed}/${progress.filesTotal} files, ${formatFileSize(progress.bytesWritten)}`
+        : `Writing: ${formatFileSize(progress.bytesWritten)}`;
+    default:
+      return progress.phase;
+  }
+}
+
+/**
+ * Fraction of the current phase that is done, or null when the total is unknown
+ * @private
+ */
+function progressFraction(progress) {
+  if (progress.phase === "clone") return progress.percent / 100;
+  if (progress.filesTotal) return progress.filesProcessed / progress.filesTotal;
+  return null;
+}
+
+/**
+ * Create the reporter every console-facing module sends its messages and progress
+ * events to. It prints messages according to the level, draws a progress bar on a
+ * terminal and can mirror everything to a log file as text or JSON lines.
+ * @param {Object} options - Reporter options
+ * @param {string} options.level - "silent", "quiet" (errors only), "normal" (default)
+ *   or "verbose" (also phase summaries and diagnostics)
+ * @param {boolean} options.progressBar - Draw a progress bar on stderr when it is a terminal
+ * @param {string} options.logFile - Also write every message and progress event to this file
+ * @param {string} options.logFormat - Log file format: "text" (default) or "json" (one object per line)
+ * @param {function(Object)} options.onEvent - Called with every message and progress event
+ * @param {Object} options.stdout - Stream for messages (default process.stdout)
+ * @param {Object} options.stderr - Stream for errors, diagnostics and the bar (default process.stderr)
+ * @returns {Object} { level, error, success, info, debug, progress, close }
+ */
+function createReporter(options = {}) {
+  const {
+    level = "normal",
+    progressBar = false,
+    logFile = null,
+    logFormat = "text",
+    onEvent = null,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = options;
+
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level: ${level} (expected ${LOG_LEVELS.join(", ")})`);
+  }
+  if (!LOG_FORMATS.includes(logFormat)) {
+    throw new Error(`Unknown log format: ${logFormat} (expected ${LOG_FORMATS.join(", ")})`);
+  }
+
+  let logFd = logFile ? fs.openSync(logFile, "w") : null;
+  const showBar = progressBar && Boolean(stderr.isTTY) && level !== "silent" && level !== "quiet";
+
+  let barVisible = false;
+  let lastRedraw = 0;
+  let lastLogged = 0;
+  let current = null;
+
+  const shows = (messageLevel) =>
+    LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(MESSAGE_LEVELS[messageLevel]);
+
+  const writeLog = (event) => {
+    if (logFd === null) return;
+    const line = logFormat === "json"
+      ? JSON.stringify(event)
+      : `${event.time} ${event.level.padEnd(7)} ${event.message || describeProgress(event)}`;
+    fs.writeSync(logFd, `${line}\n`);
+  };
+
+  const clearBar = () => {
+    if (!barVisible) return;
+    stderr.cursorTo(0);
+    stderr.clearLine(0);
+    barVisible = false;
+  };
+
+  const drawBar = (progress) => {
+    const fraction = progressFraction(progress);
+    const bar = fraction === null
+      ? ""
+      : `[${"#".repeat(Math.round(Math.min(1, fraction) * BAR_WIDTH)).padEnd(BAR_WIDTH, "-")}] `;
+    const line = `${bar}${describeProgress(progress)}`;
+    const width = Math.max(10, (stderr.columns || 80) - 1);
+    stderr.cursorTo(0);
+    stderr.clearLine(0);
+    stderr.write(line.slice(0, width));
+    barVisible = true;
+  };
+
+  // A phase ends when the next one starts, a message is printed or the reporter closes
+  const finishPhase = () => {
+    if (!current) return;
+    writeLog({ time: new Date().toISOString(), level: "debug", type: "progress", ...current });
+    if (shows("debug")) {
+      clearBar();
+      stderr.write(`${describeProgress(current)}\n`);
+    }
+    current = null;
+  };
+
+  const message = (messageLevel, text) => {
+    finishPhase();
+    const event = { time: new Date().toISOString(), level: messageLevel, type: "message", message: text };
+    writeLog(event);
+    if (onEvent) onEvent(event);
+    if (!shows(messageLevel)) return;
+
+    clearBar();
+    const stream = messageLevel === "error" || messageLevel === "debug" ? stderr : stdout;
+    const styled = messageLevel === "debug" ? text : colors[messageLevel](text);
+    stream.write(`${styled}\n`);
+  };
+
+  return {
+    level,
+
+    error: (text) => message("error", text),
+    success: (text) => message("success", text),
+    info: (text) => message("info", text),
+    debug: (text) => message("debug", text),
+
+    /**
+     * Report a progress snapshot: { phase: "clone", step, percent } or
+     * { phase: "scan" | "read" | "count" | "imports" | "outline" | "history" | "write", directoriesScanned,
+     *   entriesScanned, filesProcessed, filesTotal, commitsRead, bytesWritten }
+     * @param {Object} progress - Current progress
+     */
+    progress(progress) {
+      const now = Date.now();
+      const phaseChanged = !current || current.phase !== progress.phase ||
+        (progress.phase === "clone" && current.step !== progress.step);
+      if (phaseChanged) {
+        finishPhase();
+        lastLogged = 0;
+      }
+      current = { ...progress };
+
+      const event = { time: new Date(now).toISOString(), level: "debug", type: "progress", ...progress };
+      if (onEvent) onEvent(event);
+
+      // Log the start of each phase and then at most once per interval;
+      // finishPhase logs where it ended
+      if (now - lastLogged >= LOG_INTERVAL) {
+        lastLogged = now;
+        writeLog(event);
+      }
+
+      if (showBar && (phaseChanged || now - lastRedraw >= REDRAW_INTERVAL)) {
+        lastRedraw = now;
+        drawBar(progress);
+      }
+    },
+
+    /**
+     * Finish the current phase, remove the progress bar and close the log file
+     */
+    close() {
+      finishPhase();
+      clearBar();
+      if (logFd !== null) {
+        fs.closeSync(logFd);
+        logFd = null;
+      }
+    },
+  };
+}
+
+export { LOG_LEVELS, LOG_FORMATS, createReporter, describeProgress };
@@ -0,0 +1,301 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { CloneRepository } from "./cloneRepository.js";
+import { openCachedClone } from "./cloneCache.js";
+import { runGit, isGitInstalled, redactCredentials } from "./git.js";
+import { extractArchive, isSupportedArchive } from "./extractArchive.js";
+
+// Sources written as URLs: scheme://..., scp-like user@host:path and remote helper
+// syntax (transport::address); everything else is a filesystem path
+const URL_LIKE_PATTERN = /^(?:[A-Za-z][A-Za-z0-9+.-]*:\/\/|[^@/:\\\s]+@[^@/:\\\s]+:|[A-Za-z][A-Za-z0-9+.-]*::)/;
+
+/**
+ * Resolve any supported source to a local directory that can be traversed.
+ * Supported sources:
+ * - a local directory (plain or a git working copy)
+ * - a file:// URL pointing to one of the local sources
+ * - a bare git repository (its HEAD is checked out into a temporary directory)
+ * - a .zip, .tar, .tar.gz or .tgz archive (extracted into a temporary directory)
+ * - a remote repository URL (cloned with CloneRepository, or taken from the
+ *   clone cache)
+ * @param {string} source - Path, file:// URL, archive or repository URL
+ * @param {Object} options - Resolver options
+ * @param {Object} options.clone - Options passed to CloneRepository for remote URLs
+ * @param {Object} options.cache - Use the clone cache for remote URLs cloned without a
+ *   clone.targetPath; accepts the cache options of openCachedClone (directory, maxSize, maxAge)
+ * @param {boolean} options.gitMetadata - Whether to read branch and HEAD information
+ * @returns {Promise<Object>} Result object with success status, kind, directoryPath, git metadata and a cleanup function
+ */
+async function resolveSource(source, options = {}) {
+  const { clone: cloneOptions = { shallow: true }, cache = null, gitMetadata = true } = options;
+
+  // Sources written as repository URLs are cloned; paths and file:// URLs that do
+  // not exist fail as missing local sources
+  if (
+    source && typeof source === "string" && toLocalPath(source) === null &&
+    !source.startsWith("file://") && !isPathLike(source)
+  ) {
+    try {
+      // A cached clone stays locked until the source is cleaned up
+      const cloneResult = cache && !cloneOptions.targetPath
+        ? await openCachedClone(source, { ...cloneOptions, ...cache })
+        : await CloneRepository(source, cloneOptions);
+      if (!cloneResult.success) {
+        return { success: false, message: cloneResult.message };
+      }
+      return createSource("remote", cloneResult.targetPath, {
+        git: gitMetadata ? readGitMetadata(cloneResult.targetPath) : null,
+        release: cloneResult.release,
+      });
+    } catch (err) {
+      return {
+        success: false,
+        error: err,
+        message: `Failed to resolve source: ${err.message}`,
+      };
+    }
+  }
+
+  return resolveLocalSource(source, { gitMetadata });
+}
+
+/**
+ * Resolve a local source without blocking on a clone: a directory, file:// URL,
+ * bare repository or archive (see resolveSource)
+ * @param {string} source - Path or file:// URL
+ * @param {Object} options - Resolver options
+ * @param {boolean} options.gitMetadata - Whether to read branch and HEAD information
+ * @returns {Object} Result object with success status, kind, directoryPath, git metadata and a cleanup function
+ */
+function resolveLocalSource(source, options = {}) {
+  const { gitMetadata = true } = options;
+  const readMetadata = (dirPath, metadataOptions) =>
+    gitMetadata ? readGitMetadata(dirPath, metadataOptions) : null;
+
+  try {
+    if (!source || typeof source !== "string") {
+      throw new Error("Invalid source provided");
+    }
+
+    if (!source.startsWith("file://") && !isPathLike(source) && toLocalPath(source) === null) {
+      throw new Error(`Not a local source: ${source}`);
+    }
+
+    const localPath = source.startsWith("file://") ? fileURLPath(source) : expandHome(source);
+    const resolvedPath = path.resolve(localPath);
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`Directory does not exist: ${resolvedPath}`);
+    }
+    const pathStats = fs.statSync(resolvedPath);
+
+    if (pathStats.isFile()) {
+      if (!isSupportedArchive(resolvedPath)) {
+        throw new Error(
+          `Path is not a directory or supported archive: ${resolvedPath}`
+        );
+      }
+      return resolveArchive(resolvedPath);
+    }
+
+    if (!pathStats.isDirectory()) {
+      throw new Error(`Path is not a directory: ${resolvedPath}`);
+    }
+
+    if (isBareRepository(resolvedPath)) {
+      return resolveBareRepository(resolvedPath, readMetadata);
+    }
+
+    return createSource("directory", resolvedPath, {
+      git: readMetadata(resolvedPath),
+    });
+  } catch (err) {
+    return {
+      success: false,
+      error: err,
+      message: `Failed to resolve source: ${err.message}`,
+    };
+  }
+}
+
+/**
+ * Check whether a source refers to something on the local filesystem
+ * @param {string} source - Path, file:// URL or repository URL
+ * @returns {boolean} True for file:// URLs and existing paths
+ */
+function isLocalSource(source) {
+  return toLocalPath(source) !== null;
+}
+
+/**
+ * Check whether a source is written as a filesystem path rather than a repository
+ * URL (scheme://..., user@host:path or transport::address), so a missing path is
+ * reported as missing instead of as a bad URL
+ * @param {string} source - Path, file:// URL or repository URL
+ * @returns {boolean} True for anything that is not written as a URL
+ */
+function isPathLike(source) {
+  return !URL_LIKE_PATTERN.test(source);
+}
+
+/**
+ * Convert a file:// URL to a path, explaining what is wrong with a malformed one
+ * @private
+ */
+function fileURLPath(source) {
+  try {
+    return fileURLToPath(source);
+  } catch (err) {
+    // decodeURIComponent only says "URI malformed"
+    const reason = err instanceof URIError ? "malformed percent-encoding" : err.message;
+    throw new Error(`Invalid file URL: ${source} (${reason})`);
+  }
+}
+
+/**
+ * Replace a leading ~ with the home directory
+ * @private
+ */
+function expandHome(source) {
+  return /^~([/\\]|$)/.test(source) ? path.join(os.homedir(), source.slice(1)) : source;
+}
+
+/**
+ * Convert a file:// URL or existing path to a filesystem path
+ * @private
+ */
+function toLocalPath(source) {
+  if (source.startsWith("file://")) {
+    // A malformed file:// URL is not a local source
+    try {
+      return fileURLPath(source);
+    } catch {
+      return null;
+    }
+  }
+  const localPath = expandHome(source);
+  return fs.existsSync(localPath) ? localPath : null;
+}
+
+/**
+ * Build the result object for a resolved source
+ * @private
+ */
+function createSource(kind, directoryPath, extra = {}) {
+  const { git = null, temporaryPath = null, origin = directoryPath, release = null } = extra;
+
+  return {
+    success: true,
+    kind,
+    directoryPath,
+    origin,
+    git,
+    temporary: temporaryPath !== null,
+    cleanup() {
+      if (temporaryPath) {
+        fs.rmSync(temporaryPath, { recursive: true, force: true });
+      }
+      if (release) release();
+    },
+  };
+}
+
+/**
+ * Extract an archive into a temporary directory
+ * @private
+ */
+function resolveArchive(archivePath) {
+  const temporaryPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-"));
+  const archiveName = path.basename(archivePath).replace(/\.(zip|tar|tar\.gz|tgz)$/i, "");
+  const extractPath = path.join(temporaryPath, archiveName);
+  const result = extractArchive(archivePath, extractPath);
+  if (!result.success) {
+    fs.rmSync(temporaryPath, { recursive: true, force: true });
+    return result;
+  }
+
+  // Archives such as GitHub downloads wrap everything in a single top-level folder
+  let directoryPath = extractPath;
+  const entries = fs.readdirSync(extractPath, { withFileTypes: true });
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    directoryPath = path.join(extractPath, entries[0].name);
+  }
+
+  return createSource("archive", directoryPath, {
+    temporaryPath,
+    origin: archivePath,
+  });
+}
+
+/**
+ * Check out the HEAD of a bare repository into a temporary directory
+ * @private
+ */
+function resolveBareRepository(repoPath, readMetadata) {
+  const temporaryPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-"));
+  const checkoutPath = path.join(temporaryPath, path.basename(repoPath, ".git"));
+
+  const result = runGit(["clone", "--quiet", "--", repoPath, checkoutPath]);
+  if (result.code !== 0) {
+    fs.rmSync(temporaryPath, { recursive: true, force: true });
+    return {
+      success: false,
+      message: `Failed to check out bare repository: ${result.stderr}`,
+      error: result.stderr,
+    };
+  }
+
+  return createSource("bare", checkoutPath, {
+    git: readMetadata(repoPath, { bare: true }),
+    temporaryPath,
+    origin: repoPath,
+  });
+}
+
+/**
+ * Check whether a directory is a bare git repository
+ * @private
+ */
+function isBareRepository(dirPath) {
+  if (!isGitInstalled()) return false;
+  const result = runGit(["rev-parse", "--is-bare-repository"], { cwd: dirPath });
+  return result.code === 0 && result.stdout.trim() === "true";
+}
+
+/**
+ * Read branch, HEAD commit and remote information from a git repository
+ * @param {string} dirPath - Working copy (or bare repository) path
+ * @param {Object} options - Options
+ * @param {boolean} options.bare - Whether the path is a bare repository
+ * @returns {Object|null} Git metadata, or null if the path is not a git repository
+ */
+function readGitMetadata(dirPath, options = {}) {
+  const { bare = false } = options;
+
+  if (!isGitInstalled()) return null;
+
+  const git = (args) => {
+    const result = runGit(args, { cwd: dirPath });
+    return result.code === 0 ? result.stdout.trim() : null;
+  };
+
+  if (!bare && git(["rev-parse", "--is-inside-work-tree"]) !== "true") {
+    return null;
+  }
+
+  const head = git(["rev-parse", "--verify", "--quiet", "HEAD"]);
+  const branch = git(["symbolic-ref", "--quiet", "--short", "HEAD"]);
+
+  return {
+    root: bare ? dirPath : git(["rev-parse", "--show-toplevel"]),
+    branch,
+    head,
+    shortHead: head ? head.slice(0, 7) : null,
+    detached: branch === null,
+    // A remote URL may carry a token; reports only show it without one
+    remote: redactCredentials(git(["config", "--get", "remote.origin.url"])),
+  };
+}
+
+export { resolveSource, resolveLocalSource, isLocalSource, isPathLike, readGitMetadata };
@@ -0,0 +1,378 @@
+// Type declarations for the reposketch library entry point (src/sketch.js)
+
+export declare const SCHEMA_VERSION: string;
+
+export type SourceKind = "directory" | "archive" | "bare" | "remote";
+export type SummaryFormat = "text" | "json" | "yaml" | "markdown" | "html";
+export type ContentsFormat = "text" | "markdown" | "xml";
+export type FileClass = "text" | "encoded" | "binary";
+export type ContentAction = "include" | "list" | "skip";
+
+export interface CloneOptions {
+  /** Branch or tag to check out */
+  branch?: string;
+  /** Commit SHA to check out after cloning */
+  commit?: string;
+  /** History depth to fetch; 0 for the full history (default 1) */
+  depth?: number;
+  /** Only check out these directories */
+  sparsePaths?: string[];
+  /** Clone submodules recursively */
+  recurseSubmodules?: boolean;
+  /** Keep the clone here instead of in a temporary directory */
+  targetPath?: string;
+  /** Replace a non-empty targetPath */
+  overwrite?: boolean;
+  /**
+   * Take the clone from the persistent clone cache instead of a temporary
+   * directory (ignored with targetPath); true uses the default cache settings
+   */
+  cache?: boolean | CacheOptions;
+  /**
+   * Only clone from these hosts: "host", "host:port" or "*.domain" (default
+   * $REPOSKETCH_ALLOWED_HOSTS, else any host); http:// needs its host listed
+   */
+  allowedHosts?: string[];
+  /** How to authenticate to the remote; tokens are read from the environment */
+  auth?: AuthOptions;
+}
+
+export interface AuthOptions {
+  /**
+   * Environment variable holding the token (default $REPOSKETCH_GIT_TOKEN_<HOST>, then
+   * $REPOSKETCH_GIT_TOKEN for hosts on the allowlist only)
+   */
+  tokenEnv?: string;
+  /** Username sent with the token (default $REPOSKETCH_GIT_USERNAME, the URL's user or "x-access-token") */
+  username?: string;
+  /** git credential helper asked after the token, such as "store" or "!my-helper" */
+  credentialHelper?: string;
+  /** Private key file for ssh remotes (default $REPOSKETCH_SSH_KEY) */
+  sshKey?: string;
+}
+
+export interface CacheOptions {
+  /** Cache directory (default $REPOSKETCH_CACHE_DIR, else ~/.cache/reposketch) */
+  directory?: string;
+  /** Evict least recently used clones while the cache is larger, in bytes (default 5 GB, 0 for unlimited) */
+  maxSize?: number;
+  /** Evict clones unused for this many days (default 30, 0 for unlimited) */
+  maxAge?: number;
+}
+
+export interface ContentsOptions {
+  /** "text" (default), or "markdown"/"xml" for an LLM-context bundle */
+  format?: ContentsFormat;
+  /** Extensions to include, with the leading dot; all files when omitted */
+  extensions?: string[] | null;
+  /** Maximum file size in bytes (default 1 MB) */
+  maxFileSize?: number;
+  /** Text written between files in the text format */
+  separator?: string;
+  /** What to do with each class of file (default text and encoded included, binaries listed) */
+  contentPolicy?: Partial<Record<FileClass, ContentAction>>;
+  /** Replace detected secrets with placeholders (default true) */
+  redactSecrets?: boolean;
+  /** Extra gitignore-style file name patterns that are never exported */
+  denylist?: string[];
+  /** Bundle only: estimated tokens per chunk, 0 for unlimited */
+  tokenBudget?: number;
+  /** Bundle only: maximum number of chunks, 0 for unlimited */
+  maxChunks?: number;
+}
+
+export interface SketchOptions {
+  /** Clone options, used when the source is a repository URL */
+  clone?: CloneOptions;
+  /** Gitignore-style patterns to exclude */
+  exclude?: string[];
+  /** Honor .gitignore files (default true) */
+  respectGitignore?: boolean;
+  /** Include entries starting with a dot */
+  showHidden?: boolean;
+  /** Maximum depth to traverse, -1 for unlimited */
+  maxDepth?: number;
+  /** Show file sizes in the tree lines */
+  showSize?: boolean;
+  /** Also render the summary in this format (true means "text") */
+  summary?: SummaryFormat | boolean;
+  /** Also export file contents */
+  contents?: ContentsOptions | boolean;
+  /** Also analyze the git history; remote sources are then cloned in full unless clone.depth is set */
+  history?: HistoryOptions | boolean;
+  /** Maximum concurrent filesystem calls while walking (default 16) */
+  concurrency?: number;
+  /** Cancels the analysis; sketch() then resolves to a failure carrying the abort reason */
+  signal?: AbortSignal;
+  /** Called as the repository is cloned, directories are scanned and files are read */
+  onProgress?: (progress: SketchProgress) => void;
+}
+
+export interface HistoryOptions {
+  /** Directories unchanged for this many days before the last commit are stale (default 180) */
+  staleAfterDays?: number;
+  /** Number of contributors and changed files listed (default 20) */
+  limit?: number;
+}
+
+export interface SketchProgress {
+  phase: "clone" | "scan" | "count" | "history" | "read";
+  /** Clone only: the git step in progress, e.g. "Receiving objects" */
+  step?: string;
+  /** Clone only: completion of the step, 0 to 100 */
+  percent?: number;
+  directoriesScanned: number;
+  entriesScanned: number;
+  /** Files handled so far by the line count or the contents export */
+  filesProcessed: number;
+  /** Files the current phase will handle */
+  filesTotal: number;
+  /** History only: commits read so far */
+  commitsRead: number;
+}
+
+export interface GitMetadata {
+  root: string;
+  branch: string | null;
+  head: string | null;
+  shortHead: string | null;
+  detached: boolean;
+  remote: string | null;
+}
+
+export interface TreeNode {
+  name: string;
+  /** Absolute path; temporary sources are removed before sketch() resolves */
+  path: string;
+  /** Posix path relative to the root, "" for the root */
+  relativePath: string;
+  type: "directory" | "file" | "other";
+  depth: number;
+  size: number;
+  extension: string;
+  mtime: Date | null;
+  /** Links whose target is outside the root are "other" entries, never read or followed */
+  symlink: { target: string; broken: boolean; outside: boolean } | null;
+  ignored: { reason: "hidden" | "ignore-rule"; pattern?: string; source?: string } | null;
+  error: Error | null;
+  children: TreeNode[] | null;
+  truncated: boolean;
+  cycle: boolean;
+}
+
+export interface DirectoryStats {
+  totalFiles: number;
+  totalDirectories: number;
+  totalSize: number;
+  fileTypes: Record<string, { count: number; size: number }>;
+  largestFiles: Array<{ path: string; size: number }>;
+}
+
+export interface LineCounts {
+  files: number;
+  code: number;
+  comment: number;
+  blank: number;
+}
+
+export interface LanguageCounts extends LineCounts {
+  language: string;
+}
+
+export interface LanguageStats {
+  /** Largest code count first */
+  byLanguage: LanguageCounts[];
+  /** Top-level directories with the totals of everything below them */
+  byDirectory: Array<LineCounts & { path: string; languages: LanguageCounts[] }>;
+  total: LineCounts;
+  /** Files that were too large or unreadable */
+  skippedFiles: number;
+}
+
+export type Ecosystem = "npm" | "pip" | "python" | "go" | "cargo" | "maven" | "bundler";
+
+export interface Manifest {
+  /** Posix path relative to the root */
+  path: string;
+  /** Directory of the manifest, "." for the root */
+  directory: string;
+  ecosystem: Ecosystem;
+  name: string | null;
+  version: string | null;
+  /** Package name to version requirement */
+  dependencies: Record<string, string>;
+  devDependencies: Record<string, string>;
+  /** Required runtime or toolchain versions, e.g. { node: ">=18" } */
+  engines: Record<string, string>;
+  scripts: Record<string, string>;
+  workspaces: string[];
+  /** Files declared as entry points (package.json main, module, exports and bin; Cargo targets) */
+  entryPoints: Array<{ file: string; via: string }>;
+  /** Lockfile path; a fully pinned requirements file is its own lockfile */
+  lockfile: string | null;
+  /** Why the manifest could not be read or parsed */
+  error: string | null;
+}
+
+export interface DependencyAnalysis {
+  /** Root manifests first, then by path */
+  manifests: Manifest[];
+  /** Manifests that declare dependencies but have no lockfile */
+  missingLockfiles: string[];
+}
+
+export interface Detection {
+  name: string;
+  /** Files, dependencies or manifest fields the detection is based on (at most 5) */
+  evidence: string[];
+  /** Further evidence that was not listed */
+  omittedEvidence: number;
+}
+
+export interface ProjectProfile {
+  frameworks: Detection[];
+  buildTools: Detection[];
+  testFrameworks: Detection[];
+  ci: Detection[];
+  containers: Detection[];
+  infrastructure: Detection[];
+  /** License files at the root; id is an SPDX identifier, null when not recognized */
+  licenses: Array<{ id: string | null; path: string; evidence: string[] }>;
+  /** Entry points declared by manifests first, then files named like entry points */
+  entryPoints: Array<{ path: string; evidence: string[] }>;
+}
+
+export interface GitHistory {
+  /** The clone is shallow, so older commits are missing */
+  shallow: boolean;
+  /** Commits that touch the directory, without merge commits */
+  commits: number;
+  firstCommit: string | null;
+  lastCommit: string | null;
+  totalContributors: number;
+  /** Most commits first */
+  contributors: Array<{
+    name: string;
+    email: string;
+    commits: number;
+    linesAdded: number;
+    linesDeleted: number;
+    firstCommit: string;
+    lastCommit: string;
+  }>;
+  /** Most frequently changed files, including deleted ones */
+  churn: Array<{ path: string; commits: number; linesAdded: number; linesDeleted: number }>;
+  /** Files of the tree that have commits */
+  files: Array<{ path: string; commits: number; created: string; lastModified: string }>;
+  /** Directories of the tree that have commits */
+  directories: Array<{ path: string; commits: number; lastModified: string }>;
+  activity: {
+    interval: "month" | "year";
+    periods: Array<{ period: string; commits: number; authors: number; linesAdded: number; linesDeleted: number }>;
+  };
+  /** Outermost directories unchanged for afterDays before the last commit */
+  stale: {
+    afterDays: number;
+    directories: Array<{ path: string; lastModified: string; daysUnchanged: number }>;
+  };
+}
+
+export interface StructuredEntry {
+  path: string;
+  type: "directory" | "file" | "other";
+  size: number;
+  extension: string | null;
+  depth: number;
+  mtime: string | null;
+}
+
+/** Shape described by schema/output-v1.schema.json */
+export interface StructuredReport {
+  $schema: string;
+  schemaVersion: string;
+  kind: "tree" | "summary";
+  generatedAt: string;
+  root: {
+    name: string;
+    origin: string;
+    sourceKind: SourceKind;
+    git: { branch: string | null; head: string | null; remote: string | null } | null;
+  };
+  entries: StructuredEntry[];
+  stats?: Omit<DirectoryStats, "largestFiles"> & {
+    largestFiles: Array<{ path: string; size: number }>;
+  };
+  /** Since schema 1.3 */
+  profile?: ProjectProfile;
+  /** Since schema 1.2 */
+  languages?: LanguageStats;
+  /** Since schema 1.1 */
+  dependencies?: DependencyAnalysis;
+  /** Since schema 1.4, when the history was requested */
+  history?: GitHistory;
+}
+
+export interface RedactionFinding {
+  path: string;
+  /** Line of the secret, null for denylisted files */
+  line: number | null;
+  rule: string;
+  description: string;
+}
+
+export interface ContentsChunk {
+  index: number;
+  content: string;
+  /** Estimated token count */
+  tokens: number;
+  /** Bundle only: files in this chunk */
+  files?: string[];
+}
+
+export interface ContentsResult {
+  format: ContentsFormat;
+  /** The text format always has a single chunk */
+  chunks: ContentsChunk[];
+  fileCount: { processed: number; listed: number; skipped: number };
+  /** Bundle only: included files with their estimated tokens */
+  files?: Array<{ path: string; tokens: number; chunk: number }>;
+  /** Bundle only: files left out and why */
+  omitted: Array<{ path: string; reason: string }>;
+  redactions: RedactionFinding[];
+  /** Bundle only: estimated tokens of all chunks */
+  totalTokens?: number;
+}
+
+export interface SketchSuccess {
+  success: true;
+  source: { kind: SourceKind; origin: string; git: GitMetadata | null };
+  model: TreeNode;
+  /** Plain text tree lines */
+  tree: string[];
+  stats: DirectoryStats;
+  profile: ProjectProfile;
+  languages: LanguageStats;
+  dependencies: DependencyAnalysis;
+  /** When requested; null outside a git working copy */
+  history?: GitHistory | null;
+  report: StructuredReport;
+  summary?: string;
+  contents?: ContentsResult;
+}
+
+export interface SketchFailure {
+  success: false;
+  error: Error;
+  message: string;
+}
+
+export type SketchResult = SketchSuccess | SketchFailure;
+
+/**
+ * Analyze a repository URL, local directory, file:// URL, bare repository or
+ * archive. Never prints and never writes output files.
+ */
+export declare function sketch(source: string, options?: SketchOptions): Promise<SketchResult>;
+
+/** Serialize a structured report as JSON or YAML */
+export declare function serializeReport(report: StructuredReport, format: "json" | "yaml"): string;
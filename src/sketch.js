@@ -0,0 +1,351 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { resolveSource, resolveLocalSource, isLocalSource } from "./resolveSource.js";
+import { createReporter } from "./reporter.js";
+import { buildTreeModelAsync } from "./treeModel.js";
+import {
+  SCHEMA_VERSION,
+  buildStructuredReport,
+  serializeReport,
+} from "./structuredOutput.js";
+import { renderSummary } from "./reportRenderers.js";
+import { BUNDLE_FORMATS, buildContextBundle, estimateTokens } from "./contextBundle.js";
+import { resolveContentPolicy } from "./fileContent.js";
+import { createRedactor } from "./redactSecrets.js";
+import { analyzeManifests } from "./manifests.js";
+import { collectLanguageStats } from "./languageStats.js";
+import { createProfileCollector } from "./projectProfile.js";
+import { analyzeGitHistory } from "./gitHistory.js";
+import {
+  renderTreeLines,
+  describeGitMetadata,
+  createDirectoryStats,
+  collectDirectoryStats,
+  writeFileContents,
+} from "./textOutput.js";
+
+// Library entry point. Everything here returns data: nothing is printed and no
+// output files are written, so reposketch can be embedded in other programs.
+
+const SUMMARY_FORMATS = ["text", "json", "yaml", "markdown", "html"];
+const CONTENTS_FORMATS = ["text", ...BUNDLE_FORMATS];
+
+/**
+ * Resolve a source quietly. Remote repositories are cloned into a temporary
+ * directory (removed by cleanup) unless clone.targetPath is given or
+ * clone.cache asks for the clone cache; without a depth they are cloned with
+ * the latest commit only, or the full history when fullHistory is set. Clone
+ * progress is passed to report.
+ * @private
+ */
+async function openQuietSource(source, cloneOptions, report, fullHistory) {
+  if (typeof source === "string" && isLocalSource(source)) {
+    return resolveLocalSource(source);
+  }
+
+  const { targetPath, depth = fullHistory ? 0 : 1, cache = false, ...rest } = cloneOptions;
+  const useCache = Boolean(cache) && !targetPath;
+  const temporaryPath = targetPath || useCache
+    ? null
+    : fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-"));
+
+  const resolved = await resolveSource(source, {
+    cache: useCache ? (cache === true ? {} : cache) : null,
+    clone: {
+      ...rest,
+      depth,
+      ...(!useCache && { targetPath: targetPath || path.join(temporaryPath, "repository") }),
+      reporter: createReporter({
+        level: "silent",
+        onEvent: (event) => {
+          if (event.type === "progress") {
+            report({ phase: "clone", step: event.step, percent: event.percent });
+          }
+        },
+      }),
+    },
+  });
+
+  const removeTemporary = () => {
+    if (temporaryPath) {
+      fs.rmSync(temporaryPath, { recursive: true, force: true });
+    }
+  };
+
+  if (!resolved.success) {
+    removeTemporary();
+    return resolved;
+  }
+
+  return {
+    ...resolved,
+    origin: source,
+    temporary: resolved.temporary || temporaryPath !== null,
+    cleanup() {
+      resolved.cleanup();
+      removeTemporary();
+    },
+  };
+}
+
+/**
+ * Check that a format is one of the supported values
+ * @private
+ */
+function assertFormat(name, format, formats) {
+  if (!formats.includes(format)) {
+    throw new Error(
+      `Unsupported ${name} format: ${format} (expected ${formats.join(", ")})`
+    );
+  }
+}
+
+/**
+ * Export file contents as plain text or an LLM-context bundle
+ * @private
+ */
+async function sketchContents(model, source, options, control) {
+  const {
+    format = "text",
+    extensions = null,
+    maxFileSize = 1024 * 1024,
+    separator = "\n" + "-".repeat(80) + "\n",
+    redactSecrets = true,
+    denylist = [],
+    tokenBudget = 0,
+    maxChunks = 0,
+  } = options;
+  assertFormat("contents", format, CONTENTS_FORMATS);
+
+  const contentPolicy = resolveContentPolicy(options.contentPolicy);
+  const redactor = createRedactor({ enabled: redactSecrets, denylist });
+
+  if (format === "text") {
+    const parts = [];
+    const fileCount = await writeFileContents(model, source, (text) => parts.push(text), {
+      basePath: model.path,
+      extensions,
+      maxFileSize,
+      separator,
+      contentPolicy,
+      redactor,
+      signal: control.signal,
+      onProgress: (counts) =>
+        control.report({
+          phase: "read",
+          filesProcessed: counts.processed + counts.listed + counts.skipped,
+          filesTotal: counts.total,
+        }),
+    });
+    const content = parts.join("");
+    return {
+      format,
+      chunks: [{ index: 1, content, tokens: estimateTokens(content) }],
+      fileCount,
+      omitted: [],
+      redactions: redactor.findings,
+    };
+  }
+
+  const bundle = await buildContextBundle(model, {
+    format,
+    treeLines: renderTreeLines(model),
+    origin: source.origin,
+    git: source.git ? describeGitMetadata(source.git) : null,
+    tokenBudget,
+    maxChunks,
+    extensions,
+    maxFileSize,
+    contentPolicy,
+    redactor,
+    signal: control.signal,
+    onProgress: ({ files, total }) =>
+      control.report({ phase: "read", filesProcessed: files, filesTotal: total }),
+  });
+  return {
+    format,
+    chunks: bundle.chunks,
+    fileCount: {
+      processed: bundle.files.length,
+      listed: 0,
+      skipped: bundle.omitted.length,
+    },
+    files: bundle.files,
+    omitted: bundle.omitted,
+    redactions: bundle.redactions,
+    totalTokens: bundle.totalTokens,
+  };
+}
+
+/**
+ * Analyze a repository or directory and return the results as data.
+ * Accepts every source the CLI accepts: a repository URL, a local directory or
+ * git working copy, a file:// URL, a bare repository or an archive.
+ * @param {string} source - Source to analyze
+ * @param {Object} options - Analysis options
+ * @param {Object} options.clone - Clone options for remote sources (branch, commit,
+ *   depth (default 1, or 0 with history), sparsePaths, recurseSubmodules, targetPath,
+ *   cache); without a targetPath the clone goes to a temporary directory that is removed
+ *   afterwards, or with cache (true or { directory, maxSize, maxAge }) to the clone cache
+ * @param {Array<string>} options.exclude - Gitignore-style patterns to exclude
+ * @param {boolean} options.respectGitignore - Whether to honor .gitignore files (default true)
+ * @param {boolean} options.showHidden - Whether to include hidden entries
+ * @param {number} options.maxDepth - Maximum depth to traverse (-1 for unlimited)
+ * @param {boolean} options.showSize - Whether the tree lines show file sizes
+ * @param {string|boolean} options.summary - Also render the summary in this format
+ *   ("text", "json", "yaml", "markdown" or "html"; true means "text")
+ * @param {Object|boolean} options.contents - Also export file contents; accepts the
+ *   contents options of exportFileContentsToFile (format, extensions, maxFileSize,
+ *   contentPolicy, redactSecrets, denylist, tokenBudget, maxChunks)
+ * @param {boolean|Object} options.history - Also analyze the git history; accepts
+ *   { staleAfterDays } (default 180)
+ * @param {number} options.concurrency - Maximum concurrent filesystem calls while walking (default 16)
+ * @param {AbortSignal} options.signal - Cancels the analysis; the result is a failure with the abort error
+ * @param {function(Object)} options.onProgress - Called with { phase ("clone", "scan",
+ *   "count", "history" or "read"), step, percent, directoriesScanned, entriesScanned,
+ *   filesProcessed, filesTotal, commitsRead }
+ * @returns {Promise<Object>} Result object with success status and, on success,
+ *   source, model, tree, stats, profile, languages, dependencies, report, and
+ *   history/summary/contents when requested; history is null outside a git working copy
+ */
+async function sketch(source, options = {}) {
+  const {
+    clone = {},
+    exclude = [],
+    respectGitignore = true,
+    showHidden = false,
+    maxDepth = -1,
+    showSize = false,
+    summary = false,
+    contents = false,
+    history = false,
+    concurrency,
+    signal = null,
+    onProgress = null,
+  } = options;
+
+  let resolved = null;
+
+  try {
+    if (!source || typeof source !== "string") {
+      throw new Error("Invalid source provided");
+    }
+
+    const summaryFormat = summary === true ? "text" : summary;
+    if (summaryFormat) {
+      assertFormat("summary", summaryFormat, SUMMARY_FORMATS);
+    }
+
+    // Clone, walker and file reads report into one progress snapshot
+    const progress = {
+      phase: "scan",
+      directoriesScanned: 0,
+      entriesScanned: 0,
+      filesProcessed: 0,
+      filesTotal: 0,
+      commitsRead: 0,
+    };
+    const report = (update) => {
+      Object.assign(progress, update);
+      if (onProgress) onProgress({ ...progress });
+    };
+
+    resolved = await openQuietSource(source, clone, report, Boolean(history));
+    if (!resolved.success) {
+      return {
+        success: false,
+        error: resolved.error || new Error(resolved.message),
+        message: resolved.message,
+      };
+    }
+
+    const model = await buildTreeModelAsync(resolved.directoryPath, {
+      exclude,
+      respectGitignore,
+      showHidden,
+      maxDepth,
+      concurrency,
+      signal,
+      onProgress: report,
+    });
+    const stats = createDirectoryStats();
+    const profiler = createProfileCollector(model.path);
+    collectDirectoryStats(model, stats, { onFile: profiler.addFile });
+    const languages = await collectLanguageStats(model, {
+      signal,
+      onProgress: ({ files, total }) =>
+        report({ phase: "count", filesProcessed: files, filesTotal: total }),
+    });
+    const dependencies = await analyzeManifests(model);
+    const profile = await profiler.finish(dependencies);
+    const historyAnalysis = history
+      ? await analyzeGitHistory(model, {
+          ...(history === true ? {} : history),
+          signal,
+          onProgress: ({ commits }) =>
+            report({ phase: "history", filesProcessed: 0, filesTotal: 0, commitsRead: commits }),
+        })
+      : null;
+
+    const result = {
+      success: true,
+      source: {
+        kind: resolved.kind,
+        origin: resolved.origin,
+        git: resolved.git,
+      },
+      model,
+      tree: renderTreeLines(model, { showSize }),
+      stats,
+      profile,
+      languages,
+      dependencies,
+      report: buildStructuredReport(model, {
+        kind: "summary",
+        source: resolved,
+        stats,
+        profile,
+        languages,
+        dependencies,
+        history: historyAnalysis,
+      }),
+    };
+
+    if (history) {
+      result.history = historyAnalysis;
+    }
+
+    if (summaryFormat) {
+      result.summary = renderSummary(model, stats, resolved, {
+        format: summaryFormat,
+        includeStats: true,
+        profile,
+        languages,
+        dependencies,
+        history: historyAnalysis,
+      });
+    }
+
+    if (contents) {
+      result.contents = await sketchContents(
+        model,
+        resolved,
+        contents === true ? {} : contents,
+        { signal, report }
+      );
+    }
+
+    return result;
+  } catch (err) {
+    return {
+      success: false,
+      error: err,
+      message: `Failed to sketch ${source}: ${err.message}`,
+    };
+  } finally {
+    if (resolved && resolved.success) resolved.cleanup();
+  }
+}
+
+export { sketch, serializeReport, SCHEMA_VERSION };
@@ -0,0 +1,356 @@
+import { walkTreeModel } from "./treeModel.js";
+
+// Bump the major version for breaking changes, the minor version for additions
+const SCHEMA_VERSION = "1.5";
+const SCHEMA_ID = "https://github.com/adityamehta242/reposketch/schema/output-v1.schema.json";
+
+// The diff has its own document shape, versioned the same way
+const DIFF_SCHEMA_VERSION = "1.0";
+const DIFF_SCHEMA_ID = "https://github.com/adityamehta242/reposketch/schema/diff-v1.schema.json";
+const GRAPH_SCHEMA_VERSION = "1.0";
+const GRAPH_SCHEMA_ID = "https://github.com/adityamehta242/reposketch/schema/graph-v1.schema.json";
+const BATCH_SCHEMA_VERSION = "1.0";
+const BATCH_SCHEMA_ID = "https://github.com/adityamehta242/reposketch/schema/batch-v1.schema.json";
+
+const OUTPUT_FORMATS = ["text", "json", "yaml"];
+
+/**
+ * Convert a tree model node into a structured entry
+ * @private
+ */
+function toEntry(node) {
+  return {
+    path: node.relativePath || ".",
+    type: node.type,
+    size: node.size,
+    extension: node.extension || null,
+    depth: node.depth,
+    mtime: node.mtime ? node.mtime.toISOString() : null,
+  };
+}
+
+/**
+ * Build the structured (JSON/YAML) report for a tree model.
+ * The shape is described in schema/output-v1.schema.json.
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} options - Report options
+ * @param {string} options.kind - "tree", "summary" or "outline"
+ * @param {Object} options.source - Resolved source ({ origin, kind, git })
+ * @param {Object} options.stats - Statistics collected for the summary
+ * @param {Object} options.profile - Project profile for the summary
+ * @param {Object} options.languages - Result of collectLanguageStats for the summary
+ * @param {Object} options.dependencies - Result of analyzeManifests for the summary
+ * @param {Object} options.history - Result of analyzeGitHistory for the summary
+ * @param {Object} options.outline - Result of collectOutlines for the outline
+ * @returns {Object} Plain object ready to be serialized
+ */
+function buildStructuredReport(model, options = {}) {
+  const {
+    kind = "tree",
+    source = null,
+    stats = null,
+    profile = null,
+    languages = null,
+    dependencies = null,
+    history = null,
+    outline = null,
+  } = options;
+
+  const report = {
+    $schema: SCHEMA_ID,
+    schemaVersion: SCHEMA_VERSION,
+    kind,
+    generatedAt: new Date().toISOString(),
+    root: describeRoot(model, source),
+    entries: [toEntry(model), ...Array.from(walkTreeModel(model), toEntry)],
+  };
+
+  if (profile) {
+    report.profile = profile;
+  }
+
+  if (stats) {
+    report.stats = {
+      totalFiles: stats.totalFiles,
+      totalDirectories: stats.totalDirectories,
+      totalSize: stats.totalSize,
+      fileTypes: Object.fromEntries(
+        Object.entries(stats.fileTypes).sort((a, b) => b[1].count - a[1].count)
+      ),
+      largestFiles: [...stats.largestFiles]
+        .sort((a, b) => b.size - a.size)
+        .slice(0, 10)
+        .map((file) => ({
+          path: relativeTo(model.path, file.path),
+          size: file.size,
+        })),
+    };
+  }
+
+  if (languages) {
+    report.languages = languages;
+  }
+
+  if (dependencies) {
+    report.dependencies = dependencies;
+  }
+
+  if (history) {
+    report.history = history;
+  }
+
+  if (outline) {
+    report.outline = outline;
+  }
+
+  return report;
+}
+
+/**
+ * Build the structured (JSON/YAML) report for a tree diff.
+ * The shape is described in schema/diff-v1.schema.json.
+ * @param {Object} diff - Result of diffTreeModels
+ * @param {Object} before - { model, source } of the old tree
+ * @param {Object} after - { model, source } of the new tree
+ * @returns {Object} Plain object ready to be serialized
+ */
+function buildDiffReport(diff, before, after) {
+  return {
+    $schema: DIFF_SCHEMA_ID,
+    schemaVersion: DIFF_SCHEMA_VERSION,
+    kind: "diff",
+    generatedAt: new Date().toISOString(),
+    before: describeRoot(before.model, before.source),
+    after: describeRoot(after.model, after.source),
+    ...diff,
+  };
+}
+
+/**
+ * Build the structured (JSON/YAML) report for a module import graph.
+ * The shape is described in schema/graph-v1.schema.json.
+ * @param {Object} graph - Result of buildImportGraph
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} source - Resolved source ({ origin, kind, git })
+ * @returns {Object} Plain object ready to be serialized
+ */
+function buildGraphReport(graph, model, source) {
+  return {
+    $schema: GRAPH_SCHEMA_ID,
+    schemaVersion: GRAPH_SCHEMA_VERSION,
+    kind: "graph",
+    generatedAt: new Date().toISOString(),
+    root: describeRoot(model, source),
+    ...graph,
+  };
+}
+
+/**
+ * Build the index of a batch run comparing its repositories.
+ * The shape is described in schema/batch-v1.schema.json.
+ * @param {Array<Object>} repositories - One entry per repository in list order, with
+ *   name, source, status, error, outputs, git, files, directories, size, codeLines
+ *   and languages
+ * @returns {Object} Plain object ready to be serialized
+ */
+function buildBatchIndex(repositories) {
+  const analyzed = repositories.filter((repository) => repository.status === "ok");
+  const sum = (field) => analyzed.reduce((total, repository) => total + (repository[field] || 0), 0);
+  return {
+    $schema: BATCH_SCHEMA_ID,
+    schemaVersion: BATCH_SCHEMA_VERSION,
+    kind: "batch",
+    generatedAt: new Date().toISOString(),
+    totals: {
+      repositories: repositories.length,
+      succeeded: analyzed.length,
+      failed: repositories.length - analyzed.length,
+      files: sum("files"),
+      directories: sum("directories"),
+      size: sum("size"),
+      codeLines: sum("codeLines"),
+    },
+    repositories,
+  };
+}
+
+/**
+ * Describe the root of a report: its name and where it came from
+ * @private
+ */
+function describeRoot(model, source) {
+  return {
+    name: model.name,
+    origin: source ? source.origin : model.path,
+    sourceKind: source ? source.kind : "directory",
+    git: source && source.git
+      ? {
+          branch: source.git.branch,
+          head: source.git.head,
+          remote: source.git.remote,
+        }
+      : null,
+  };
+}
+
+/**
+ * Make an absolute path relative to the model root (posix separators)
+ * @private
+ */
+function relativeTo(rootPath, fullPath) {
+  const relative = fullPath.startsWith(rootPath)
+    ? fullPath.slice(rootPath.length).replace(/^[\\/]+/, "")
+    : fullPath;
+  return relative.split("\\").join("/") || ".";
+}
+
+/**
+ * Serialize a value as YAML. Strings are emitted as double-quoted scalars (valid
+ * JSON strings are valid YAML), so no value ever needs YAML-specific escaping.
+ * @param {*} value - Plain data (objects, arrays, strings, numbers, booleans, null)
+ * @returns {string} YAML document
+ */
+function toYaml(value) {
+  return `${renderYaml(value, 0).join("\n")}\n`;
+}
+
+/**
+ * Render a scalar value
+ * @private
+ */
+function yamlScalar(value) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Render a mapping key
+ * @private
+ */
+function yamlKey(key) {
+  return /^[A-Za-z_$][\w$-]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Check whether a value is rendered on its own lines
+ * @private
+ */
+function isBlock(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && typeof value === "object" && Object.keys(value).length > 0;
+}
+
+/**
+ * Render any value as a list of YAML lines
+ * @private
+ */
+function renderYaml(value, indent) {
+  const pad = " ".repeat(indent);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${pad}[]`];
+    return value.flatMap((item) => {
+      if (!isBlock(item)) {
+        return [`${pad}- ${inlineValue(item)}`];
+      }
+      const lines = renderYaml(item, indent + 2);
+      return [`${pad}- ${lines[0].slice(indent + 2)}`, ...lines.slice(1)];
+    });
+  }
+
+  if (value !== null && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return [`${pad}{}`];
+    return entries.flatMap(([key, child]) => {
+      if (!isBlock(child)) {
+        return [`${pad}${yamlKey(key)}: ${inlineValue(child)}`];
+      }
+      return [`${pad}${yamlKey(key)}:`, ...renderYaml(child, indent + 2)];
+    });
+  }
+
+  return [`${pad}${yamlScalar(value)}`];
+}
+
+/**
+ * Render a value that fits on one line (scalars and empty collections)
+ * @private
+ */
+function inlineValue(value) {
+  if (Array.isArray(value)) return "[]";
+  if (value !== null && typeof value === "object") return "{}";
+  return yamlScalar(value);
+}
+
+/**
+ * Serialize a structured report in the requested format
+ * @param {Object} report - Report from buildStructuredReport
+ * @param {string} format - "json" or "yaml"
+ * @returns {string} Serialized report
+ */
+function serializeReport(report, format) {
+  if (format === "yaml") {
+    return toYaml(report);
+  }
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+/**
+ * Serialize a structured report piece by piece, one top-level array item at a
+ * time, so large reports can be streamed. The pieces join to exactly the output
+ * of serializeReport.
+ * @param {Object} report - Report from buildStructuredReport
+ * @param {string} format - "json" or "yaml"
+ * @yields {string} Consecutive pieces of the serialized report
+ */
+function* iterateReport(report, format) {
+  const fields = Object.entries(report).filter(([, value]) => value !== undefined);
+
+  if (format === "yaml") {
+    for (const [key, value] of fields) {
+      if (Array.isArray(value) && value.length > 0) {
+        yield `${yamlKey(key)}:\n`;
+        for (const item of value) {
+          yield `${renderYaml([item], 2).join("\n")}\n`;
+        }
+      } else {
+        yield `${renderYaml({ [key]: value }, 0).join("\n")}\n`;
+      }
+    }
+    return;
+  }
+
+  // JSON.stringify(value, null, 2) nested at the given indentation
+  const indented = (value, pad) =>
+    JSON.stringify(value, null, 2).replace(/\n/g, `\n${pad}`);
+
+  yield "{\n";
+  for (const [i, [key, value]] of fields.entries()) {
+    const comma = i < fields.length - 1 ? "," : "";
+    if (Array.isArray(value) && value.length > 0) {
+      yield `  ${JSON.stringify(key)}: [\n`;
+      for (const [j, item] of value.entries()) {
+        yield `    ${indented(item, "    ")}${j < value.length - 1 ? "," : ""}\n`;
+      }
+      yield `  ]${comma}\n`;
+    } else {
+      yield `  ${JSON.stringify(key)}: ${indented(value, "  ")}${comma}\n`;
+    }
+  }
+  yield "}\n";
+}
+
+export {
+  SCHEMA_VERSION,
+  OUTPUT_FORMATS,
+  buildStructuredReport,
+  buildDiffReport,
+  buildGraphReport,
+  buildBatchIndex,
+  serializeReport,
+  iterateReport,
+  toYaml,
+};
@@ -0,0 +1,527 @@
+import path from "path";
+import { walkTreeModel } from "./treeModel.js";
+import { formatFileSize } from "./format.js";
+import {
+  createReadAhead,
+  includedContent,
+  describeContent,
+} from "./fileContent.js";
+import { formatRedactionReport } from "./redactSecrets.js";
+import { formatManifestReport } from "./manifests.js";
+import { formatLanguageReport } from "./languageStats.js";
+import { formatProfileReport } from "./projectProfile.js";
+import { formatHistoryReport } from "./gitHistory.js";
+
+// Plain text renderers shared by the console exporters and the library API.
+// Nothing here prints or writes files; output goes through the given callbacks.
+
+/**
+ * Generate the lines of a tree one at a time, so large trees can be streamed
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} options - Rendering options
+ * @param {string} options.prefix - Prefix added to every line
+ * @param {boolean} options.showSize - Whether to show file sizes
+ * @param {function(Object): Array<string>} options.annotate - Returns extra lines
+ *   printed below a file, such as its outline (default: none)
+ * @yields {Object} { line, style } where style is "info" or "error"
+ * @returns {Object} Result object with success status and error if any
+ */
+function* iterateTree(model, options = {}) {
+  const { prefix = "", showSize = false, annotate = null } = options;
+
+  // Result object to track success/failure
+  const result = { success: true, error: null };
+
+  // Print the root directory name
+  yield { line: `${prefix}${model.name}/`, style: "info" };
+
+  // An unreadable root is a failure, unreadable subdirectories are not
+  if (model.error) {
+    yield { line: `${prefix}├── [Error reading directory: ${model.error.message}]`, style: "error" };
+    return { success: false, error: model.error };
+  }
+
+  function* renderChildren(node, childPrefix) {
+    // Directories beyond maxDepth and symlink cycles are listed without contents
+    if (!node.children) {
+      if (node.error) {
+        yield { line: `${childPrefix}├── [Error reading directory: ${node.error.message}]`, style: "error" };
+        result.error = node.error;
+      }
+      return;
+    }
+
+    const items = node.children.filter((child) => !child.ignored);
+    const lastIndex = items.length - 1;
+
+    for (const [i, child] of items.entries()) {
+      const isLast = i === lastIndex;
+      const connector = isLast ? "└── " : "├── ";
+
+      // Handle errors for individual files/directories
+      if (child.type === "other" && child.error) {
+        yield { line: `${childPrefix}${connector}${child.name} [Error: ${child.error.message}]`, style: "error" };
+        continue;
+      }
+
+      const isDir = child.type === "directory";
+
+      // Format size if option is enabled
+      let sizeInfo = "";
+      if (showSize && !isDir) {
+        sizeInfo = ` (${formatFileSize(child.size)})`;
+      }
+
+      // Links out of the root are listed but not followed
+      const linkInfo = child.symlink && child.symlink.outside ? " [symlink outside the root]" : "";
+
+      yield { line: `${childPrefix}${connector}${child.name}${isDir ? "/" : ""}${sizeInfo}${linkInfo}`, style: "info" };
+
+      if (isDir) {
+        yield* renderChildren(child, childPrefix + (isLast ? "    " : "│   "));
+      } else if (annotate) {
+        for (const annotation of annotate(child) || []) {
+          yield { line: `${childPrefix}${isLast ? "    " : "│   "}${annotation}`, style: "info" };
+        }
+      }
+    }
+
+    // Handle empty directories
+    if (items.length === 0) {
+      yield { line: `${childPrefix}└── [empty]`, style: "info" };
+    }
+  }
+
+  yield* renderChildren(model, prefix);
+  return result;
+}
+
+/**
+ * Render a tree model line by line through a logger
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} options - Rendering options
+ * @param {string} options.prefix - Prefix added to every line
+ * @param {boolean} options.showSize - Whether to show file sizes
+ * @param {function(string, string)} options.logger - Called with each line and its style ("info" or "error")
+ * @returns {Object} Result object with success status and error if any
+ */
+function renderTree(model, options) {
+  const lines = iterateTree(model, options);
+  for (let step = lines.next(); ; step = lines.next()) {
+    if (step.done) return step.value;
+    options.logger(step.value.line, step.value.style);
+  }
+}
+
+/**
+ * Render a tree model as plain lines
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.showSize - Whether to show file sizes
+ * @returns {Array<string>} Tree lines
+ */
+function renderTreeLines(model, options = {}) {
+  const { showSize = false } = options;
+  const lines = [];
+  renderTree(model, {
+    prefix: "",
+    showSize,
+    logger: (line) => lines.push(line),
+  });
+  return lines;
+}
+
+/**
+ * Describe the git state of a source in a single line
+ * @param {Object} git - Metadata from readGitMetadata
+ * @returns {string} "branch @ commit from remote"
+ */
+function describeGitMetadata(git) {
+  const ref = git.branch || "detached HEAD";
+  const commit = git.shortHead || "no commits";
+  const remote = git.remote ? ` from ${git.remote}` : "";
+  return `${ref} @ ${commit}${remote}`;
+}
+
+/**
+ * Create empty directory statistics
+ * @returns {Object} { totalFiles, totalDirectories, totalSize, fileTypes, largestFiles }
+ */
+function createDirectoryStats() {
+  return {
+    totalFiles: 0,
+    totalDirectories: 0,
+    totalSize: 0,
+    fileTypes: {},
+    largestFiles: [],
+  };
+}
+
+/**
+ * Collect directory statistics from a tree model
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} stats - Statistics from createDirectoryStats, updated in place
+ * @param {Object} options - Collection options
+ * @param {function(Object)} options.onFile - Called with every file node of the walk,
+ *   so other analyses (such as the project profile) can share it
+ */
+function collectDirectoryStats(model, stats, options = {}) {
+  const { onFile = null } = options;
+
+  for (const node of walkTreeModel(model)) {
+    if (node.type === "directory") {
+      // Count directories
+      stats.totalDirectories++;
+      continue;
+    }
+
+    // Skip entries that could not be read and special files
+    if (node.type !== "file") {
+      continue;
+    }
+
+    if (onFile) onFile(node);
+
+    // Count files
+    stats.totalFiles++;
+    stats.totalSize += node.size;
+
+    // Track file types
+    const ext = node.extension || "(no extension)";
+    if (!stats.fileTypes[ext]) {
+      stats.fileTypes[ext] = { count: 0, size: 0 };
+    }
+    stats.fileTypes[ext].count++;
+    stats.fileTypes[ext].size += node.size;
+
+    // Track large files
+    stats.largestFiles.push({
+      path: node.path,
+      size: node.size,
+    });
+
+    // Only keep the 20 largest files in memory
+    if (stats.largestFiles.length > 20) {
+      stats.largestFiles.sort((a, b) => b.size - a.size);
+      stats.largestFiles = stats.largestFiles.slice(0, 20);
+    }
+  }
+}
+
+/**
+ * Generate the lines of the plain text summary one at a time
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} stats - Statistics from collectDirectoryStats
+ * @param {Object} source - Resolved source ({ origin, git })
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.includeStats - Whether to include the statistics sections
+ * @param {Object} options.profile - Project profile, rendered as a Project Profile
+ *   section before the tree when given
+ * @param {Object} options.languages - Result of collectLanguageStats, rendered as a
+ *   Languages section when given
+ * @param {Object} options.dependencies - Result of analyzeManifests, rendered as a
+ *   Dependencies section when given
+ * @param {Object} options.history - Result of analyzeGitHistory, rendered as a
+ *   History section when given
+ * @yields {string} Summary lines
+ */
+function* iterateSummaryText(model, stats, source, options) {
+  const {
+    includeStats,
+    profile = null,
+    languages = null,
+    dependencies = null,
+    history = null,
+  } = options;
+
+  yield `Directory Summary: ${source.origin}`;
+  if (source.git) {
+    yield `Git: ${describeGitMetadata(source.git)}`;
+  }
+  yield `Generated on: ${new Date().toLocaleString()}`;
+  yield "=".repeat(80);
+  yield "";
+
+  if (profile) {
+    yield "Project Profile:";
+    yield* formatProfileReport(profile);
+    yield "";
+    yield "=".repeat(80);
+    yield "";
+  }
+
+  // Generate tree structure
+  yield "Directory Structure:";
+  for (const { line } of iterateTree(model)) {
+    yield line;
+  }
+
+  if (includeStats) {
+    yield "";
+    yield "=".repeat(80);
+    yield "";
+    yield "Directory Statistics:";
+    yield `- Total Files: ${stats.totalFiles}`;
+    yield `- Total Directories: ${stats.totalDirectories}`;
+    yield `- Total Size: ${formatFileSize(stats.totalSize)}`;
+
+    // File types breakdown
+    yield "";
+    yield "File Types:";
+    const fileTypes = Object.entries(stats.fileTypes).sort(
+      (a, b) => b[1].count - a[1].count
+    );
+    for (const [ext, data] of fileTypes) {
+      yield `- ${ext || "(no extension)"}: ${
+        data.count
+      } files (${formatFileSize(data.size)})`;
+    }
+
+    // Largest files
+    yield "";
+    yield "Largest Files:";
+    const largestFiles = stats.largestFiles
+      .sort((a, b) => b.size - a.size)
+      .slice(0, 10);
+    for (const file of largestFiles) {
+      yield `- ${file.path} (${formatFileSize(file.size)})`;
+    }
+  }
+
+  if (languages) {
+    yield "";
+    yield "=".repeat(80);
+    yield "";
+    yield "Languages:";
+    yield* formatLanguageReport(languages);
+  }
+
+  if (dependencies) {
+    yield "";
+    yield "=".repeat(80);
+    yield "";
+    yield "Dependencies:";
+    yield* formatManifestReport(dependencies);
+  }
+
+  if (history) {
+    yield "";
+    yield "=".repeat(80);
+    yield "";
+    yield "History:";
+    yield* formatHistoryReport(history);
+  }
+}
+
+/**
+ * Render the plain text summary
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} stats - Statistics from collectDirectoryStats
+ * @param {Object} source - Resolved source ({ origin, git })
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.includeStats - Whether to include the statistics sections
+ * @param {Object} options.profile - Project profile
+ * @param {Object} options.languages - Result of collectLanguageStats
+ * @param {Object} options.dependencies - Result of analyzeManifests
+ * @param {Object} options.history - Result of analyzeGitHistory
+ * @returns {string} Summary text
+ */
+function renderSummaryText(model, stats, source, options) {
+  return Array.from(iterateSummaryText(model, stats, source, options)).join("\n");
+}
+
+/**
+ * Write the plain text contents export: a header, every file from the model and a
+ * footer with the counts and the redaction report
+ * @param {Object} model - Root node from buildTreeModel
+ * @param {Object} source - Resolved source ({ origin, git })
+ * @param {function(string): (Promise|void)} write - Called with each piece of output in
+ *   order; a returned promise is awaited before the next piece (backpressure)
+ * @param {Object} options - Export options
+ * @param {string} options.basePath - Directory file paths are shown relative to
+ * @param {Array<string>} options.extensions - File extensions to include (null for all)
+ * @param {number} options.maxFileSize - Maximum file size in bytes to include
+ * @param {string} options.separator - Text written between files
+ * @param {Object} options.contentPolicy - Complete policy from resolveContentPolicy
+ * @param {Object} options.redactor - Redactor from createRedactor
+ * @param {number} options.concurrency - Maximum number of files read ahead (default 8)
+ * @param {AbortSignal} options.signal - Stops the export between files
+ * @param {function(Object)} options.onProgress - Called with the counts so far and the total
+ *   number of entries that will be counted ({ processed, listed, skipped, total }) as files are written
+ * @returns {Promise<Object>} File counts { processed, listed, skipped }
+ */
+async function writeFileContents(model, source, write, options) {
+  const { separator, redactor } = options;
+
+  const gitLine = source.git
+    ? `Git: ${describeGitMetadata(source.git)}\n`
+    : "";
+  await write(`File contents from: ${source.origin}\n${gitLine}${separator}`);
+
+  const fileCount = await collectFileContents(model, write, options);
+
+  // Add summary at the end, followed by what was redacted and where
+  const report = formatRedactionReport(redactor.findings);
+  const reportSection = report.length > 0
+    ? `\nRedaction report:\n${report.map((line) => `  ${line}`).join("\n")}\n`
+    : "";
+  await write(
+    `${separator}End of file contents\nTotal files processed: ${fileCount.processed}\nFiles listed without contents: ${fileCount.listed}\nFiles skipped: ${fileCount.skipped}\nRedactions: ${redactor.findings.length}\n${reportSection}`
+  );
+
+  return fileCount;
+}
+
+/**
+ * Helper function to collect file contents from a tree model
+ * @private
+ */
+async function collectFileContents(model, write, options) {
+  const {
+    basePath,
+    extensions,
+    maxFileSize,
+    separator,
+    contentPolicy,
+    redactor,
+    concurrency = 8,
+    signal = null,
+    onProgress = null,
+  } = options;
+
+  // Initialize counters
+  let counts = { processed: 0, listed: 0, skipped: 0 };
+
+  const isIncluded = (node) =>
+    !(extensions && extensions.length > 0 && !extensions.includes(node.extension));
+
+  // Files are read ahead concurrently but written strictly in name order, the
+  // order the export has always used, rather than the tree's directories-first order
+  const nodes = Array.from(walkTreeModel(model, { includeIgnored: true, byName: true }));
+  const total = nodes.filter((node) => node.ignored || node.type !== "directory").length;
+  const readFile = createReadAhead(
+    nodes,
+    (node) =>
+      !node.ignored &&
+      node.type === "file" &&
+      node.size <= maxFileSize &&
+      isIncluded(node) &&
+      !redactor.isDenied(node.relativePath),
+    concurrency
+  );
+
+  for (const [index, node] of nodes.entries()) {
+    if (signal) signal.throwIfAborted();
+    // Report the counts so far before each file, and once more at the end
+    if (onProgress && node.type === "file") onProgress({ ...counts, total });
+
+    const relativePath = path.relative(basePath, node.path);
+
+    // Hidden and ignored entries are counted, never read
+    if (node.ignored) {
+      counts.skipped++;
+      continue;
+    }
+
+    if (node.type === "directory") {
+      if (node.error) {
+        await write(
+          `Directory: ${node.path}\n[ERROR: ${node.error.message}]\n${separator}`
+        );
+      }
+      continue;
+    }
+
+    if (node.type !== "file") {
+      if (node.error) {
+        await write(
+          `Path: ${relativePath}\n[ERROR: ${node.error.message}]\n${separator}`
+        );
+      }
+      counts.skipped++;
+      continue;
+    }
+
+    // Check file size
+    if (node.size > maxFileSize) {
+      await write(
+        `File: ${relativePath}\n[FILE TOO LARGE: ${formatFileSize(
+          node.size
+        )}]\n${separator}`
+      );
+      counts.skipped++;
+      continue;
+    }
+
+    // Check file extension
+    if (!isIncluded(node)) {
+      counts.skipped++;
+      continue;
+    }
+
+    // Denylisted files are withheld without being read
+    const deniedBy = redactor.deniedBy(node.relativePath);
+    if (deniedBy) {
+      await write(
+        `File: ${relativePath}\n[REDACTED FILE: matches denylist pattern "${deniedBy}"]\n${separator}`
+      );
+      counts.listed++;
+      continue;
+    }
+
+    // Read and classify the file, then apply the policy for its class
+    const { file, error: readErr } = await readFile(index);
+    if (readErr) {
+      await write(
+        `File: ${relativePath}\n[UNABLE TO READ: ${readErr.message}]\n${separator}`
+      );
+      counts.skipped++;
+      continue;
+    }
+
+    const action = contentPolicy[file.fileClass];
+    if (action === "skip") {
+      counts.skipped++;
+      continue;
+    }
+
+    if (action === "list") {
+      await write(
+        `File: ${relativePath}\n[${describeContent(file).toUpperCase()}]\n${separator}`
+      );
+      counts.listed++;
+      continue;
+    }
+
+    // Decoded and base64-encoded files say what they were converted from
+    let note = "";
+    if (file.fileClass === "encoded") {
+      note = ` (decoded from ${file.encoding.toUpperCase()}${file.bom ? " with BOM" : ""})`;
+    }
+    if (file.fileClass === "binary") note = ` (base64, ${describeContent(file)})`;
+
+    // Base64 is never scanned; every encoded secret would look like one
+    const content = file.fileClass === "binary"
+      ? includedContent(file)
+      : redactor.redact(includedContent(file), node.relativePath);
+    await write(
+      `File: ${relativePath}${note}\n\n${content}\n${separator}`
+    );
+    counts.processed++;
+  }
+
+  if (onProgress) onProgress({ ...counts, total });
+  return counts;
+}
+
+export {
+  iterateTree,
+  renderTree,
+  renderTreeLines,
+  describeGitMetadata,
+  createDirectoryStats,
+  collectDirectoryStats,
+  iterateSummaryText,
+  renderSummaryText,
+  writeFileContents,
+};
@@ -2,6 +2,46 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import colors from "colors";
+import { resolveLocalSource, isLocalSource } from "./resolveSource.js";
+import { buildTreeModel, buildTreeModelAsync } from "./treeModel.js";
+import {
+  OUTPUT_FORMATS,
+  buildStructuredReport,
+  buildDiffReport,
+  buildGraphReport,
+  iterateReport,
+} from "./structuredOutput.js";
+import { iterateSummary } from "./reportRenderers.js";
+import { BUNDLE_FORMATS, buildContextBundle, chunkPath } from "./contextBundle.js";
+import { resolveContentPolicy } from "./fileContent.js";
+import { createRedactor } from "./redactSecrets.js";
+import { createOutputStream } from "./outputStream.js";
+import { createReporter } from "./reporter.js";
+import { analyzeManifests } from "./manifests.js";
+import { collectLanguageStats } from "./languageStats.js";
+import { createProfileCollector } from "./projectProfile.js";
+import { analyzeGitHistory } from "./gitHistory.js";
+import { diffTreeModels, iterateTreeDiffText } from "./treeDiff.js";
+import {
+  GRAPH_FORMATS,
+  buildImportGraph,
+  describeImportGraph,
+  formatImportGraphDot,
+  formatImportGraphMermaid,
+} from "./importGraph.js";
+import { collectOutlines, formatOutlineLines } from "./outline.js";
+import {
+  iterateTree,
+  renderTree,
+  renderTreeLines,
+  describeGitMetadata,
+  createDirectoryStats,
+  collectDirectoryStats,
+  writeFileContents,
+} from "./textOutput.js";
+
+// The summary can additionally be rendered as a Markdown or HTML report
+const SUMMARY_FORMATS = [...OUTPUT_FORMATS, "markdown", "html"];
 
 colors.setTheme({
   info: "blue",
@@ -11,14 +51,17 @@ colors.setTheme({
 
 /**
  * Print a directory tree structure to the console with comprehensive error handling
- * @param {string} directoryPath - The path to the directory to print
+ * @param {string} directoryPath - The directory, file:// URL, bare repository or archive to print
  * @param {Object} options - Configuration options
- * @param {string} options.prefix - Prefix for the current line (used for recursion)
+ * @param {string} options.prefix - Prefix added to every line
  * @param {number} options.maxDepth - Maximum depth to traverse (-1 for unlimited)
- * @param {Array<string>} options.exclude - Array of directory/file names to exclude
+ * @param {Array<string>} options.exclude - Gitignore-style patterns to exclude
+ * @param {boolean} options.respectGitignore - Whether to honor .gitignore files (default true)
  * @param {boolean} options.showHidden - Whether to show hidden files (starting with .)
  * @param {boolean} options.showSize - Whether to show file sizes
  * @param {function} options.logger - Logging function (defaults to console.log)
+ * @param {boolean} options.colorize - Whether to color the lines (default true)
+ * @param {Object} options.model - Prebuilt tree model to render instead of walking the directory
  * @returns {Object} Result object with success status and error if any
  */
 function printTree(directoryPath, options = {}) {
@@ -29,12 +72,14 @@ function printTree(directoryPath, options = {}) {
     exclude = [],
     showHidden = false,
     showSize = false,
-    currentDepth = 0,
+    respectGitignore = true,
     logger = console.log,
+    colorize = true,
   } = options;
 
-  // Result object to track success/failure
-  const result = { success: true, error: null };
+  // Lines carry a style ("info" or "error") that is applied when colorizing
+  const styledLogger = (line, style) =>
+    logger(colorize ? colors[style](line) : line);
 
   try {
     // Validate input
@@ -42,133 +87,28 @@ function printTree(directoryPath, options = {}) {
       throw new Error("Invalid directory path provided");
     }
 
-    // Resolve relative paths
-    const resolvedPath = path.resolve(directoryPath);
-
-    // Check if directory exists
-    if (!fs.existsSync(resolvedPath)) {
-      throw new Error(`Directory does not exist: ${resolvedPath}`);
-    }
-
-    // Check if path is actually a directory
-    const pathStats = fs.statSync(resolvedPath);
-    if (!pathStats.isDirectory()) {
-      throw new Error(`Path is not a directory: ${resolvedPath}`);
-    }
-
-    // Check if we've reached max depth
-    if (maxDepth >= 0 && currentDepth > maxDepth) {
-      return result;
-    }
-
-    // Print the current directory name at the root level
-    if (currentDepth === 0) {
-      const dirName = path.basename(resolvedPath);
-      logger(`${prefix}${dirName}/`.info);
+    // Render a prebuilt model without touching the filesystem again
+    if (options.model) {
+      return renderTree(options.model, { prefix, showSize, logger: styledLogger });
     }
 
-    // Read directory contents
-    let items;
+    // Resolve archives, bare repositories and file:// URLs
+    const source = openSource(directoryPath, { gitMetadata: false });
     try {
-      items = fs.readdirSync(resolvedPath);
-    } catch (err) {
-      // Handle permission errors or other read failures
-      logger(`${prefix}├── [Error reading directory: ${err.message}]`.error);
-      result.error = err;
-      result.success = false;
-      return result;
-    }
-
-    // Filter items based on options
-    items = items.filter((item) => {
-      // Filter hidden files if not showing them
-      if (!showHidden && item.startsWith(".")) {
-        return false;
-      }
-
-      // Filter excluded items
-      if (exclude.includes(item)) {
-        return false;
-      }
-
-      return true;
-    });
-
-    // Sort items (directories first, then files)
-    items.sort((a, b) => {
-      try {
-        const aPath = path.join(resolvedPath, a);
-        const bPath = path.join(resolvedPath, b);
-        const aIsDir = fs.statSync(aPath).isDirectory();
-        const bIsDir = fs.statSync(bPath).isDirectory();
-
-        if (aIsDir && !bIsDir) return -1;
-        if (!aIsDir && bIsDir) return 1;
-        return a.localeCompare(b);
-      } catch (err) {
-        // If there's an error accessing the file, treat it as a file
-        return 0;
-      }
-    });
-
-    const lastIndex = items.length - 1;
-
-    // Process each item
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      const isLast = i === lastIndex;
-      const fullPath = path.join(resolvedPath, item);
-      const connector = isLast ? "└── " : "├── ";
-
-      try {
-        const stats = fs.statSync(fullPath);
-        const isDir = stats.isDirectory();
-
-        // Format size if option is enabled
-        let sizeInfo = "";
-        if (showSize && !isDir) {
-          sizeInfo = formatFileSize(stats.size);
-          sizeInfo = ` (${sizeInfo})`;
-        }
-
-        // Print the current item
-        logger(
-          `${prefix}${connector}${item}${isDir ? "/" : ""}${sizeInfo}`.info
-        );
-
-        // Recurse into directories
-        if (isDir) {
-          const newPrefix = prefix + (isLast ? "    " : "│   ");
-          const newOptions = {
-            ...options,
-            prefix: newPrefix,
-            currentDepth: currentDepth + 1,
-          };
-
-          // Continue recursion
-          const subResult = printTree(fullPath, newOptions);
-
-          // Handle errors in subdirectories
-          if (!subResult.success) {
-            result.error = subResult.error;
-            // Don't set success to false here to continue processing
-          }
-        }
-      } catch (err) {
-        // Handle errors for individual files/directories
-        logger(`${prefix}${connector}${item} [Error: ${err.message}]`.error);
-      }
-    }
-
-    // Handle empty directories
-    if (items.length === 0) {
-      logger(`${prefix}└── [empty]`.info);
+      const model = buildTreeModel(source.directoryPath, {
+        exclude,
+        respectGitignore,
+        showHidden,
+        maxDepth,
+        ignoreMatcher: options.ignoreMatcher,
+      });
+      return renderTree(model, { prefix, showSize, logger: styledLogger });
+    } finally {
+      source.cleanup();
     }
-
-    return result;
   } catch (err) {
     // Handle function-level errors
-    logger(`Error: ${err.message}`.error);
+    logger(colorize ? `Error: ${err.message}`.error : `Error: ${err.message}`);
     return {
       success: false,
       error: err,
@@ -177,17 +117,93 @@ function printTree(directoryPath, options = {}) {
 }
 
 /**
- * Format file size in human-readable format
- * @param {number} bytes - File size in bytes
- * @returns {string} Formatted file size
+ * Resolve a local directory, file:// URL, bare repository or archive for traversal
+ * @private
  */
-function formatFileSize(bytes) {
-  if (bytes === 0) return "0 B";
+function openSource(directoryPath, options = {}) {
+  if (!directoryPath || typeof directoryPath !== "string") {
+    throw new Error("Invalid directory path provided");
+  }
 
-  const units = ["B", "KB", "MB", "GB", "TB", "PB"];
-  const i = Math.floor(Math.log(bytes) / Math.log(1024));
+  if (!isLocalSource(directoryPath)) {
+    throw new Error(`Directory does not exist: ${path.resolve(directoryPath)}`);
+  }
 
-  return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${units[i]}`;
+  const source = resolveLocalSource(directoryPath, options);
+  if (!source.success) {
+    throw new Error(source.message);
+  }
+
+  return source;
+}
+
+/**
+ * Check that an output format is supported
+ * @private
+ */
+function assertOutputFormat(format, formats = OUTPUT_FORMATS) {
+  if (!formats.includes(format)) {
+    throw new Error(
+      `Unsupported format: ${format} (expected ${formats.join(", ")})`
+    );
+  }
+}
+
+/**
+ * Resolve a source and build its tree model without blocking; the caller must
+ * call source.cleanup()
+ * @private
+ */
+async function loadTreeModel(directoryPath, options = {}) {
+  const {
+    exclude = [],
+    respectGitignore = true,
+    showHidden = false,
+    maxDepth = -1,
+    concurrency,
+    signal = null,
+    onProgress = null,
+  } = options;
+
+  const source = openSource(directoryPath);
+  try {
+    const model = await buildTreeModelAsync(source.directoryPath, {
+      exclude,
+      respectGitignore,
+      showHidden,
+      maxDepth,
+      concurrency,
+      signal,
+      onProgress,
+    });
+    return { source, model };
+  } catch (err) {
+    source.cleanup();
+    throw err;
+  }
+}
+
+/**
+ * Merge progress updates from the walker and the writers into one snapshot and
+ * pass it to the caller's callback and the reporter
+ * @private
+ */
+function createProgressReporter(onProgress, reporter) {
+  const progress = {
+    phase: "scan",
+    directoriesScanned: 0,
+    entriesScanned: 0,
+    filesProcessed: 0,
+    filesTotal: 0,
+    commitsRead: 0,
+    bytesWritten: 0,
+  };
+
+  return (update) => {
+    Object.assign(progress, update);
+    if (onProgress) onProgress({ ...progress });
+    reporter.progress({ ...progress });
+  };
 }
 
 /**
@@ -204,465 +220,790 @@ function simpleTreePrint(directoryPath) {
 }
 
 /**
- * Export tree structure to a text file
- * @param {string} directoryPath - Path to the directory to analyze
+ * Export tree structure to a text, JSON or YAML file. The directory is walked
+ * asynchronously and the output is streamed to the file as it is rendered.
+ * @param {string} directoryPath - Directory, file:// URL, bare repository or archive to analyze
  * @param {string} outputPath - Path where to save the output file
- * @param {Object} options - Options to pass to printTree
- * @returns {Object} Result object with success status and file path
+ * @param {Object} options - Traversal options (exclude, respectGitignore, showHidden, maxDepth, showSize)
+ * @param {string} options.format - "text" (default), "json" or "yaml"
+ * @param {number} options.concurrency - Maximum concurrent filesystem calls while walking (default 16)
+ * @param {AbortSignal} options.signal - Cancels the export; the partial file is removed
+ * @param {function(Object)} options.onProgress - Called with { phase, directoriesScanned,
+ *   entriesScanned, filesProcessed, filesTotal, bytesWritten }
+ * @param {Object} options.reporter - Reporter from createReporter for messages and the
+ *   progress bar (default: print messages to the console)
+ * @returns {Promise<Object>} Result object with success status and file path
  */
-function exportTreeToFile(
+async function exportTreeToFile(
   directoryPath,
   outputPath = "./directory-tree.txt",
   options = {}
 ) {
+  let source = null;
+  let output = null;
+  const reporter = options.reporter || createReporter();
+
   try {
-    // Create a collector for the output
-    let output = [];
-    const logger = (line) => output.push(line.replace(/\u001b\[\d+m/g, "")); // Remove color codes
+    const { format = "text", prefix = "", showSize = false, signal = null } = options;
+    assertOutputFormat(format);
+    const report = createProgressReporter(options.onProgress, reporter);
+
+    const loaded = await loadTreeModel(directoryPath, { ...options, onProgress: report });
+    source = loaded.source;
+    const { model } = loaded;
+
+    // Stream the output to the file while it is rendered
+    output = createOutputStream(outputPath, {
+      signal,
+      onWrite: (bytesWritten) => report({ phase: "write", bytesWritten }),
+    });
 
-    // Use the existing printTree function with custom logger
-    const treeOptions = { ...options, logger };
-    const result = printTree(directoryPath, treeOptions);
+    let nonFatalError = null;
 
-    // Write to file
-    fs.writeFileSync(outputPath, output.join("\n"), "utf8");
+    if (format === "text") {
+      // Plain (uncolored) lines joined by newlines
+      const lines = iterateTree(model, { prefix, showSize });
+      let first = true;
+      let step;
+      while (!(step = lines.next()).done) {
+        await output.write(first ? step.value.line : `\n${step.value.line}`);
+        first = false;
+      }
+      if (!step.value.success) {
+        throw step.value.error;
+      }
+      nonFatalError = step.value.error;
+    } else {
+      const treeReport = buildStructuredReport(model, { kind: "tree", source });
+      for (const piece of iterateReport(treeReport, format)) {
+        await output.write(piece);
+      }
+    }
 
-    console.log(
-      `Tree structure exported successfully to: ${outputPath}`.success
-    );
+    await output.close();
+
+    reporter.success(`Tree structure exported successfully to: ${outputPath}`);
 
     return {
       success: true,
       filePath: path.resolve(outputPath),
-      error: result.error, // Pass through any non-fatal errors
+      error: nonFatalError, // Pass through any non-fatal errors
     };
   } catch (err) {
-    console.log(`Failed to export tree: ${err.message}`.error);
+    if (output) await output.abort();
+    reporter.error(`Failed to export tree: ${err.message}`);
     return {
       success: false,
       error: err,
       message: `Failed to export tree: ${err.message}`,
     };
+  } finally {
+    if (source) source.cleanup();
   }
 }
 
 /**
  * Generate a text file containing all file contents in the directory
- * @param {string} directoryPath - Path to the directory to analyze
+ * @param {string} directoryPath - Directory, file:// URL, bare repository or archive to analyze
  * @param {string} outputPath - Path where to save the output file
  * @param {Object} options - Configuration options
- * @param {Array<string>} options.exclude - Array of file patterns to exclude
+ * @param {Array<string>} options.exclude - Gitignore-style patterns to exclude
+ * @param {boolean} options.respectGitignore - Whether to honor .gitignore files (default true)
  * @param {boolean} options.showHidden - Whether to include hidden files
  * @param {number} options.maxDepth - Maximum directory depth to traverse
  * @param {Array<string>} options.extensions - File extensions to include (e.g., ['.js', '.txt'])
  * @param {number} options.maxFileSize - Maximum file size in bytes to include
- * @returns {Object} Result object with success status and file path
+ * @param {Object} options.contentPolicy - Action ("include", "list" or "skip") per file class
+ *   ("text", "encoded", "binary"); binaries are listed with their type and size by default
+ * @param {boolean} options.redactSecrets - Whether to replace detected secrets with placeholders (default true)
+ * @param {Array<string>} options.denylist - Extra filename patterns whose contents are never exported
+ * @param {string} options.format - "text" (default), or "markdown"/"xml" for an LLM-context bundle
+ * @param {number} options.tokenBudget - Bundle only: maximum estimated tokens per chunk (0 for unlimited)
+ * @param {number} options.maxChunks - Bundle only: maximum number of chunks (0 for unlimited)
+ * @param {number} options.concurrency - Maximum concurrent filesystem calls while walking (default 16)
+ * @param {AbortSignal} options.signal - Cancels the export; a partial text export is removed
+ * @param {function(Object)} options.onProgress - Called with { phase, directoriesScanned,
+ *   entriesScanned, filesProcessed, filesTotal, bytesWritten }
+ * @param {Object} options.reporter - Reporter from createReporter for messages and the
+ *   progress bar (default: print messages to the console)
+ * @returns {Promise<Object>} Result object with success status, file path and redaction findings
  */
-function exportFileContentsToFile(
+async function exportFileContentsToFile(
   directoryPath,
   outputPath = "./file-contents.txt",
   options = {}
 ) {
+  let source = null;
+  let output = null;
+  const reporter = options.reporter || createReporter();
+
   try {
     // Default options
     const {
       exclude = [],
+      respectGitignore = true,
       showHidden = false,
       maxDepth = -1,
       extensions = null, // null means all extensions
       maxFileSize = 1024 * 1024, // Default 1MB limit per file
       separator = "\n" + "-".repeat(80) + "\n",
+      format = "text",
+      redactSecrets = true,
+      denylist = [],
+      signal = null,
     } = options;
+    assertOutputFormat(format, ["text", ...BUNDLE_FORMATS]);
+    const contentPolicy = resolveContentPolicy(options.contentPolicy);
+    const redactor = createRedactor({ enabled: redactSecrets, denylist });
+    const report = createProgressReporter(options.onProgress, reporter);
 
-    // Validate input
-    if (!directoryPath || typeof directoryPath !== "string") {
-      throw new Error("Invalid directory path provided");
+    // Resolve the source and walk the tree once (directory, file:// URL, bare repository or archive)
+    const loaded = await loadTreeModel(directoryPath, {
+      exclude,
+      respectGitignore,
+      showHidden,
+      maxDepth,
+      concurrency: options.concurrency,
+      signal,
+      onProgress: report,
+    });
+    source = loaded.source;
+    const { model } = loaded;
+
+    if (format !== "text") {
+      return await exportContextBundle(model, source, outputPath, {
+        ...options,
+        format,
+        contentPolicy,
+        redactor,
+        reporter,
+        report,
+      });
     }
 
-    // Resolve paths
-    const resolvedDirPath = path.resolve(directoryPath);
     const resolvedOutputPath = path.resolve(outputPath);
 
-    // Check if directory exists
-    if (!fs.existsSync(resolvedDirPath)) {
-      throw new Error(`Directory does not exist: ${resolvedDirPath}`);
-    }
-
-    // Check if path is a directory
-    const pathStats = fs.statSync(resolvedDirPath);
-    if (!pathStats.isDirectory()) {
-      throw new Error(`Path is not a directory: ${resolvedDirPath}`);
-    }
-
-    // Initialize output file
-    fs.writeFileSync(
-      resolvedOutputPath,
-      `File contents from: ${resolvedDirPath}\n${separator}`,
-      "utf8"
-    );
-
-    // Process files and collect content
-    const fileCount = collectFileContents(resolvedDirPath, resolvedOutputPath, {
-      exclude,
-      showHidden,
-      maxDepth,
+    // Write the header, every file and the footer, streaming them to the file
+    output = createOutputStream(resolvedOutputPath, {
+      signal,
+      onWrite: (bytesWritten) => report({ phase: "write", bytesWritten }),
+    });
+    const fileCount = await writeFileContents(model, source, output.write, {
+      basePath: path.dirname(resolvedOutputPath),
       extensions,
       maxFileSize,
       separator,
-      currentDepth: 0,
+      contentPolicy,
+      redactor,
+      signal,
+      onProgress: (counts) =>
+        report({
+          phase: "write",
+          filesProcessed: counts.processed + counts.listed + counts.skipped,
+          filesTotal: counts.total,
+        }),
     });
+    await output.close();
 
-    // Add summary at the end
-    fs.appendFileSync(
-      resolvedOutputPath,
-      `${separator}End of file contents\nTotal files processed: ${fileCount.processed}\nFiles skipped: ${fileCount.skipped}\n`,
-      "utf8"
-    );
-
-    console.log(
-      `File contents exported successfully to: ${outputPath}`.success
-    );
-    console.log(
-      `Files processed: ${fileCount.processed}, Files skipped: ${fileCount.skipped}`
-        .info
+    reporter.success(`File contents exported successfully to: ${outputPath}`);
+    reporter.info(
+      `Files processed: ${fileCount.processed}, Files listed: ${fileCount.listed}, Files skipped: ${fileCount.skipped}`
     );
+    if (redactor.findings.length > 0) {
+      reporter.info(
+        `Redacted ${redactor.findings.length} secrets or sensitive files (see the report at the end of the file)`
+      );
+    }
 
     return {
       success: true,
       filePath: resolvedOutputPath,
       fileCount,
+      redactions: redactor.findings,
+      git: source.git,
     };
   } catch (err) {
-    console.log(`Failed to export file contents: ${err.message}`.error);
+    if (output) await output.abort();
+    reporter.error(`Failed to export file contents: ${err.message}`);
     return {
       success: false,
       error: err,
       message: `Failed to export file contents: ${err.message}`,
     };
+  } finally {
+    if (source) source.cleanup();
   }
 }
 
 /**
- * Helper function to recursively collect file contents
+ * Write an LLM-context bundle, split into numbered chunks when it exceeds the token budget
  * @private
  */
-function collectFileContents(dirPath, outputPath, options) {
+async function exportContextBundle(model, source, outputPath, options) {
   const {
-    exclude,
-    showHidden,
-    maxDepth,
-    extensions,
-    maxFileSize,
-    separator,
-    currentDepth,
+    extensions = null,
+    maxFileSize = 1024 * 1024,
+    format,
+    tokenBudget = 0,
+    maxChunks = 0,
+    contentPolicy,
+    redactor,
+    signal = null,
+    reporter,
+    report,
   } = options;
 
-  // Initialize counters
-  let counts = { processed: 0, skipped: 0 };
+  const bundle = await buildContextBundle(model, {
+    format,
+    treeLines: renderTreeLines(model),
+    origin: source.origin,
+    git: source.git ? describeGitMetadata(source.git) : null,
+    tokenBudget,
+    maxChunks,
+    extensions,
+    maxFileSize,
+    contentPolicy,
+    redactor,
+    signal,
+    onProgress: ({ files, total }) =>
+      report({ phase: "read", filesProcessed: files, filesTotal: total }),
+  });
 
-  // Check max depth
-  if (maxDepth >= 0 && currentDepth > maxDepth) {
-    return counts;
+  const resolvedOutputPath = path.resolve(outputPath);
+  const filePaths = bundle.chunks.map((chunk) =>
+    bundle.chunks.length === 1
+      ? resolvedOutputPath
+      : chunkPath(resolvedOutputPath, chunk.index)
+  );
+  let bytesWritten = 0;
+  for (const [i, chunk] of bundle.chunks.entries()) {
+    if (signal) signal.throwIfAborted();
+    await fs.promises.writeFile(filePaths[i], chunk.content, "utf8");
+    bytesWritten += Buffer.byteLength(chunk.content, "utf8");
+    report({ phase: "write", bytesWritten });
   }
 
-  try {
-    // Read directory
-    const items = fs.readdirSync(dirPath);
-
-    // Process each item
-    for (const item of items) {
-      // Skip hidden files if not showing them
-      if (!showHidden && item.startsWith(".")) {
-        counts.skipped++;
-        continue;
-      }
-
-      // Skip excluded patterns
-      if (
-        exclude.some((pattern) => {
-          // Handle glob patterns
-          if (pattern.includes("*")) {
-            return minimatch(item, pattern);
-          }
-          return item === pattern;
-        })
-      ) {
-        counts.skipped++;
-        continue;
-      }
+  // Numbered parts left by an earlier run with more chunks would pass for current output
+  for (let index = filePaths.length === 1 ? 1 : filePaths.length + 1; ; index++) {
+    const stalePath = chunkPath(resolvedOutputPath, index);
+    if (!fs.existsSync(stalePath)) break;
+    await fs.promises.rm(stalePath, { force: true });
+  }
 
-      const fullPath = path.join(dirPath, item);
-      const relativePath = path.relative(path.dirname(outputPath), fullPath);
-
-      try {
-        const stats = fs.statSync(fullPath);
-
-        // Recurse into directories
-        if (stats.isDirectory()) {
-          const subCounts = collectFileContents(fullPath, outputPath, {
-            ...options,
-            currentDepth: currentDepth + 1,
-          });
-          counts.processed += subCounts.processed;
-          counts.skipped += subCounts.skipped;
-          continue;
-        }
-
-        // Handle files
-        // Check file size
-        if (stats.size > maxFileSize) {
-          fs.appendFileSync(
-            outputPath,
-            `File: ${relativePath}\n[FILE TOO LARGE: ${formatFileSize(
-              stats.size
-            )}]\n${separator}`,
-            "utf8"
-          );
-          counts.skipped++;
-          continue;
-        }
-
-        // Check file extension
-        const ext = path.extname(item).toLowerCase();
-        if (extensions && extensions.length > 0 && !extensions.includes(ext)) {
-          counts.skipped++;
-          continue;
-        }
-
-        // Read and append file content
-        try {
-          const content = fs.readFileSync(fullPath, "utf8");
-          fs.appendFileSync(
-            outputPath,
-            `File: ${relativePath}\n\n${content}\n${separator}`,
-            "utf8"
-          );
-          counts.processed++;
-        } catch (readErr) {
-          // Handle binary files or read errors
-          fs.appendFileSync(
-            outputPath,
-            `File: ${relativePath}\n[UNABLE TO READ: ${readErr.message}]\n${separator}`,
-            "utf8"
-          );
-          counts.skipped++;
-        }
-      } catch (statErr) {
-        fs.appendFileSync(
-          outputPath,
-          `Path: ${relativePath}\n[ERROR: ${statErr.message}]\n${separator}`,
-          "utf8"
-        );
-        counts.skipped++;
-      }
-    }
-  } catch (err) {
-    fs.appendFileSync(
-      outputPath,
-      `Directory: ${dirPath}\n[ERROR: ${err.message}]\n${separator}`,
-      "utf8"
+  reporter.success(
+    `Context bundle exported successfully to: ${
+      filePaths.length === 1
+        ? outputPath
+        : `${filePaths.length} chunks (${path.basename(filePaths[0])} ...)`
+    }`
+  );
+  reporter.info(
+    `Files included: ${bundle.files.length}, Files omitted: ${bundle.omitted.length}, Estimated tokens: ${bundle.totalTokens}`
+  );
+  if (redactor.findings.length > 0) {
+    reporter.info(
+      `Redacted ${redactor.findings.length} secrets or sensitive files (see the report at the end of the bundle)`
     );
   }
 
-  return counts;
+  return {
+    success: true,
+    filePath: filePaths[0],
+    filePaths,
+    fileCount: {
+      processed: bundle.files.length,
+      skipped: bundle.omitted.length,
+    },
+    tokens: {
+      total: bundle.totalTokens,
+      files: bundle.files,
+    },
+    omitted: bundle.omitted,
+    redactions: redactor.findings,
+    git: source.git,
+  };
 }
 
 /**
  * Generate a summary file with tree structure and important file details
- * @param {string} directoryPath - Path to the directory to analyze
+ * @param {string} directoryPath - Directory, file:// URL, bare repository or archive to analyze
  * @param {string} outputPath - Path where to save the output file
  * @param {Object} options - Configuration options
- * @returns {Object} Result object with success status and file path
+ * @param {string} options.format - "text" (default), "json", "yaml", "markdown" or "html"
+ * @param {boolean} options.includeProfile - Whether to open the summary with the inferred
+ *   project profile: frameworks, build and test tools, CI, containers, infrastructure
+ *   as code, license and entry points, with the evidence for each (default true)
+ * @param {boolean} options.includeLanguages - Whether to detect languages and count
+ *   code, comment and blank lines per language and directory (default true)
+ * @param {boolean} options.includeDependencies - Whether to add the dependency manifests,
+ *   their engines, scripts and lockfiles (default true)
+ * @param {boolean} options.includeHistory - Whether to add the git history: contributors,
+ *   most changed files, last change per file and directory, activity and stale
+ *   directories (default false). It needs the full history; a shallow clone only
+ *   covers the fetched commits.
+ * @param {number} options.staleAfterDays - History: directories unchanged for this many
+ *   days before the last commit are stale (default 180)
+ * @param {number} options.concurrency - Maximum concurrent filesystem calls while walking (default 16)
+ * @param {AbortSignal} options.signal - Cancels the summary; the partial file is removed
+ * @param {function(Object)} options.onProgress - Called with { phase, directoriesScanned,
+ *   entriesScanned, filesProcessed, filesTotal, commitsRead, bytesWritten }
+ * @param {Object} options.reporter - Reporter from createReporter for messages and the
+ *   progress bar (default: print messages to the console)
+ * @returns {Promise<Object>} Result object with success status, file path, stats,
+ *   profile, languages, dependencies and history (null unless requested and available)
  */
-function generateDirectorySummary(
+async function generateDirectorySummary(
   directoryPath,
   outputPath = "./directory-summary.txt",
   options = {}
 ) {
+  let source = null;
+  let output = null;
+  const reporter = options.reporter || createReporter();
+
   try {
     const {
       exclude = ["node_modules", ".git"],
+      respectGitignore = true,
       showHidden = false,
       includeStats = true,
       includeFileCount = true,
+      includeProfile = true,
+      includeLanguages = true,
+      includeDependencies = true,
+      includeHistory = false,
+      staleAfterDays = 180,
       maxDepth = -1,
+      format = "text",
+      signal = null,
     } = options;
 
-    // Initialize counters and storage
-    const stats = {
-      totalFiles: 0,
-      totalDirectories: 0,
-      totalSize: 0,
-      fileTypes: {},
-      largestFiles: [],
-    };
+    assertOutputFormat(format, SUMMARY_FORMATS);
+    const report = createProgressReporter(options.onProgress, reporter);
 
-    // Create output file
-    let output = [];
-    output.push(`Directory Summary: ${path.resolve(directoryPath)}`);
-    output.push(`Generated on: ${new Date().toLocaleString()}`);
-    output.push("=".repeat(80));
-    output.push("");
-
-    // Generate tree structure
-    output.push("Directory Structure:");
-    const logger = (line) => output.push(line.replace(/\u001b\[\d+m/g, "")); // Remove color codes
-    printTree(directoryPath, {
-      prefix: "",
-      maxDepth,
+    // Resolve the source and walk the tree once; every section renders from the model
+    const loaded = await loadTreeModel(directoryPath, {
       exclude,
+      respectGitignore,
       showHidden,
-      showSize: false,
-      logger,
+      maxDepth,
+      concurrency: options.concurrency,
+      signal,
+      onProgress: report,
     });
-
-    if (includeStats || includeFileCount) {
-      // Collect statistics about the directory
-      collectDirectoryStats(directoryPath, stats, {
-        exclude,
-        showHidden,
-        maxDepth,
-        currentDepth: 0,
+    source = loaded.source;
+    const { model } = loaded;
+
+    // Collect statistics about the directory; the profile shares the walk
+    const stats = createDirectoryStats();
+    const profiler = includeProfile ? createProfileCollector(model.path) : null;
+    collectDirectoryStats(model, stats, { onFile: profiler ? profiler.addFile : null });
+    const languages = includeLanguages
+      ? await collectLanguageStats(model, {
+          signal,
+          onProgress: ({ files, total }) =>
+            report({ phase: "count", filesProcessed: files, filesTotal: total }),
+        })
+      : null;
+    // Frameworks and test tools are also read from the manifests
+    const manifests = includeDependencies || includeProfile ? await analyzeManifests(model) : null;
+    const dependencies = includeDependencies ? manifests : null;
+    const profile = profiler ? await profiler.finish(manifests) : null;
+
+    let history = null;
+    if (includeHistory) {
+      history = await analyzeGitHistory(model, {
+        staleAfterDays,
+        signal,
+        onProgress: ({ commits }) =>
+          report({ phase: "history", filesProcessed: 0, filesTotal: 0, commitsRead: commits }),
       });
+      if (!history) {
+        reporter.info(`No history: ${directoryPath} is not in a git working copy`);
+      }
+    }
 
-      output.push("");
-      output.push("=".repeat(80));
-      output.push("");
-      output.push("Directory Statistics:");
-      output.push(`- Total Files: ${stats.totalFiles}`);
-      output.push(`- Total Directories: ${stats.totalDirectories}`);
-      output.push(`- Total Size: ${formatFileSize(stats.totalSize)}`);
-
-      // File types breakdown
-      output.push("");
-      output.push("File Types:");
-      Object.entries(stats.fileTypes)
-        .sort((a, b) => b[1].count - a[1].count)
-        .forEach(([ext, data]) => {
-          output.push(
-            `- ${ext || "(no extension)"}: ${
-              data.count
-            } files (${formatFileSize(data.size)})`
-          );
-        });
-
-      // Largest files
-      output.push("");
-      output.push("Largest Files:");
-      stats.largestFiles
-        .sort((a, b) => b.size - a.size)
-        .slice(0, 10)
-        .forEach((file) => {
-          output.push(`- ${file.path} (${formatFileSize(file.size)})`);
-        });
+    // Stream the summary to the file while it is rendered; the file counts belong
+    // to the line count
+    output = createOutputStream(outputPath, {
+      signal,
+      onWrite: (bytesWritten) =>
+        report({ phase: "write", filesProcessed: 0, filesTotal: 0, bytesWritten }),
+    });
+    const pieces = iterateSummary(model, stats, source, {
+      format,
+      includeStats: includeStats || includeFileCount,
+      profile,
+      languages,
+      dependencies,
+      history,
+    });
+    for (const piece of pieces) {
+      await output.write(piece);
     }
+    await output.close();
 
-    // Write output to file
-    fs.writeFileSync(outputPath, output.join("\n"), "utf8");
-
-    console.log(
-      `Directory summary generated successfully to: ${outputPath}`.success
-    );
+    reporter.success(`Directory summary generated successfully to: ${outputPath}`);
 
     return {
       success: true,
       filePath: path.resolve(outputPath),
       stats,
+      profile,
+      languages,
+      dependencies,
+      history,
+      git: source.git,
     };
   } catch (err) {
-    console.log(`Failed to generate directory summary: ${err.message}`.error);
+    if (output) await output.abort();
+    reporter.error(`Failed to generate directory summary: ${err.message}`);
     return {
       success: false,
       error: err,
       message: `Failed to generate directory summary: ${err.message}`,
     };
+  } finally {
+    if (source) source.cleanup();
   }
 }
 
 /**
- * Helper function to collect directory statistics
- * @private
+ * Compare two trees, such as two releases of a project or a fork and its
+ * upstream, and write the added, removed, moved and resized files with the
+ * changes in file counts, sizes, file types and dependencies
+ * @param {string} beforePath - Old directory, file:// URL, bare repository or archive
+ * @param {string} afterPath - New directory, file:// URL, bare repository or archive
+ * @param {string} outputPath - Path where to save the output file
+ * @param {Object} options - Configuration options
+ * @param {string} options.format - "text" (default), "json" or "yaml"
+ * @param {Array<string>} options.exclude - Gitignore-style patterns to exclude from both trees
+ * @param {boolean} options.respectGitignore - Whether to honor .gitignore files (default true)
+ * @param {boolean} options.showHidden - Whether to include hidden files
+ * @param {number} options.maxDepth - Maximum directory depth to compare
+ * @param {boolean} options.includeDependencies - Whether to compare the dependencies
+ *   declared in the manifests (default true)
+ * @param {Object} options.labels - { before, after } origins to show instead of the
+ *   paths, e.g. the repository URL and ref a temporary clone was made from
+ * @param {number} options.concurrency - Maximum concurrent filesystem calls while walking (default 16)
+ * @param {AbortSignal} options.signal - Cancels the diff; the partial file is removed
+ * @param {function(Object)} options.onProgress - Called with { phase, directoriesScanned,
+ *   entriesScanned, filesProcessed, filesTotal, bytesWritten }
+ * @param {Object} options.reporter - Reporter from createReporter for messages and the
+ *   progress bar (default: print messages to the console)
+ * @returns {Promise<Object>} Result object with success status, file path and the diff
  */
-function collectDirectoryStats(dirPath, stats, options) {
-  const { exclude, showHidden, maxDepth, currentDepth } = options;
+async function generateTreeDiff(
+  beforePath,
+  afterPath,
+  outputPath = "./repo-diff.txt",
+  options = {}
+) {
+  const sources = [];
+  let output = null;
+  const reporter = options.reporter || createReporter();
+
+  try {
+    const {
+      exclude = ["node_modules", ".git"],
+      respectGitignore = true,
+      showHidden = false,
+      maxDepth = -1,
+      includeDependencies = true,
+      labels = {},
+      format = "text",
+      signal = null,
+    } = options;
 
-  // Check max depth
-  if (maxDepth >= 0 && currentDepth > maxDepth) {
-    return;
+    assertOutputFormat(format);
+    const report = createProgressReporter(options.onProgress, reporter);
+
+    // Both trees are walked with the same filters so only real changes show up
+    const sides = [];
+    for (const [side, sidePath] of [["before", beforePath], ["after", afterPath]]) {
+      const loaded = await loadTreeModel(sidePath, {
+        exclude,
+        respectGitignore,
+        showHidden,
+        maxDepth,
+        concurrency: options.concurrency,
+        signal,
+        onProgress: report,
+      });
+      sources.push(loaded.source);
+      const source = labels[side] ? { ...loaded.source, origin: labels[side] } : loaded.source;
+      sides.push({ model: loaded.model, source });
+    }
+    const [before, after] = sides;
+
+    const diff = await diffTreeModels(before.model, after.model, {
+      signal,
+      dependencies: includeDependencies
+        ? {
+            before: await analyzeManifests(before.model),
+            after: await analyzeManifests(after.model),
+          }
+        : null,
+    });
+
+    output = createOutputStream(outputPath, {
+      signal,
+      onWrite: (bytesWritten) =>
+        report({ phase: "write", filesProcessed: 0, filesTotal: 0, bytesWritten }),
+    });
+    if (format === "text") {
+      let first = true;
+      for (const line of iterateTreeDiffText(diff, before, after)) {
+        await output.write(first ? line : `\n${line}`);
+        first = false;
+      }
+    } else {
+      for (const piece of iterateReport(buildDiffReport(diff, before, after), format)) {
+        await output.write(piece);
+      }
+    }
+    await output.close();
+
+    reporter.success(`Tree diff generated successfully to: ${outputPath}`);
+
+    return {
+      success: true,
+      filePath: path.resolve(outputPath),
+      diff,
+    };
+  } catch (err) {
+    if (output) await output.abort();
+    reporter.error(`Failed to generate tree diff: ${err.message}`);
+    return {
+      success: false,
+      error: err,
+      message: `Failed to generate tree diff: ${err.message}`,
+    };
+  } finally {
+    for (const source of sources) source.cleanup();
   }
+}
+
+/**
+ * Export the module dependency graph of the JavaScript and TypeScript files:
+ * which module imports which, resolved against the tree (relative paths,
+ * tsconfig paths, package exports and workspace packages), with cycles, orphaned
+ * modules and the most depended on modules flagged
+ * @param {string} directoryPath - Directory, file:// URL, bare repository or archive to analyze
+ * @param {string} outputPath - Path where to save the output file
+ * @param {Object} options - Configuration options
+ * @param {string} options.format - "dot" (default), "mermaid", "json" or "yaml"
+ * @param {Array<string>} options.exclude - Gitignore-style patterns to exclude
+ * @param {boolean} options.respectGitignore - Whether to honor .gitignore files (default true)
+ * @param {boolean} options.showHidden - Whether to include hidden files
+ * @param {number} options.maxDepth - Maximum directory depth to traverse
+ * @param {number} options.maxFileSize - Larger files are not parsed (default 1 MB)
+ * @param {number} options.concurrency - Maximum concurrent filesystem calls while walking (default 16)
+ * @param {AbortSignal} options.signal - Cancels the export; the partial file is removed
+ * @param {function(Object)} options.onProgress - Called with { phase, directoriesScanned,
+ *   entriesScanned, filesProcessed, filesTotal, bytesWritten }
+ * @param {Object} options.reporter - Reporter from createReporter for messages and the
+ *   progress bar (default: print messages to the console)
+ * @returns {Promise<Object>} Result object with success status, file path and the graph
+ */
+async function exportImportGraph(
+  directoryPath,
+  outputPath = "./repo-graph.dot",
+  options = {}
+) {
+  let source = null;
+  let output = null;
+  const reporter = options.reporter || createReporter();
 
   try {
-    // Read directory
-    const items = fs.readdirSync(dirPath);
-
-    // Process each item
-    for (const item of items) {
-      // Skip hidden files if not showing them
-      if (!showHidden && item.startsWith(".")) {
-        continue;
-      }
+    const {
+      exclude = ["node_modules", ".git"],
+      respectGitignore = true,
+      showHidden = false,
+      maxDepth = -1,
+      maxFileSize,
+      format = "dot",
+      signal = null,
+    } = options;
 
-      // Skip excluded patterns
-      if (exclude.some((pattern) => item === pattern)) {
-        continue;
-      }
+    assertOutputFormat(format, GRAPH_FORMATS);
+    const report = createProgressReporter(options.onProgress, reporter);
 
-      const fullPath = path.join(dirPath, item);
-
-      try {
-        const itemStats = fs.statSync(fullPath);
-
-        if (itemStats.isDirectory()) {
-          // Count directories
-          stats.totalDirectories++;
-
-          // Recurse into directories
-          collectDirectoryStats(fullPath, stats, {
-            ...options,
-            currentDepth: currentDepth + 1,
-          });
-        } else {
-          // Count files
-          stats.totalFiles++;
-          stats.totalSize += itemStats.size;
-
-          // Track file types
-          const ext = path.extname(item).toLowerCase() || "(no extension)";
-          if (!stats.fileTypes[ext]) {
-            stats.fileTypes[ext] = { count: 0, size: 0 };
-          }
-          stats.fileTypes[ext].count++;
-          stats.fileTypes[ext].size += itemStats.size;
-
-          // Track large files
-          stats.largestFiles.push({
-            path: fullPath,
-            size: itemStats.size,
-          });
-
-          // Only keep the 20 largest files in memory
-          if (stats.largestFiles.length > 20) {
-            stats.largestFiles.sort((a, b) => b.size - a.size);
-            stats.largestFiles = stats.largestFiles.slice(0, 20);
-          }
-        }
-      } catch (err) {
-        // Skip errors for individual files
+    const loaded = await loadTreeModel(directoryPath, {
+      exclude,
+      respectGitignore,
+      showHidden,
+      maxDepth,
+      concurrency: options.concurrency,
+      signal,
+      onProgress: report,
+    });
+    source = loaded.source;
+    const { model } = loaded;
+
+    const graph = await buildImportGraph(model, {
+      signal,
+      ...(maxFileSize !== undefined && { maxFileSize }),
+      onProgress: ({ files, total }) =>
+        report({ phase: "imports", filesProcessed: files, filesTotal: total }),
+    });
+
+    output = createOutputStream(outputPath, {
+      signal,
+      onWrite: (bytesWritten) =>
+        report({ phase: "write", filesProcessed: 0, filesTotal: 0, bytesWritten }),
+    });
+    if (format === "dot" || format === "mermaid") {
+      const lines = format === "dot" ? formatImportGraphDot(graph) : formatImportGraphMermaid(graph);
+      for (const line of lines) {
+        await output.write(`${line}\n`);
+      }
+    } else {
+      for (const piece of iterateReport(buildGraphReport(graph, model, source), format)) {
+        await output.write(piece);
       }
     }
+    await output.close();
+
+    reporter.info(`Import graph: ${describeImportGraph(graph)}`);
+    reporter.success(`Import graph exported successfully to: ${outputPath}`);
+
+    return {
+      success: true,
+      filePath: path.resolve(outputPath),
+      graph,
+    };
   } catch (err) {
-    // Skip errors for directories we can't read
+    if (output) await output.abort();
+    reporter.error(`Failed to export import graph: ${err.message}`);
+    return {
+      success: false,
+      error: err,
+      message: `Failed to export import graph: ${err.message}`,
+    };
+  } finally {
+    if (source) source.cleanup();
   }
 }
 
-// A minimatch-like simple pattern matching function
-// Only supports * wildcard
-function minimatch(string, pattern) {
-  // Convert glob pattern to RegExp
-  const regexPattern = pattern.replace(/\./g, "\\.").replace(/\*/g, ".*");
+/**
+ * Export an outline of the tree: every JavaScript, TypeScript, Python, Go and
+ * Java file is listed with its top-level symbols (classes, functions, types and
+ * exports), their signatures and the first line of their doc comments, without
+ * the file bodies
+ * @param {string} directoryPath - Directory, file:// URL, bare repository or archive to analyze
+ * @param {string} outputPath - Path where to save the output file
+ * @param {Object} options - Configuration options
+ * @param {string} options.format - "text" (default), "json" or "yaml"
+ * @param {Array<string>} options.exclude - Gitignore-style patterns to exclude
+ * @param {boolean} options.respectGitignore - Whether to honor .gitignore files (default true)
+ * @param {boolean} options.showHidden - Whether to include hidden files
+ * @param {number} options.maxDepth - Maximum directory depth to traverse
+ * @param {boolean} options.showSize - Whether to show file sizes in the text tree
+ * @param {number} options.maxFileSize - Larger files are listed without symbols (default 1 MB)
+ * @param {number} options.concurrency - Maximum concurrent filesystem calls while walking (default 16)
+ * @param {AbortSignal} options.signal - Cancels the export; the partial file is removed
+ * @param {function(Object)} options.onProgress - Called with { phase, directoriesScanned,
+ *   entriesScanned, filesProcessed, filesTotal, bytesWritten }
+ * @param {Object} options.reporter - Reporter from createReporter for messages and the
+ *   progress bar (default: print messages to the console)
+ * @returns {Promise<Object>} Result object with success status, file path and the outline
+ */
+async function exportOutlineToFile(
+  directoryPath,
+  outputPath = "./repo-outline.txt",
+  options = {}
+) {
+  let source = null;
+  let output = null;
+  const reporter = options.reporter || createReporter();
+
+  try {
+    const {
+      exclude = ["node_modules", ".git"],
+      respectGitignore = true,
+      showHidden = false,
+      maxDepth = -1,
+      showSize = false,
+      maxFileSize,
+      format = "text",
+      signal = null,
+    } = options;
+
+    assertOutputFormat(format);
+    const report = createProgressReporter(options.onProgress, reporter);
+
+    const loaded = await loadTreeModel(directoryPath, {
+      exclude,
+      respectGitignore,
+      showHidden,
+      maxDepth,
+      concurrency: options.concurrency,
+      signal,
+      onProgress: report,
+    });
+    source = loaded.source;
+    const { model } = loaded;
+
+    const outline = await collectOutlines(model, {
+      signal,
+      ...(maxFileSize !== undefined && { maxFileSize }),
+      onProgress: ({ files, total }) =>
+        report({ phase: "outline", filesProcessed: files, filesTotal: total }),
+    });
+
+    output = createOutputStream(outputPath, {
+      signal,
+      onWrite: (bytesWritten) =>
+        report({ phase: "write", filesProcessed: 0, filesTotal: 0, bytesWritten }),
+    });
+
+    let nonFatalError = null;
+
+    if (format === "text") {
+      const symbols = new Map(outline.files.map((file) => [file.path, file.symbols]));
+      const lines = iterateTree(model, {
+        showSize,
+        annotate: (node) =>
+          symbols.has(node.relativePath) ? formatOutlineLines(symbols.get(node.relativePath)) : null,
+      });
+      let step;
+      while (!(step = lines.next()).done) {
+        await output.write(`${step.value.line}\n`);
+      }
+      if (!step.value.success) {
+        throw step.value.error;
+      }
+      nonFatalError = step.value.error;
+    } else {
+      const outlineReport = buildStructuredReport(model, { kind: "outline", source, outline });
+      for (const piece of iterateReport(outlineReport, format)) {
+        await output.write(piece);
+      }
+    }
+    await output.close();
+
+    const symbolCount = outline.files.reduce((total, file) => total + file.symbols.length, 0);
+    reporter.info(`Outline: ${symbolCount} top-level symbols in ${outline.files.length} files`);
+    reporter.success(`Outline exported successfully to: ${outputPath}`);
 
-  const regex = new RegExp(`^${regexPattern}$`);
-  return regex.test(string);
+    return {
+      success: true,
+      filePath: path.resolve(outputPath),
+      outline,
+      error: nonFatalError,
+    };
+  } catch (err) {
+    if (output) await output.abort();
+    reporter.error(`Failed to export outline: ${err.message}`);
+    return {
+      success: false,
+      error: err,
+      message: `Failed to export outline: ${err.message}`,
+    };
+  } finally {
+    if (source) source.cleanup();
+  }
 }
 
 export {
@@ -671,4 +1012,7 @@ export {
   exportTreeToFile,
   exportFileContentsToFile,
   generateDirectorySummary,
+  generateTreeDiff,
+  exportImportGraph,
+  exportOutlineToFile,
 };
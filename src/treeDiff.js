@@ -0,0 +1,410 @@
+import fs from "fs";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import { walkTreeModel } from "./treeModel.js";
+import {
+  createDirectoryStats,
+  collectDirectoryStats,
+  describeGitMetadata,
+} from "./textOutput.js";
+import { formatFileSize } from "./format.js";
+
+/**
+ * Index the file and directory nodes of a tree model by relative path
+ * @private
+ */
+function indexTree(model) {
+  const files = new Map();
+  const directories = new Set();
+  for (const node of walkTreeModel(model)) {
+    if (node.type === "file") files.set(node.relativePath, node);
+    else if (node.type === "directory") directories.add(node.relativePath);
+  }
+  return { files, directories };
+}
+
+/**
+ * Hash a file's contents without reading it into memory at once
+ * @private
+ */
+async function hashFile(filePath, signal) {
+  const hash = crypto.createHash("sha1");
+  await pipeline(fs.createReadStream(filePath), hash, signal ? { signal } : {});
+  return hash.digest("hex");
+}
+
+/**
+ * Pair removed and added files with the same contents as moves. Only files of
+ * equal size are hashed; when several removed files match, one with the same
+ * name wins. Empty files only match by name, since any two have equal contents.
+ * @private
+ */
+async function findMoves(removed, added, signal) {
+  const bySize = new Map();
+  for (const node of removed) {
+    if (!bySize.has(node.size)) bySize.set(node.size, []);
+    bySize.get(node.size).push(node);
+  }
+
+  const hashes = new Map();
+  const hashOf = async (node) => {
+    if (!hashes.has(node.path)) {
+      try {
+        hashes.set(node.path, await hashFile(node.path, signal));
+      } catch (err) {
+        if (signal && signal.aborted) throw err;
+        // An unreadable file cannot be matched
+        hashes.set(node.path, null);
+      }
+    }
+    return hashes.get(node.path);
+  };
+
+  const moves = [];
+  for (const node of added) {
+    const candidates = bySize.get(node.size);
+    if (!candidates || candidates.length === 0) continue;
+
+    const sameName = candidates.filter((candidate) => candidate.name === node.name);
+    const ordered = node.size === 0
+      ? sameName
+      : [...sameName, ...candidates.filter((candidate) => candidate.name !== node.name)];
+    if (ordered.length === 0) continue;
+
+    const hash = await hashOf(node);
+    if (hash === null) continue;
+    for (const candidate of ordered) {
+      if ((await hashOf(candidate)) !== hash) continue;
+      moves.push({ from: candidate.relativePath, to: node.relativePath, size: node.size });
+      candidates.splice(candidates.indexOf(candidate), 1);
+      break;
+    }
+  }
+  return moves;
+}
+
+/**
+ * Before and after values with their difference
+ * @private
+ */
+function delta(before, after) {
+  return { before, after, delta: after - before };
+}
+
+/**
+ * Compare the dependencies of the manifests found in both trees
+ * @private
+ */
+function diffDependencies(before, after) {
+  const beforeManifests = new Map(before.manifests.map((manifest) => [manifest.path, manifest]));
+  const afterManifests = new Map(after.manifests.map((manifest) => [manifest.path, manifest]));
+  const describe = (manifest) => ({
+    path: manifest.path,
+    ecosystem: manifest.ecosystem,
+    dependencies:
+      Object.keys(manifest.dependencies).length + Object.keys(manifest.devDependencies).length,
+  });
+
+  const changes = [];
+  for (const [manifestPath, afterManifest] of afterManifests) {
+    const beforeManifest = beforeManifests.get(manifestPath);
+    if (!beforeManifest) continue;
+
+    for (const [scope, field] of [["runtime", "dependencies"], ["dev", "devDependencies"]]) {
+      const was = beforeManifest[field];
+      const now = afterManifest[field];
+      const names = new Set([...Object.keys(was), ...Object.keys(now)]);
+      for (const name of Array.from(names).sort()) {
+        const from = name in was ? was[name] : null;
+        const to = name in now ? now[name] : null;
+        if (from === to) continue;
+        changes.push({
+          manifest: manifestPath,
+          ecosystem: afterManifest.ecosystem,
+          scope,
+          name,
+          change: from === null ? "added" : to === null ? "removed" : "changed",
+          before: from,
+          after: to,
+        });
+      }
+    }
+  }
+
+  return {
+    manifestsAdded: after.manifests
+      .filter((manifest) => !beforeManifests.has(manifest.path))
+      .map(describe),
+    manifestsRemoved: before.manifests
+      .filter((manifest) => !afterManifests.has(manifest.path))
+      .map(describe),
+    changes,
+  };
+}
+
+/**
+ * Compare two tree models, such as two releases of a project or a fork and its
+ * upstream. Files are matched by relative path; a removed and an added file with
+ * the same contents count as a move.
+ * @param {Object} before - Root node from buildTreeModel for the old tree
+ * @param {Object} after - Root node from buildTreeModel for the new tree
+ * @param {Object} options - Diff options
+ * @param {Object} options.dependencies - { before, after } results of analyzeManifests;
+ *   the dependency changes are left out without them
+ * @param {AbortSignal} options.signal - Stops comparing file contents once aborted
+ * @returns {Promise<Object>} { files: { added, removed, moved, resized },
+ *   directories: { added, removed }, totals: { files, directories, size },
+ *   fileTypes, dependencies }; totals and file types hold { before, after, delta }
+ */
+async function diffTreeModels(before, after, options = {}) {
+  const { dependencies = null, signal = null } = options;
+
+  const old = indexTree(before);
+  const current = indexTree(after);
+
+  const removedNodes = Array.from(old.files.values()).filter(
+    (node) => !current.files.has(node.relativePath)
+  );
+  const addedNodes = Array.from(current.files.values()).filter(
+    (node) => !old.files.has(node.relativePath)
+  );
+  const moved = await findMoves(removedNodes, addedNodes, signal);
+  const movedFrom = new Set(moved.map((move) => move.from));
+  const movedTo = new Set(moved.map((move) => move.to));
+
+  const resized = [];
+  for (const [filePath, node] of current.files) {
+    const previous = old.files.get(filePath);
+    if (previous && previous.size !== node.size) {
+      resized.push({ path: filePath, ...delta(previous.size, node.size) });
+    }
+  }
+
+  const beforeStats = createDirectoryStats();
+  const afterStats = createDirectoryStats();
+  collectDirectoryStats(before, beforeStats);
+  collectDirectoryStats(after, afterStats);
+
+  const extensions = new Set([
+    ...Object.keys(beforeStats.fileTypes),
+    ...Object.keys(afterStats.fileTypes),
+  ]);
+  const fileTypes = [];
+  for (const extension of extensions) {
+    const was = beforeStats.fileTypes[extension] || { count: 0, size: 0 };
+    const now = afterStats.fileTypes[extension] || { count: 0, size: 0 };
+    if (was.count === now.count && was.size === now.size) continue;
+    fileTypes.push({
+      extension,
+      count: delta(was.count, now.count),
+      size: delta(was.size, now.size),
+    });
+  }
+  fileTypes.sort(
+    (a, b) =>
+      Math.abs(b.count.delta) - Math.abs(a.count.delta) ||
+      Math.abs(b.size.delta) - Math.abs(a.size.delta) ||
+      a.extension.localeCompare(b.extension)
+  );
+
+  const byPath = (a, b) => a.path.localeCompare(b.path);
+  return {
+    files: {
+      added: addedNodes
+        .filter((node) => !movedTo.has(node.relativePath))
+        .map((node) => ({ path: node.relativePath, size: node.size }))
+        .sort(byPath),
+      removed: removedNodes
+        .filter((node) => !movedFrom.has(node.relativePath))
+        .map((node) => ({ path: node.relativePath, size: node.size }))
+        .sort(byPath),
+      moved: moved.sort((a, b) => a.to.localeCompare(b.to)),
+      resized: resized.sort(byPath),
+    },
+    directories: {
+      added: Array.from(current.directories).filter((dir) => !old.directories.has(dir)).sort(),
+      removed: Array.from(old.directories).filter((dir) => !current.directories.has(dir)).sort(),
+    },
+    totals: {
+      files: delta(beforeStats.totalFiles, afterStats.totalFiles),
+      directories: delta(beforeStats.totalDirectories, afterStats.totalDirectories),
+      size: delta(beforeStats.totalSize, afterStats.totalSize),
+    },
+    fileTypes,
+    dependencies: dependencies ? diffDependencies(dependencies.before, dependencies.after) : null,
+  };
+}
+
+/**
+ * Format a signed difference, e.g. "+3" or "-1.50 KB"
+ * @private
+ */
+function signed(value, format = String) {
+  if (value === 0) return "±0";
+  return `${value > 0 ? "+" : "-"}${format(Math.abs(value))}`;
+}
+
+/**
+ * Describe a { before, after, delta } value, e.g. "10 → 12 (+2)"
+ * @private
+ */
+function describeDelta(change, format = String) {
+  return `${format(change.before)} → ${format(change.after)} (${signed(change.delta, format)})`;
+}
+
+/**
+ * Draw the changed paths as a tree with a marker per change: "+" added,
+ * "-" removed, ">" moved here, "~" resized
+ * @private
+ */
+function changeTreeLines(diff, rootName) {
+  const root = { children: new Map() };
+  const place = (entryPath, label) => {
+    const parts = entryPath.split("/");
+    let node = root;
+    for (const [i, part] of parts.entries()) {
+      if (!node.children.has(part)) {
+        node.children.set(part, { label: null, children: new Map() });
+      }
+      node = node.children.get(part);
+      if (i === parts.length - 1) node.label = label;
+    }
+  };
+
+  const { files, directories } = diff;
+  for (const dir of directories.added) place(dir, (name) => `+ ${name}/`);
+  for (const dir of directories.removed) place(dir, (name) => `- ${name}/`);
+  for (const file of files.added) {
+    place(file.path, (name) => `+ ${name} (${formatFileSize(file.size)})`);
+  }
+  for (const file of files.removed) {
+    place(file.path, (name) => `- ${name} (${formatFileSize(file.size)})`);
+  }
+  for (const move of files.moved) place(move.to, (name) => `> ${name} (moved from ${move.from})`);
+  for (const file of files.resized) {
+    place(file.path, (name) => `~ ${name} ${describeDelta(file, formatFileSize)}`);
+  }
+
+  const lines = [`${rootName}/`];
+  const render = (node, prefix) => {
+    const children = Array.from(node.children).sort(([a], [b]) => a.localeCompare(b));
+    for (const [i, [name, child]] of children.entries()) {
+      const isLast = i === children.length - 1;
+      const label = child.label
+        ? child.label(name)
+        : child.children.size > 0 ? `${name}/` : name;
+      lines.push(`${prefix}${isLast ? "└── " : "├── "}${label}`);
+      render(child, prefix + (isLast ? "    " : "│   "));
+    }
+  };
+  render(root, "");
+  return lines;
+}
+
+/**
+ * Summarize a diff in one line, e.g. "3 added, 1 removed, 2 moved, 4 resized"
+ * @param {Object} diff - Result of diffTreeModels
+ * @returns {string} Change counts
+ */
+function describeTreeDiff(diff) {
+  const { added, removed, moved, resized } = diff.files;
+  return `${added.length} added, ${removed.length} removed, ${moved.length} moved, ${resized.length} resized`;
+}
+
+/**
+ * Render a diff as plain text: the changed paths as a tree, then the totals, the
+ * file types and the dependencies that changed
+ * @param {Object} diff - Result of diffTreeModels
+ * @param {string} rootName - Name shown at the root of the tree
+ * @returns {Array<string>} Report lines
+ */
+function formatTreeDiffReport(diff, rootName) {
+  const { files, directories, totals, fileTypes, dependencies } = diff;
+  const lines = [`Files: ${describeTreeDiff(diff)}`];
+
+  const unchanged =
+    files.added.length + files.removed.length + files.moved.length + files.resized.length +
+      directories.added.length + directories.removed.length === 0;
+  lines.push(...(unchanged ? ["No files changed"] : changeTreeLines(diff, rootName)));
+
+  lines.push(
+    "",
+    "Totals:",
+    `- Files: ${describeDelta(totals.files)}`,
+    `- Directories: ${describeDelta(totals.directories)}`,
+    `- Size: ${describeDelta(totals.size, formatFileSize)}`
+  );
+
+  lines.push("", "File Types:");
+  if (fileTypes.length === 0) lines.push("- No changes");
+  for (const type of fileTypes) {
+    lines.push(
+      `- ${type.extension}: ${describeDelta(type.count)} files, ${describeDelta(type.size, formatFileSize)}`
+    );
+  }
+
+  if (dependencies) {
+    lines.push("", "Dependencies:");
+    const { manifestsAdded, manifestsRemoved, changes } = dependencies;
+    if (manifestsAdded.length + manifestsRemoved.length + changes.length === 0) {
+      lines.push("- No changes");
+    }
+    const describeManifest = (manifest) =>
+      `${manifest.path} (${manifest.ecosystem}, ${manifest.dependencies} ${
+        manifest.dependencies === 1 ? "dependency" : "dependencies"
+      })`;
+    lines.push(...manifestsAdded.map((manifest) => `+ ${describeManifest(manifest)}`));
+    lines.push(...manifestsRemoved.map((manifest) => `- ${describeManifest(manifest)}`));
+
+    let manifestPath = null;
+    for (const change of changes) {
+      if (change.manifest !== manifestPath) {
+        manifestPath = change.manifest;
+        lines.push(`${manifestPath} (${change.ecosystem}):`);
+      }
+      const name = change.scope === "dev" ? `${change.name} (dev)` : change.name;
+      if (change.change === "added") lines.push(`  + ${name} ${change.after}`);
+      else if (change.change === "removed") lines.push(`  - ${name} ${change.before}`);
+      else lines.push(`  ~ ${name} ${change.before} → ${change.after}`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Name for the root of the change tree: the shared name of both trees, or
+ * "before → after"
+ * @private
+ */
+function diffRootName(before, after) {
+  return before.name === after.name ? after.name : `${before.name} → ${after.name}`;
+}
+
+/**
+ * Describe one side of a diff in a single line
+ * @private
+ */
+function describeSide(side) {
+  const git = side.source.git ? ` (${describeGitMetadata(side.source.git)})` : "";
+  return `${side.source.origin}${git}`;
+}
+
+/**
+ * Generate the lines of the plain text diff one at a time
+ * @param {Object} diff - Result of diffTreeModels
+ * @param {Object} before - { model, source } of the old tree
+ * @param {Object} after - { model, source } of the new tree
+ * @yields {string} Diff lines
+ */
+function* iterateTreeDiffText(diff, before, after) {
+  yield `Tree Diff: ${diffRootName(before.model, after.model)}`;
+  yield `Before: ${describeSide(before)}`;
+  yield `After: ${describeSide(after)}`;
+  yield `Generated on: ${new Date().toLocaleString()}`;
+  yield "=".repeat(80);
+  yield "";
+  yield* formatTreeDiffReport(diff, diffRootName(before.model, after.model));
+}
+
+export { diffTreeModels, describeTreeDiff, formatTreeDiffReport, iterateTreeDiffText };
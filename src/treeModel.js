@@ -0,0 +1,464 @@
+import fs from "fs";
+import path from "path";
+import { createIgnoreMatcher } from "./ignoreRules.js";
+
+/**
+ * Build an in-memory model of a directory tree. Every entry is stat'ed exactly once
+ * (symlinks additionally resolve their target), and entries that are filtered out stay
+ * in the model with the reason they were ignored, so every renderer sees the same view.
+ * Symlinks whose target is outside the root are listed but never read or followed,
+ * so a repository cannot pull outside files into an export.
+ *
+ * Node shape:
+ * - name, path (absolute), relativePath (posix, "" for the root), depth (root is 0)
+ * - type: "directory" | "file" | "other"
+ * - size, extension, mtime
+ * - symlink: { target, broken, outside } or null; "other" when outside the root
+ * - ignored: { reason: "hidden" | "ignore-rule", pattern, source } or null
+ * - error: Error raised while reading the entry (or its directory listing), or null
+ * - children: child nodes (directories that were read), otherwise null
+ * - truncated: true for directories whose contents were not read because of maxDepth
+ * - cycle: true for symlinked directories that point back into the walked tree
+ *
+ * @param {string} rootPath - Directory to walk
+ * @param {Object} options - Walker options
+ * @param {Array<string>} options.exclude - Gitignore-style patterns to exclude
+ * @param {boolean} options.respectGitignore - Whether to honor .gitignore files (default true)
+ * @param {boolean} options.showHidden - Whether to include hidden entries (starting with .)
+ * @param {number} options.maxDepth - Maximum depth to read (-1 for unlimited)
+ * @param {boolean} options.followSymlinks - Whether to descend into symlinked directories
+ *   inside the root (default true)
+ * @param {Object} options.ignoreMatcher - Prebuilt matcher (overrides exclude/respectGitignore)
+ * @returns {Object} Root node of the model
+ */
+function buildTreeModel(rootPath, options = {}) {
+  const {
+    exclude = [],
+    respectGitignore = true,
+    showHidden = false,
+    maxDepth = -1,
+    followSymlinks = true,
+  } = options;
+
+  const root = path.resolve(rootPath);
+  const rootStats = fs.statSync(root);
+  if (!rootStats.isDirectory()) {
+    throw new Error(`Path is not a directory: ${root}`);
+  }
+
+  const ignoreMatcher =
+    options.ignoreMatcher ||
+    createIgnoreMatcher(root, { exclude, respectGitignore });
+
+  const realRoot = fs.realpathSync(root);
+  const context = {
+    root,
+    realRoot,
+    ignoreMatcher,
+    showHidden,
+    maxDepth,
+    followSymlinks,
+    visited: new Set([realRoot]),
+  };
+
+  const rootNode = createNode(root, "", 0, rootStats, null);
+  readChildren(rootNode, context);
+  return rootNode;
+}
+
+/**
+ * Create a model node from stats
+ * @private
+ */
+function createNode(fullPath, relativePath, depth, stats, symlink) {
+  let type = "other";
+  if (stats && stats.isDirectory()) type = "directory";
+  else if (stats && stats.isFile()) type = "file";
+
+  return {
+    name: path.basename(fullPath),
+    path: fullPath,
+    relativePath,
+    type,
+    depth,
+    size: type === "file" ? stats.size : 0,
+    extension: type === "file" ? path.extname(fullPath).toLowerCase() : "",
+    mtime: stats ? stats.mtime : null,
+    symlink,
+    ignored: null,
+    error: null,
+    children: null,
+    truncated: false,
+    cycle: false,
+  };
+}
+
+/**
+ * Read the children of a directory node, recursing into subdirectories
+ * @private
+ */
+function readChildren(node, context) {
+  const { maxDepth } = context;
+
+  // Directory contents at depth d are read only while d <= maxDepth
+  if (maxDepth >= 0 && node.depth > maxDepth) {
+    node.truncated = true;
+    return;
+  }
+
+  let names;
+  try {
+    names = fs.readdirSync(node.path);
+  } catch (err) {
+    node.error = err;
+    return;
+  }
+
+  node.children = names.map((name) => readEntry(node, name, context));
+
+  // Directories first, then alphabetical
+  node.children.sort((a, b) => {
+    const aIsDir = a.type === "directory";
+    const bIsDir = b.type === "directory";
+    if (aIsDir && !bIsDir) return -1;
+    if (!aIsDir && bIsDir) return 1;
+    return a.name.localeCompare(b.name);
+  });
+
+  for (const child of node.children) {
+    if (child.type !== "directory" || child.ignored || child.error) continue;
+
+    // Follow symlinked directories only once per real path
+    if (child.symlink) {
+      if (!context.followSymlinks) continue;
+      const realPath = safeRealpath(child.path);
+      if (!realPath || context.visited.has(realPath)) {
+        child.cycle = true;
+        continue;
+      }
+      context.visited.add(realPath);
+    }
+
+    readChildren(child, context);
+  }
+}
+
+/**
+ * Stat a single directory entry and decide whether it is ignored
+ * @private
+ */
+function readEntry(parent, name, context) {
+  const fullPath = path.join(parent.path, name);
+  const relativePath = parent.relativePath ? `${parent.relativePath}/${name}` : name;
+  const depth = parent.depth + 1;
+
+  let node;
+  try {
+    const linkStats = fs.lstatSync(fullPath);
+    let stats = linkStats;
+    let symlink = null;
+
+    if (linkStats.isSymbolicLink()) {
+      const target = fs.readlinkSync(fullPath);
+      const realPath = safeRealpath(fullPath);
+      if (realPath !== null && !isInsideRoot(realPath, context)) {
+        // Listed as a symlink (type "other"), never read or followed
+        symlink = { target, broken: false, outside: true };
+      } else {
+        try {
+          stats = fs.statSync(fullPath);
+          symlink = { target, broken: false, outside: false };
+        } catch (err) {
+          symlink = { target, broken: true, outside: false };
+        }
+      }
+    }
+
+    node = createNode(fullPath, relativePath, depth, stats, symlink);
+  } catch (err) {
+    node = createNode(fullPath, relativePath, depth, null, null);
+    node.error = err;
+  }
+
+  return applyIgnoreRules(node, name, context);
+}
+
+/**
+ * Mark a node as ignored when it is hidden or matches an ignore rule
+ * @private
+ */
+function applyIgnoreRules(node, name, context) {
+  if (!context.showHidden && name.startsWith(".")) {
+    node.ignored = { reason: "hidden" };
+    return node;
+  }
+
+  const ignoreMatch = context.ignoreMatcher.match(node.path, node.type === "directory");
+  if (ignoreMatch && ignoreMatch.ignored) {
+    node.ignored = {
+      reason: "ignore-rule",
+      pattern: ignoreMatch.pattern,
+      source: ignoreMatch.source,
+    };
+  }
+
+  return node;
+}
+
+/**
+ * Build the same model as buildTreeModel without blocking the event loop.
+ * Directory listings and stats run concurrently (at most `concurrency` filesystem
+ * calls at a time). Symlinked directories are followed afterwards in depth-first
+ * order, so cycle detection picks the same links as the synchronous walker and
+ * the resulting model is identical.
+ * @param {string} rootPath - Directory to walk
+ * @param {Object} options - Walker options (see buildTreeModel), plus:
+ * @param {number} options.concurrency - Maximum concurrent filesystem calls (default 16)
+ * @param {AbortSignal} options.signal - Cancels the walk; the promise rejects with the abort reason
+ * @param {function(Object)} options.onProgress - Called with { phase: "scan", directoriesScanned, entriesScanned }
+ * @returns {Promise<Object>} Root node of the model
+ */
+async function buildTreeModelAsync(rootPath, options = {}) {
+  const {
+    exclude = [],
+    respectGitignore = true,
+    showHidden = false,
+    maxDepth = -1,
+    followSymlinks = true,
+    concurrency = 16,
+    signal = null,
+    onProgress = null,
+  } = options;
+
+  if (signal) signal.throwIfAborted();
+
+  const root = path.resolve(rootPath);
+  const rootStats = await fs.promises.stat(root);
+  if (!rootStats.isDirectory()) {
+    throw new Error(`Path is not a directory: ${root}`);
+  }
+
+  const ignoreMatcher =
+    options.ignoreMatcher ||
+    createIgnoreMatcher(root, { exclude, respectGitignore });
+
+  const realRoot = await fs.promises.realpath(root);
+  const context = {
+    root,
+    realRoot,
+    ignoreMatcher,
+    showHidden,
+    maxDepth,
+    followSymlinks,
+    visited: new Set([realRoot]),
+    signal,
+    limit: createLimiter(concurrency, signal),
+    progress: { phase: "scan", directoriesScanned: 0, entriesScanned: 0 },
+    onProgress,
+  };
+
+  const rootNode = createNode(root, "", 0, rootStats, null);
+  await readChildrenAsync(rootNode, context);
+  await followSymlinksAsync(rootNode, context);
+  return rootNode;
+}
+
+/**
+ * Run async tasks with at most `concurrency` in flight, checking for cancellation
+ * before each one starts
+ * @private
+ */
+function createLimiter(concurrency, signal) {
+  let active = 0;
+  const queue = [];
+
+  const acquire = () => {
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => queue.push(resolve));
+  };
+
+  // A finished task hands its slot straight to the next queued one
+  const release = () => {
+    const next = queue.shift();
+    if (next) next();
+    else active--;
+  };
+
+  return async (task) => {
+    await acquire();
+    try {
+      if (signal) signal.throwIfAborted();
+      return await task();
+    } finally {
+      release();
+    }
+  };
+}
+
+/**
+ * Read the children of a directory node concurrently. Real subdirectories are
+ * walked right away; symlinked ones are left for followSymlinksAsync.
+ * @private
+ */
+async function readChildrenAsync(node, context) {
+  const { maxDepth, limit } = context;
+
+  // Directory contents at depth d are read only while d <= maxDepth
+  if (maxDepth >= 0 && node.depth > maxDepth) {
+    node.truncated = true;
+    return;
+  }
+
+  let names;
+  try {
+    names = await limit(() => fs.promises.readdir(node.path));
+  } catch (err) {
+    // Cancellation is not a read error
+    if (context.signal && context.signal.aborted) throw err;
+    node.error = err;
+    return;
+  }
+
+  node.children = await Promise.all(
+    names.map((name) => limit(() => readEntryAsync(node, name, context)))
+  );
+
+  // Directories first, then alphabetical
+  node.children.sort((a, b) => {
+    const aIsDir = a.type === "directory";
+    const bIsDir = b.type === "directory";
+    if (aIsDir && !bIsDir) return -1;
+    if (!aIsDir && bIsDir) return 1;
+    return a.name.localeCompare(b.name);
+  });
+
+  context.progress.directoriesScanned++;
+  context.progress.entriesScanned += names.length;
+  if (context.onProgress) context.onProgress({ ...context.progress });
+
+  await Promise.all(
+    node.children
+      .filter(
+        (child) =>
+          child.type === "directory" && !child.ignored && !child.error && !child.symlink
+      )
+      .map((child) => readChildrenAsync(child, context))
+  );
+}
+
+/**
+ * Follow symlinked directories in depth-first order, exactly as readChildren does
+ * @private
+ */
+async function followSymlinksAsync(node, context) {
+  for (const child of node.children || []) {
+    if (child.type !== "directory" || child.ignored || child.error) continue;
+
+    if (child.symlink) {
+      if (!context.followSymlinks) continue;
+      const realPath = await fs.promises.realpath(child.path).catch(() => null);
+      if (!realPath || context.visited.has(realPath)) {
+        child.cycle = true;
+        continue;
+      }
+      context.visited.add(realPath);
+      await readChildrenAsync(child, context);
+    }
+
+    await followSymlinksAsync(child, context);
+  }
+}
+
+/**
+ * Stat a single directory entry without blocking and decide whether it is ignored
+ * @private
+ */
+async function readEntryAsync(parent, name, context) {
+  const fullPath = path.join(parent.path, name);
+  const relativePath = parent.relativePath ? `${parent.relativePath}/${name}` : name;
+  const depth = parent.depth + 1;
+
+  let node;
+  try {
+    const linkStats = await fs.promises.lstat(fullPath);
+    let stats = linkStats;
+    let symlink = null;
+
+    if (linkStats.isSymbolicLink()) {
+      const target = await fs.promises.readlink(fullPath);
+      const realPath = await fs.promises.realpath(fullPath).catch(() => null);
+      if (realPath !== null && !isInsideRoot(realPath, context)) {
+        // Listed as a symlink (type "other"), never read or followed
+        symlink = { target, broken: false, outside: true };
+      } else {
+        try {
+          stats = await fs.promises.stat(fullPath);
+          symlink = { target, broken: false, outside: false };
+        } catch (err) {
+          symlink = { target, broken: true, outside: false };
+        }
+      }
+    }
+
+    node = createNode(fullPath, relativePath, depth, stats, symlink);
+  } catch (err) {
+    node = createNode(fullPath, relativePath, depth, null, null);
+    node.error = err;
+  }
+
+  return applyIgnoreRules(node, name, context);
+}
+
+/**
+ * Check whether a resolved path is the walked root or lies below it
+ * @private
+ */
+function isInsideRoot(realPath, context) {
+  const relativePath = path.relative(context.realRoot, realPath);
+  return (
+    relativePath !== ".." &&
+    !relativePath.startsWith(`..${path.sep}`) &&
+    !path.isAbsolute(relativePath)
+  );
+}
+
+/**
+ * Resolve the real path of an entry, or null if it cannot be resolved
+ * @private
+ */
+function safeRealpath(fullPath) {
+  try {
+    return fs.realpathSync(fullPath);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Iterate over every node of a model in depth-first order (parents before children)
+ * @param {Object} node - Root node
+ * @param {Object} options - Iteration options
+ * @param {boolean} options.includeIgnored - Whether to yield ignored nodes (default false)
+ * @param {boolean} options.byName - Visit siblings in plain name order, directories
+ *   mixed with files, instead of the model's directories-first order (default false)
+ * @returns {Generator<Object>} Model nodes, excluding the root
+ */
+function* walkTreeModel(node, options = {}) {
+  const { includeIgnored = false, byName = false } = options;
+
+  const children = byName
+    ? [...(node.children || [])].sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+    : node.children || [];
+  for (const child of children) {
+    if (child.ignored && !includeIgnored) continue;
+    yield child;
+    if (!child.ignored && child.children) {
+      yield* walkTreeModel(child, options);
+    }
+  }
+}
+
+export { buildTreeModel, buildTreeModelAsync, walkTreeModel };
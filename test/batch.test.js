@@ -0,0 +1,150 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { parseBatchManifest, runBatch } from "../src/batch.js";
+import { createReporter } from "../src/reporter.js";
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-batch-"));
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+test("reads plain, JSON and YAML lists with their defaults", () => {
+  assert.deepEqual(
+    parseBatchManifest("# team repositories\nhttps://github.com/team/api\n\n./web  # local copy\n", "repos.txt"),
+    [{ source: "https://github.com/team/api" }, { source: "./web" }]
+  );
+  assert.deepEqual(
+    parseBatchManifest('["./a", { "source": "./b", "maxDepth": 2 }]', "repos.json"),
+    [{ source: "./a" }, { source: "./b", maxDepth: 2 }]
+  );
+
+  const yaml = [
+    "defaults:",
+    "  depth: 1",
+    "  exclude: node_modules, dist",
+    "  outputs: [tree]",
+    "repositories:",
+    "  - ./api",
+    "  - source: ./web",
+    "    name: frontend",
+    "    depth: 0",
+    "    sparse: [src, docs]",
+    "    branch:",
+  ].join("\n");
+  assert.deepEqual(parseBatchManifest(yaml, "repos.yml"), [
+    { depth: 1, exclude: ["node_modules", "dist"], outputs: ["tree"], source: "./api" },
+    { depth: 0, exclude: ["node_modules", "dist"], outputs: ["tree"], source: "./web", name: "frontend", sparse: ["src", "docs"] },
+  ]);
+});
+
+test("rejects malformed lists and invalid entries", () => {
+  const cases = [
+    ["repos.yaml", "repositories:\n  - ./a\n\t- ./b", /^YAML line 3: tabs are not allowed in indentation$/],
+    ["repos.yaml", "repositories: [./a\n", /^YAML line 1: invalid flow collection/],
+    ["repos.yaml", "repos:\n  - ./a", /^unknown key "repos" \(expected defaults and repositories\)$/],
+    ["repos.yaml", "defaults:\n  source: ./a\nrepositories: [./b]", /^defaults: source and name can only be set per repository$/],
+    ["repos.yaml", "name: value", /^unknown key "name"/],
+    ["repos.yaml", "repositories: ./a", /^expected a list of repositories$/],
+    ["repos.yaml", "", /^expected a list of repositories$/],
+    ["repos.yaml", "repositories: []", /^the list has no repositories$/],
+    ["repos.txt", "# nothing here\n", /^the list has no repositories$/],
+    ["repos.yaml", "- source: ./a\n  brnch: main", /^repositories\[0\]: unknown option "brnch" \(expected source, name, /],
+    ["repos.yaml", "- ./a\n- name: b", /^repositories\[1\]: source is required$/],
+    ["repos.yaml", "- [./a]", /^repositories\[0\]: expected a source or an object with a source$/],
+    ["repos.yaml", "- source: ./a\n  depth: deep", /^repositories\[0\]: depth must be an integer$/],
+    ["repos.yaml", "- source: ./a\n  depth: -1", /^repositories\[0\]: depth must not be negative$/],
+    ["repos.yaml", "- source: ./a\n  hidden: yes", /^repositories\[0\]: hidden must be a boolean$/],
+    ["repos.yaml", "- source: ./a\n  exclude: [1, 2]", /^repositories\[0\]: exclude must be a list of strings$/],
+    ["repos.yaml", "- source: ./a\n  format: pdf", /^repositories\[0\]: format must be one of text, json, yaml, markdown, html, got "pdf"$/],
+    ["repos.yaml", "- source: ./a\n  outputs: [tree, pdf]", /^repositories\[0\]: outputs must be among summary, tree, contents, outline, graph, got "pdf"$/],
+    ["repos.json", "[./a]", /JSON/],
+  ];
+  for (const [fileName, text, message] of cases) {
+    assert.throws(() => parseBatchManifest(text, fileName), { message }, `${fileName}: ${JSON.stringify(text)}`);
+  }
+});
+
+test("analyzes every repository and writes a comparison index, recording failures", async () => {
+  const apiPath = path.join(workPath, "api");
+  const otherApiPath = path.join(workPath, "other", "api");
+  fs.mkdirSync(path.join(apiPath, "src"), { recursive: true });
+  fs.mkdirSync(otherApiPath, { recursive: true });
+  fs.writeFileSync(path.join(apiPath, "src", "index.js"), "// entry\nexport const answer = 42;\n\n");
+  fs.writeFileSync(path.join(otherApiPath, "README.md"), "# Other\n");
+  const missingPath = path.join(workPath, "missing");
+  const outputDirectory = path.join(workPath, "out");
+
+  const entries = parseBatchManifest(
+    [
+      "repositories:",
+      `  - ${apiPath}`,
+      `  - source: ${otherApiPath}`,
+      "    outputs: [tree, outline]",
+      "    format: json",
+      `  - ${missingPath}`,
+    ].join("\n"),
+    "repos.yaml"
+  );
+  const messages = [];
+  const result = await runBatch(entries, {
+    outputDirectory,
+    jobs: 2,
+    reporter: createReporter({ level: "silent", onEvent: (event) => messages.push(event.message) }),
+  });
+
+  assert.equal(result.success, false);
+  assert.equal(result.jsonPath, path.join(outputDirectory, "index.json"));
+  const index = JSON.parse(fs.readFileSync(result.jsonPath, "utf8"));
+  assert.deepEqual(index, result.index);
+  assert.equal(index.kind, "batch");
+  assert.equal(index.schemaVersion, "1.0");
+  const { size, ...totals } = index.totals;
+  assert.deepEqual(totals, { repositories: 3, succeeded: 2, failed: 1, files: 2, directories: 1, codeLines: 2 });
+  assert.ok(size > 0);
+
+  // Names are made distinct, outputs are listed relative to the output directory
+  const [api, otherApi, missing] = index.repositories;
+  assert.deepEqual(
+    [api.name, api.status, api.outputs],
+    ["api", "ok", { summary: "api/summary.txt", tree: "api/tree.txt" }]
+  );
+  assert.deepEqual(api.languages, [{ language: "JavaScript", files: 1, code: 1, share: 100 }]);
+  assert.equal(api.codeLines, 1);
+  assert.deepEqual(
+    [otherApi.name, otherApi.outputs],
+    ["api-2", { summary: "api-2/summary.json", tree: "api-2/tree.txt", outline: "api-2/outline.txt" }]
+  );
+  assert.equal(JSON.parse(fs.readFileSync(path.join(outputDirectory, "api-2", "summary.json"), "utf8")).kind, "summary");
+  assert.deepEqual(
+    [missing.status, missing.error, missing.files, missing.outputs],
+    ["failed", `Failed to resolve source: Directory does not exist: ${missingPath}`, null, {}]
+  );
+
+  // Each repository logs to its own file; the index lists the failure
+  assert.ok(fs.existsSync(path.join(outputDirectory, "missing", "reposketch.log")));
+  const markdown = fs.readFileSync(result.indexPath, "utf8");
+  assert.match(markdown, /^# Batch index\n/);
+  assert.match(markdown, /\| \[api\]\(api\/summary\.txt\) \| 1 \| 1 \|/);
+  assert.match(markdown, /## Failed\n\n- \*\*missing\*\* \(.*missing\): Failed to resolve source/);
+  assert.ok(messages.some((message) => /^\[\d\/3\] missing: Failed to resolve source/.test(message)));
+});
+
+test("a cancelled batch records the repositories it did not start", async () => {
+  const sourcePath = path.join(workPath, "cancelled");
+  fs.mkdirSync(sourcePath);
+  const controller = new AbortController();
+  controller.abort();
+
+  const result = await runBatch([{ source: sourcePath }, { source: sourcePath }], {
+    outputDirectory: path.join(workPath, "cancelled-out"),
+    signal: controller.signal,
+    reporter: createReporter({ level: "silent" }),
+  });
+  assert.equal(result.success, false);
+  assert.deepEqual(
+    result.index.repositories.map((repository) => [repository.name, repository.status, repository.error]),
+    [["cancelled", "failed", "Cancelled"], ["cancelled-2", "failed", "Cancelled"]]
+  );
+});
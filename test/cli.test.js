@@ -0,0 +1,113 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { parseCliArgs, isCliInvocation } from "../src/cli.js";
+import { DEFAULT_EXCLUDE } from "../src/config.js";
+
+const CLI_PATH = fileURLToPath(new URL("../index.js", import.meta.url));
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-cli-"));
+const rootPath = path.join(workPath, "demo");
+fs.mkdirSync(path.join(rootPath, "src"), { recursive: true });
+fs.writeFileSync(path.join(rootPath, "README.md"), "# Demo\n");
+fs.writeFileSync(path.join(rootPath, "src", "index.js"), "export {};\n");
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+/**
+ * Run the CLI from the work directory with no config or REPOSKETCH_* variables
+ */
+function run(args) {
+  const env = Object.fromEntries(
+    Object.entries(process.env).filter(([name]) => !name.startsWith("REPOSKETCH_"))
+  );
+  return spawnSync(process.execPath, [CLI_PATH, ...args], { cwd: workPath, env, encoding: "utf8", timeout: 60000 });
+}
+
+test("only arguments select the non-interactive mode", () => {
+  assert.equal(isCliInvocation([]), false);
+  assert.equal(isCliInvocation(["tree", "."]), true);
+  assert.equal(isCliInvocation(["--help"]), true);
+});
+
+test("parses a command, its source and the defaults of every option", () => {
+  const parsed = parseCliArgs(["tree", "./demo"]);
+  assert.equal(parsed.command, "tree");
+  assert.equal(parsed.source, "./demo");
+  assert.equal(parsed.output, undefined);
+  assert.deepEqual(parsed.options.exclude, DEFAULT_EXCLUDE);
+  assert.equal(parsed.options.format, "text");
+  assert.equal(parsed.options.maxDepth, -1);
+  assert.equal(parsed.options.extensions, null);
+  assert.equal(parsed.options.respectGitignore, true);
+  assert.equal(parsed.options.redactSecrets, true);
+  assert.equal(parsed.logging.level, "normal");
+
+  const contents = parseCliArgs([
+    "contents", "./demo", "-o", "out.txt", "-e", "js,.ts", "-x", "dist", "-x", "tmp,coverage",
+    "-d", "2", "--hidden", "--no-gitignore", "-q",
+  ]);
+  assert.equal(contents.output, "out.txt");
+  assert.deepEqual(contents.options.extensions, [".js", ".ts"]);
+  assert.deepEqual(contents.options.exclude, ["dist", "tmp", "coverage"]);
+  assert.equal(contents.options.maxDepth, 2);
+  assert.equal(contents.options.showHidden, true);
+  assert.equal(contents.options.respectGitignore, false);
+  assert.equal(contents.logging.level, "quiet");
+
+  assert.deepEqual(parseCliArgs(["tree", "--help"]), { command: "help" });
+});
+
+test("rejects invalid usage with a usage error", () => {
+  const cases = [
+    [[], /^No command given$/],
+    [["deploy", "."], /^Unknown command: deploy$/],
+    [["tree"], /^Command "tree" requires a <source> argument$/],
+    [["batch"], /^Command "batch" requires a <file> argument$/],
+    [["tree", ".", "extra"], /^Unexpected arguments: extra$/],
+    [["tree", ".", "--bogus"], /Unknown option '--bogus'/],
+    [["tree", ".", "--max-depth", "deep"], /max-depth/],
+    [["tree", ".", "--format", "html"], /^--format for tree must be one of text, json, yaml, got "html"$/],
+    [["summary", ".", "-q", "-v"], /^--quiet and --verbose cannot be combined$/],
+    [["tree", ".", "--log-format", "json"], /^--log-format requires --log-file$/],
+    [["tree", ".", "--jobs", "2"], /^--jobs and --outputs require the batch command$/],
+    [["cache", "purge"], /^Command "cache" requires one of list, prune, clear, got "purge"$/],
+  ];
+  for (const [argv, message] of cases) {
+    assert.throws(() => parseCliArgs(argv), { name: "UsageError", message }, argv.join(" "));
+  }
+});
+
+test("prints the tree and exits 0", () => {
+  const result = run(["tree", rootPath]);
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(result.stdout, ["demo/", "├── src/", "│   └── index.js", "└── README.md", ""].join("\n"));
+});
+
+test("writes exports to the output file", () => {
+  const outputPath = path.join(workPath, "contents.txt");
+  const result = run(["contents", rootPath, "-o", outputPath, "--quiet"]);
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(result.stdout, "");
+  const contents = fs.readFileSync(outputPath, "utf8");
+  assert.match(contents, /^File contents from: /);
+  assert.match(contents, /File: demo\/src\/index\.js\n\nexport \{\};\n/);
+});
+
+test("exits 2 for usage errors and 1 for failures", () => {
+  const usage = run(["deploy", rootPath]);
+  assert.equal(usage.status, 2);
+  assert.equal(usage.stderr, "Error: Unknown command: deploy\nRun 'reposketch --help' for usage.\n");
+
+  const missing = run(["tree", path.join(workPath, "missing")]);
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /Directory does not exist: /);
+
+  const help = run(["--help"]);
+  assert.equal(help.status, 0);
+  assert.match(help.stdout, /^Usage: reposketch <command> <source> \[options\]/);
+});
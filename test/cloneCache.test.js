@@ -0,0 +1,200 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync, execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  normalizeRemoteURL,
+  openCachedClone,
+  listCache,
+  pruneCache,
+  clearCache,
+} from "../src/cloneCache.js";
+import { createReporter } from "../src/reporter.js";
+import { gitHttpBackendAvailable, startGitServer } from "./helpers/gitServer.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const gitAvailable = gitHttpBackendAvailable();
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-cache-"));
+const sourcePath = path.join(workPath, "source");
+const git = (args, cwd = sourcePath) => execFileSync("git", args, { cwd, stdio: "ignore" });
+let server = null;
+
+/**
+ * Commit a file in the source repository and publish it to the served one
+ */
+function publish(fileName, content) {
+  fs.writeFileSync(path.join(sourcePath, fileName), content);
+  git(["add", fileName]);
+  git(["-c", "user.name=Test", "-c", "user.email=test@example.com", "commit", "--quiet", "-m", fileName]);
+  git(["push", "--quiet", "origin", "main"]);
+}
+
+/**
+ * Open the served repository from a cache directory, collecting the reporter's messages
+ */
+async function openFromServer(directory, options = {}) {
+  const messages = [];
+  const reporter = createReporter({ level: "silent", onEvent: (event) => messages.push(event.message) });
+  const { port } = server;
+  const result = await openCachedClone(`http://localhost:${port}/project.git`, {
+    directory,
+    allowedHosts: [`localhost:${port}`],
+    reporter,
+    ...options,
+  });
+  return { result, messages };
+}
+
+/**
+ * Create a cache entry by hand: its metadata, an optional lock and some data
+ */
+function createEntry(directory, name, { lastUsed = new Date(), size = 100, lock = null, complete = true } = {}) {
+  const entryPath = path.join(directory, name);
+  fs.mkdirSync(path.join(entryPath, name), { recursive: true });
+  fs.writeFileSync(path.join(entryPath, name, "data"), "x".repeat(size));
+  if (complete) {
+    fs.writeFileSync(path.join(entryPath, "entry.json"), JSON.stringify({
+      url: `https://example.com/team/${name}`,
+      key: `example.com/team/${name}`,
+      name,
+      ref: null,
+      createdAt: lastUsed.toISOString(),
+      lastUsed: lastUsed.toISOString(),
+      size,
+    }));
+  }
+  if (lock !== null) fs.writeFileSync(path.join(entryPath, "lock"), lock);
+  return entryPath;
+}
+
+/**
+ * Process id of a process that has exited
+ */
+function deadPid() {
+  return spawnSync(process.execPath, ["-e", ""]).pid;
+}
+
+before(async () => {
+  if (!gitAvailable) return;
+  fs.mkdirSync(sourcePath);
+  git(["init", "--quiet", "--initial-branch=main"]);
+  const servedPath = path.join(workPath, "served");
+  fs.mkdirSync(servedPath);
+  git(["init", "--quiet", "--bare", "--initial-branch=main", path.join(servedPath, "project.git")], workPath);
+  git(["remote", "add", "origin", path.join(servedPath, "project.git")]);
+  publish("README.md", "# Project\n");
+  server = await startGitServer(servedPath);
+});
+
+after(() => {
+  if (server) server.close();
+  fs.rmSync(workPath, { recursive: true, force: true });
+});
+
+test("https and ssh URLs of a repository share one entry", () => {
+  const key = "github.com/team/repo";
+  for (const url of [
+    "https://github.com/team/repo",
+    "https://github.com/team/repo.git",
+    "ssh://git@github.com/team/repo.git",
+    "git@github.com:team/repo.git",
+  ]) {
+    assert.equal(normalizeRemoteURL(url), key, url);
+  }
+  assert.equal(normalizeRemoteURL("https://github.com:8443/team/repo"), "github.com:8443/team/repo");
+  assert.equal(normalizeRemoteURL("--upload-pack=sh"), null);
+});
+
+test("clones once, then fetches and resets the cached clone", { skip: !gitAvailable }, async () => {
+  const directory = path.join(workPath, "update-cache");
+
+  const first = await openFromServer(directory);
+  assert.equal(first.result.success, true, first.result.message);
+  assert.equal(first.result.updated, false);
+  const { targetPath } = first.result;
+  assert.ok(fs.existsSync(path.join(targetPath, "README.md")));
+  first.result.release();
+
+  // Local changes in the cache are dropped by the next update
+  publish("CHANGELOG.md", "# Changes\n");
+  fs.writeFileSync(path.join(targetPath, "README.md"), "edited\n");
+  fs.writeFileSync(path.join(targetPath, "stray.txt"), "untracked\n");
+
+  const second = await openFromServer(directory);
+  assert.equal(second.result.success, true, second.result.message);
+  assert.equal(second.result.updated, true);
+  assert.equal(second.result.targetPath, targetPath);
+  assert.ok(fs.existsSync(path.join(targetPath, "CHANGELOG.md")));
+  assert.equal(fs.readFileSync(path.join(targetPath, "README.md"), "utf8"), "# Project\n");
+  assert.ok(!fs.existsSync(path.join(targetPath, "stray.txt")));
+  assert.equal(listCache({ directory })[0].locked, true);
+  second.result.release();
+
+  const [entry] = listCache({ directory });
+  assert.equal(entry.url, `http://localhost:${server.port}/project.git`);
+  assert.equal(entry.name, "project");
+  assert.equal(entry.locked, false);
+  assert.ok(entry.size > 0);
+});
+
+test("a locked entry is waited for until it is released or the wait is aborted", { skip: !gitAvailable }, async () => {
+  const directory = path.join(workPath, "lock-cache");
+  const holder = await openFromServer(directory);
+  assert.equal(holder.result.success, true, holder.result.message);
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 400);
+  await assert.rejects(openFromServer(directory, { signal: controller.signal }), { name: "AbortError" });
+
+  // A waiting run goes ahead once the holder releases the entry
+  const waiter = openFromServer(directory);
+  setTimeout(() => holder.result.release(), 400);
+  const { result, messages } = await waiter;
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.updated, true);
+  assert.ok(messages.some((message) => /^Waiting for the cached clone in /.test(message)));
+  result.release();
+});
+
+test("prune evicts expired, incomplete and least recently used entries, never locked ones", () => {
+  const directory = path.join(workPath, "prune-cache");
+  const now = Date.now();
+  const expired = createEntry(directory, "expired", { lastUsed: new Date(now - 40 * DAY) });
+  const lockedOld = createEntry(directory, "locked-old", { lastUsed: new Date(now - 40 * DAY), lock: String(process.pid) });
+  const incomplete = createEntry(directory, "incomplete", { complete: false });
+  const oldest = createEntry(directory, "oldest", { lastUsed: new Date(now - 3 * DAY), size: 400 });
+  const older = createEntry(directory, "older", { lastUsed: new Date(now - 2 * DAY), size: 400 });
+  const recent = createEntry(directory, "recent", { lastUsed: new Date(now - DAY), size: 400 });
+
+  // Without a size limit only the expired and incomplete entries go
+  const byAge = pruneCache({ directory, maxSize: 0, maxAge: 30, keep: [] });
+  assert.deepEqual(byAge.removed.map((entry) => entry.path).sort(), [expired, incomplete].sort());
+  assert.ok(fs.existsSync(lockedOld));
+
+  // Then the least recently used entries, until the rest fits
+  const bySize = pruneCache({ directory, maxSize: 1000, maxAge: 0, keep: [oldest] });
+  assert.deepEqual(bySize.removed.map((entry) => entry.path), [older]);
+  assert.equal(bySize.freed, 400);
+  assert.deepEqual(listCache({ directory }).map((entry) => entry.path), [recent, oldest, lockedOld]);
+});
+
+test("locks of exited processes are taken over, others are respected", () => {
+  const directory = path.join(workPath, "stale-cache");
+  const stale = createEntry(directory, "stale", { lock: String(deadPid()) });
+  const live = createEntry(directory, "live", { lock: String(process.pid) });
+  // A lock without a process id is being written, unless it is old
+  const writing = createEntry(directory, "writing", { lock: "" });
+  const abandoned = createEntry(directory, "abandoned", { lock: "" });
+  const old = new Date(Date.now() - DAY);
+  fs.utimesSync(path.join(abandoned, "lock"), old, old);
+
+  const locked = Object.fromEntries(listCache({ directory }).map((entry) => [entry.name, entry.locked]));
+  assert.deepEqual(locked, { stale: false, live: true, writing: true, abandoned: false });
+
+  const cleared = clearCache({ directory });
+  assert.deepEqual(cleared.removed.map((entry) => entry.path).sort(), [abandoned, stale].sort());
+  assert.deepEqual(cleared.inUse.map((entry) => entry.path).sort(), [live, writing].sort());
+});
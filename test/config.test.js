@@ -0,0 +1,108 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { validateConfig, loadConfig, resolveSettings } from "../src/config.js";
+import { parseCliArgs } from "../src/cli.js";
+
+const CLI_PATH = fileURLToPath(new URL("../index.js", import.meta.url));
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-config-"));
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+/**
+ * Create a directory holding a file and the given reposketch.config.json
+ */
+function createRepository(name, config) {
+  const root = path.join(workPath, name);
+  fs.mkdirSync(root);
+  fs.writeFileSync(path.join(root, "index.js"), "export {};\n");
+  fs.writeFileSync(path.join(root, "reposketch.config.json"), JSON.stringify(config));
+  return root;
+}
+
+/**
+ * Run the CLI from an empty directory with no REPOSKETCH_* variables set
+ */
+function runCliProcess(args) {
+  const cwd = fs.mkdtempSync(path.join(workPath, "cwd-"));
+  const env = Object.fromEntries(
+    Object.entries(process.env).filter(([name]) => !name.startsWith("REPOSKETCH_"))
+  );
+  return spawnSync(process.execPath, [CLI_PATH, ...args], { cwd, env, encoding: "utf8", timeout: 60000 });
+}
+
+test("settings apply in order: repository config, current config, profile, environment, flags", () => {
+  const repositoryConfig = validateConfig({ maxDepth: 1, hidden: true, sizes: true }, { repository: true });
+  const currentConfig = validateConfig({
+    maxDepth: 2,
+    hidden: false,
+    exclude: ["vendor"],
+    profiles: { shallow: { maxDepth: 3, exclude: ["tmp"] } },
+  });
+  const configs = [repositoryConfig, currentConfig];
+
+  assert.deepEqual(resolveSettings("tree", { configs }), {
+    maxDepth: 2,
+    hidden: false,
+    sizes: true,
+    exclude: ["vendor"],
+  });
+  assert.deepEqual(resolveSettings("tree", { configs, profile: "shallow" }), {
+    maxDepth: 3,
+    hidden: false,
+    sizes: true,
+    exclude: ["tmp"],
+    profile: "shallow",
+  });
+
+  const env = { REPOSKETCH_PROFILE: "shallow", REPOSKETCH_MAX_DEPTH: "4" };
+  assert.equal(resolveSettings("tree", { configs, env }).maxDepth, 4);
+  assert.deepEqual(resolveSettings("tree", { configs, env }).exclude, ["tmp"]);
+
+  assert.equal(parseCliArgs(["tree", "."], { configs, env }).options.maxDepth, 4);
+  assert.equal(parseCliArgs(["tree", ".", "--max-depth", "5"], { configs, env }).options.maxDepth, 5);
+  assert.deepEqual(parseCliArgs(["tree", ".", "--exclude", "dist"], { configs, env }).options.exclude, ["dist"]);
+});
+
+test("a command section overrides the top level of its config only", () => {
+  const configs = [
+    validateConfig({ maxDepth: 1, tree: { maxDepth: 2 } }),
+    validateConfig({ maxDepth: 3 }),
+  ];
+  assert.equal(resolveSettings("tree", { configs }).maxDepth, 3);
+  assert.equal(resolveSettings("tree", { configs: configs.slice(0, 1) }).maxDepth, 2);
+  assert.equal(resolveSettings("summary", { configs: configs.slice(0, 1) }).maxDepth, 1);
+});
+
+test("a repository config only sets analysis options", async () => {
+  const root = createRepository("limited", { maxDepth: 2, tokenBudget: 10, profile: "llm" });
+  const loaded = await loadConfig(root, { repository: true });
+  assert.deepEqual(loaded.config, { maxDepth: 2 });
+  assert.deepEqual(loaded.ignored, ["tokenBudget", "profile"]);
+
+  const bogus = createRepository("bogus", { bogusOption: 1 });
+  await assert.rejects(loadConfig(bogus, { repository: true }), /unknown option bogusOption/);
+});
+
+test("an invalid repository config is reported and the run carries on without it", () => {
+  const root = createRepository("invalid", { bogusOption: 1, maxDepth: 0 });
+  const outputPath = path.join(workPath, "invalid-tree.txt");
+
+  const result = runCliProcess(["tree", root, "--output", outputPath]);
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stderr, /Ignoring the repository config: .*unknown option bogusOption/);
+  assert.match(fs.readFileSync(outputPath, "utf8"), /index\.js/);
+});
+
+test("an invalid config in the current directory still stops the run", () => {
+  const root = createRepository("valid", {});
+  const configPath = path.join(createRepository("own", { maxDepht: 1 }), "reposketch.config.json");
+  const result = runCliProcess(["tree", root, "--config", configPath]);
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /unknown option maxDepht \(did you mean "maxDepth"\?\)/);
+});
@@ -0,0 +1,218 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import { extractArchive, isSupportedArchive } from "../src/extractArchive.js";
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-archive-"));
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+/**
+ * Build a ustar header block
+ */
+function tarHeader(name, { type = "0", size = 0, linkName = "" } = {}) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write("0000644\0", 100);
+  header.write("0000000\0", 108);
+  header.write("0000000\0", 116);
+  header.write(`${size.toString(8).padStart(11, "0")}\0`, 124);
+  header.write("00000000000\0", 136);
+  header.write(type, 156);
+  header.write(linkName, 157, 100);
+  header.write("ustar\0", 257);
+  header.write("00", 263);
+  // The checksum is computed with its own field filled with spaces
+  header.fill(" ", 148, 156);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  header.write(`${sum.toString(8).padStart(6, "0")}\0 `, 148);
+  return header;
+}
+
+/**
+ * Build a tar archive from { name, data, type, linkName } entries
+ */
+function tarArchive(entries) {
+  const blocks = [];
+  for (const { name, data = "", type = "0", linkName } of entries) {
+    const content = Buffer.from(data);
+    blocks.push(tarHeader(name, { type, size: content.length, linkName }), content);
+    blocks.push(Buffer.alloc((512 - (content.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Build a pax extended header entry that renames the next entry
+ */
+function paxPath(entryPath) {
+  // A record starts with its own length, digits included
+  const record = ` path=${entryPath}\n`;
+  let length = record.length;
+  length += String(length + String(length).length).length;
+  return { name: "PaxHeader", type: "x", data: `${length}${record}` };
+}
+
+/**
+ * Build a zip archive from { name, data, deflate, symlink } entries
+ */
+function zipArchive(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data = "", deflate = false, symlink = false } of entries) {
+    const nameBytes = Buffer.from(name);
+    const content = Buffer.from(data);
+    const stored = deflate ? zlib.deflateRawSync(content) : content;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x031e, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(((symlink ? 0o120777 : 0o100644) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, stored);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + stored.length;
+  }
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+/**
+ * Write an archive and extract it into a fresh directory
+ */
+function extract(fileName, buffer, options) {
+  const archivePath = path.join(workPath, fileName);
+  fs.writeFileSync(archivePath, buffer);
+  const destination = path.join(workPath, `${fileName}-out`, "dest");
+  return { result: extractArchive(archivePath, destination, options), destination };
+}
+
+/**
+ * List the files under a directory, relative to it
+ */
+function listFiles(root) {
+  return fs.readdirSync(root, { recursive: true })
+    .filter((entry) => !fs.statSync(path.join(root, entry)).isDirectory())
+    .map((entry) => entry.split(path.sep).join("/"))
+    .sort();
+}
+
+test("recognizes the supported archive names", () => {
+  for (const name of ["repo.zip", "repo.tar", "repo.tar.gz", "REPO.TGZ"]) {
+    assert.equal(isSupportedArchive(name), true, name);
+  }
+  for (const name of ["repo.gz", "repo.rar", "repo.zip.txt"]) {
+    assert.equal(isSupportedArchive(name), false, name);
+  }
+});
+
+test("extracts tar, tar.gz and zip archives", () => {
+  const files = [
+    { name: "repo/", type: "5" },
+    { name: "repo/README.md", data: "# Repo\n" },
+    { name: "repo/src/index.js", data: "export {};\n" },
+  ];
+  for (const [fileName, buffer] of [
+    ["plain.tar", tarArchive(files)],
+    ["gzipped.tgz", zlib.gzipSync(tarArchive(files))],
+    ["stored.zip", zipArchive(files.slice(1))],
+    ["deflated.zip", zipArchive(files.slice(1).map((file) => ({ ...file, deflate: true })))],
+  ]) {
+    const { result, destination } = extract(fileName, buffer);
+    assert.equal(result.success, true, `${fileName}: ${result.message}`);
+    assert.equal(result.extracted, 2, fileName);
+    assert.deepEqual(listFiles(destination), ["repo/README.md", "repo/src/index.js"], fileName);
+    assert.equal(fs.readFileSync(path.join(destination, "repo", "README.md"), "utf8"), "# Repo\n");
+  }
+});
+
+test("skips entries that would land outside the destination", () => {
+  const escapes = ["../evil.txt", "repo/../../evil.txt", "/tmp/evil.txt", "C:/evil.txt", "..\\evil.txt"];
+  const entries = [{ name: "repo/ok.txt", data: "ok\n" }, ...escapes.map((name) => ({ name, data: "pwned\n" }))];
+
+  for (const [fileName, buffer] of [
+    ["traversal.tar", tarArchive(entries)],
+    ["traversal.zip", zipArchive(entries)],
+    ["traversal-pax.tar", tarArchive([paxPath("../../evil.txt"), { name: "innocent.txt", data: "pwned\n" }])],
+    ["traversal-gnu.tar", tarArchive([{ name: "././@LongLink", type: "L", data: "../evil.txt\0" }, { name: "x", data: "pwned\n" }])],
+  ]) {
+    const { result, destination } = extract(fileName, buffer);
+    assert.equal(result.success, true, `${fileName}: ${result.message}`);
+    assert.ok(result.skipped > 0, fileName);
+    // Nothing was written next to or above the destination
+    assert.deepEqual(fs.readdirSync(path.dirname(destination)), ["dest"], fileName);
+    assert.ok(!fs.existsSync(path.join(workPath, "evil.txt")), fileName);
+    assert.ok(listFiles(destination).every((file) => file === "repo/ok.txt"), fileName);
+  }
+});
+
+test("never extracts links", () => {
+  const tar = extract("links.tar", tarArchive([
+    { name: "repo/passwd", type: "2", linkName: "/etc/passwd" },
+    { name: "repo/hard", type: "1", linkName: "/etc/passwd" },
+    { name: "repo/ok.txt", data: "ok\n" },
+  ]));
+  assert.equal(tar.result.success, true, tar.result.message);
+  assert.deepEqual([tar.result.extracted, tar.result.skipped], [1, 2]);
+  assert.deepEqual(listFiles(tar.destination), ["repo/ok.txt"]);
+
+  const zip = extract("links.zip", zipArchive([
+    { name: "repo/passwd", data: "/etc/passwd", symlink: true },
+    { name: "repo/ok.txt", data: "ok\n" },
+  ]));
+  assert.equal(zip.result.success, true, zip.result.message);
+  assert.deepEqual([zip.result.extracted, zip.result.skipped], [1, 1]);
+  assert.ok(!fs.lstatSync(path.join(zip.destination, "repo", "ok.txt")).isSymbolicLink());
+  assert.ok(!fs.existsSync(path.join(zip.destination, "repo", "passwd")));
+});
+
+test("stops at the maximum extracted size", () => {
+  const options = { maxExtractedSize: 1024 };
+  const big = "0".repeat(4096);
+
+  // Many entries that each fit but add up to more than the cap
+  const entries = Array.from({ length: 8 }, (_, i) => ({ name: `part${i}.txt`, data: "0".repeat(200) }));
+  const total = extract("total.tar", tarArchive(entries), options);
+  assert.equal(total.result.success, false);
+  assert.equal(total.result.message, "Failed to extract archive: Archive exceeds the maximum extracted size");
+
+  // Compressed data that expands beyond the cap is never fully inflated
+  const gzipBomb = extract("bomb.tgz", zlib.gzipSync(tarArchive([{ name: "big.txt", data: big }])), options);
+  assert.equal(gzipBomb.result.success, false);
+  const zipBomb = extract("bomb.zip", zipArchive([{ name: "big.txt", data: big, deflate: true }]), options);
+  assert.equal(zipBomb.result.success, false);
+  assert.ok(!fs.existsSync(path.join(zipBomb.destination, "big.txt")));
+});
+
+test("rejects archives that are not valid zips", () => {
+  const { result } = extract("broken.zip", Buffer.from("not a zip archive at all"));
+  assert.equal(result.success, false);
+  assert.equal(result.message, "Failed to extract archive: Not a valid zip archive");
+});
@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyContent, describeContent, resolveContentPolicy } from "../src/fileContent.js";
+
+const TEXT = "héllo wörld\nline two €\n";
+
+/**
+ * Encode text as UTF-16 big-endian, which Buffer has no encoding for
+ */
+function utf16be(text) {
+  return Buffer.from(text, "utf16le").swap16();
+}
+
+test("decodes plain UTF-8 as text", () => {
+  const file = classifyContent(Buffer.from(TEXT, "utf8"));
+  assert.equal(file.fileClass, "text");
+  assert.equal(file.encoding, "utf-8");
+  assert.equal(file.bom, false);
+  assert.equal(file.content, TEXT);
+
+  assert.equal(classifyContent(Buffer.alloc(0)).fileClass, "text");
+});
+
+test("strips a UTF-8 byte order mark", () => {
+  const file = classifyContent(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(TEXT)]));
+  assert.equal(file.fileClass, "text");
+  assert.equal(file.encoding, "utf-8");
+  assert.equal(file.bom, true);
+  assert.equal(file.content, TEXT);
+});
+
+test("decodes UTF-16 with a byte order mark", () => {
+  const little = classifyContent(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(TEXT, "utf16le")]));
+  assert.equal(little.fileClass, "encoded");
+  assert.equal(little.encoding, "utf-16le");
+  assert.equal(little.bom, true);
+  assert.equal(little.content, TEXT);
+
+  const big = classifyContent(Buffer.concat([Buffer.from([0xfe, 0xff]), utf16be(TEXT)]));
+  assert.equal(big.encoding, "utf-16be");
+  assert.equal(big.bom, true);
+  assert.equal(big.content, TEXT);
+});
+
+test("decodes UTF-32 with a byte order mark instead of mistaking it for UTF-16", () => {
+  const body = Buffer.alloc(TEXT.length * 4);
+  [...TEXT].forEach((char, i) => body.writeUInt32LE(char.codePointAt(0), i * 4));
+  const file = classifyContent(Buffer.concat([Buffer.from([0xff, 0xfe, 0x00, 0x00]), body]));
+  assert.equal(file.encoding, "utf-32le");
+  assert.equal(file.content, TEXT);
+});
+
+test("recognizes UTF-16 without a byte order mark", () => {
+  const source = "const answer = 42;\nexport default answer;\n";
+
+  const little = classifyContent(Buffer.from(source, "utf16le"));
+  assert.equal(little.fileClass, "encoded");
+  assert.equal(little.encoding, "utf-16le");
+  assert.equal(little.bom, false);
+  assert.equal(little.content, source);
+
+  const big = classifyContent(utf16be(source));
+  assert.equal(big.encoding, "utf-16be");
+  assert.equal(big.content, source);
+});
+
+test("falls back to Windows-1252 for text that is not UTF-8", () => {
+  const file = classifyContent(Buffer.from([0x63, 0x61, 0x66, 0xe9, 0x20, 0x80, 0x0a]));
+  assert.equal(file.fileClass, "encoded");
+  assert.equal(file.encoding, "windows-1252");
+  assert.equal(file.content, "café €\n");
+});
+
+test("detects binaries by null bytes and control characters", () => {
+  const withNull = classifyContent(Buffer.from("MZ\x90\x00\x03\x00\x00\x00", "latin1"));
+  assert.equal(withNull.fileClass, "binary");
+  assert.equal(withNull.type, "binary data");
+  assert.equal(withNull.content, null);
+
+  const controls = classifyContent(Buffer.from([0x01, 0x02, 0x03, 0x41, 0x04, 0x05, 0x42, 0x06]));
+  assert.equal(controls.fileClass, "binary");
+
+  // Tabs, carriage returns and ANSI escapes are text
+  const terminal = classifyContent(Buffer.from("a\tb\r\n\x1b[31mred\x1b[0m\n"));
+  assert.equal(terminal.fileClass, "text");
+});
+
+test("detects binaries by their magic numbers", () => {
+  const cases = [
+    ["PNG image", [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    ["JPEG image", [0xff, 0xd8, 0xff, 0xe0]],
+    ["GIF image", Buffer.from("GIF89a")],
+    ["PDF document", Buffer.from("%PDF-1.7\n")],
+    ["ZIP archive", [0x50, 0x4b, 0x03, 0x04]],
+    ["gzip archive", [0x1f, 0x8b, 0x08]],
+    ["ELF executable", [0x7f, 0x45, 0x4c, 0x46, 0x02]],
+    ["WebAssembly module", [0x00, 0x61, 0x73, 0x6d, 0x01]],
+    ["SQLite database", Buffer.from("SQLite format 3\0")],
+    ["WebP image", Buffer.from("RIFF\x24\x00\x00\x00WEBPVP8 ", "latin1")],
+    ["WAV audio", Buffer.from("RIFF\x24\x00\x00\x00WAVEfmt ", "latin1")],
+    ["MP4 video", Buffer.from("\x00\x00\x00\x18ftypmp42", "latin1")],
+  ];
+  for (const [type, bytes] of cases) {
+    // Printable bytes after the signature, so only the magic number can tell
+    const file = classifyContent(Buffer.concat([Buffer.from(bytes), Buffer.from(" text after it")]));
+    assert.equal(file.fileClass, "binary", type);
+    assert.equal(file.type, type);
+    assert.equal(file.content, null);
+  }
+
+  // Text that only resembles a signature stays text
+  assert.equal(classifyContent(Buffer.from("GIF is a format\n")).fileClass, "text");
+  assert.equal(classifyContent(Buffer.from("RIFF notes\n")).fileClass, "text");
+});
+
+test("describes files by class, type, encoding and size", () => {
+  const png = classifyContent(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+  assert.match(describeContent({ ...png, size: 8 }), /^binary, PNG image, /);
+
+  const utf16 = classifyContent(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from("hi", "utf16le")]));
+  assert.match(describeContent({ ...utf16, size: 6 }), /^encoded, UTF-16LE with BOM, /);
+});
+
+test("validates content policies", () => {
+  assert.deepEqual(resolveContentPolicy({ binary: "skip" }), {
+    text: "include",
+    encoded: "include",
+    binary: "skip",
+  });
+  assert.throws(() => resolveContentPolicy({ images: "skip" }), /Unknown file class: images/);
+  assert.throws(() => resolveContentPolicy({ binary: "embed" }), /Unknown action for binary files/);
+});
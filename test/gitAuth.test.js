@@ -0,0 +1,304 @@
+import { test, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { spawn, execFileSync } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { parseGitURL, isGitInstalled } from "../src/git.js";
+import {
+  ALLOWED_HOSTS_VARIABLE,
+  TOKEN_VARIABLE,
+  USERNAME_VARIABLE,
+  hostTokenVariable,
+  checkRemoteAccess,
+  createGitAuth,
+} from "../src/gitAuth.js";
+import { CloneRepository } from "../src/cloneRepository.js";
+import { createReporter } from "../src/reporter.js";
+
+const TOKEN = "rs-test-token-4f1c9a7e";
+const USERNAME = "reposketch";
+
+// Variables the tests set; each test starts without them and they are restored after
+const VARIABLES = [ALLOWED_HOSTS_VARIABLE, TOKEN_VARIABLE, USERNAME_VARIABLE];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = { ...process.env };
+  for (const name of VARIABLES) delete process.env[name];
+  for (const name of Object.keys(process.env)) {
+    if (name.startsWith(`${TOKEN_VARIABLE}_`)) delete process.env[name];
+  }
+});
+
+afterEach(() => {
+  for (const name of Object.keys(process.env)) {
+    if (!(name in savedEnv)) delete process.env[name];
+  }
+  Object.assign(process.env, savedEnv);
+});
+
+/**
+ * Parse a URL the tests know to be valid
+ */
+function parse(url) {
+  const parsed = parseGitURL(url);
+  assert.equal(parsed.valid, true, parsed.reason);
+  return parsed;
+}
+
+test("the shared token is not sent to a host without an allowlist", () => {
+  process.env[TOKEN_VARIABLE] = TOKEN;
+  const auth = createGitAuth(parse("https://attacker.example/user/repo.git"));
+  assert.deepEqual(auth.secrets, []);
+  assert.ok(!Object.values(auth.env).includes(TOKEN));
+});
+
+test("the shared token is not sent to a host missing from the allowlist", () => {
+  process.env[TOKEN_VARIABLE] = TOKEN;
+  const auth = createGitAuth(parse("https://attacker.example/user/repo.git"), {
+    allowedHosts: ["git.example.com"],
+  });
+  assert.deepEqual(auth.secrets, []);
+  assert.ok(!Object.values(auth.env).includes(TOKEN));
+});
+
+test("the shared token is sent to hosts on the allowlist", () => {
+  process.env[TOKEN_VARIABLE] = TOKEN;
+  for (const allowedHosts of [["git.example.com"], ["*.example.com"], "git.example.com:8443"]) {
+    const url = allowedHosts === "git.example.com:8443"
+      ? "https://git.example.com:8443/user/repo.git"
+      : "https://git.example.com/user/repo.git";
+    const auth = createGitAuth(parse(url), { allowedHosts });
+    assert.deepEqual(auth.secrets, [TOKEN], `allowlist ${allowedHosts}`);
+  }
+
+  process.env[ALLOWED_HOSTS_VARIABLE] = "git.example.com";
+  const auth = createGitAuth(parse("https://git.example.com/user/repo.git"));
+  assert.deepEqual(auth.secrets, [TOKEN]);
+});
+
+test("a per-host token or --token-env is used without an allowlist", () => {
+  const parsed = parse("https://git.example.com/user/repo.git");
+  process.env[hostTokenVariable(parsed.host)] = TOKEN;
+  assert.deepEqual(createGitAuth(parsed).secrets, [TOKEN]);
+
+  // A per-host token is never sent to another host
+  assert.deepEqual(createGitAuth(parse("https://attacker.example/user/repo.git")).secrets, []);
+
+  process.env.RS_TEST_TOKEN = "from-token-env";
+  assert.deepEqual(createGitAuth(parsed, { tokenEnv: "RS_TEST_TOKEN" }).secrets, ["from-token-env"]);
+  assert.throws(() => createGitAuth(parsed, { tokenEnv: "RS_TEST_MISSING" }), /RS_TEST_MISSING is not set/);
+});
+
+test("the allowlist refuses other hosts", () => {
+  const allowedHosts = ["git.example.com", "*.corp.example", "localhost:8080"];
+  assert.equal(checkRemoteAccess(parse("https://git.example.com/a/b.git"), allowedHosts).allowed, true);
+  assert.equal(checkRemoteAccess(parse("https://src.corp.example/a/b.git"), allowedHosts).allowed, true);
+  assert.equal(checkRemoteAccess(parse("http://localhost:8080/a/b.git"), allowedHosts).allowed, true);
+
+  for (const url of [
+    "https://attacker.example/a/b.git",
+    "https://git.example.com.attacker.example/a/b.git",
+    "https://corp.example.attacker.example/a/b.git",
+    "http://localhost:9090/a/b.git",
+    "git@attacker.example:a/b.git",
+  ]) {
+    const access = checkRemoteAccess(parse(url), allowedHosts);
+    assert.equal(access.allowed, false, url);
+    assert.match(access.reason, /is not in the allowed hosts/);
+  }
+});
+
+test("http:// is refused for hosts not on the allowlist", () => {
+  const parsed = parse("http://git.example.com/a/b.git");
+  assert.match(checkRemoteAccess(parsed).reason, /Plain http:\/\/ is only allowed/);
+  assert.equal(checkRemoteAccess(parsed, ["other.example.com"]).allowed, false);
+  assert.equal(checkRemoteAccess(parsed, ["git.example.com"]).allowed, true);
+});
+
+// Clones over a local HTTP git server that requires the token as basic auth
+const gitAvailable = isGitInstalled() && gitHttpBackendAvailable();
+let server = null;
+let serverRequests = 0;
+let workPath;
+
+/**
+ * Check that git ships the http-backend CGI program
+ */
+function gitHttpBackendAvailable() {
+  try {
+    execFileSync("git", ["http-backend"], {
+      env: { ...process.env, REQUEST_METHOD: "GET", GIT_PROJECT_ROOT: os.tmpdir(), PATH_INFO: "/" },
+      stdio: "ignore",
+    });
+    return true;
+  } catch (error) {
+    // It exits non-zero for a missing repository, but it did run
+    return error.status !== null && error.code !== "ENOENT";
+  }
+}
+
+/**
+ * Serve the repositories under root with git http-backend behind basic auth
+ */
+function startGitServer(root) {
+  const expected = `Basic ${Buffer.from(`${USERNAME}:${TOKEN}`).toString("base64")}`;
+
+  return new Promise((resolve) => {
+    const httpServer = http.createServer((req, res) => {
+      serverRequests += 1;
+      if (req.headers.authorization !== expected) {
+        res.writeHead(401, { "WWW-Authenticate": 'Basic realm="reposketch"' });
+        res.end();
+        return;
+      }
+
+      const url = new URL(req.url, "http://localhost");
+      const backend = spawn("git", ["http-backend"], {
+        env: {
+          ...process.env,
+          GIT_PROJECT_ROOT: root,
+          GIT_HTTP_EXPORT_ALL: "1",
+          PATH_INFO: url.pathname,
+          QUERY_STRING: url.search.slice(1),
+          REQUEST_METHOD: req.method,
+          REMOTE_USER: USERNAME,
+          CONTENT_TYPE: req.headers["content-type"] || "",
+          HTTP_CONTENT_ENCODING: req.headers["content-encoding"] || "",
+          GIT_PROTOCOL: req.headers["git-protocol"] || "",
+        },
+      });
+      req.pipe(backend.stdin);
+
+      // CGI output: headers, a blank line, then the body
+      let head = Buffer.alloc(0);
+      let headersSent = false;
+      backend.stdout.on("data", (chunk) => {
+        if (headersSent) {
+          res.write(chunk);
+          return;
+        }
+        head = Buffer.concat([head, chunk]);
+        const end = head.indexOf("\r\n\r\n");
+        if (end === -1) return;
+        headersSent = true;
+        let status = 200;
+        for (const line of head.subarray(0, end).toString().split("\r\n")) {
+          const separator = line.indexOf(":");
+          const name = line.slice(0, separator);
+          const value = line.slice(separator + 1).trim();
+          if (name.toLowerCase() === "status") status = Number.parseInt(value, 10);
+          else res.setHeader(name, value);
+        }
+        res.writeHead(status);
+        res.write(head.subarray(end + 4));
+      });
+      backend.on("close", () => res.end());
+    });
+    httpServer.listen(0, "127.0.0.1", () => resolve(httpServer));
+  });
+}
+
+/**
+ * Clone from the local server, capturing everything the reporter prints and logs
+ */
+async function cloneFromServer(repoURL, options = {}) {
+  let output = "";
+  const stream = { write: (text) => { output += text; }, isTTY: false };
+  const logFile = path.join(workPath, `clone-${serverRequests}-${Date.now()}.log`);
+  const reporter = createReporter({ level: "verbose", logFile, stdout: stream, stderr: stream });
+  const targetPath = fs.mkdtempSync(path.join(workPath, "clone-"));
+
+  const result = await CloneRepository(repoURL, { targetPath, reporter, ...options });
+  reporter.close();
+
+  const configPath = path.join(targetPath, ".git", "config");
+  const config = fs.existsSync(configPath) ? fs.readFileSync(configPath, "utf8") : "";
+  return { result, printed: `${output}${fs.readFileSync(logFile, "utf8")}`, config };
+}
+
+/**
+ * Assert that the token appears nowhere in a clone's result, output, log or config
+ */
+function assertTokenHidden({ result, printed, config }) {
+  assert.ok(!JSON.stringify(result).includes(TOKEN), "token in the result");
+  assert.ok(!printed.includes(TOKEN), "token printed or logged");
+  assert.ok(!config.includes(TOKEN), "token in .git/config");
+}
+
+before(async () => {
+  if (!gitAvailable) return;
+  workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-auth-"));
+  const git = (args, cwd) => execFileSync("git", args, { cwd, stdio: "ignore" });
+
+  const sourcePath = path.join(workPath, "source");
+  fs.mkdirSync(sourcePath);
+  git(["init", "--quiet", "--initial-branch=main"], sourcePath);
+  fs.writeFileSync(path.join(sourcePath, "README.md"), "# private\n");
+  git(["add", "README.md"], sourcePath);
+  git(["-c", "user.name=Test", "-c", "user.email=test@example.com", "commit", "--quiet", "-m", "init"], sourcePath);
+
+  const serverRoot = path.join(workPath, "server");
+  fs.mkdirSync(serverRoot);
+  git(["clone", "--quiet", "--bare", sourcePath, path.join(serverRoot, "private.git")], workPath);
+
+  server = await startGitServer(serverRoot);
+});
+
+after(() => {
+  if (server) server.close();
+  if (workPath) fs.rmSync(workPath, { recursive: true, force: true });
+});
+
+/**
+ * URL of the private repository on the local server
+ */
+function serverURL() {
+  return `http://localhost:${server.address().port}/private.git`;
+}
+
+test("clones with the token from an allowed host without printing it", { skip: !gitAvailable }, async () => {
+  process.env[TOKEN_VARIABLE] = TOKEN;
+  process.env[USERNAME_VARIABLE] = USERNAME;
+
+  const clone = await cloneFromServer(serverURL(), {
+    allowedHosts: [`localhost:${server.address().port}`],
+  });
+  assert.equal(clone.result.success, true, clone.result.message);
+  assert.ok(fs.existsSync(path.join(clone.result.targetPath, "README.md")));
+  assertTokenHidden(clone);
+});
+
+test("a failed clone does not print the token", { skip: !gitAvailable }, async () => {
+  process.env.RS_TEST_WRONG_TOKEN = `${TOKEN}-wrong`;
+  process.env[USERNAME_VARIABLE] = USERNAME;
+
+  const clone = await cloneFromServer(serverURL(), {
+    allowedHosts: [`localhost:${server.address().port}`],
+    auth: { tokenEnv: "RS_TEST_WRONG_TOKEN" },
+  });
+  assert.equal(clone.result.success, false);
+  assertTokenHidden(clone);
+  assert.ok(!clone.printed.includes(process.env.RS_TEST_WRONG_TOKEN));
+  assert.ok(!clone.result.message.includes(process.env.RS_TEST_WRONG_TOKEN));
+});
+
+test("the server is never contacted for hosts off the allowlist or over http:// without one", { skip: !gitAvailable }, async () => {
+  process.env[TOKEN_VARIABLE] = TOKEN;
+  process.env[USERNAME_VARIABLE] = USERNAME;
+  const requestsBefore = serverRequests;
+
+  const offList = await cloneFromServer(serverURL(), { allowedHosts: ["git.example.com"] });
+  assert.equal(offList.result.success, false);
+  assert.match(offList.result.message, /is not in the allowed hosts/);
+
+  const withoutList = await cloneFromServer(serverURL());
+  assert.equal(withoutList.result.success, false);
+  assert.match(withoutList.result.message, /Plain http:\/\/ is only allowed/);
+
+  assert.equal(serverRequests, requestsBefore);
+  assertTokenHidden(offList);
+  assertTokenHidden(withoutList);
+});
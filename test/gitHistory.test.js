@@ -0,0 +1,195 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { buildTreeModel } from "../src/treeModel.js";
+import { isGitInstalled } from "../src/git.js";
+import { analyzeGitHistory, describeHistory, formatHistoryReport } from "../src/gitHistory.js";
+
+const gitAvailable = isGitInstalled();
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-history-"));
+const rootPath = path.join(workPath, "repo");
+
+/**
+ * Run git in the repository with fixed author and commit dates
+ */
+function git(args, date = "2024-01-01T12:00:00Z") {
+  execFileSync("git", ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args], {
+    cwd: rootPath,
+    stdio: "ignore",
+    env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+  });
+}
+
+/**
+ * Write files (null deletes one) and commit them as an author on a date
+ */
+function commit(author, date, files) {
+  for (const [fileName, content] of Object.entries(files)) {
+    const filePath = path.join(rootPath, fileName);
+    if (content === null) {
+      fs.rmSync(filePath);
+      continue;
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+  git(["add", "--all"]);
+  git(["commit", "--quiet", "--author", author, "-m", `change on ${date}`], date);
+}
+
+before(() => {
+  if (!gitAvailable) return;
+  fs.mkdirSync(rootPath);
+  git(["init", "--quiet", "--initial-branch=main"]);
+  const alice = "Alice <alice@example.com>";
+  const bob = "Bob <bob@example.com>";
+  commit(alice, "2024-01-10T12:00:00Z", { "old/legacy.js": "a\nb\nc\n", "README.md": "# Repo\n" });
+  commit(bob, "2024-02-05T12:00:00Z", { "src/app.js": "one\ntwo\n", "src/lib/util.js": "u\n" });
+  // The same address in another case, under a new name
+  commit("Alice Smith <ALICE@example.com>", "2024-02-20T12:00:00Z", { "src/app.js": "one\n2\n" });
+  commit(bob, "2024-04-01T12:00:00Z", {
+    "assets/logo.bin": Buffer.from([0, 1, 2, 0]),
+    "notes\tdraft.md": "draft\n",
+    "gone.txt": "x\n",
+  });
+  commit(bob, "2024-04-02T12:00:00Z", { "gone.txt": null });
+
+  // Merge commits are not counted, the commits they bring in are
+  git(["checkout", "--quiet", "-b", "feature"]);
+  commit(bob, "2024-05-01T12:00:00Z", { "src/lib/util.js": "u\nv\n" });
+  git(["checkout", "--quiet", "main"]);
+  commit(alice, "2024-05-01T13:00:00Z", { "README.md": "# Repo\n\nMore.\n" });
+  git(["merge", "--quiet", "--no-ff", "-m", "merge feature", "feature"], "2024-05-02T12:00:00Z");
+
+  commit(bob, "2024-09-15T12:00:00Z", { "src/app.js": "one\n2\nthree\n" });
+});
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+test("returns null outside a git working copy", { skip: !gitAvailable }, async () => {
+  const plainPath = path.join(workPath, "plain");
+  fs.mkdirSync(plainPath);
+  assert.equal(await analyzeGitHistory(buildTreeModel(plainPath)), null);
+});
+
+test("summarizes contributors, churn, activity and stale directories", { skip: !gitAvailable }, async () => {
+  const progress = [];
+  const history = await analyzeGitHistory(buildTreeModel(rootPath), {
+    onProgress: (update) => progress.push(update),
+  });
+
+  assert.equal(history.shallow, false);
+  assert.equal(history.commits, 8);
+  assert.equal(history.firstCommit, "2024-01-10T12:00:00.000Z");
+  assert.equal(history.lastCommit, "2024-09-15T12:00:00.000Z");
+  assert.deepEqual(progress[progress.length - 1], { commits: 8 });
+
+  // Addresses are compared without case; the newest commit names the contributor
+  assert.equal(history.totalContributors, 2);
+  assert.deepEqual(history.contributors, [
+    {
+      name: "Bob",
+      email: "bob@example.com",
+      commits: 5,
+      linesAdded: 7,
+      linesDeleted: 1,
+      firstCommit: "2024-02-05T12:00:00.000Z",
+      lastCommit: "2024-09-15T12:00:00.000Z",
+    },
+    {
+      name: "Alice",
+      email: "alice@example.com",
+      commits: 3,
+      linesAdded: 7,
+      linesDeleted: 1,
+      firstCommit: "2024-01-10T12:00:00.000Z",
+      lastCommit: "2024-05-01T13:00:00.000Z",
+    },
+  ]);
+
+  // Deleted files count as churn; binary files change without line counts
+  assert.deepEqual(history.churn.slice(0, 4), [
+    { path: "src/app.js", commits: 3, linesAdded: 4, linesDeleted: 1 },
+    { path: "gone.txt", commits: 2, linesAdded: 1, linesDeleted: 1 },
+    { path: "README.md", commits: 2, linesAdded: 3, linesDeleted: 0 },
+    { path: "src/lib/util.js", commits: 2, linesAdded: 2, linesDeleted: 0 },
+  ]);
+  assert.deepEqual(history.churn.find((file) => file.path === "assets/logo.bin"),
+    { path: "assets/logo.bin", commits: 1, linesAdded: 0, linesDeleted: 0 });
+
+  // Only paths in the tree get dates, unusual names included
+  assert.deepEqual(history.files.map((file) => file.path), [
+    "assets/logo.bin",
+    "notes\tdraft.md",
+    "old/legacy.js",
+    "README.md",
+    "src/app.js",
+    "src/lib/util.js",
+  ]);
+  assert.deepEqual(history.files.find((file) => file.path === "src/app.js"), {
+    path: "src/app.js",
+    commits: 3,
+    created: "2024-02-05T12:00:00.000Z",
+    lastModified: "2024-09-15T12:00:00.000Z",
+  });
+  assert.deepEqual(history.directories, [
+    { path: "assets", commits: 1, lastModified: "2024-04-01T12:00:00.000Z" },
+    { path: "old", commits: 1, lastModified: "2024-01-10T12:00:00.000Z" },
+    { path: "src", commits: 4, lastModified: "2024-09-15T12:00:00.000Z" },
+    { path: "src/lib", commits: 2, lastModified: "2024-05-01T12:00:00.000Z" },
+  ]);
+
+  assert.equal(history.activity.interval, "month");
+  assert.deepEqual(
+    history.activity.periods.map((period) => [period.period, period.commits, period.authors]),
+    [
+      ["2024-01", 1, 1], ["2024-02", 2, 2], ["2024-03", 0, 0], ["2024-04", 2, 1],
+      ["2024-05", 2, 2], ["2024-06", 0, 0], ["2024-07", 0, 0], ["2024-08", 0, 0], ["2024-09", 1, 1],
+    ]
+  );
+  assert.deepEqual(history.stale, {
+    afterDays: 180,
+    directories: [{ path: "old", lastModified: "2024-01-10T12:00:00.000Z", daysUnchanged: 249 }],
+  });
+
+  const recent = await analyzeGitHistory(buildTreeModel(rootPath), { staleAfterDays: 100, limit: 1 });
+  assert.deepEqual(recent.stale.directories.map((directory) => directory.path), ["assets", "old", "src/lib"]);
+  assert.deepEqual(recent.contributors.map((contributor) => contributor.name), ["Bob"]);
+  assert.equal(recent.churn.length, 1);
+});
+
+test("limits the history to a subdirectory and stops once aborted", { skip: !gitAvailable }, async () => {
+  const history = await analyzeGitHistory(buildTreeModel(path.join(rootPath, "src")));
+  assert.equal(history.commits, 4);
+  assert.deepEqual(history.files.map((file) => file.path), ["app.js", "lib/util.js"]);
+  assert.deepEqual(history.directories.map((directory) => directory.path), ["lib"]);
+
+  await assert.rejects(
+    analyzeGitHistory(buildTreeModel(rootPath), { signal: AbortSignal.abort() }),
+    { name: "AbortError" }
+  );
+});
+
+test("renders the history as text", { skip: !gitAvailable }, async () => {
+  const history = await analyzeGitHistory(buildTreeModel(rootPath));
+  assert.equal(describeHistory(history), "8 commits by 2 contributors, 2024-01-10 to 2024-09-15");
+
+  const lines = formatHistoryReport(history);
+  assert.equal(lines[0], "8 commits by 2 contributors, 2024-01-10 to 2024-09-15 (merge commits not counted)");
+  assert.ok(lines.includes("- Bob <bob@example.com>: 5 commits, +7 -1 lines"));
+  assert.ok(lines.includes("Activity (commits per month):"));
+  assert.ok(lines.includes(`2024-02      2 ${"#".repeat(40)}`));
+  assert.ok(lines.includes("2024-03      0 "));
+  assert.ok(lines.includes("- src/: 2024-09-15 (4 commits)"));
+  assert.equal(lines[lines.length - 1], "- old/: last changed 2024-01-10, 249 days earlier");
+
+  const emptyPath = path.join(workPath, "empty");
+  fs.mkdirSync(emptyPath);
+  execFileSync("git", ["init", "--quiet"], { cwd: emptyPath, stdio: "ignore" });
+  const empty = await analyzeGitHistory(buildTreeModel(emptyPath));
+  assert.equal(empty.commits, 0);
+  assert.deepEqual(formatHistoryReport(empty), ["No commits"]);
+});
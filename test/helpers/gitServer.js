@@ -0,0 +1,100 @@
+import { spawn, spawnSync } from "node:child_process";
+import http from "node:http";
+import readline from "node:readline";
+import { fileURLToPath } from "node:url";
+import { isGitInstalled } from "../../src/git.js";
+
+const HELPER_PATH = fileURLToPath(import.meta.url);
+
+/**
+ * Check that git and its http-backend CGI program are available
+ */
+function gitHttpBackendAvailable() {
+  if (!isGitInstalled()) return false;
+  // It exits non-zero without a request, but it did run
+  const result = spawnSync("git", ["http-backend"], {
+    env: { ...process.env, REQUEST_METHOD: "GET", PATH_INFO: "/" },
+    stdio: "ignore",
+  });
+  return result.error === undefined;
+}
+
+/**
+ * Serve the bare repositories under root over http:// with git http-backend
+ *
+ * The server runs in its own process so that code under test may run git
+ * synchronously against it.
+ * @param {string} root - Directory holding the served repositories
+ * @returns {Promise<Object>} { port, close } of a server on 127.0.0.1
+ */
+function startGitServer(root) {
+  const child = spawn(process.execPath, [HELPER_PATH, root], { stdio: ["pipe", "pipe", "inherit"] });
+  return new Promise((resolve, reject) => {
+    child.on("error", reject);
+    readline.createInterface({ input: child.stdout }).once("line", (line) => {
+      resolve({ port: Number.parseInt(line, 10), close: () => child.kill() });
+    });
+  });
+}
+
+/**
+ * Run the server in this process
+ */
+function listen(root) {
+  return new Promise((resolve) => {
+    const httpServer = http.createServer((req, res) => {
+      const url = new URL(req.url, "http://localhost");
+      const backend = spawn("git", ["http-backend"], {
+        env: {
+          ...process.env,
+          GIT_PROJECT_ROOT: root,
+          GIT_HTTP_EXPORT_ALL: "1",
+          PATH_INFO: url.pathname,
+          QUERY_STRING: url.search.slice(1),
+          REQUEST_METHOD: req.method,
+          CONTENT_TYPE: req.headers["content-type"] || "",
+          HTTP_CONTENT_ENCODING: req.headers["content-encoding"] || "",
+          GIT_PROTOCOL: req.headers["git-protocol"] || "",
+        },
+      });
+      req.pipe(backend.stdin);
+
+      // CGI output: headers, a blank line, then the body
+      let head = Buffer.alloc(0);
+      let headersSent = false;
+      backend.stdout.on("data", (chunk) => {
+        if (headersSent) {
+          res.write(chunk);
+          return;
+        }
+        head = Buffer.concat([head, chunk]);
+        const end = head.indexOf("\r\n\r\n");
+        if (end === -1) return;
+        headersSent = true;
+        let status = 200;
+        for (const line of head.subarray(0, end).toString().split("\r\n")) {
+          const separator = line.indexOf(":");
+          const name = line.slice(0, separator);
+          const value = line.slice(separator + 1).trim();
+          if (name.toLowerCase() === "status") status = Number.parseInt(value, 10);
+          else res.setHeader(name, value);
+        }
+        res.writeHead(status);
+        res.write(head.subarray(end + 4));
+      });
+      backend.on("close", () => res.end());
+    });
+    httpServer.listen(0, "127.0.0.1", () => resolve(httpServer));
+  });
+}
+
+// Started by startGitServer: print the port, stop when the parent goes away
+if (process.argv[1] === HELPER_PATH && process.argv[2]) {
+  listen(process.argv[2]).then((httpServer) => {
+    process.stdout.write(`${httpServer.address().port}\n`);
+    process.stdin.on("end", () => process.exit(0));
+    process.stdin.resume();
+  });
+}
+
+export { gitHttpBackendAvailable, startGitServer };
@@ -0,0 +1,109 @@
+import fs from "node:fs";
+
+/**
+ * Read a schema of the schema/ directory
+ */
+function loadSchema(fileName) {
+  return JSON.parse(fs.readFileSync(new URL(`../../schema/${fileName}`, import.meta.url), "utf8"));
+}
+
+/**
+ * Check a value against a JSON schema, supporting the keywords the schemas of
+ * this repository use (formats and descriptions are not checked)
+ * @param {*} value - Value to check
+ * @param {Object} schema - Root schema; $ref is resolved against it
+ * @returns {Array<string>} One message per violation, empty when the value is valid
+ */
+function validateSchema(value, schema) {
+  const errors = [];
+  check(value, schema, schema, "$", errors);
+  return errors;
+}
+
+/**
+ * Type name of a value in JSON schema terms
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Check a value against one schema node, collecting the violations
+ */
+function check(value, schema, root, at, errors) {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, "").split("/").reduce((node, key) => node[key], root);
+    check(value, target, root, at, errors);
+  }
+  for (const part of schema.allOf || []) {
+    check(value, part, root, at, errors);
+  }
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter((part) => validateAgainst(value, part, root));
+    if (matching.length !== 1) errors.push(`${at}: matches ${matching.length} of the oneOf schemas`);
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const type = typeOf(value);
+    if (!types.includes(type) && !(type === "integer" && types.includes("number"))) {
+      errors.push(`${at}: expected ${types.join(" or ")}, got ${type}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.join(", ")}`);
+  }
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      errors.push(`${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: shorter than ${schema.minLength}`);
+    }
+  }
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: less than ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at}: more than ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(item, schema.items, root, `${at}[${i}]`, errors));
+    }
+  } else if (value !== null && typeof value === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing ${key}`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        check(child, properties[key], root, `${at}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected ${key}`);
+      } else if (typeof schema.additionalProperties === "object") {
+        check(child, schema.additionalProperties, root, `${at}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Check whether a value is valid against a schema node
+ */
+function validateAgainst(value, schema, root) {
+  const errors = [];
+  check(value, schema, root, "$", errors);
+  return errors.length === 0;
+}
+
+export { loadSchema, validateSchema };
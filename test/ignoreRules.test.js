@@ -0,0 +1,211 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { compileIgnoreRule, createIgnoreMatcher } from "../src/ignoreRules.js";
+
+const temporaryPaths = [];
+
+after(() => {
+  for (const temporaryPath of temporaryPaths) {
+    fs.rmSync(temporaryPath, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Create a directory tree from a map of relative paths to file contents
+ */
+function createTree(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-ignore-"));
+  temporaryPaths.push(root);
+  for (const [relativePath, content] of Object.entries(files)) {
+    fs.mkdirSync(path.join(root, path.dirname(relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(root, relativePath), content);
+  }
+  return root;
+}
+
+/**
+ * Check paths against a matcher; a trailing "/" marks a directory
+ */
+function assertIgnored(matcher, expected) {
+  for (const [relativePath, ignored] of Object.entries(expected)) {
+    const isDirectory = relativePath.endsWith("/");
+    const fullPath = path.join(matcher.root, relativePath);
+    assert.equal(matcher.isIgnored(fullPath, isDirectory), ignored, relativePath);
+  }
+}
+
+test("compiles blank lines and comments to nothing", () => {
+  assert.equal(compileIgnoreRule(""), null);
+  assert.equal(compileIgnoreRule("   "), null);
+  assert.equal(compileIgnoreRule("# comment"), null);
+  assert.equal(compileIgnoreRule("/"), null);
+});
+
+test("compiles negation, directory-only and escaped patterns", () => {
+  const negated = compileIgnoreRule("!keep.log");
+  assert.equal(negated.negated, true);
+  assert.ok(negated.regex.test("keep.log"));
+
+  const directory = compileIgnoreRule("build/");
+  assert.equal(directory.directoryOnly, true);
+  assert.ok(directory.regex.test("build"));
+
+  const literalBang = compileIgnoreRule("\\!important");
+  assert.equal(literalBang.negated, false);
+  assert.ok(literalBang.regex.test("!important"));
+
+  const literalHash = compileIgnoreRule("\\#notes");
+  assert.ok(literalHash.regex.test("#notes"));
+
+  // Trailing spaces are dropped unless escaped
+  assert.ok(compileIgnoreRule("trailing   ").regex.test("trailing"));
+  assert.ok(compileIgnoreRule("space\\ ").regex.test("space "));
+});
+
+test("negation re-includes what an earlier rule ignored", () => {
+  const root = createTree({ ".gitignore": "*.log\n!keep.log\n" });
+  assertIgnored(createIgnoreMatcher(root), {
+    "debug.log": true,
+    "keep.log": false,
+    "logs/keep.log": false,
+    "logs/error.log": true,
+  });
+
+  // The last matching rule wins, so a later rule ignores it again
+  const reordered = createTree({ ".gitignore": "!keep.log\n*.log\n" });
+  assertIgnored(createIgnoreMatcher(reordered), { "keep.log": true });
+});
+
+test("directory-only patterns only match directories", () => {
+  const root = createTree({ ".gitignore": "build/\n" });
+  assertIgnored(createIgnoreMatcher(root), {
+    "build/": true,
+    "src/build/": true,
+    "build": false,
+    "src/build": false,
+  });
+});
+
+test("a slash anchors a pattern to the ignore file's directory", () => {
+  const root = createTree({ ".gitignore": "/out\ndoc/*.txt\ntmp\n" });
+  assertIgnored(createIgnoreMatcher(root), {
+    "out/": true,
+    "src/out/": false,
+    "doc/notes.txt": true,
+    "doc/api/notes.txt": false,
+    "src/doc/notes.txt": false,
+    // Without a slash the pattern matches at any depth
+    "tmp/": true,
+    "src/tmp": true,
+  });
+});
+
+test("** matches any number of directories", () => {
+  const root = createTree({ ".gitignore": "**/logs\ncache/**\na/**/b\n*.min.*\n" });
+  assertIgnored(createIgnoreMatcher(root), {
+    "logs/": true,
+    "src/deep/logs/": true,
+    "cache/": false,
+    "cache/data.json": true,
+    "cache/nested/data.json": true,
+    "src/cache/data.json": false,
+    "a/b": true,
+    "a/x/b": true,
+    "a/x/y/b": true,
+    "x/a/b": false,
+    // A single * never crosses a slash
+    "app.min.js": true,
+    "app.js": false,
+  });
+});
+
+test("nested .gitignore files override their parents", () => {
+  const root = createTree({
+    ".gitignore": "*.log\n/generated\n",
+    "packages/app/.gitignore": "!keep.log\n/dist/\n",
+    "packages/app/src/.gitignore": "*.tmp\n",
+  });
+  assertIgnored(createIgnoreMatcher(root), {
+    "keep.log": true,
+    "packages/keep.log": true,
+    "packages/app/keep.log": false,
+    "packages/app/src/keep.log": false,
+    "packages/app/debug.log": true,
+    // Anchored rules are relative to the directory of their ignore file
+    "generated/": true,
+    "packages/app/generated/": false,
+    "packages/app/dist/": true,
+    "dist/": false,
+    "packages/app/src/dist/": false,
+    // A nested file's rules do not apply outside its directory
+    "packages/app/src/a.tmp": true,
+    "packages/app/a.tmp": false,
+  });
+});
+
+test(".reposketchignore wins over .gitignore", () => {
+  const root = createTree({
+    ".gitignore": "*.snap\n",
+    "src/.gitignore": "!*.snap\n",
+    ".reposketchignore": "*.snap\n",
+  });
+  assertIgnored(createIgnoreMatcher(root), {
+    "a.snap": true,
+    "src/a.snap": true,
+  });
+});
+
+test("the exclude option wins over every ignore file", () => {
+  const root = createTree({
+    ".gitignore": "!vendor/\n",
+    "lib/.gitignore": "!*.gen.js\n",
+    ".reposketchignore": "!secrets.txt\n",
+  });
+  const exclude = ["vendor/", "*.gen.js", "secrets.txt"];
+  assertIgnored(createIgnoreMatcher(root, { exclude }), {
+    "vendor/": true,
+    "lib/a.gen.js": true,
+    "secrets.txt": true,
+  });
+  assertIgnored(createIgnoreMatcher(root, { exclude, respectGitignore: false }), {
+    "vendor/": true,
+    "secrets.txt": true,
+  });
+
+  // An exclude pattern of its own may still re-include
+  assertIgnored(createIgnoreMatcher(root, { exclude: ["*.gen.js", "!keep.gen.js"] }), {
+    "lib/keep.gen.js": false,
+    "lib/other.gen.js": true,
+  });
+});
+
+test("reports the deciding rule and ignores paths outside the root", () => {
+  const root = createTree({ "src/.gitignore": "*.log\n" });
+  const matcher = createIgnoreMatcher(root);
+  assert.deepEqual(matcher.match(path.join(root, "src", "a.log"), false), {
+    ignored: true,
+    pattern: "*.log",
+    source: "src/.gitignore",
+  });
+  assert.equal(matcher.match(path.join(root, "a.txt"), false), null);
+  assert.equal(matcher.match(path.join(root, "..", "elsewhere.log"), false), null);
+  assert.equal(matcher.match(path.join(root, "..", "elsewhere", "a.log"), false), null);
+  assert.equal(matcher.match(root, true), null);
+});
+
+test("entries whose names start with .. are inside the root", () => {
+  const root = createTree({ ".gitignore": "..cache\n*.log\n" });
+  assertIgnored(createIgnoreMatcher(root), {
+    "..cache/": true,
+    "..notes.log": true,
+    "..keep": false,
+  });
+  assert.deepEqual(createIgnoreMatcher(root).match(path.join(root, "..cache"), true), {
+    ignored: true,
+    pattern: "..cache",
+    source: ".gitignore",
+  });
+});
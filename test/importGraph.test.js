@@ -0,0 +1,199 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { buildTreeModel } from "../src/treeModel.js";
+import {
+  extractImports,
+  buildImportGraph,
+  describeImportGraph,
+  formatImportGraphDot,
+  formatImportGraphMermaid,
+} from "../src/importGraph.js";
+import { loadSchema, validateSchema } from "./helpers/validateSchema.js";
+
+const CLI_PATH = fileURLToPath(new URL("../index.js", import.meta.url));
+const schema = loadSchema("graph-v1.schema.json");
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-graph-"));
+const rootPath = path.join(workPath, "web");
+const files = {
+  "package.json": JSON.stringify({
+    name: "web",
+    main: "src/main.ts",
+    imports: { "#config": "./src/config.ts" },
+    workspaces: ["packages/*"],
+  }),
+  "tsconfig.json": "{\n  // aliases\n  \"compilerOptions\": { \"paths\": { \"@/*\": [\"src/*\"] } },\n}\n",
+  "src/main.ts": [
+    "import fs from \"node:fs\";",
+    "import { render } from \"react-dom/client\";",
+    "import { App } from \"./app.js\";",
+    "import config from \"#config\";",
+    "import { format } from \"@acme/shared/format\";",
+    "const page = import(\"./pages/home\");",
+  ].join("\n"),
+  "src/app.tsx": "import { a } from \"@/cycle/a\";\nimport \"./styles.css\";\nimport React from \"react\";\n",
+  "src/config.ts": "export default {};\n",
+  "src/cycle/a.ts": "import { b } from \"./b\";\nexport const a = 1;\n",
+  "src/cycle/b.ts": "import { a } from \"./a\";\nimport { format } from \"@acme/shared/format\";\n",
+  "src/pages/home/index.tsx": "const path = require(\"path\");\nimport { missing } from \"../missing\";\n",
+  "src/unused.ts": "import { format } from \"@acme/shared/format\";\n",
+  "src/app.test.ts": "import { App } from \"./app\";\n",
+  "src/styles.css": "body {}\n",
+  "packages/shared/package.json": JSON.stringify({
+    name: "@acme/shared",
+    exports: { "./*": "./src/*.ts" },
+  }),
+  "packages/shared/src/format.ts": "export const format = String;\n",
+};
+for (const [fileName, content] of Object.entries(files)) {
+  fs.mkdirSync(path.dirname(path.join(rootPath, fileName)), { recursive: true });
+  fs.writeFileSync(path.join(rootPath, fileName), content);
+}
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+/**
+ * Run the CLI from the work directory with no config or REPOSKETCH_* variables
+ */
+function run(args) {
+  const env = Object.fromEntries(
+    Object.entries(process.env).filter(([name]) => !name.startsWith("REPOSKETCH_"))
+  );
+  return spawnSync(process.execPath, [CLI_PATH, ...args], { cwd: workPath, env, encoding: "utf8", timeout: 60000 });
+}
+
+test("finds static, dynamic and require imports outside comments and strings", () => {
+  const source = [
+    "import a from \"./a\";",
+    "import type { B } from './b';",
+    "import \"./side-effect\";",
+    "export * as c from \"./c\";",
+    "export { d } from \"./d\";",
+    "// import skipped from \"./comment\";",
+    "/* require(\"./block\") */",
+    "const text = \"import nope from './string'\";",
+    "const e = await import(\"./e\");",
+    "const f = require('./f');",
+    "obj.require(\"./method\");",
+  ].join("\n");
+  assert.deepEqual(extractImports(source), [
+    { specifier: "./a", kind: "import" },
+    { specifier: "./b", kind: "import" },
+    { specifier: "./side-effect", kind: "import" },
+    { specifier: "./c", kind: "reexport" },
+    { specifier: "./d", kind: "reexport" },
+    { specifier: "./e", kind: "dynamic" },
+    { specifier: "./f", kind: "require" },
+  ]);
+});
+
+test("resolves imports to files, packages and built-in modules", async () => {
+  const progress = [];
+  const graph = await buildImportGraph(buildTreeModel(rootPath), {
+    onProgress: (update) => progress.push(update),
+  });
+
+  // Relative, tsconfig paths, package imports, workspace packages and .js names of .ts files
+  assert.deepEqual(
+    graph.edges.filter((edge) => edge.from === "src/main.ts"),
+    [
+      { from: "src/main.ts", to: "packages/shared/src/format.ts", dynamic: false },
+      { from: "src/main.ts", to: "src/app.tsx", dynamic: false },
+      { from: "src/main.ts", to: "src/config.ts", dynamic: false },
+      { from: "src/main.ts", to: "src/pages/home/index.tsx", dynamic: true },
+    ]
+  );
+  assert.ok(graph.edges.some((edge) => edge.from === "src/app.tsx" && edge.to === "src/cycle/a.ts"));
+  assert.deepEqual(graph.external, [
+    { name: "node:fs", builtin: true, importers: 1 },
+    { name: "node:path", builtin: true, importers: 1 },
+    { name: "react", builtin: false, importers: 1 },
+    { name: "react-dom", builtin: false, importers: 1 },
+  ]);
+  assert.deepEqual(graph.unresolved, [{ from: "src/pages/home/index.tsx", specifier: "../missing" }]);
+  assert.equal(graph.modules.length, 10);
+  assert.deepEqual(graph.modules.find((module) => module.path === "src/main.ts"), {
+    path: "src/main.ts",
+    dependencies: 4,
+    dependents: 0,
+  });
+  assert.deepEqual(progress[progress.length - 1], { files: 9, total: 9 });
+});
+
+test("reports cycles, orphans, entry points and the most depended on modules", async () => {
+  const graph = await buildImportGraph(buildTreeModel(rootPath));
+  assert.deepEqual(graph.cycles, [
+    {
+      modules: ["src/cycle/a.ts", "src/cycle/b.ts"],
+      path: ["src/cycle/a.ts", "src/cycle/b.ts", "src/cycle/a.ts"],
+    },
+  ]);
+  // The package main and test files are not orphans
+  assert.deepEqual(graph.orphans, ["src/unused.ts"]);
+  assert.deepEqual(graph.entryPoints, ["src/main.ts"]);
+  assert.deepEqual(graph.mostDependedOn, [
+    { path: "packages/shared/src/format.ts", dependents: 3 },
+    { path: "src/app.tsx", dependents: 2 },
+    { path: "src/cycle/a.ts", dependents: 2 },
+  ]);
+  assert.equal(describeImportGraph(graph), "10 modules, 11 imports, 1 cycle, 1 orphan");
+
+  const small = await buildImportGraph(buildTreeModel(rootPath), { maxFileSize: 100 });
+  assert.equal(small.skippedFiles, 1);
+  assert.ok(!small.modules.some((module) => module.path === "src/main.ts"));
+  await assert.rejects(
+    buildImportGraph(buildTreeModel(rootPath), { signal: AbortSignal.abort() }),
+    { name: "AbortError" }
+  );
+});
+
+test("draws the graph in DOT and Mermaid with the findings highlighted", async () => {
+  const graph = await buildImportGraph(buildTreeModel(rootPath));
+  const dot = formatImportGraphDot(graph);
+  assert.deepEqual(dot.slice(0, 3), [
+    "// 10 modules, 11 imports, 1 cycle, 1 orphan",
+    "// Cycle: src/cycle/a.ts -> src/cycle/b.ts -> src/cycle/a.ts",
+    "// Orphan: src/unused.ts",
+  ]);
+  assert.ok(dot.includes('  "src/cycle/a.ts" [style=filled, fillcolor="#ffd8a8", color="#e03131"];'));
+  assert.ok(dot.includes('  "src/unused.ts" [style=dashed];'));
+  assert.ok(dot.includes('  "src/cycle/b.ts" -> "src/cycle/a.ts" [color="#e03131"];'));
+  assert.ok(dot.includes('  "src/main.ts" -> "src/pages/home/index.tsx" [style=dotted];'));
+  assert.equal(dot[dot.length - 1], "}");
+
+  const mermaid = formatImportGraphMermaid(graph);
+  assert.ok(mermaid.includes("flowchart LR"));
+  assert.ok(mermaid.includes('  m0["packages/shared/src/format.ts"]'));
+  assert.ok(mermaid.includes("  m6 -.-> m7"));
+  assert.deepEqual(mermaid.slice(-7), [
+    "  classDef hub fill:#ffd8a8",
+    "  class m0,m2,m4 hub",
+    "  classDef orphan stroke-dasharray:4 3",
+    "  class m9 orphan",
+    "  classDef cycle stroke:#e03131,stroke-width:2px",
+    "  class m4,m5 cycle",
+    "  linkStyle 3,5 stroke:#e03131",
+  ]);
+});
+
+test("the CLI writes the graph as JSON that follows the schema", () => {
+  const outputPath = path.join(workPath, "graph.json");
+  const result = run(["graph", "web", "--format", "json", "-o", outputPath, "--quiet"]);
+  assert.equal(result.status, 0, result.stderr);
+
+  const report = JSON.parse(fs.readFileSync(outputPath, "utf8"));
+  assert.deepEqual(validateSchema(report, schema), []);
+  assert.equal(report.kind, "graph");
+  assert.equal(report.root.name, "web");
+  assert.equal(report.cycles.length, 1);
+  assert.deepEqual(report.orphans, ["src/unused.ts"]);
+
+  const dot = run(["graph", "web", "-o", path.join(workPath, "graph.dot"), "--quiet"]);
+  assert.equal(dot.status, 0, dot.stderr);
+  assert.match(fs.readFileSync(path.join(workPath, "graph.dot"), "utf8"), /^digraph imports \{$/m);
+});
@@ -0,0 +1,115 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { buildTreeModel } from "../src/treeModel.js";
+import { countLines, collectLanguageStats, formatLanguageReport } from "../src/languageStats.js";
+import { detectLanguage } from "../src/languages.js";
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-languages-"));
+const rootPath = path.join(workPath, "repo");
+const files = {
+  "src/app.js": "// entry\nimport x from \"./x.js\";\n\n/* multi\n\n   line */\nx(); // call\n",
+  "src/lib/util.ts": "export const one = 1;\n",
+  "scripts/deploy": "#!/usr/bin/env -S python3 -u\n# deploy\nprint('hi')\n",
+  "scripts/run.sh": "#!/bin/sh\necho run\n",
+  "README.md": "# Title\n\n<!-- note -->\nText\n",
+  "notes.unknown": "not counted\n",
+  "big.js": `${"x();\n".repeat(300)}`,
+};
+for (const [fileName, content] of Object.entries(files)) {
+  fs.mkdirSync(path.dirname(path.join(rootPath, fileName)), { recursive: true });
+  fs.writeFileSync(path.join(rootPath, fileName), content);
+}
+fs.writeFileSync(path.join(rootPath, "src", "logo.js"), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0x0d]));
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+test("counts code, comment and blank lines like cloc", () => {
+  assert.deepEqual(countLines("", "JavaScript"), { code: 0, comment: 0, blank: 0 });
+  assert.deepEqual(countLines(files["src/app.js"], "JavaScript"), { code: 2, comment: 3, blank: 2 });
+  assert.deepEqual(countLines("a = 1\r\n\r\n# comment\r\n", "Python"), { code: 1, comment: 1, blank: 1 });
+  // Docstrings are comments, code after a closed block comment is code
+  assert.deepEqual(
+    countLines('def f():\n    """Doc\n    string."""\n    return 1\n', "Python"),
+    { code: 2, comment: 2, blank: 0 }
+  );
+  assert.deepEqual(countLines("/* a */ code();\n/* b */\n", "C"), { code: 1, comment: 1, blank: 0 });
+  // The longer block marker wins over the line marker it starts with
+  assert.deepEqual(countLines("--[[ block\nstill ]] x = 1\n-- line\n", "Lua"), { code: 1, comment: 2, blank: 0 });
+  // Languages without comment syntax count every line as code
+  assert.deepEqual(countLines("{\n  \"a\": 1\n}\n", "JSON"), { code: 3, comment: 0, blank: 0 });
+});
+
+test("detects languages by name, then by the #! line", () => {
+  const cases = [
+    ["index.tsx", "", "TypeScript"],
+    ["Dockerfile.prod", "", "Dockerfile"],
+    ["Makefile", "", "Makefile"],
+    ["bin/tool", "#!/usr/bin/env node\n", "JavaScript"],
+    ["bin/tool", "#!/usr/bin/python3.12\n", "Python"],
+    ["bin/tool", "#!/usr/bin/env -S deno run --allow-net\n", "TypeScript"],
+    ["bin/tool", "#!/usr/bin/env FOO=1 bash\n", "Shell"],
+  ];
+  for (const [fileName, content, language] of cases) {
+    assert.equal(detectLanguage(fileName, content).name, language, `${fileName} ${content}`);
+  }
+  assert.equal(detectLanguage("notes.unknown", "text"), null);
+  assert.equal(detectLanguage("bin/tool", "#!/usr/bin/env unknown\n"), null);
+});
+
+test("totals lines per language and top-level directory, skipping large and binary files", async () => {
+  const progress = [];
+  const stats = await collectLanguageStats(buildTreeModel(rootPath), {
+    maxFileSize: 1000,
+    onProgress: (update) => progress.push(update),
+  });
+
+  assert.deepEqual(stats.byLanguage, [
+    { language: "JavaScript", files: 1, code: 2, comment: 3, blank: 2 },
+    { language: "Markdown", files: 1, code: 2, comment: 1, blank: 1 },
+    // The "#!" line is a comment, as in cloc
+    { language: "Python", files: 1, code: 1, comment: 2, blank: 0 },
+    { language: "Shell", files: 1, code: 1, comment: 1, blank: 0 },
+    { language: "TypeScript", files: 1, code: 1, comment: 0, blank: 0 },
+  ]);
+  assert.deepEqual(stats.total, { files: 5, code: 7, comment: 7, blank: 3 });
+  assert.deepEqual(stats.byDirectory.map(({ languages, ...counts }) => counts), [
+    { path: "scripts", files: 2, code: 2, comment: 3, blank: 0 },
+    { path: "src", files: 2, code: 3, comment: 3, blank: 2 },
+  ]);
+  assert.deepEqual(
+    stats.byDirectory[1].languages.map((entry) => entry.language),
+    ["JavaScript", "TypeScript"]
+  );
+  assert.equal(stats.skippedFiles, 1);
+  assert.deepEqual(progress[progress.length - 1], { files: 8, total: 8 });
+
+  const nested = await collectLanguageStats(buildTreeModel(rootPath), { directoryDepth: 2 });
+  assert.deepEqual(nested.byDirectory.map((entry) => entry.path), ["scripts", "src", "src/lib"]);
+  assert.equal(nested.skippedFiles, 0);
+
+  await assert.rejects(
+    collectLanguageStats(buildTreeModel(rootPath), { signal: AbortSignal.abort() }),
+    { name: "AbortError" }
+  );
+});
+
+test("renders a cloc-like table", async () => {
+  const stats = await collectLanguageStats(buildTreeModel(rootPath), { maxFileSize: 1000 });
+  const lines = formatLanguageReport(stats);
+  assert.deepEqual(lines.slice(0, 3), [
+    "Language      Files      Blank    Comment       Code",
+    "-".repeat(52),
+    "JavaScript        1          2          3          2",
+  ]);
+  assert.ok(lines.includes("Total             5          3          7          7"));
+  assert.ok(lines.includes("src/              2          2          3          3"));
+  assert.equal(lines[lines.length - 1], "1 file was too large or unreadable and not counted");
+
+  assert.deepEqual(
+    formatLanguageReport({ byLanguage: [], byDirectory: [], total: {}, skippedFiles: 0 }),
+    ["No source files in a known language"]
+  );
+});
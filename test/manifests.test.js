@@ -0,0 +1,292 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { buildTreeModel } from "../src/treeModel.js";
+import {
+  analyzeManifests,
+  parseManifest,
+  manifestEcosystem,
+  describeManifest,
+  formatManifestReport,
+} from "../src/manifests.js";
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-manifests-"));
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+/**
+ * Write files under a new directory of the work path
+ */
+function createTree(name, files) {
+  const rootPath = path.join(workPath, name);
+  for (const [fileName, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(rootPath, fileName)), { recursive: true });
+    fs.writeFileSync(path.join(rootPath, fileName), content);
+  }
+  return rootPath;
+}
+
+test("recognizes manifests by file name", () => {
+  const expected = {
+    "package.json": "npm",
+    "requirements.txt": "pip",
+    "requirements-dev.txt": "pip",
+    "test_requirements.txt": "pip",
+    "pyproject.toml": "python",
+    "go.mod": "go",
+    "Cargo.toml": "cargo",
+    "pom.xml": "maven",
+    Gemfile: "bundler",
+    "package-lock.json": null,
+    "requirements.md": null,
+  };
+  for (const [fileName, ecosystem] of Object.entries(expected)) {
+    assert.equal(manifestEcosystem(fileName), ecosystem, fileName);
+  }
+  assert.throws(() => parseManifest("setup.py", ""), { message: "Not a known manifest: setup.py" });
+});
+
+test("parses npm, pip and pyproject manifests", () => {
+  const npm = parseManifest("package.json", JSON.stringify({
+    name: "app",
+    version: "1.2.0",
+    main: "./dist/index.js",
+    exports: { ".": "./dist/index.js" },
+    bin: { app: "bin/app.js" },
+    dependencies: { express: "^4.19.0" },
+    optionalDependencies: { fsevents: "^2.3.0" },
+    devDependencies: { typescript: "~5.4.0", broken: 5 },
+    engines: { node: ">=18" },
+    scripts: { test: "node --test" },
+    workspaces: { packages: ["packages/*"] },
+  }));
+  assert.deepEqual(npm, {
+    ecosystem: "npm",
+    name: "app",
+    version: "1.2.0",
+    dependencies: { express: "^4.19.0", fsevents: "^2.3.0" },
+    devDependencies: { typescript: "~5.4.0" },
+    engines: { node: ">=18" },
+    scripts: { test: "node --test" },
+    workspaces: ["packages/*"],
+    entryPoints: [{ file: "dist/index.js", via: "main" }, { file: "bin/app.js", via: "bin app" }],
+  });
+
+  const requirements = [
+    "# pinned for production",
+    "requests[socks]==2.31.0 ; python_version >= '3.8'",
+    "flask>=3.0 \\",
+    "  --hash=sha256:abc",
+    "-r base.txt",
+    "-e ./local",
+    "numpy",
+  ].join("\n");
+  assert.deepEqual(parseManifest("requirements.txt", requirements).dependencies, {
+    requests: "==2.31.0",
+    flask: ">=3.0",
+    numpy: "*",
+  });
+  assert.deepEqual(parseManifest("requirements-dev.txt", "pytest==8.0.0\n").devDependencies, { pytest: "==8.0.0" });
+
+  const pyproject = parseManifest("pyproject.toml", [
+    "[project]",
+    "name = \"service\"",
+    "version = \"0.3.0\"",
+    "requires-python = \">=3.10\"",
+    "dependencies = [\"fastapi>=0.110\", 'uvicorn[standard]']",
+    "",
+    "[project.optional-dependencies]",
+    "docs = [\"mkdocs\"]",
+    "postgres = [\"psycopg>=3\"]",
+    "",
+    "[project.scripts]",
+    "serve = \"service.main:run\"",
+    "",
+    "[dependency-groups]",
+    "test = [\"pytest>=8\"]",
+    "",
+    "[tool.uv.workspace]",
+    "members = [\"libs/*\"]",
+  ].join("\n"));
+  assert.deepEqual(
+    [pyproject.name, pyproject.version, pyproject.engines, pyproject.scripts, pyproject.workspaces],
+    ["service", "0.3.0", { python: ">=3.10" }, { serve: "service.main:run" }, ["libs/*"]]
+  );
+  assert.deepEqual(pyproject.dependencies, { fastapi: ">=0.110", uvicorn: "*", psycopg: ">=3" });
+  assert.deepEqual(pyproject.devDependencies, { mkdocs: "*", pytest: ">=8" });
+
+  const poetry = parseManifest("pyproject.toml", [
+    "[tool.poetry]",
+    "name = 'legacy'",
+    "[tool.poetry.dependencies]",
+    "python = \"^3.9\"",
+    "django = { version = \"^5.0\", extras = [\"argon2\"] }",
+    "shared = { path = \"../shared\" }",
+    "[tool.poetry.group.dev.dependencies]",
+    "black = \"*\"",
+  ].join("\n"));
+  assert.deepEqual(
+    [poetry.name, poetry.engines, poetry.dependencies, poetry.devDependencies],
+    ["legacy", { python: "^3.9" }, { django: "^5.0", shared: "path:../shared" }, { black: "*" }]
+  );
+});
+
+test("parses Cargo, Go, Maven and Bundler manifests", () => {
+  const cargo = parseManifest("Cargo.toml", [
+    "[package]",
+    "name = \"tool\"",
+    "version = \"0.1.0\"",
+    "rust-version = \"1.75\"",
+    "",
+    "[dependencies]",
+    "serde = { version = \"1\", features = [\"derive\"] }",
+    "local = { path = \"../local\" }",
+    "",
+    "[target.'cfg(windows)'.dependencies]",
+    "winapi = \"0.3\"",
+    "",
+    "[dev-dependencies]",
+    "criterion = \"0.5\"",
+    "",
+    "[[bin]]",
+    "name = \"tool-cli\"",
+  ].join("\n"));
+  assert.deepEqual(
+    [cargo.name, cargo.engines, cargo.dependencies, cargo.devDependencies, cargo.entryPoints],
+    [
+      "tool",
+      { rust: "1.75" },
+      { serde: "1", local: "path:../local", winapi: "0.3" },
+      { criterion: "0.5" },
+      [{ file: "src/bin/tool-cli.rs", via: "bin tool-cli" }],
+    ]
+  );
+
+  const go = parseManifest("go.mod", [
+    "module example.com/service",
+    "",
+    "go 1.22",
+    "toolchain go1.22.3",
+    "",
+    "require github.com/spf13/cobra v1.8.0",
+    "require (",
+    "\tgolang.org/x/sys v0.20.0 // indirect",
+    ")",
+  ].join("\n"));
+  assert.deepEqual(
+    [go.name, go.engines, go.dependencies],
+    [
+      "example.com/service",
+      { go: "1.22", toolchain: "go1.22.3" },
+      { "github.com/spf13/cobra": "v1.8.0", "golang.org/x/sys": "v0.20.0 (indirect)" },
+    ]
+  );
+
+  const pom = parseManifest("pom.xml", `<project>
+  <parent><artifactId>parent</artifactId><version>9</version></parent>
+  <artifactId>api</artifactId>
+  <version>2.0.0</version>
+  <properties>
+    <maven.compiler.release>21</maven.compiler.release>
+    <junit.version>5.10.2</junit.version>
+  </properties>
+  <modules><module>core</module><module>web</module></modules>
+  <dependencies>
+    <!-- <dependency><groupId>commented</groupId><artifactId>out</artifactId></dependency> -->
+    <dependency><groupId>org.slf4j</groupId><artifactId>slf4j-api</artifactId></dependency>
+    <dependency>
+      <groupId>org.junit.jupiter</groupId>
+      <artifactId>junit-jupiter</artifactId>
+      <version>\${junit.version}</version>
+      <scope>test</scope>
+    </dependency>
+  </dependencies>
+</project>`);
+  assert.deepEqual(
+    [pom.name, pom.version, pom.engines, pom.workspaces, pom.dependencies, pom.devDependencies],
+    [
+      "api",
+      "2.0.0",
+      { java: "21" },
+      ["core", "web"],
+      { "org.slf4j:slf4j-api": "*" },
+      { "org.junit.jupiter:junit-jupiter": "5.10.2" },
+    ]
+  );
+
+  const gemfile = parseManifest("Gemfile", [
+    "source \"https://rubygems.org\"",
+    "ruby \"3.3.0\"",
+    "gem \"rails\", \"~> 7.1\", \">= 7.1.3\"",
+    "gem \"rubocop\", group: :development",
+    "group :development, :test do",
+    "  gem \"rspec\"",
+    "  platforms :mri do",
+    "    gem \"debug\"",
+    "  end",
+    "end",
+    "gem \"puma\" # web server",
+  ].join("\n"));
+  assert.deepEqual(
+    [gemfile.engines, gemfile.dependencies, gemfile.devDependencies],
+    [
+      { ruby: "3.3.0" },
+      { rails: "~> 7.1, >= 7.1.3", puma: "*" },
+      { rubocop: "*", rspec: "*", debug: "*" },
+    ]
+  );
+});
+
+test("finds every manifest with its lockfile and lists the ones without", async () => {
+  const rootPath = createTree("monorepo", {
+    "package.json": JSON.stringify({ name: "root", private: true, workspaces: ["packages/*"], devDependencies: { eslint: "^9.0.0" } }),
+    "package-lock.json": "{}",
+    "packages/app/package.json": JSON.stringify({ name: "app", version: "1.0.0", dependencies: { react: "^18.0.0" } }),
+    "services/api/requirements.txt": "flask==3.0.3\n",
+    "services/worker/requirements.txt": "celery>=5\n",
+    "tools/go.mod": "module example.com/tools\n\nrequire github.com/spf13/cobra v1.8.0\n",
+    "tools/empty/go.mod": "module example.com/empty\n",
+    "crates/broken/Cargo.toml": "[package\nname = \"broken\"\n",
+  });
+
+  const analysis = await analyzeManifests(buildTreeModel(rootPath));
+  assert.deepEqual(
+    analysis.manifests.map((manifest) => [manifest.path, manifest.directory, manifest.ecosystem, manifest.lockfile]),
+    [
+      ["package.json", ".", "npm", "package-lock.json"],
+      ["tools/go.mod", "tools", "go", null],
+      ["crates/broken/Cargo.toml", "crates/broken", "cargo", null],
+      ["packages/app/package.json", "packages/app", "npm", "package-lock.json"],
+      ["services/api/requirements.txt", "services/api", "pip", "services/api/requirements.txt"],
+      ["services/worker/requirements.txt", "services/worker", "pip", null],
+      ["tools/empty/go.mod", "tools/empty", "go", null],
+    ]
+  );
+  // Manifests without dependencies and unparsable ones need no lockfile
+  assert.deepEqual(analysis.missingLockfiles, ["tools/go.mod", "services/worker/requirements.txt"]);
+  const broken = analysis.manifests.find((manifest) => manifest.ecosystem === "cargo");
+  assert.match(broken.error, /^Invalid TOML on line 1: /);
+  assert.deepEqual(broken.dependencies, {});
+
+  assert.equal(describeManifest(analysis.manifests[0]), "npm, root");
+  assert.equal(describeManifest(analysis.manifests[3]), "npm, app@1.0.0");
+  assert.equal(describeManifest(broken), "cargo");
+  const report = formatManifestReport(analysis);
+  assert.deepEqual(report.slice(0, 6), [
+    "- package.json (npm, root)",
+    "  Lockfile: package-lock.json",
+    "  Workspaces: packages/*",
+    "  Dev dependencies (1):",
+    "    eslint ^9.0.0",
+    "- tools/go.mod (go, example.com/tools)",
+  ]);
+  assert.ok(report.includes(`  Error: ${broken.error}`));
+  assert.deepEqual(report.slice(-3), [
+    "Manifests without a lockfile:",
+    "- tools/go.mod",
+    "- services/worker/requirements.txt",
+  ]);
+  assert.deepEqual(formatManifestReport({ manifests: [], missingLockfiles: [] }), ["No dependency manifests found"]);
+});
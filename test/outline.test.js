@@ -0,0 +1,222 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { buildTreeModel } from "../src/treeModel.js";
+import { extractOutline, collectOutlines, formatOutlineLines } from "../src/outline.js";
+import { loadSchema, validateSchema } from "./helpers/validateSchema.js";
+
+const CLI_PATH = fileURLToPath(new URL("../index.js", import.meta.url));
+const schema = loadSchema("output-v1.schema.json");
+
+const TYPESCRIPT = `/**
+ * Analyze a source
+ * and more
+ */
+export async function sketch(source, options = {}) {
+  return 1;
+}
+
+// Config loader
+export class Loader extends Base {
+  /** Load it */
+  async load(path) {
+    if (ready) {
+    }
+  }
+  static create() {}
+}
+
+export const helper = (a, b) => a + b;
+const internal = 1;
+export interface Options {
+  depth: number;
+}
+export type Id = string;
+`;
+
+const PYTHON = `"""Module doc."""
+import os
+
+class Repo(Base):
+    """A repository."""
+
+    def __init__(self, path):
+        self.path = path
+
+    async def fetch(self,
+                    ref="main"):
+        pass
+
+def main(argv=None) -> int:
+    text = """
+def not_a_function():
+    """
+    return 0
+`;
+
+const GO = `package main
+
+// Server serves requests.
+type Server struct {
+	addr string
+}
+
+// Start starts it.
+func (s *Server) Start(ctx context.Context) error {
+	return nil
+}
+
+func main() {
+}
+`;
+
+const JAVA = `package app;
+
+/** The app. */
+public class App {
+  private int count;
+  /** Run it. */
+  public static void main(String[] args) {
+  }
+  private void hidden() {
+  }
+}
+`;
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-outline-"));
+const rootPath = path.join(workPath, "demo");
+const files = {
+  "src/sketch.ts": TYPESCRIPT,
+  "src/empty.js": "// nothing declared\n",
+  "tools/repo.py": PYTHON,
+  "server/main.go": GO,
+  "App.java": JAVA,
+  "README.md": "# Demo\n",
+};
+for (const [fileName, content] of Object.entries(files)) {
+  fs.mkdirSync(path.dirname(path.join(rootPath, fileName)), { recursive: true });
+  fs.writeFileSync(path.join(rootPath, fileName), content);
+}
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+/**
+ * Run the CLI from the work directory with no config or REPOSKETCH_* variables
+ */
+function run(args) {
+  const env = Object.fromEntries(
+    Object.entries(process.env).filter(([name]) => !name.startsWith("REPOSKETCH_"))
+  );
+  return spawnSync(process.execPath, [CLI_PATH, ...args], { cwd: workPath, env, encoding: "utf8", timeout: 60000 });
+}
+
+/**
+ * Kind, name, signature, doc and line of each symbol, members nested
+ */
+function summarize(symbols) {
+  return symbols.map((entry) => [
+    entry.kind,
+    entry.name,
+    entry.signature,
+    entry.doc,
+    entry.line,
+    ...(entry.members.length > 0 ? [summarize(entry.members)] : []),
+  ]);
+}
+
+test("outlines JavaScript and TypeScript declarations with their doc comments", () => {
+  assert.deepEqual(summarize(extractOutline(TYPESCRIPT, "TypeScript")), [
+    ["function", "sketch", "export async function sketch(source, options = {})", "Analyze a source", 5],
+    ["class", "Loader", "export class Loader extends Base", "Config loader", 10, [
+      ["method", "load", "async load(path)", "Load it", 12],
+      ["method", "create", "static create()", null, 16],
+    ]],
+    ["function", "helper", "export const helper = (a, b) =>", null, 19],
+    ["interface", "Options", "export interface Options", null, 21],
+    ["type", "Id", "export type Id = string", null, 24],
+  ]);
+  assert.equal(extractOutline("puts 1\n", "Ruby"), null);
+});
+
+test("outlines Python, Go and Java", () => {
+  // Multi-line signatures are joined, string contents are not declarations
+  assert.deepEqual(summarize(extractOutline(PYTHON, "Python")), [
+    ["class", "Repo", "class Repo(Base)", "A repository.", 4, [
+      ["constructor", "__init__", "def __init__(self, path)", null, 7],
+      ["method", "fetch", "async def fetch(self, ref=\"main\")", null, 10],
+    ]],
+    ["function", "main", "def main(argv=None) -> int", null, 14],
+  ]);
+  // Only exported Go names
+  assert.deepEqual(summarize(extractOutline(GO, "Go")), [
+    ["struct", "Server", "type Server struct", "Server serves requests.", 4],
+    ["method", "Server.Start", "func (s *Server) Start(ctx context.Context) error", "Start starts it.", 9],
+  ]);
+  assert.deepEqual(summarize(extractOutline(JAVA, "Java")), [
+    ["class", "App", "public class App", "The app.", 4, [
+      ["method", "main", "public static void main(String[] args)", "Run it.", 7],
+    ]],
+  ]);
+});
+
+test("collects the outline of every supported file in tree order", async () => {
+  const progress = [];
+  const outline = await collectOutlines(buildTreeModel(rootPath), {
+    onProgress: (update) => progress.push(update),
+  });
+  // Files without symbols are left out
+  assert.deepEqual(
+    outline.files.map((file) => [file.path, file.language, file.symbols.length]),
+    [
+      ["server/main.go", "Go", 2],
+      ["src/sketch.ts", "TypeScript", 5],
+      ["tools/repo.py", "Python", 2],
+      ["App.java", "Java", 1],
+    ]
+  );
+  assert.equal(outline.skippedFiles, 0);
+  assert.deepEqual(progress[progress.length - 1], { files: 5, total: 5 });
+
+  const small = await collectOutlines(buildTreeModel(rootPath), { maxFileSize: 200 });
+  assert.deepEqual(small.files.map((file) => file.path), ["server/main.go", "App.java"]);
+  assert.equal(small.skippedFiles, 2);
+  await assert.rejects(
+    collectOutlines(buildTreeModel(rootPath), { signal: AbortSignal.abort() }),
+    { name: "AbortError" }
+  );
+
+  assert.deepEqual(formatOutlineLines(extractOutline(JAVA, "Java")), [
+    "  public class App — The app.",
+    "    public static void main(String[] args) — Run it.",
+  ]);
+});
+
+test("the CLI writes the outline as JSON that follows the schema, or under each file", () => {
+  const outputPath = path.join(workPath, "outline.json");
+  const result = run(["outline", "demo", "--format", "json", "-o", outputPath, "--quiet"]);
+  assert.equal(result.status, 0, result.stderr);
+
+  const report = JSON.parse(fs.readFileSync(outputPath, "utf8"));
+  assert.deepEqual(validateSchema(report, schema), []);
+  assert.equal(report.kind, "outline");
+  assert.deepEqual(report.outline.files.map((file) => file.path), [
+    "server/main.go",
+    "src/sketch.ts",
+    "tools/repo.py",
+    "App.java",
+  ]);
+  assert.equal(report.outline.files[3].symbols[0].members[0].signature, "public static void main(String[] args)");
+
+  const textPath = path.join(workPath, "outline.txt");
+  const text = run(["outline", "demo", "-o", textPath, "--quiet"]);
+  assert.equal(text.status, 0, text.stderr);
+  const lines = fs.readFileSync(textPath, "utf8").split("\n");
+  const java = lines.findIndex((line) => line.endsWith("App.java"));
+  assert.ok(java > 0);
+  assert.match(lines[java + 1], /public class App — The app\.$/);
+  assert.match(lines[java + 2], /  public static void main\(String\[\] args\) — Run it\.$/);
+});
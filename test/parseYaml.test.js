@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseYaml } from "../src/parseYaml.js";
+
+test("reads mappings, sequences and flow collections", () => {
+  const text = [
+    "# Repositories to compare",
+    "defaults:",
+    "  depth: 1",
+    "  exclude: [node_modules, 'dist', \"build\"]",
+    "  hidden: false",
+    "repositories:",
+    "- https://github.com/team/api",
+    "- source: https://github.com/team/web  # trailing comment",
+    "  branch: release/2.0",
+    "  sparse:",
+    "    - packages/app",
+    "    - docs",
+    "  options: {history: true, staleDays: 90}",
+    "- name: \"with # hash\"",
+    "  source: ./local",
+    "  empty:",
+    "",
+  ].join("\n");
+
+  assert.deepEqual(parseYaml(text), {
+    defaults: { depth: 1, exclude: ["node_modules", "dist", "build"], hidden: false },
+    repositories: [
+      "https://github.com/team/api",
+      {
+        source: "https://github.com/team/web",
+        branch: "release/2.0",
+        sparse: ["packages/app", "docs"],
+        options: { history: true, staleDays: 90 },
+      },
+      { name: "with # hash", source: "./local", empty: null },
+    ],
+  });
+});
+
+test("reads scalars as YAML types", () => {
+  assert.deepEqual(
+    parseYaml("- 42\n- -7\n- 1.5\n- 1e3\n- true\n- False\n- ~\n- null\n- '007'\n- it's\n- 'it''s'\n- \"tab\\there\""),
+    [42, -7, 1.5, 1000, true, false, null, null, "007", "it's", "it's", "tab\there"]
+  );
+  assert.equal(parseYaml(""), null);
+  assert.equal(parseYaml("# only a comment\n---\n"), null);
+  assert.deepEqual(parseYaml("---\nkey: value\n...\nignored: after the end"), { key: "value" });
+  assert.deepEqual(parseYaml("﻿key: value\r\nother: 1\r\n"), { key: "value", other: 1 });
+});
+
+test("reports unsupported or malformed YAML with its line", () => {
+  const cases = [
+    ["a: 1\n\tb: 2", /^YAML line 2: tabs are not allowed in indentation$/],
+    ["a: 1\n---\nb: 2", /^YAML line 2: multiple documents are not supported$/],
+    ["base: &base\n  depth: 1", /^YAML line 1: unsupported YAML feature: &base$/],
+    ["copy: *base", /^YAML line 1: unsupported YAML feature: \*base$/],
+    ["text: |\n  line", /^YAML line 1: unsupported YAML feature: \|$/],
+    ["tag: !!str 1", /^YAML line 1: unsupported YAML feature: !!str 1$/],
+    ["a: 1\na: 2", /^YAML line 2: duplicate key a$/],
+    ["a: 1\n  b: 2", /^YAML line 2: unexpected indentation$/],
+    ["a: 1\njust text", /^YAML line 2: expected "key: value", got just text$/],
+    ["- a\nb: 1", /^YAML line 2: unexpected b: 1$/],
+    ["list: [a, b", /^YAML line 1: invalid flow collection \[a, b$/],
+    ["map: {a 1}", /^YAML line 1: invalid flow collection \{a 1\}$/],
+    ['name: "unterminated', /^YAML line 1: invalid double-quoted string "unterminated$/],
+    ["name: 'it's'", /^YAML line 1: invalid single-quoted string 'it's'$/],
+  ];
+  for (const [text, message] of cases) {
+    assert.throws(() => parseYaml(text), { message }, JSON.stringify(text));
+  }
+});
@@ -0,0 +1,161 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { buildTreeModel, walkTreeModel } from "../src/treeModel.js";
+import { analyzeManifests } from "../src/manifests.js";
+import { createProfileCollector, profileRows, formatProfileReport } from "../src/projectProfile.js";
+
+const MIT = [
+  "MIT License",
+  "",
+  "Copyright (c) 2024 Example",
+  "",
+  "Permission is hereby granted, free of charge, to any person obtaining a copy",
+  "of this software and associated documentation files (the \"Software\"), to deal",
+].join("\n");
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-profile-"));
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+/**
+ * Write files under a new directory of the work path
+ */
+function createTree(name, files) {
+  const rootPath = path.join(workPath, name);
+  for (const [fileName, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(rootPath, fileName)), { recursive: true });
+    fs.writeFileSync(path.join(rootPath, fileName), content);
+  }
+  return rootPath;
+}
+
+/**
+ * Profile a directory the way the summary does, without hidden entries
+ */
+async function profileOf(rootPath) {
+  const model = buildTreeModel(rootPath);
+  const collector = createProfileCollector(model.path);
+  for (const node of walkTreeModel(model)) {
+    if (node.type === "file") collector.addFile(node);
+  }
+  return collector.finish(await analyzeManifests(model));
+}
+
+test("detects tools from files and dependencies, with the evidence for each", async () => {
+  const services = Object.fromEntries(
+    ["a", "b", "c", "d", "e", "f", "g"].map((name) => [`services/${name}/Dockerfile`, "FROM node:20\n"])
+  );
+  const rootPath = createTree("web", {
+    "package.json": JSON.stringify({
+      name: "web",
+      main: "dist/index.js",
+      bin: { web: "bin/web.js" },
+      dependencies: { react: "^18.3.0", "@remix-run/node": "^2.0.0" },
+      devDependencies: { vite: "^5.0.0", "@testing-library/react": "^15.0.0" },
+    }),
+    "vite.config.ts": "export default {};\n",
+    "bin/web.js": "#!/usr/bin/env node\n",
+    "src/index.tsx": "export {};\n",
+    "infra/main.tf": "terraform {}\n",
+    "LICENSE": MIT,
+    ".github/workflows/ci.yml": "on: push\n",
+    ".gitlab-ci.yml": "test: {}\n",
+    ...services,
+  });
+
+  const profile = await profileOf(rootPath);
+  const names = (category) => profile[category].map((detection) => detection.name);
+  assert.deepEqual(names("frameworks"), ["React", "Remix"]);
+  assert.deepEqual(names("buildTools"), ["Vite"]);
+  assert.deepEqual(names("testFrameworks"), ["Testing Library"]);
+  // Hidden CI configuration is found even though the walk skipped it
+  assert.deepEqual(names("ci"), ["GitHub Actions", "GitLab CI"]);
+  assert.deepEqual(names("infrastructure"), ["Terraform"]);
+
+  const vite = profile.buildTools[0];
+  assert.deepEqual(vite, {
+    name: "Vite",
+    evidence: ["vite.config.ts", "package.json: dev dependency vite ^5.0.0"],
+    omittedEvidence: 0,
+  });
+  const [docker] = profile.containers;
+  assert.equal(docker.evidence.length, 5);
+  assert.equal(docker.omittedEvidence, 2);
+
+  assert.deepEqual(profile.licenses, [
+    { id: "MIT", path: "LICENSE", evidence: ["LICENSE: matches the MIT license text"] },
+  ]);
+  // Declared entry points come first, then conventional names
+  assert.deepEqual(profile.entryPoints, [
+    { path: "bin/web.js", evidence: ["conventional entry point name", "package.json: bin web"] },
+    { path: "dist/index.js", evidence: ["package.json: main (not in the tree, probably built)"] },
+    { path: "src/index.tsx", evidence: ["conventional entry point name"] },
+  ]);
+});
+
+test("reads licenses and Python entry points", async () => {
+  const rootPath = createTree("service", {
+    "pyproject.toml": [
+      "[project]",
+      "name = \"service\"",
+      "dependencies = [\"fastapi\"]",
+      "[project.optional-dependencies]",
+      "test = [\"pytest\"]",
+      "[project.scripts]",
+      "serve = \"service.cli:main\"",
+    ].join("\n"),
+    "src/service/__init__.py": "",
+    "src/service/cli.py": "def main(): pass\n",
+    "LICENSE-APACHE": "Apache License\nVersion 2.0, January 2004\n",
+    "COPYING": "// SPDX-License-Identifier: GPL-2.0-only OR MIT\n",
+    "LICENSE.txt": "All rights reserved.\n",
+    "docs/LICENSE": MIT,
+  });
+
+  const profile = await profileOf(rootPath);
+  assert.deepEqual(profile.frameworks.map((detection) => detection.name), ["FastAPI"]);
+  assert.deepEqual(profile.testFrameworks[0].evidence, ["pyproject.toml: dev dependency pytest *"]);
+  // License files at the root only
+  assert.deepEqual(
+    profile.licenses.map((license) => [license.path, license.id]),
+    [["COPYING", "GPL-2.0-only OR MIT"], ["LICENSE-APACHE", "Apache-2.0"], ["LICENSE.txt", null]]
+  );
+  assert.deepEqual(profile.licenses[2].evidence, ["LICENSE.txt: text not recognized"]);
+  assert.deepEqual(profile.entryPoints, [
+    { path: "src/service/cli.py", evidence: ["pyproject.toml: script serve"] },
+  ]);
+});
+
+test("reports every category, with the evidence behind each detection", async () => {
+  const rootPath = createTree("tool", {
+    "go.mod": "module example.com/tool\n\nrequire github.com/gin-gonic/gin v1.10.0\n",
+    "main.go": "package main\n",
+  });
+  const profile = await profileOf(rootPath);
+  assert.deepEqual(
+    profileRows(profile).map((row) => [row.category, row.name]),
+    [
+      ["Frameworks", "Gin"],
+      ["Build tools", "Go modules"],
+      ["Entry points", "main.go"],
+    ]
+  );
+  assert.deepEqual(formatProfileReport(profile), [
+    "- Frameworks: Gin",
+    "- Build tools: Go modules",
+    "- Test frameworks: none detected",
+    "- CI: none detected",
+    "- Containers: none detected",
+    "- Infrastructure as code: none detected",
+    "- License: none detected",
+    "- Entry points: main.go",
+    "",
+    "Evidence:",
+    "- Gin: go.mod: dependency github.com/gin-gonic/gin v1.10.0",
+    "- Go modules: go.mod",
+    "- main.go: conventional entry point name",
+  ]);
+});
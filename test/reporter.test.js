@@ -0,0 +1,151 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createReporter, describeProgress } from "../src/reporter.js";
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-reporter-"));
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+/**
+ * A stream that records what is written to it, without colors
+ */
+function captureStream({ isTTY = false } = {}) {
+  return {
+    isTTY,
+    columns: 60,
+    text: "",
+    write(chunk) {
+      this.text += String(chunk).replace(/\u001b\[\d+m/g, "");
+    },
+    cursorTo() {
+      this.text += "<cursor>";
+    },
+    clearLine() {
+      this.text += "<clear>";
+    },
+  };
+}
+
+/**
+ * Send one message of every level through a reporter
+ */
+function sendMessages(reporter) {
+  reporter.error("broken");
+  reporter.success("done");
+  reporter.info("working");
+  reporter.debug("details");
+}
+
+test("prints messages according to the level", () => {
+  const expected = {
+    silent: ["", ""],
+    quiet: ["", "broken\n"],
+    normal: ["done\nworking\n", "broken\n"],
+    verbose: ["done\nworking\n", "broken\ndetails\n"],
+  };
+  for (const [level, [out, err]] of Object.entries(expected)) {
+    const stdout = captureStream();
+    const stderr = captureStream();
+    const events = [];
+    const reporter = createReporter({ level, stdout, stderr, onEvent: (event) => events.push(event) });
+    sendMessages(reporter);
+    reporter.close();
+    assert.deepEqual([stdout.text, stderr.text], [out, err], level);
+    // Every message reaches onEvent whatever the level
+    assert.deepEqual(events.map((event) => event.level), ["error", "success", "info", "debug"], level);
+  }
+
+  assert.throws(() => createReporter({ level: "loud" }), {
+    message: "Unknown log level: loud (expected silent, quiet, normal, verbose)",
+  });
+  assert.throws(() => createReporter({ logFormat: "xml" }), {
+    message: "Unknown log format: xml (expected text, json)",
+  });
+});
+
+test("logs every message and the start and end of each phase to the log file", () => {
+  const textLog = path.join(workPath, "run.log");
+  const jsonLog = path.join(workPath, "run.jsonl");
+  for (const [logFile, logFormat] of [[textLog, "text"], [jsonLog, "json"]]) {
+    const reporter = createReporter({ level: "silent", logFile, logFormat });
+    reporter.info("Starting");
+    for (let i = 1; i <= 3; i++) {
+      reporter.progress({ phase: "scan", directoriesScanned: i, entriesScanned: i * 10 });
+    }
+    reporter.progress({ phase: "read", filesProcessed: 1, filesTotal: 2 });
+    reporter.error("Failed");
+    reporter.close();
+  }
+
+  const lines = fs.readFileSync(textLog, "utf8").trimEnd().split("\n");
+  assert.deepEqual(
+    lines.map((line) => line.replace(/^\S+ /, "")),
+    [
+      "info    Starting",
+      "debug   Scanning: 1 directories, 10 entries",
+      "debug   Scanning: 3 directories, 30 entries",
+      "debug   Reading: 1/2 files",
+      "debug   Reading: 1/2 files",
+      "error   Failed",
+    ]
+  );
+  assert.ok(lines.every((line) => !Number.isNaN(Date.parse(line.split(" ")[0]))));
+
+  const events = fs.readFileSync(jsonLog, "utf8").trimEnd().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(
+    events.map(({ time, ...event }) => event),
+    [
+      { level: "info", type: "message", message: "Starting" },
+      { level: "debug", type: "progress", phase: "scan", directoriesScanned: 1, entriesScanned: 10 },
+      { level: "debug", type: "progress", phase: "scan", directoriesScanned: 3, entriesScanned: 30 },
+      { level: "debug", type: "progress", phase: "read", filesProcessed: 1, filesTotal: 2 },
+      { level: "debug", type: "progress", phase: "read", filesProcessed: 1, filesTotal: 2 },
+      { level: "error", type: "message", message: "Failed" },
+    ]
+  );
+});
+
+test("draws the progress bar on terminals only and clears it before messages", () => {
+  const terminal = captureStream({ isTTY: true });
+  const stdout = captureStream();
+  const reporter = createReporter({ progressBar: true, stdout, stderr: terminal });
+  reporter.progress({ phase: "read", filesProcessed: 1, filesTotal: 4 });
+  reporter.info("halfway");
+  reporter.close();
+  assert.equal(
+    terminal.text,
+    "<cursor><clear>[######------------------] Reading: 1/4 files<cursor><clear>"
+  );
+  assert.equal(stdout.text, "halfway\n");
+
+  // Not on a pipe, and not when only errors are wanted
+  for (const [stderr, level] of [[captureStream(), "normal"], [captureStream({ isTTY: true }), "quiet"]]) {
+    const quiet = createReporter({ progressBar: true, level, stdout, stderr });
+    quiet.progress({ phase: "scan", directoriesScanned: 1, entriesScanned: 1 });
+    quiet.close();
+    assert.equal(stderr.text, "", level);
+  }
+
+  // Verbose runs print where each phase ended
+  const stderr = captureStream();
+  const verbose = createReporter({ level: "verbose", stdout, stderr });
+  verbose.progress({ phase: "clone", step: "Receiving objects", percent: 40 });
+  verbose.progress({ phase: "clone", step: "Receiving objects", percent: 100 });
+  verbose.progress({ phase: "history", commitsRead: 12 });
+  verbose.close();
+  assert.equal(stderr.text, "Cloning: receiving objects 100%\nReading history: 12 commits\n");
+});
+
+test("describes every progress phase", () => {
+  assert.equal(describeProgress({ phase: "count", filesProcessed: 3, filesTotal: 9 }), "Counting lines: 3/9 files");
+  assert.equal(describeProgress({ phase: "imports", filesProcessed: 1, filesTotal: 2 }), "Parsing imports: 1/2 files");
+  assert.equal(describeProgress({ phase: "outline", filesProcessed: 0, filesTotal: 5 }), "Outlining: 0/5 files");
+  assert.equal(
+    describeProgress({ phase: "write", filesProcessed: 2, filesTotal: 3, bytesWritten: 2048 }),
+    "Writing: 2/3 files, 2.00 KB"
+  );
+  assert.equal(describeProgress({ phase: "write", bytesWritten: 512 }), "Writing: 512.00 B");
+});
@@ -0,0 +1,136 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import { execFileSync } from "node:child_process";
+import { pathToFileURL } from "node:url";
+import { resolveSource, resolveLocalSource, isLocalSource, isPathLike } from "../src/resolveSource.js";
+import { isGitInstalled } from "../src/git.js";
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-source-"));
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+/**
+ * Build a one-file tar archive wrapped in a top-level folder
+ */
+function wrappedTar(folder, fileName, content) {
+  const header = Buffer.alloc(512);
+  header.write(`${folder}/${fileName}`, 0);
+  header.write(`${content.length.toString(8).padStart(11, "0")}\0`, 124);
+  header.write("0", 156);
+  const data = Buffer.alloc(Math.ceil(content.length / 512) * 512);
+  data.write(content);
+  return Buffer.concat([header, data, Buffer.alloc(1024)]);
+}
+
+test("tells paths from repository URLs", () => {
+  for (const source of ["nonexist", "./nonexist", "../up", "/abs/path", "~/code", "foo/bar", "C:\\repo"]) {
+    assert.equal(isPathLike(source), true, source);
+  }
+  for (const source of [
+    "https://github.com/user/repo",
+    "ssh://git@github.com/user/repo.git",
+    "git@github.com:user/repo.git",
+    "file:///tmp/repo",
+    "ext::sh -c id",
+  ]) {
+    assert.equal(isPathLike(source), false, source);
+  }
+});
+
+test("reports a missing plain path as a missing directory, not a bad URL", async () => {
+  const result = await resolveSource("nonexist-reposketch-test");
+  assert.equal(result.success, false);
+  assert.equal(
+    result.message,
+    `Failed to resolve source: Directory does not exist: ${path.resolve("nonexist-reposketch-test")}`
+  );
+});
+
+test("reports malformed file:// URLs as invalid file URLs", async () => {
+  assert.equal(isLocalSource("file:///tmp/%E0%A4%A"), false);
+
+  const malformed = await resolveSource("file:///tmp/%E0%A4%A");
+  assert.equal(malformed.success, false);
+  assert.equal(
+    malformed.message,
+    "Failed to resolve source: Invalid file URL: file:///tmp/%E0%A4%A (malformed percent-encoding)"
+  );
+
+  const remoteHost = await resolveSource("file://host/repo");
+  assert.equal(remoteHost.success, false);
+  assert.match(remoteHost.message, /^Failed to resolve source: Invalid file URL: file:\/\/host\/repo \(/);
+});
+
+test("still rejects hostile repository URLs before cloning", async () => {
+  const helper = await resolveSource("ext::git-upload-pack");
+  assert.equal(helper.success, false);
+  assert.match(helper.message, /remote helper/);
+
+  const injected = await resolveSource("git@github.com:user/repo;id");
+  assert.equal(injected.success, false);
+  assert.match(injected.message, /forbidden characters/);
+});
+
+test("resolves directories and file:// URLs in place", () => {
+  const directoryPath = path.join(workPath, "plain");
+  fs.mkdirSync(directoryPath);
+
+  for (const source of [directoryPath, pathToFileURL(directoryPath).href]) {
+    const resolved = resolveLocalSource(source);
+    assert.equal(resolved.success, true, resolved.message);
+    assert.equal(resolved.kind, "directory");
+    assert.equal(resolved.directoryPath, directoryPath);
+    assert.equal(resolved.temporary, false);
+    resolved.cleanup();
+    assert.ok(fs.existsSync(directoryPath));
+  }
+
+  const file = path.join(workPath, "notes.txt");
+  fs.writeFileSync(file, "notes\n");
+  const notArchive = resolveLocalSource(file);
+  assert.equal(notArchive.success, false);
+  assert.match(notArchive.message, /Path is not a directory or supported archive: /);
+});
+
+test("extracts archives into a temporary directory, unwrapping a single top folder", () => {
+  const archivePath = path.join(workPath, "project.tar.gz");
+  fs.writeFileSync(archivePath, zlib.gzipSync(wrappedTar("project-main", "README.md", "# Project\n")));
+
+  const resolved = resolveLocalSource(archivePath);
+  assert.equal(resolved.success, true, resolved.message);
+  assert.equal(resolved.kind, "archive");
+  assert.equal(resolved.origin, archivePath);
+  assert.equal(path.basename(resolved.directoryPath), "project-main");
+  assert.equal(fs.readFileSync(path.join(resolved.directoryPath, "README.md"), "utf8"), "# Project\n");
+
+  resolved.cleanup();
+  assert.ok(!fs.existsSync(resolved.directoryPath));
+});
+
+test("checks out the HEAD of a bare repository", { skip: !isGitInstalled() }, () => {
+  const git = (args, cwd) => execFileSync("git", args, { cwd, stdio: "ignore" });
+  const sourcePath = path.join(workPath, "work");
+  fs.mkdirSync(sourcePath);
+  git(["init", "--quiet", "--initial-branch=main"], sourcePath);
+  fs.writeFileSync(path.join(sourcePath, "index.js"), "export {};\n");
+  git(["add", "index.js"], sourcePath);
+  git(["-c", "user.name=Test", "-c", "user.email=test@example.com", "commit", "--quiet", "-m", "init"], sourcePath);
+  const barePath = path.join(workPath, "project.git");
+  git(["clone", "--quiet", "--bare", sourcePath, barePath], workPath);
+
+  const resolved = resolveLocalSource(barePath);
+  assert.equal(resolved.success, true, resolved.message);
+  assert.equal(resolved.kind, "bare");
+  assert.equal(path.basename(resolved.directoryPath), "project");
+  assert.ok(fs.existsSync(path.join(resolved.directoryPath, "index.js")));
+  assert.equal(resolved.git.branch, "main");
+  assert.equal(resolved.git.root, barePath);
+
+  resolved.cleanup();
+  assert.ok(!fs.existsSync(resolved.directoryPath));
+  assert.ok(fs.existsSync(barePath));
+});
@@ -0,0 +1,95 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { sketch, serializeReport, SCHEMA_VERSION } from "reposketch";
+import { loadSchema, validateSchema } from "./helpers/validateSchema.js";
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-sketch-"));
+const rootPath = path.join(workPath, "demo");
+fs.mkdirSync(path.join(rootPath, "src"), { recursive: true });
+fs.writeFileSync(path.join(rootPath, "package.json"), JSON.stringify({ name: "demo", main: "src/index.js" }));
+fs.writeFileSync(path.join(rootPath, "src", "index.js"), "export const answer = 42;\n");
+fs.writeFileSync(path.join(rootPath, "src", "config.js"), "const password = \"correct-horse-battery\";\n");
+fs.writeFileSync(path.join(rootPath, "README.md"), "# Demo\n");
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+test("analyzes a directory and returns the results without writing anything", async () => {
+  const phases = new Set();
+  const result = await sketch(rootPath, { onProgress: (progress) => phases.add(progress.phase) });
+  assert.equal(result.success, true, result.message);
+
+  assert.deepEqual(result.source, { kind: "directory", origin: rootPath, git: null });
+  assert.deepEqual(result.tree, [
+    "demo/",
+    "├── src/",
+    "│   ├── config.js",
+    "│   └── index.js",
+    "├── package.json",
+    "└── README.md",
+  ]);
+  assert.equal(result.stats.totalFiles, 4);
+  assert.deepEqual(result.languages.byLanguage.map((language) => language.language), ["JavaScript", "JSON", "Markdown"]);
+  assert.deepEqual(result.dependencies.manifests.map((manifest) => manifest.path), ["package.json"]);
+  assert.ok(result.profile.entryPoints.some((entry) => entry.path === "src/index.js"));
+  assert.equal(result.history, undefined);
+  assert.equal(result.summary, undefined);
+  assert.equal(result.contents, undefined);
+
+  assert.equal(result.report.schemaVersion, SCHEMA_VERSION);
+  assert.equal(result.report.kind, "summary");
+  assert.deepEqual(validateSchema(result.report, loadSchema("output-v1.schema.json")), []);
+  assert.equal(JSON.parse(serializeReport(result.report, "json")).root.name, "demo");
+
+  assert.ok(phases.has("scan") && phases.has("count"), [...phases].join(", "));
+  assert.deepEqual(fs.readdirSync(workPath), ["demo"]);
+});
+
+test("renders the summary and exports the contents on request, redacting secrets", async () => {
+  const result = await sketch(rootPath, {
+    summary: "markdown",
+    contents: { extensions: [".js"] },
+  });
+  assert.equal(result.success, true, result.message);
+  assert.match(result.summary, /^# /);
+
+  const { contents } = result;
+  assert.equal(contents.format, "text");
+  assert.equal(contents.chunks.length, 1);
+  // Files without a listed extension count as skipped
+  assert.deepEqual(contents.fileCount, { processed: 2, listed: 0, skipped: 2 });
+  const text = contents.chunks[0].content;
+  assert.match(text, /export const answer = 42;/);
+  assert.doesNotMatch(text, /correct-horse-battery/);
+  assert.match(text, /\[REDACTED:secret-assignment\]/);
+  assert.deepEqual(contents.redactions.map((finding) => [finding.path, finding.line, finding.rule]), [["src/config.js", 1, "secret-assignment"]]);
+
+  const bundle = await sketch(rootPath, { contents: { format: "xml" } });
+  assert.equal(bundle.success, true, bundle.message);
+  assert.equal(bundle.contents.format, "xml");
+  assert.deepEqual(bundle.contents.files.map((file) => file.path).sort(), ["README.md", "package.json", "src/config.js", "src/index.js"]);
+  assert.ok(bundle.contents.totalTokens > 0);
+});
+
+test("reports invalid input and cancellation as failures", async () => {
+  const empty = await sketch("");
+  assert.equal(empty.success, false);
+  assert.equal(empty.message, "Failed to sketch : Invalid source provided");
+
+  const format = await sketch(rootPath, { summary: "pdf" });
+  assert.equal(format.success, false);
+  assert.equal(
+    format.message,
+    `Failed to sketch ${rootPath}: Unsupported summary format: pdf (expected text, json, yaml, markdown, html)`
+  );
+
+  const missing = await sketch(path.join(workPath, "missing"));
+  assert.equal(missing.success, false);
+  assert.match(missing.message, /Directory does not exist/);
+
+  const cancelled = await sketch(rootPath, { signal: AbortSignal.abort() });
+  assert.equal(cancelled.success, false);
+  assert.equal(cancelled.error.name, "AbortError");
+});
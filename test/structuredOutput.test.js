@@ -0,0 +1,106 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { buildTreeModel } from "../src/treeModel.js";
+import {
+  SCHEMA_VERSION,
+  buildStructuredReport,
+  serializeReport,
+  iterateReport,
+  toYaml,
+} from "../src/structuredOutput.js";
+import { parseYaml } from "../src/parseYaml.js";
+import { loadSchema, validateSchema } from "./helpers/validateSchema.js";
+
+const CLI_PATH = fileURLToPath(new URL("../index.js", import.meta.url));
+const schema = loadSchema("output-v1.schema.json");
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-structured-"));
+const rootPath = path.join(workPath, "demo");
+fs.mkdirSync(path.join(rootPath, "src", "lib"), { recursive: true });
+fs.writeFileSync(path.join(rootPath, "package.json"), JSON.stringify({
+  name: "demo",
+  main: "src/index.js",
+  dependencies: { express: "^4.19.0" },
+}));
+fs.writeFileSync(path.join(rootPath, "src", "index.js"), "// entry\nimport { helper } from \"./lib/helper.js\";\n\nhelper();\n");
+fs.writeFileSync(path.join(rootPath, "src", "lib", "helper.js"), "export function helper() {}\n");
+fs.writeFileSync(path.join(rootPath, "notes: \"draft\" #1.md"), "# Notes\n");
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+/**
+ * Run the CLI from the work directory with no config or REPOSKETCH_* variables
+ */
+function run(args) {
+  const env = Object.fromEntries(
+    Object.entries(process.env).filter(([name]) => !name.startsWith("REPOSKETCH_"))
+  );
+  return spawnSync(process.execPath, [CLI_PATH, ...args], { cwd: workPath, env, encoding: "utf8", timeout: 60000 });
+}
+
+test("the tree report follows the schema and lists every entry depth-first", () => {
+  const report = buildStructuredReport(buildTreeModel(rootPath), { kind: "tree" });
+  assert.deepEqual(validateSchema(report, schema), []);
+  assert.deepEqual(
+    validateSchema({ ...report, kind: "list", entries: [{ path: "." }] }, schema).slice(0, 2),
+    ["$.kind: \"list\" is not one of tree, summary, outline", "$.entries[0]: missing type"]
+  );
+  assert.equal(report.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(report.root, { name: "demo", origin: rootPath, sourceKind: "directory", git: null });
+  assert.deepEqual(
+    report.entries.map((entry) => [entry.path, entry.type, entry.depth]),
+    [
+      [".", "directory", 0],
+      ["src", "directory", 1],
+      ["src/lib", "directory", 2],
+      ["src/lib/helper.js", "file", 3],
+      ["src/index.js", "file", 2],
+      ["notes: \"draft\" #1.md", "file", 1],
+      ["package.json", "file", 1],
+    ]
+  );
+  const helper = report.entries[3];
+  assert.equal(helper.extension, ".js");
+  assert.equal(helper.size, 28);
+});
+
+test("JSON and YAML serialize the same data, streamed or not", () => {
+  const report = buildStructuredReport(buildTreeModel(rootPath), { kind: "tree" });
+  for (const format of ["json", "yaml"]) {
+    assert.equal([...iterateReport(report, format)].join(""), serializeReport(report, format), format);
+  }
+  assert.deepEqual(JSON.parse(serializeReport(report, "json")), report);
+  assert.deepEqual(parseYaml(serializeReport(report, "yaml")), report);
+  assert.equal(toYaml({ empty: [], none: {}, value: null, list: [1, "two"] }),
+    "empty: []\nnone: {}\nvalue: null\nlist:\n  - 1\n  - \"two\"\n");
+});
+
+test("the CLI writes a valid JSON tree and a valid YAML summary", () => {
+  // Structured formats go to a file in the working directory by default
+  const tree = run(["tree", rootPath, "--format", "json", "--quiet"]);
+  assert.equal(tree.status, 0, tree.stderr);
+  assert.equal(tree.stdout, "");
+  const treeReport = JSON.parse(fs.readFileSync(path.join(workPath, "repo-tree.json"), "utf8"));
+  assert.deepEqual(validateSchema(treeReport, schema), []);
+  assert.equal(treeReport.kind, "tree");
+  assert.equal(treeReport.entries.length, 7);
+
+  const outputPath = path.join(workPath, "summary.yaml");
+  const summary = run(["summary", rootPath, "--format", "yaml", "-o", outputPath, "--quiet"]);
+  assert.equal(summary.status, 0, summary.stderr);
+  const summaryReport = parseYaml(fs.readFileSync(outputPath, "utf8"));
+  assert.deepEqual(validateSchema(summaryReport, schema), []);
+  assert.equal(summaryReport.kind, "summary");
+  assert.deepEqual(
+    [summaryReport.stats.totalFiles, summaryReport.stats.totalDirectories],
+    [4, 2]
+  );
+  assert.deepEqual(summaryReport.stats.fileTypes[".js"], { count: 2, size: 90 });
+  assert.deepEqual(summaryReport.dependencies.manifests.map((manifest) => manifest.path), ["package.json"]);
+  assert.ok(summaryReport.profile.frameworks.some((framework) => framework.name === "Express"));
+});
@@ -0,0 +1,110 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { buildTreeModel, buildTreeModelAsync } from "../src/treeModel.js";
+import { renderTreeLines, writeFileContents } from "../src/textOutput.js";
+import { resolveLocalSource } from "../src/resolveSource.js";
+import { resolveContentPolicy } from "../src/fileContent.js";
+import { createRedactor } from "../src/redactSecrets.js";
+import { exportTreeToFile, exportFileContentsToFile } from "../src/traverseRepository.js";
+import { createReporter } from "../src/reporter.js";
+
+const SEPARATOR = "\n" + "-".repeat(80) + "\n";
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-output-"));
+const rootPath = path.join(workPath, "repo");
+const files = {
+  "package.json": '{ "name": "demo" }\n',
+  "README.md": "# Demo\n",
+  "zeta.txt": "last\n",
+  "docs/guide.md": "# Guide\n",
+  "src/Z.js": "export const z = 1;\n",
+  "src/a.js": "export const a = 1;\n",
+  "src/lib/b.js": "export const b = 1;\n",
+  "debug.log": "ignored\n",
+  ".gitignore": "*.log\n",
+  ".hidden": "hidden\n",
+};
+for (const [relativePath, content] of Object.entries(files)) {
+  fs.mkdirSync(path.join(rootPath, path.dirname(relativePath)), { recursive: true });
+  fs.writeFileSync(path.join(rootPath, relativePath), content);
+}
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+const silent = () => createReporter({ level: "silent" });
+
+/**
+ * Render the contents export of a model into a string, as the sync export did
+ */
+async function renderContents(model) {
+  const source = resolveLocalSource(rootPath);
+  let text = "";
+  await writeFileContents(model, source, (piece) => {
+    text += piece;
+  }, {
+    basePath: workPath,
+    extensions: null,
+    maxFileSize: 1024 * 1024,
+    separator: SEPARATOR,
+    contentPolicy: resolveContentPolicy(),
+    redactor: createRedactor({ enabled: true, denylist: [] }),
+  });
+  return text;
+}
+
+test("the async walker renders the same tree as the sync one", async () => {
+  const lines = renderTreeLines(buildTreeModel(rootPath));
+  assert.deepEqual(renderTreeLines(await buildTreeModelAsync(rootPath)), lines);
+
+  const outputPath = path.join(workPath, "tree.txt");
+  const result = await exportTreeToFile(rootPath, outputPath, { reporter: silent() });
+  assert.equal(result.success, true, result.message);
+  assert.equal(fs.readFileSync(outputPath, "utf8"), lines.join("\n"));
+});
+
+test("the streamed contents export matches a sync walk, in the original file order", async () => {
+  const expected = await renderContents(buildTreeModel(rootPath));
+  assert.equal(await renderContents(await buildTreeModelAsync(rootPath)), expected);
+
+  const outputPath = path.join(workPath, "contents.txt");
+  const result = await exportFileContentsToFile(rootPath, outputPath, { reporter: silent() });
+  assert.equal(result.success, true, result.message);
+  assert.equal(fs.readFileSync(outputPath, "utf8"), expected);
+
+  // Siblings in name order, directories mixed with files, as before the tree model
+  assert.deepEqual(
+    expected.match(/^File: .*$/gm),
+    ["README.md", "docs/guide.md", "package.json", "src/Z.js", "src/a.js", "src/lib/b.js", "zeta.txt"]
+      .map((relativePath) => `File: ${path.join("repo", relativePath)}`)
+  );
+});
+
+test("an aborted export stops and removes its partial output", async () => {
+  const controller = new AbortController();
+  const outputPath = path.join(workPath, "aborted.txt");
+  const result = await exportFileContentsToFile(rootPath, outputPath, {
+    reporter: silent(),
+    signal: controller.signal,
+    onProgress: (progress) => {
+      if (progress.phase === "write" && progress.filesProcessed >= 2) controller.abort();
+    },
+  });
+  assert.equal(result.success, false);
+  assert.equal(result.error.name, "AbortError");
+  assert.ok(!fs.existsSync(outputPath));
+
+  // A signal aborted before the walk starts stops the walker itself
+  await assert.rejects(
+    buildTreeModelAsync(rootPath, { signal: AbortSignal.abort() }),
+    { name: "AbortError" }
+  );
+  const early = await exportTreeToFile(rootPath, path.join(workPath, "early.txt"), {
+    reporter: silent(),
+    signal: AbortSignal.abort(),
+  });
+  assert.equal(early.success, false);
+  assert.ok(!fs.existsSync(path.join(workPath, "early.txt")));
+});
@@ -0,0 +1,239 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { buildTreeModel } from "../src/treeModel.js";
+import { analyzeManifests } from "../src/manifests.js";
+import { diffTreeModels, describeTreeDiff, formatTreeDiffReport } from "../src/treeDiff.js";
+import { parseYaml } from "../src/parseYaml.js";
+import { gitHttpBackendAvailable, startGitServer } from "./helpers/gitServer.js";
+import { loadSchema, validateSchema } from "./helpers/validateSchema.js";
+
+const CLI_PATH = fileURLToPath(new URL("../index.js", import.meta.url));
+const schema = loadSchema("diff-v1.schema.json");
+const serverAvailable = gitHttpBackendAvailable();
+
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-diff-"));
+let server = null;
+
+/**
+ * Write files under a new directory of the work path
+ */
+function createTree(name, files) {
+  const rootPath = path.join(workPath, name);
+  for (const [fileName, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(rootPath, fileName)), { recursive: true });
+    fs.writeFileSync(path.join(rootPath, fileName), content);
+  }
+  return rootPath;
+}
+
+const beforePath = createTree("before", {
+  "package.json": JSON.stringify({ name: "app", dependencies: { express: "^4.18.0", lodash: "^4.17.0" } }),
+  "src/index.js": "console.log('hi');\n",
+  "src/util.js": "export const util = 1;\n",
+  "docs/guide.md": "# Guide\n",
+  "empty.txt": "",
+  "old/notes.txt": "notes\n",
+  "old/placeholder": "",
+});
+const afterPath = createTree("after", {
+  "package.json": JSON.stringify({
+    name: "app",
+    dependencies: { express: "^4.19.0" },
+    devDependencies: { vitest: "^1.0.0" },
+  }),
+  "src/index.js": "console.log('hello');\n",
+  "src/lib/util.js": "export const util = 1;\n",
+  "docs/guide.md": "# Guide\n",
+  "other/empty.txt": "",
+  "api/requirements.txt": "flask==3.0.3\n",
+  "api/__init__.py": "",
+});
+
+/**
+ * Run the CLI from the work directory with no config or REPOSKETCH_* variables
+ */
+function run(args) {
+  const env = Object.fromEntries(
+    Object.entries(process.env).filter(([name]) => !name.startsWith("REPOSKETCH_"))
+  );
+  return spawnSync(process.execPath, [CLI_PATH, ...args], { cwd: workPath, env, encoding: "utf8", timeout: 60000 });
+}
+
+before(async () => {
+  if (!serverAvailable) return;
+  const sourcePath = createTree("source", { "README.md": "# Project\n" });
+  const servedPath = path.join(workPath, "served");
+  const git = (args) => execFileSync("git", args, { cwd: sourcePath, stdio: "ignore" });
+  const commit = (message) =>
+    git(["-c", "user.name=Test", "-c", "user.email=test@example.com", "commit", "--quiet", "-m", message]);
+
+  git(["init", "--quiet", "--initial-branch=main"]);
+  git(["add", "--all"]);
+  commit("first");
+  git(["tag", "v1"]);
+  fs.writeFileSync(path.join(sourcePath, "CHANGELOG.md"), "# Changes\n");
+  git(["add", "--all"]);
+  commit("second");
+  git(["clone", "--quiet", "--bare", sourcePath, path.join(servedPath, "project.git")]);
+  server = await startGitServer(servedPath);
+});
+
+after(() => {
+  if (server) server.close();
+  fs.rmSync(workPath, { recursive: true, force: true });
+});
+
+/**
+ * Compare the before and after trees with their dependencies
+ */
+async function diffFixtures() {
+  const before = buildTreeModel(beforePath);
+  const after = buildTreeModel(afterPath);
+  return diffTreeModels(before, after, {
+    dependencies: { before: await analyzeManifests(before), after: await analyzeManifests(after) },
+  });
+}
+
+test("matches files by path and pairs equal contents as moves", async () => {
+  const diff = await diffFixtures();
+  // Empty files only move when the name stays the same
+  assert.deepEqual(diff.files, {
+    added: [{ path: "api/__init__.py", size: 0 }, { path: "api/requirements.txt", size: 13 }],
+    removed: [{ path: "old/notes.txt", size: 6 }, { path: "old/placeholder", size: 0 }],
+    moved: [
+      { from: "empty.txt", to: "other/empty.txt", size: 0 },
+      { from: "src/util.js", to: "src/lib/util.js", size: 23 },
+    ],
+    resized: [
+      { path: "package.json", before: 70, after: 89, delta: 19 },
+      { path: "src/index.js", before: 19, after: 22, delta: 3 },
+    ],
+  });
+  assert.deepEqual(diff.directories, { added: ["api", "other", "src/lib"], removed: ["old"] });
+  assert.deepEqual(diff.totals, {
+    files: { before: 7, after: 7, delta: 0 },
+    directories: { before: 3, after: 5, delta: 2 },
+    size: { before: 126, after: 155, delta: 29 },
+  });
+  assert.deepEqual(
+    diff.fileTypes.map((type) => [type.extension, type.count.delta, type.size.delta]),
+    [[".py", 1, 0], ["(no extension)", -1, 0], [".json", 0, 19], [".txt", 0, 7], [".js", 0, 3]]
+  );
+  assert.equal(describeTreeDiff(diff), "2 added, 2 removed, 2 moved, 2 resized");
+
+  await assert.rejects(
+    diffTreeModels(buildTreeModel(beforePath), buildTreeModel(afterPath), { signal: AbortSignal.abort() }),
+    { name: "AbortError" }
+  );
+});
+
+test("compares the dependencies of manifests in both trees", async () => {
+  const diff = await diffFixtures();
+  assert.deepEqual(diff.dependencies, {
+    manifestsAdded: [{ path: "api/requirements.txt", ecosystem: "pip", dependencies: 1 }],
+    manifestsRemoved: [],
+    changes: [
+      {
+        manifest: "package.json",
+        ecosystem: "npm",
+        scope: "runtime",
+        name: "express",
+        change: "changed",
+        before: "^4.18.0",
+        after: "^4.19.0",
+      },
+      {
+        manifest: "package.json",
+        ecosystem: "npm",
+        scope: "runtime",
+        name: "lodash",
+        change: "removed",
+        before: "^4.17.0",
+        after: null,
+      },
+      {
+        manifest: "package.json",
+        ecosystem: "npm",
+        scope: "dev",
+        name: "vitest",
+        change: "added",
+        before: null,
+        after: "^1.0.0",
+      },
+    ],
+  });
+});
+
+test("renders the changes as a tree, then totals, file types and dependencies", async () => {
+  const lines = formatTreeDiffReport(await diffFixtures(), "app");
+  assert.deepEqual(lines.slice(0, 15), [
+    "Files: 2 added, 2 removed, 2 moved, 2 resized",
+    "app/",
+    "├── + api/",
+    "│   ├── + __init__.py (0 B)",
+    "│   └── + requirements.txt (13.00 B)",
+    "├── - old/",
+    "│   ├── - notes.txt (6.00 B)",
+    "│   └── - placeholder (0 B)",
+    "├── + other/",
+    "│   └── > empty.txt (moved from empty.txt)",
+    "├── ~ package.json 70.00 B → 89.00 B (+19.00 B)",
+    "└── src/",
+    "    ├── ~ index.js 19.00 B → 22.00 B (+3.00 B)",
+    "    └── + lib/",
+    "        └── > util.js (moved from src/util.js)",
+  ]);
+  assert.ok(lines.includes("- Directories: 3 → 5 (+2)"));
+  assert.ok(lines.includes("- .json: 1 → 1 (±0) files, 70.00 B → 89.00 B (+19.00 B)"));
+  assert.deepEqual(lines.slice(-6), [
+    "Dependencies:",
+    "+ api/requirements.txt (pip, 1 dependency)",
+    "package.json (npm):",
+    "  ~ express ^4.18.0 → ^4.19.0",
+    "  - lodash ^4.17.0",
+    "  + vitest (dev) ^1.0.0",
+  ]);
+
+  const same = await diffTreeModels(buildTreeModel(beforePath), buildTreeModel(beforePath));
+  const unchanged = formatTreeDiffReport(same, "app");
+  assert.deepEqual(unchanged.slice(0, 2), ["Files: 0 added, 0 removed, 0 moved, 0 resized", "No files changed"]);
+  assert.ok(unchanged.includes("- No changes"));
+});
+
+test("the CLI writes a diff of two directories that follows the schema", () => {
+  const outputPath = path.join(workPath, "diff.json");
+  const result = run(["diff", "before", "after", "--format", "json", "-o", outputPath, "--quiet"]);
+  assert.equal(result.status, 0, result.stderr);
+
+  const report = JSON.parse(fs.readFileSync(outputPath, "utf8"));
+  assert.deepEqual(validateSchema(report, schema), []);
+  assert.equal(report.kind, "diff");
+  assert.deepEqual(
+    [report.before.name, report.before.sourceKind, report.after.name],
+    ["before", "directory", "after"]
+  );
+  assert.equal(report.dependencies.changes.length, 3);
+  assert.deepEqual(validateSchema({ ...report, totals: { files: {} } }, schema).slice(0, 1), [
+    "$.totals: missing directories",
+  ]);
+});
+
+test("the CLI compares two refs of a repository", { skip: !serverAvailable }, () => {
+  const outputPath = path.join(workPath, "refs.yaml");
+  const url = `http://127.0.0.1:${server.port}/project.git`;
+  const result = run([
+    "diff", url, "--from", "v1", "--to", "main", "--allow-host", `127.0.0.1:${server.port}`,
+    "--format", "yaml", "-o", outputPath, "--quiet",
+  ]);
+  assert.equal(result.status, 0, result.stderr);
+
+  const report = parseYaml(fs.readFileSync(outputPath, "utf8"));
+  assert.deepEqual(validateSchema(report, schema), []);
+  assert.deepEqual([report.before.origin, report.after.origin], [`${url}@v1`, `${url}@main`]);
+  assert.deepEqual(report.files.added, [{ path: "CHANGELOG.md", size: 10 }]);
+});
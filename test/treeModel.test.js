@@ -0,0 +1,99 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { buildTreeModel, buildTreeModelAsync, walkTreeModel } from "../src/treeModel.js";
+import { renderTreeLines } from "../src/textOutput.js";
+import { exportFileContentsToFile } from "../src/traverseRepository.js";
+import { createReporter } from "../src/reporter.js";
+
+const SECRET = "TOP SECRET outside repo";
+
+// A repository with links out of its root, next to the files they point at
+const workPath = fs.mkdtempSync(path.join(os.tmpdir(), "reposketch-model-"));
+const rootPath = path.join(workPath, "repo");
+const outsidePath = path.join(workPath, "outside");
+fs.mkdirSync(path.join(rootPath, "inside"), { recursive: true });
+fs.mkdirSync(path.join(rootPath, "sym"));
+fs.mkdirSync(outsidePath);
+fs.writeFileSync(path.join(rootPath, "inside", "a.txt"), "inside\n");
+fs.writeFileSync(path.join(outsidePath, "secret.txt"), `${SECRET}\n`);
+fs.symlinkSync(path.join("..", "..", "outside"), path.join(rootPath, "sym", "linked"));
+fs.symlinkSync(path.join(outsidePath, "secret.txt"), path.join(rootPath, "host.txt"));
+fs.symlinkSync("inside", path.join(rootPath, "ok"));
+fs.symlinkSync(path.join("inside", "a.txt"), path.join(rootPath, "same.txt"));
+fs.symlinkSync("..", path.join(rootPath, "inside", "up"));
+
+after(() => fs.rmSync(workPath, { recursive: true, force: true }));
+
+/**
+ * Find a node by its relative path
+ */
+function nodeAt(model, relativePath) {
+  for (const node of walkTreeModel(model, { includeIgnored: true })) {
+    if (node.relativePath === relativePath) return node;
+  }
+  return null;
+}
+
+/**
+ * Assert how a model treats the links in and out of the root
+ */
+function assertLinks(model) {
+  for (const relativePath of ["sym/linked", "host.txt"]) {
+    const node = nodeAt(model, relativePath);
+    assert.equal(node.type, "other", relativePath);
+    assert.deepEqual({ ...node.symlink, target: null }, { target: null, broken: false, outside: true });
+    assert.equal(node.children, null);
+  }
+
+  const linkedDirectory = nodeAt(model, "ok");
+  assert.equal(linkedDirectory.type, "directory");
+  assert.equal(linkedDirectory.symlink.outside, false);
+  assert.deepEqual(linkedDirectory.children.map((child) => child.name), ["up", "a.txt"]);
+
+  const linkedFile = nodeAt(model, "same.txt");
+  assert.equal(linkedFile.type, "file");
+  assert.equal(linkedFile.size, "inside\n".length);
+
+  // A link back to the root is a cycle, not a way out
+  assert.equal(nodeAt(model, "inside/up").cycle, true);
+  assert.equal(nodeAt(model, "sym/linked/secret.txt"), null);
+}
+
+test("links out of the root are listed but not followed", () => {
+  assertLinks(buildTreeModel(rootPath));
+});
+
+test("the async walker treats links the same way", async () => {
+  assertLinks(await buildTreeModelAsync(rootPath));
+});
+
+test("the tree marks links out of the root", () => {
+  assert.deepEqual(renderTreeLines(buildTreeModel(rootPath)), [
+    "repo/",
+    "├── inside/",
+    "│   ├── up/",
+    "│   └── a.txt",
+    "├── ok/",
+    "│   ├── up/",
+    "│   └── a.txt",
+    "├── sym/",
+    "│   └── linked [symlink outside the root]",
+    "├── host.txt [symlink outside the root]",
+    "└── same.txt",
+  ]);
+});
+
+test("the contents export never reads files outside the root", async () => {
+  const outputPath = path.join(workPath, "contents.txt");
+  const result = await exportFileContentsToFile(rootPath, outputPath, {
+    reporter: createReporter({ level: "silent" }),
+  });
+  assert.equal(result.success, true, result.message);
+
+  const contents = fs.readFileSync(outputPath, "utf8");
+  assert.ok(!contents.includes(SECRET));
+  assert.ok(contents.includes("inside\n"));
+});